@@ -0,0 +1,232 @@
+/**
+ * Test suite for evaluation/cross-validation.js
+ * Tests speed points, sensor labels, folds, F1 scores and bootstrap intervals
+ */
+
+const {
+  EVALUATION_MODES,
+  buildSpeedData,
+  createMotionLookup,
+  assignDayFolds,
+  assignBlockFolds,
+  summarizeMatrix,
+  bootstrapIntervals,
+  crossValidate,
+  evaluateTransportModes
+} = require('../evaluation/cross-validation');
+const { buildConfusionMatrix } = require('../js/motion-algorithms');
+
+describe('Transport Mode Cross-Validation', () => {
+  const DAY_1 = Date.UTC(2025, 10, 3, 14);
+  const DAY_2 = Date.UTC(2025, 10, 4, 14);
+  const METERS_PER_DEGREE = 111320;
+
+  // Locations every 20 s moving north at the given speeds (m/s)
+  function createLocations(start, speeds) {
+    let latitude = 42.36;
+    return [0, ...speeds].map((speed, i) => {
+      latitude += (speed * 20) / METERS_PER_DEGREE;
+      return { timestamp: new Date(start + i * 20000).toISOString(), latitude, longitude: -71.06 };
+    });
+  }
+
+  function createMotion(start, count, activity) {
+    return Array.from({ length: count }, (_, i) => ({
+      timestamp: new Date(start + (i + 1) * 20000).toISOString(),
+      isStationary: activity === 'stationary',
+      isWalking: activity === 'walking',
+      isCycling: activity === 'cycling',
+      isAutomotive: false,
+      isRunning: false
+    }));
+  }
+
+  const repeat = (count, value) => Array(count).fill(value);
+  const matrixOf = (pairs) => buildConfusionMatrix(pairs.map(([, predicted]) => predicted), pairs.map(([actual]) => actual), EVALUATION_MODES);
+
+  // ============================================================================
+  // Data
+  // ============================================================================
+
+  describe('buildSpeedData', () => {
+    it('should compute the speed of each step oldest first', () => {
+      const points = buildSpeedData(createLocations(DAY_1, [1.5, 3]).reverse());
+
+      expect(points).toHaveLength(2);
+      expect(points[0].speed).toBeCloseTo(1.5, 1);
+      expect(points[1].speed).toBeCloseTo(3, 1);
+      expect(points[1].prevPoint.timestamp).toBe(points[0].timestamp);
+    });
+
+    it('should drop steps that are too short, too long or too fast', () => {
+      const locations = [
+        { timestamp: '2025-11-03T14:00:00.000Z', latitude: 42.36, longitude: -71.06 },
+        { timestamp: '2025-11-03T14:00:00.500Z', latitude: 42.36, longitude: -71.06 },
+        { timestamp: '2025-11-03T14:20:00.000Z', latitude: 42.36, longitude: -71.06 },
+        { timestamp: '2025-11-03T14:20:10.000Z', latitude: 42.37, longitude: -71.06 },
+        { timestamp: '2025-11-03T14:20:30.000Z', latitude: 42.3701, longitude: -71.06 }
+      ];
+
+      expect(buildSpeedData(locations).map((point) => point.timestamp)).toEqual(['2025-11-03T14:20:30.000Z']);
+    });
+  });
+
+  describe('createMotionLookup', () => {
+    const motion = [
+      { timestamp: '2025-11-03T14:02:00.000Z', isWalking: true },
+      { serverTimestamp: '2025-11-03T14:00:00.000Z', isStationary: true }
+    ];
+
+    it('should find the nearest reading within 90 seconds', () => {
+      const lookup = createMotionLookup(motion);
+
+      expect(lookup('2025-11-03T14:00:40.000Z').isStationary).toBe(true);
+      expect(lookup('2025-11-03T14:01:20.000Z').isWalking).toBe(true);
+      expect(lookup('2025-11-03T14:05:00.000Z')).toBeNull();
+    });
+
+    it('should return null without readings', () => {
+      expect(createMotionLookup([])('2025-11-03T14:00:00.000Z')).toBeNull();
+    });
+  });
+
+  // ============================================================================
+  // Folds
+  // ============================================================================
+
+  describe('assignDayFolds', () => {
+    it('should put each local day in its own fold', () => {
+      const points = [{ timestamp: DAY_1, latitude: 1, longitude: 2 }, { timestamp: DAY_2 }, { timestamp: DAY_1 + 1000 }];
+      const localTime = (time) => ({ dateKey: new Date(time).toISOString().slice(0, 10) });
+
+      expect(assignDayFolds(points, localTime)).toEqual({ names: ['2025-11-03', '2025-11-04'], foldOf: [0, 1, 0] });
+    });
+  });
+
+  describe('assignBlockFolds', () => {
+    it('should split points into consecutive folds', () => {
+      expect(assignBlockFolds(10, 3)).toEqual({
+        names: ['fold 1', 'fold 2', 'fold 3'],
+        foldOf: [0, 0, 0, 0, 1, 1, 1, 2, 2, 2]
+      });
+    });
+  });
+
+  // ============================================================================
+  // Metrics
+  // ============================================================================
+
+  describe('summarizeMatrix', () => {
+    it('should score each mode and average them', () => {
+      const summary = summarizeMatrix(matrixOf([
+        ['walking', 'walking'],
+        ['walking', 'walking'],
+        ['walking', 'cycling'],
+        ['cycling', 'cycling']
+      ]));
+
+      expect(Object.keys(summary.classes)).toEqual(['walking', 'cycling']);
+      expect(summary.classes.walking).toEqual({ precision: 1, recall: 2 / 3, f1: 0.8, support: 3 });
+      expect(summary.classes.cycling.f1).toBeCloseTo(2 / 3);
+      expect(summary.macroF1).toBeCloseTo((0.8 + 2 / 3) / 2);
+      expect(summary.micro.f1).toBe(0.75);
+      expect(summary.points).toBe(4);
+    });
+
+    it('should count modes that were predicted but never seen', () => {
+      const summary = summarizeMatrix(matrixOf([['walking', 'walking'], ['walking', 'automotive']]));
+
+      expect(summary.classes.automotive).toEqual({ precision: 0, recall: 0, f1: 0, support: 0 });
+      expect(summary.macroF1).toBeCloseTo(((2 * 0.5) / 1.5 + 0) / 2);
+    });
+  });
+
+  describe('bootstrapIntervals', () => {
+    it('should leave the interval open with a single fold', () => {
+      expect(bootstrapIntervals([matrixOf([['walking', 'walking']])]).accuracy).toEqual({ low: null, high: null });
+    });
+
+    it('should collapse to the score when every fold agrees', () => {
+      const fold = matrixOf([['walking', 'walking'], ['walking', 'cycling']]);
+
+      expect(bootstrapIntervals([fold, fold, fold]).accuracy).toEqual({ low: 0.5, high: 0.5 });
+    });
+
+    it('should span the pooled score when folds disagree', () => {
+      const folds = [
+        matrixOf([['walking', 'walking'], ['walking', 'walking']]),
+        matrixOf([['walking', 'cycling'], ['walking', 'walking']]),
+        matrixOf([['walking', 'cycling'], ['walking', 'cycling']]),
+        matrixOf([['walking', 'walking'], ['walking', 'cycling']])
+      ];
+      const { accuracy, resamples } = bootstrapIntervals(folds, { seed: 3 });
+
+      expect(resamples).toBe(1000);
+      expect(accuracy.low).toBeLessThan(0.5);
+      expect(accuracy.high).toBeGreaterThan(0.5);
+      expect(bootstrapIntervals(folds, { seed: 3 })).toEqual(bootstrapIntervals(folds, { seed: 3 }));
+    });
+  });
+
+  // ============================================================================
+  // Cross-validation
+  // ============================================================================
+
+  describe('crossValidate', () => {
+    it('should train the ensemble without the fold it scores', () => {
+      // Each day has a single mode, so leaving a day out leaves its mode unseen in training
+      const points = buildSpeedData([...createLocations(DAY_1, repeat(40, 1.4)), ...createLocations(DAY_2, repeat(40, 5))]);
+      const groundTruth = points.map((point) => (point.speed < 2 ? 'walking' : 'cycling'));
+      const folds = { names: ['day 1', 'day 2'], foldOf: points.map((point) => (point.speed < 2 ? 0 : 1)) };
+
+      const [baseline, forest] = crossValidate(points, groundTruth, folds, { algorithms: ['baseline', 'forest'], forest: { trees: 3 } });
+
+      expect(forest.key).toBe('forest');
+      expect(summarizeMatrix(forest.matrix).micro.f1).toBe(0);
+      expect(summarizeMatrix(baseline.matrix).micro.f1).toBe(1);
+    });
+
+    it('should score bus, car and train as the one automotive class the sensors report', () => {
+      const points = buildSpeedData(createLocations(DAY_1, [...repeat(10, 10), ...repeat(10, 20), ...repeat(10, 30)]));
+      const groundTruth = repeat(points.length, 'automotive');
+      const folds = { names: ['day 1'], foldOf: repeat(points.length, 0) };
+
+      const [baseline] = crossValidate(points, groundTruth, folds, { algorithms: ['baseline'] });
+
+      expect(Object.keys(baseline.matrix)).not.toContain('bus');
+      expect(baseline.matrix.automotive.automotive).toBe(points.length);
+    });
+  });
+
+  describe('evaluateTransportModes', () => {
+    const locations = [...createLocations(DAY_1, repeat(30, 1.4)), ...createLocations(DAY_2, repeat(30, 1.4))];
+    const motion = [...createMotion(DAY_1, 30, 'walking'), ...createMotion(DAY_2, 15, 'walking')];
+
+    // Readings stop 300 s into the second day; the next four points are still within 90 s of the last one
+    it('should score every algorithm on sensor-labelled points, one local day per fold', () => {
+      const report = evaluateTransportModes(locations, motion, { clean: false, algorithms: ['baseline', 'hmm'] });
+
+      expect(report.folds).toEqual({ method: 'leave-one-day-out', names: ['2025-11-03', '2025-11-04'] });
+      expect(report.points).toBe(60);
+      expect(report.labelledPoints).toBe(49);
+      expect(report.algorithms.map((algorithm) => algorithm.key)).toEqual(['baseline', 'hmm']);
+
+      const [baseline] = report.algorithms;
+      expect(baseline.classes.walking).toMatchObject({ f1: 1, support: 49 });
+      expect(baseline.folds).toEqual([
+        { name: '2025-11-03', points: 30, accuracy: 1, macroF1: 1 },
+        { name: '2025-11-04', points: 19, accuracy: 1, macroF1: 1 }
+      ]);
+      expect(baseline.intervals.accuracy).toEqual({ low: 1, high: 1 });
+      expect(report.modes).toEqual(['walking', 'cycling', 'automotive', 'stationary']);
+    });
+
+    it('should leave out folds without sensor labels', () => {
+      const report = evaluateTransportModes(locations, motion.slice(0, 30), { folds: 4, algorithms: ['baseline'] });
+
+      expect(report.folds.method).toBe('4-fold');
+      expect(report.folds.names).toEqual(['fold 1', 'fold 2']);
+      expect(report.cleaned).toBe(true);
+    });
+  });
+});
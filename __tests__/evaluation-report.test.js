@@ -0,0 +1,292 @@
+/**
+ * Test suite for evaluation/report.js, evaluate-transport-modes.js and tune-transport-thresholds.js
+ * Tests evaluation and tuning options, reading exports and the written reports
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const {
+  EVALUATION_REPORT_NAME,
+  TUNED_THRESHOLDS_FILE,
+  parseEvaluateArgs,
+  parseTuneArgs,
+  readExportDocuments,
+  readTunedThresholds,
+  formatMarkdownReport,
+  writeEvaluationReport,
+  writeTunedThresholds
+} = require('../evaluation/report');
+const { DEFAULT_OUT_DIR } = require('../exporter/cli');
+const { main } = require('../evaluate-transport-modes');
+const { main: tuneMain } = require('../tune-transport-thresholds');
+
+describe('Transport Mode Evaluation Report', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mix-evaluate-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function createAlgorithm(key, name, macroF1) {
+    return {
+      key,
+      name,
+      classes: {
+        walking: { precision: 0.9, recall: 0.8, f1: macroF1, support: 1200 },
+        cycling: { precision: 0.5, recall: 0.5, f1: 0.5, support: 30 }
+      },
+      macroF1,
+      micro: { precision: 0.75, recall: 0.75, f1: 0.75 },
+      points: 1230,
+      intervals: {
+        accuracy: { low: 0.7, high: 0.8 },
+        macroF1: { low: null, high: null },
+        resamples: 1000
+      },
+      folds: [],
+      confusionMatrix: {}
+    };
+  }
+
+  const report = {
+    generatedAt: '2025-11-05T12:00:00.000Z',
+    folds: { method: 'leave-one-day-out', names: ['2025-11-03', '2025-11-04'] },
+    cleaned: true,
+    points: 1500,
+    labelledPoints: 1230,
+    algorithms: [createAlgorithm('baseline', 'Baseline (Fixed Thresholds)', 0.6), createAlgorithm('hmm', 'HMM (Viterbi)', 0.7)]
+  };
+
+  // ============================================================================
+  // Options
+  // ============================================================================
+
+  describe('parseEvaluateArgs', () => {
+    it('should read the default exports with leave-one-day-out folds', () => {
+      const options = parseEvaluateArgs(['-d', tmpDir]);
+
+      expect(options).toEqual({
+        help: false,
+        dataDir: tmpDir,
+        locationsFile: path.join(tmpDir, 'locations.json'),
+        motionFile: path.join(tmpDir, 'motion.json'),
+        folds: 'day',
+        algorithms: null,
+        timezonesFile: null,
+        thresholdsFile: null,
+        clean: true,
+        outDir: tmpDir
+      });
+      expect(parseEvaluateArgs([]).dataDir).toBe(DEFAULT_OUT_DIR);
+    });
+
+    it('should use timezone boundaries saved next to the exports', () => {
+      fs.writeFileSync(path.join(tmpDir, 'timezones.geojson'), '{}');
+      expect(parseEvaluateArgs(['-d', tmpDir]).timezonesFile).toBe(path.join(tmpDir, 'timezones.geojson'));
+    });
+
+    it('should accept a number of folds and a list of algorithms', () => {
+      const options = parseEvaluateArgs(['-k', '5', '-a', 'baseline, hmm', '--raw', '-o', tmpDir]);
+
+      expect(options.folds).toBe(5);
+      expect(options.algorithms).toEqual(['baseline', 'hmm']);
+      expect(options.clean).toBe(false);
+      expect(options.outDir).toBe(tmpDir);
+    });
+
+    it('should reject unusable folds and unknown algorithms', () => {
+      expect(() => parseEvaluateArgs(['-k', '1'])).toThrow('Invalid --folds: 1');
+      expect(() => parseEvaluateArgs(['-k', 'week'])).toThrow('Invalid --folds: week');
+      expect(() => parseEvaluateArgs(['-a', 'baseline,magic'])).toThrow('Unknown algorithm: magic');
+    });
+  });
+
+  describe('parseTuneArgs', () => {
+    it('should tune every threshold algorithm for macro F1 by default', () => {
+      expect(parseTuneArgs(['-d', tmpDir])).toEqual({
+        help: false,
+        dataDir: tmpDir,
+        locationsFile: path.join(tmpDir, 'locations.json'),
+        motionFile: path.join(tmpDir, 'motion.json'),
+        algorithms: null,
+        objective: 'macroF1',
+        testShare: 0.2,
+        clean: true,
+        outFile: path.join(tmpDir, TUNED_THRESHOLDS_FILE)
+      });
+    });
+
+    it('should accept algorithms, an objective and a held-out share', () => {
+      const options = parseTuneArgs(['-a', 'baseline,headingChange', '-m', 'accuracy', '--test-share', '0', '-o', 'out.json']);
+
+      expect(options.algorithms).toEqual(['baseline', 'headingChange']);
+      expect(options.objective).toBe('accuracy');
+      expect(options.testShare).toBe(0);
+      expect(options.outFile).toBe(path.resolve('out.json'));
+    });
+
+    it('should reject algorithms without thresholds and unusable values', () => {
+      expect(() => parseTuneArgs(['-a', 'hmm'])).toThrow('Unknown algorithm: hmm');
+      expect(() => parseTuneArgs(['-m', 'kappa'])).toThrow('Unknown objective: kappa');
+      expect(() => parseTuneArgs(['--test-share', '1'])).toThrow('Invalid --test-share: 1');
+    });
+  });
+
+  // ============================================================================
+  // Reading
+  // ============================================================================
+
+  describe('readExportDocuments', () => {
+    it('should read JSON arrays and gzipped NDJSON', () => {
+      const documents = [{ id: 'a' }, { id: 'b' }];
+      fs.writeFileSync(path.join(tmpDir, 'locations.json'), JSON.stringify(documents));
+      fs.writeFileSync(path.join(tmpDir, 'motion.ndjson.gz'), zlib.gzipSync(documents.map((doc) => JSON.stringify(doc)).join('\n')));
+
+      expect(readExportDocuments(path.join(tmpDir, 'locations.json'))).toEqual(documents);
+      expect(readExportDocuments(path.join(tmpDir, 'motion.ndjson.gz'))).toEqual(documents);
+    });
+
+    it('should report a missing export', () => {
+      expect(() => readExportDocuments(path.join(tmpDir, 'motion.json'))).toThrow('No export found');
+    });
+  });
+
+  describe('writeTunedThresholds / readTunedThresholds', () => {
+    it('should write thresholds that read back with their sources', () => {
+      const thresholds = { type: 'transport-thresholds', version: 1, parameters: { baseline: { maxWalking: 2.5 } } };
+      const filePath = writeTunedThresholds(path.join(tmpDir, 'city', TUNED_THRESHOLDS_FILE), thresholds, { locationsFile: 'locations.json' });
+
+      expect(readTunedThresholds(filePath)).toEqual({ ...thresholds, sources: { locationsFile: 'locations.json' } });
+    });
+
+    it('should reject files that are not tuned thresholds', () => {
+      fs.writeFileSync(path.join(tmpDir, 'model.json'), JSON.stringify({ type: 'mode-forest' }));
+      expect(() => readTunedThresholds(path.join(tmpDir, 'model.json'))).toThrow('Unrecognised thresholds file');
+    });
+  });
+
+  // ============================================================================
+  // Report
+  // ============================================================================
+
+  describe('formatMarkdownReport', () => {
+    it('should rank algorithms by macro F1', () => {
+      const markdown = formatMarkdownReport(report);
+      const overall = markdown.split('## F1 per mode')[0];
+
+      expect(markdown).toContain('1,230 of 1,500 points have a motion sensor label');
+      expect(overall.indexOf('HMM (Viterbi)')).toBeLessThan(overall.indexOf('Baseline'));
+      expect(markdown).toContain('| HMM (Viterbi) | 75.0% | 70.0% – 80.0% | 70.0% | – |');
+    });
+
+    it('should show F1 and support for each mode seen', () => {
+      const markdown = formatMarkdownReport(report, { locationsFile: 'locations.json', motionFile: 'motion.json' });
+
+      expect(markdown).toContain('Data: `locations.json` and `motion.json` (trace cleaned).');
+      expect(markdown).toContain('| Algorithm | walking | cycling |');
+      expect(markdown).toContain('| Baseline (Fixed Thresholds) | 60.0% | 50.0% |');
+      expect(markdown).toContain('| *Points (support)* | 1,200 | 30 |');
+    });
+
+    it('should say that vehicles are scored as one automotive class', () => {
+      expect(formatMarkdownReport(report)).toContain('Bus, car and train are scored as one *automotive* class');
+    });
+
+    it('should mark algorithms run with tuned thresholds', () => {
+      const tuned = { ...report, algorithms: [{ ...createAlgorithm('baseline', 'Baseline Speed Thresholds', 0.6), tuned: true }] };
+
+      expect(formatMarkdownReport(tuned)).toContain('| Baseline Speed Thresholds (tuned) | 75.0% |');
+    });
+
+    it('should warn that rows tuned outside the folds are scored on their tuning data', () => {
+      const tuned = { ...report, algorithms: [{ ...createAlgorithm('baseline', 'Baseline Speed Thresholds', 0.6), tuned: true, heldOutFromTuning: false }] };
+
+      expect(formatMarkdownReport(tuned)).toContain('scored partly on data it was tuned on');
+      expect(formatMarkdownReport(report)).not.toContain('scored partly on data it was tuned on');
+    });
+  });
+
+  describe('writeEvaluationReport', () => {
+    it('should write the JSON and Markdown reports', () => {
+      const outDir = path.join(tmpDir, 'reports');
+      const written = writeEvaluationReport(outDir, report, { locationsFile: 'locations.json' });
+
+      expect(written).toEqual([
+        path.join(outDir, `${EVALUATION_REPORT_NAME}.json`),
+        path.join(outDir, `${EVALUATION_REPORT_NAME}.md`)
+      ]);
+      expect(JSON.parse(fs.readFileSync(written[0], 'utf8')).sources).toEqual({ locationsFile: 'locations.json' });
+      expect(fs.readFileSync(written[1], 'utf8')).toContain('# Transport Mode Algorithm Comparison');
+    });
+  });
+
+  // ============================================================================
+  // Command Line
+  // ============================================================================
+
+  describe('main', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+      console.error.mockRestore();
+    });
+
+    // Walking at about 2.8 m/s, which the default baseline thresholds call cycling
+    function writeExports() {
+      const start = Date.UTC(2025, 10, 3, 14);
+      const locations = Array.from({ length: 40 }, (_, i) => ({
+        timestamp: new Date(start + i * 20000).toISOString(),
+        latitude: 42.36 + i * 0.0005,
+        longitude: -71.06
+      }));
+      const motion = locations.map(({ timestamp }) => ({ timestamp, isWalking: true }));
+      fs.writeFileSync(path.join(tmpDir, 'locations.json'), JSON.stringify(locations));
+      fs.writeFileSync(path.join(tmpDir, 'motion.json'), JSON.stringify(motion));
+    }
+
+    it('should evaluate the exports and write the report next to them', async () => {
+      writeExports();
+
+      expect(await main(['-d', tmpDir, '-k', '2', '-a', 'baseline'])).toBe(0);
+      expect(fs.existsSync(path.join(tmpDir, `${EVALUATION_REPORT_NAME}.md`))).toBe(true);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('39 of 39 points labelled; 2-fold over 2 folds'));
+    });
+
+    it('should fail on bad options or missing exports', async () => {
+      expect(await main(['-k', '1'])).toBe(1);
+      expect(await main(['-d', tmpDir])).toBe(1);
+      expect(console.error).toHaveBeenCalledWith('Evaluation failed:', expect.stringContaining('No export found'));
+    });
+
+    it('should tune thresholds that the evaluation can run with', async () => {
+      writeExports();
+
+      expect(await tuneMain(['-d', tmpDir, '-a', 'baseline', '--test-share', '0'])).toBe(0);
+      const thresholds = readTunedThresholds(path.join(tmpDir, TUNED_THRESHOLDS_FILE));
+      expect(thresholds.parameters.baseline.maxWalking).toBeGreaterThan(2.8);
+
+      expect(await main(['-d', tmpDir, '-k', '2', '-a', 'baseline', '--thresholds', path.join(tmpDir, TUNED_THRESHOLDS_FILE)])).toBe(0);
+      const report = JSON.parse(fs.readFileSync(path.join(tmpDir, `${EVALUATION_REPORT_NAME}.json`), 'utf8'));
+      expect(report.algorithms[0]).toMatchObject({ key: 'baseline', tuned: true, heldOutFromTuning: false, micro: { f1: 1 } });
+    });
+
+    it('should fail to tune without motion sensor labels', async () => {
+      writeExports();
+      fs.writeFileSync(path.join(tmpDir, 'motion.json'), '[]');
+
+      expect(await tuneMain(['-d', tmpDir])).toBe(1);
+      expect(await tuneMain(['-m', 'kappa'])).toBe(1);
+      expect(console.error).toHaveBeenCalledWith('Tuning failed:', 'No points with motion sensor labels to tune on');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Test suite for evaluation/threshold-tuning.js
+ * Tests the parameter search and the tuned thresholds it writes
+ */
+
+const {
+  VEHICLE_PARAMETERS,
+  TUNING_GRIDS,
+  scoreParameters,
+  tuneAlgorithm,
+  tuneTransportThresholds
+} = require('../evaluation/threshold-tuning');
+const { DEFAULT_ALGORITHM_PARAMETERS, parseTunedThresholds, resolveAlgorithmParameters } = require('../js/motion-algorithms');
+
+describe('Transport Mode Threshold Tuning', () => {
+  const START = Date.UTC(2025, 10, 3, 14);
+  const METERS_PER_DEGREE = 111320;
+
+  // Fast walkers: walking at 2.4 m/s is cycling by the default 2 m/s threshold
+  const speeds = [...Array(30).fill(2.4), ...Array(30).fill(5)];
+  const points = speeds.map((speed, i) => ({
+    timestamp: new Date(START + i * 20000).toISOString(),
+    speed,
+    latitude: 42.36 + i * 0.001,
+    longitude: -71.06,
+    prevPoint: { latitude: 42.36 + (i - 1) * 0.001, longitude: -71.06 }
+  }));
+  const groundTruth = speeds.map((speed) => (speed < 3 ? 'walking' : 'cycling'));
+  const indexes = points.map((point, index) => index);
+
+  function createExport(count) {
+    let latitude = 42.36;
+    const locations = [];
+    const motion = [];
+    for (let i = 0; i < count; i++) {
+      const walking = Math.floor(i / 30) % 2 === 0;
+      latitude += ((walking ? 2.4 : 5) * 20) / METERS_PER_DEGREE;
+      const timestamp = new Date(START + i * 20000).toISOString();
+      locations.push({ timestamp, latitude, longitude: -71.06 });
+      motion.push({ timestamp, isWalking: walking, isCycling: !walking });
+    }
+    return { locations, motion };
+  }
+
+  // ============================================================================
+  // Search
+  // ============================================================================
+
+  describe('scoreParameters', () => {
+    it('should score only the given points', () => {
+      expect(scoreParameters(points, groundTruth, indexes, 'baseline', {}, 'accuracy')).toBe(0.5);
+      expect(scoreParameters(points, groundTruth, indexes.slice(30), 'baseline', {}, 'accuracy')).toBe(1);
+      expect(scoreParameters(points, groundTruth, indexes, 'baseline', { maxWalking: 3 })).toBe(1);
+    });
+  });
+
+  describe('tuneAlgorithm', () => {
+    it('should move a threshold to where the sensor labels put it', () => {
+      const tuned = tuneAlgorithm(points, groundTruth, indexes, 'baseline');
+
+      expect(tuned.score).toBe(1);
+      expect(tuned.parameters.maxWalking).toBeGreaterThan(2.4);
+      expect(tuned.parameters.maxWalking).toBeLessThan(5);
+      expect(tuned.parameters.maxStationary).toBe(DEFAULT_ALGORITHM_PARAMETERS.baseline.maxStationary);
+      expect(tuned.evaluations).toBeGreaterThan(1);
+    });
+
+    it('should keep the defaults when nothing scores better', () => {
+      const slow = points.map((point) => ({ ...point, speed: point.speed < 3 ? 1.4 : 5 }));
+
+      expect(tuneAlgorithm(slow, groundTruth, indexes, 'baseline').parameters).toEqual(DEFAULT_ALGORITHM_PARAMETERS.baseline);
+    });
+
+    it('should only try parameters in order', () => {
+      const tuned = tuneAlgorithm(points, groundTruth, indexes, 'baseline', { grid: { maxWalking: [9, 12] } });
+
+      expect(tuned.parameters).toEqual(DEFAULT_ALGORITHM_PARAMETERS.baseline);
+      expect(tuned.evaluations).toBe(1);
+    });
+
+    it('should search a grid containing the defaults for every parameter but the vehicle ones', () => {
+      for (const [algorithm, grid] of Object.entries(TUNING_GRIDS)) {
+        const tunable = Object.keys(DEFAULT_ALGORITHM_PARAMETERS[algorithm]).filter((name) => !VEHICLE_PARAMETERS.includes(name));
+        expect(Object.keys(grid).sort()).toEqual(tunable.sort());
+        for (const [name, values] of Object.entries(grid)) {
+          expect(values).toContain(DEFAULT_ALGORITHM_PARAMETERS[algorithm][name]);
+        }
+      }
+    });
+  });
+
+  // ============================================================================
+  // Tuning exported data
+  // ============================================================================
+
+  describe('tuneTransportThresholds', () => {
+    const { locations, motion } = createExport(241);
+
+    it('should write loadable thresholds with held-out scores', () => {
+      const thresholds = tuneTransportThresholds(locations, motion, { algorithms: ['baseline', 'stopPattern'], blockSize: 30, clean: false });
+
+      expect(parseTunedThresholds(JSON.stringify(thresholds))).toEqual(thresholds);
+      expect(Object.keys(thresholds.parameters)).toEqual(['baseline', 'stopPattern']);
+      expect(thresholds).toMatchObject({ objective: 'macroF1', cleaned: false, points: 240, labelledPoints: 240 });
+      expect(thresholds.trainPoints + thresholds.testPoints).toBe(240);
+      expect(thresholds.testPoints).toBe(60);
+
+      const { baseline } = thresholds.scores;
+      expect(baseline.name).toBe('Baseline Speed Thresholds');
+      expect(baseline.train.tuned).toBeGreaterThan(baseline.train.default);
+      expect(baseline.test.tuned).toBe(1);
+      expect(baseline.test.default).toBeLessThan(1);
+      expect(() => resolveAlgorithmParameters('stopPattern', thresholds.parameters.stopPattern)).not.toThrow();
+    });
+
+    it('should tune on every labelled point when nothing is held out', () => {
+      const thresholds = tuneTransportThresholds(locations, motion, { algorithms: ['baseline'], testShare: 0, objective: 'accuracy' });
+
+      expect(thresholds.testPoints).toBe(0);
+      expect(thresholds.scores.baseline.test).toEqual({ default: null, tuned: null });
+      expect(thresholds.objective).toBe('accuracy');
+    });
+
+    it('should need motion sensor labels', () => {
+      expect(() => tuneTransportThresholds(locations, [])).toThrow('No points with motion sensor labels');
+    });
+  });
+});
@@ -414,3 +414,173 @@ describe('Export Firebase Data - Helper Functions', () => {
     });
   });
 });
+
+describe('Export Firebase Data - exportCollection', () => {
+  const fs = require('fs');
+  const { exportCollection, isWithinRange } = require('../export-firebase-data');
+  const { createFakeFirestore } = require('./helpers/fake-firestore');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    fs.existsSync.mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('should merge documents from every requested user within the date range', async () => {
+    const db = createFakeFirestore({
+      user_locations: [
+        { id: '1', userId: 'a', serverTimestamp: '2025-12-10T10:00:00Z' },
+        { id: '2', userId: 'a', serverTimestamp: '2025-11-01T10:00:00Z' },
+        { id: '3', userId: 'b', serverTimestamp: '2025-12-12T10:00:00Z' },
+        { id: '4', userId: 'b', serverTimestamp: '2025-12-20T10:00:00Z' }
+      ]
+    });
+
+    const count = await exportCollection(
+      db,
+      { name: 'user_locations', fileName: 'locations.json', timestampField: 'serverTimestamp' },
+      {
+        userIds: ['a', 'b'],
+        since: new Date('2025-12-01T00:00:00Z'),
+        until: new Date('2025-12-15T00:00:00Z'),
+        outDir: '/tmp/export'
+      }
+    );
+
+    expect(count).toBe(2);
+    const [outputPath, contents] = fs.writeFileSync.mock.calls[0];
+    expect(outputPath).toBe('/tmp/export/locations.json');
+    expect(JSON.parse(contents).map((d) => d.id)).toEqual(['3', '1']);
+  });
+
+  it('should treat documents without timestamps as in range', () => {
+    expect(isWithinRange(undefined, new Date('2025-12-01'), null)).toBe(true);
+    expect(isWithinRange('2025-12-02T00:00:00Z', new Date('2025-12-01'), new Date('2025-12-01T12:00:00Z'))).toBe(false);
+  });
+});
+
+describe('Export Firebase Data - paginated reads', () => {
+  const { fetchUserDocuments, getQueryRange } = require('../export-firebase-data');
+  const { resolveCollection } = require('../exporter/collections');
+  const { createFakeFirestore, DOCUMENT_ID_FIELD } = require('./helpers/fake-firestore');
+
+  const collection = { name: 'user_visits', fileName: 'visits.json', timestampField: 'arrivalDate' };
+  const options = {
+    since: new Date('2025-12-02T00:00:00Z'),
+    until: new Date('2025-12-08T23:59:59Z'),
+    pageSize: 2
+  };
+
+  function createVisits() {
+    const visits = [];
+    for (let day = 1; day <= 9; day++) {
+      visits.push({
+        id: `v${day}`,
+        userId: 'a',
+        arrivalDate: `2025-12-0${day}T10:00:00.000Z`,
+        serverTimestamp: `2025-12-0${day}T10:05:00.000Z`
+      });
+    }
+    visits.push({ id: 'other', userId: 'b', arrivalDate: '2025-12-05T10:00:00.000Z' });
+    return visits;
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  it('should page through a server-side timestamp range with startAfter cursors', async () => {
+    const db = createFakeFirestore({ user_visits: createVisits() });
+
+    const documents = await fetchUserDocuments(db, collection, 'a', options);
+
+    expect(documents.map((d) => d.id)).toEqual(['v2', 'v3', 'v4', 'v5', 'v6', 'v7', 'v8']);
+    expect(db.queries).toHaveLength(4);
+    expect(db.queries[0]).toMatchObject({ order: 'arrivalDate', limit: 2, cursor: null });
+    expect(db.queries[0].filters.map((f) => `${f.field} ${f.op}`)).toEqual([
+      'userId ==', 'arrivalDate >=', 'arrivalDate <='
+    ]);
+    expect(db.queries[1].cursor).toBe('v3');
+    expect(console.log).toHaveBeenCalledWith('  user_visits [a] page 4: 7 read, 7 kept');
+  });
+
+  it('should fall back to userId-only pages when the composite index is missing', async () => {
+    const db = createFakeFirestore({ user_visits: createVisits() }, { missingIndexes: ['user_visits.arrivalDate'] });
+
+    const documents = await fetchUserDocuments(db, collection, 'a', options);
+
+    expect(documents.map((d) => d.id).sort()).toEqual(['v2', 'v3', 'v4', 'v5', 'v6', 'v7', 'v8']);
+    expect(db.queries[1]).toMatchObject({ order: DOCUMENT_ID_FIELD, limit: 2 });
+    expect(db.queries[1].filters).toHaveLength(1);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+
+    // The missing index is remembered for later users on the same db
+    await fetchUserDocuments(db, collection, 'b', options);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep visits without arrivalDate on full runs', async () => {
+    const visits = [...createVisits(), { id: 'noArrival', userId: 'a', serverTimestamp: '2025-12-04T10:05:00.000Z' }];
+    const db = createFakeFirestore({ user_visits: visits });
+
+    const documents = await fetchUserDocuments(db, resolveCollection('visits'), 'a', options);
+
+    expect(documents.map((d) => d.id).sort()).toEqual(['noArrival', 'v2', 'v3', 'v4', 'v5', 'v6', 'v7', 'v8']);
+    expect(db.queries[0].filters.map((f) => `${f.field} ${f.op}`)).toEqual(['userId ==']);
+  });
+
+  it('should skip server-side filtering when clientFilter is set', async () => {
+    const db = createFakeFirestore({ user_visits: createVisits() });
+
+    const documents = await fetchUserDocuments(db, collection, 'a', { ...options, clientFilter: true, pageSize: 100 });
+
+    expect(documents).toHaveLength(7);
+    expect(db.queries).toHaveLength(1);
+    expect(db.queries[0].order).toBe(DOCUMENT_ID_FIELD);
+  });
+
+  describe('getQueryRange', () => {
+    it('should use the collection timestamp field for full exports', () => {
+      expect(getQueryRange(collection, options, null)).toEqual({
+        field: 'arrivalDate',
+        start: options.since,
+        end: options.until
+      });
+    });
+
+    it('should page from the serverTimestamp cursor for incremental exports', () => {
+      expect(getQueryRange(collection, options, '2025-12-05T00:00:00.000Z')).toEqual({
+        field: 'serverTimestamp',
+        start: new Date('2025-12-05T00:00:00.000Z'),
+        end: null
+      });
+    });
+
+    it('should leave the range to the client when the timestamp field is optional', () => {
+      expect(getQueryRange(resolveCollection('visits'), options, null)).toEqual({
+        field: 'arrivalDate',
+        start: null,
+        end: null
+      });
+    });
+
+    it('should keep the later of --since and the cursor when both filter serverTimestamp', () => {
+      const locations = { name: 'user_locations', timestampField: 'serverTimestamp' };
+      expect(getQueryRange(locations, options, '2025-11-01T00:00:00.000Z')).toEqual({
+        field: 'serverTimestamp',
+        start: options.since,
+        end: options.until
+      });
+    });
+  });
+});
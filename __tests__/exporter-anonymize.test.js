@@ -0,0 +1,274 @@
+/**
+ * Test suite for exporter/anonymize.js
+ * Tests pseudonymous IDs, consent filtering, home masking and coarsening
+ */
+
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  firestore: jest.fn(() => ({}))
+}));
+
+const {
+  haversineDistance,
+  isNightTime,
+  detectHomeClusters,
+  isNearHome,
+  createPseudonymizer,
+  coarsenCoordinate,
+  coarsenTimestamp,
+  coarsenValues,
+  buildUserContext,
+  anonymizeDocuments,
+  describeAnonymization
+} = require('../exporter/anonymize');
+const { resolveCollection } = require('../exporter/collections');
+const { fetchUserDocuments, getAnonymizationContext } = require('../export-firebase-data');
+const { createFakeFirestore } = require('./helpers/fake-firestore');
+
+describe('Export Anonymization', () => {
+  const HOME = { latitude: 42.3601, longitude: -71.0942 };
+  const WORK = { latitude: 42.3736, longitude: -71.1097 }; // ~2 km from home
+
+  // Night-time and daytime in the local time zone the exporter reads hours in
+  const at = (day, hour, minute = 0) => new Date(2025, 11, day, hour, minute, 7, 123).toISOString();
+
+  const config = {
+    idMode: 'hash',
+    salt: 'secret',
+    requireConsent: true,
+    homeRadius: 500,
+    coordinateDecimals: 3,
+    timeGranularity: 15
+  };
+
+  function createLocation(id, place, timestamp, extra = {}) {
+    return {
+      id,
+      latitude: place.latitude,
+      longitude: place.longitude,
+      location: { latitude: place.latitude, longitude: place.longitude },
+      timestamp,
+      serverTimestamp: timestamp,
+      userId: 'realUser123',
+      dataSharingConsent: true,
+      ...extra
+    };
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  // ============================================================================
+  // Home Clusters
+  // ============================================================================
+
+  describe('detectHomeClusters', () => {
+    it('should cluster night-time points and ignore daytime points', () => {
+      const locations = [
+        createLocation('n1', HOME, at(12, 23)),
+        createLocation('n2', { latitude: 42.3605, longitude: -71.0945 }, at(13, 2)),
+        createLocation('n3', HOME, at(13, 5)),
+        createLocation('d1', WORK, at(13, 14)),
+        createLocation('d2', WORK, at(13, 15))
+      ];
+
+      const homes = detectHomeClusters(locations);
+
+      expect(homes).toHaveLength(1);
+      expect(homes[0].count).toBe(3);
+      expect(haversineDistance(homes[0].latitude, homes[0].longitude, HOME.latitude, HOME.longitude)).toBeLessThan(50);
+    });
+
+    it('should sort clusters largest first', () => {
+      const homes = detectHomeClusters([
+        createLocation('a', WORK, at(12, 23)),
+        createLocation('b', HOME, at(12, 23)),
+        createLocation('c', HOME, at(13, 1))
+      ]);
+
+      expect(homes.map((home) => home.count)).toEqual([2, 1]);
+    });
+
+    it('should return no clusters without night-time points', () => {
+      expect(detectHomeClusters([createLocation('d', HOME, at(13, 12))])).toEqual([]);
+    });
+
+    it('should read night-time from 22:00 to 06:00', () => {
+      expect(isNightTime(at(13, 22))).toBe(true);
+      expect(isNightTime(at(13, 5, 59))).toBe(true);
+      expect(isNightTime(at(13, 6))).toBe(false);
+      expect(isNightTime(at(13, 21, 59))).toBe(false);
+    });
+  });
+
+  describe('isNearHome', () => {
+    it('should compare against every home within the radius', () => {
+      const homes = [{ ...HOME, count: 3 }];
+
+      expect(isNearHome({ latitude: 42.3620, longitude: -71.0942 }, homes, 500)).toBe(true);
+      expect(isNearHome(WORK, homes, 500)).toBe(false);
+      expect(isNearHome({ isWalking: true }, homes, 500)).toBe(false);
+    });
+  });
+
+  // ============================================================================
+  // IDs and Coarsening
+  // ============================================================================
+
+  describe('createPseudonymizer', () => {
+    it('should hash user IDs with the salt', () => {
+      const pseudonymize = createPseudonymizer('hash', 'secret');
+
+      expect(pseudonymize('realUser123')).toMatch(/^[0-9a-f]{16}$/);
+      expect(pseudonymize('realUser123')).toBe(createPseudonymizer('hash', 'secret')('realUser123'));
+      expect(pseudonymize('realUser123')).not.toBe(createPseudonymizer('hash', 'other')('realUser123'));
+      expect(pseudonymize('realUser123')).not.toBe(pseudonymize('realUser456'));
+    });
+
+    it('should number users in the order they are seen', () => {
+      const pseudonymize = createPseudonymizer('sequential');
+
+      expect(pseudonymize('b')).toBe('participant-001');
+      expect(pseudonymize('a')).toBe('participant-002');
+      expect(pseudonymize('b')).toBe('participant-001');
+    });
+
+    it('should keep IDs without a mode', () => {
+      expect(createPseudonymizer(null)('realUser123')).toBe('realUser123');
+    });
+  });
+
+  describe('coarsening', () => {
+    it('should round coordinates and truncate timestamps', () => {
+      expect(coarsenCoordinate(42.37290845226013, 3)).toBe(42.373);
+      expect(coarsenCoordinate(-71.10315893117078, 2)).toBe(-71.1);
+      expect(coarsenTimestamp('2025-12-13T19:44:22.822Z', 15)).toBe('2025-12-13T19:30:00.000Z');
+      expect(coarsenTimestamp('2025-12-13T19:44:22.822Z', 60)).toBe('2025-12-13T19:00:00.000Z');
+    });
+
+    it('should coarsen nested coordinates and every ISO timestamp', () => {
+      const doc = {
+        latitude: 42.37290845226013,
+        location: { latitude: 42.37290845226013, longitude: -71.10315893117078 },
+        horizontalAccuracy: 3.9226212486370198,
+        arrivalDate: '2025-12-13T00:39:29.215Z',
+        day: '2025-12-13'
+      };
+
+      expect(coarsenValues(doc, config)).toEqual({
+        latitude: 42.373,
+        location: { latitude: 42.373, longitude: -71.103 },
+        horizontalAccuracy: 3.9226212486370198,
+        arrivalDate: '2025-12-13T00:30:00.000Z',
+        day: '2025-12-13'
+      });
+    });
+
+    it('should leave values alone when a step is disabled', () => {
+      const doc = { latitude: 42.37290845226013, timestamp: '2025-12-13T19:44:22.822Z' };
+      expect(coarsenValues(doc, { coordinateDecimals: null, timeGranularity: null })).toEqual(doc);
+    });
+  });
+
+  // ============================================================================
+  // Documents
+  // ============================================================================
+
+  describe('anonymizeDocuments', () => {
+    const locations = resolveCollection('locations');
+    const motion = resolveCollection('motion');
+
+    it('should drop non-consenting and home documents, then coarsen and pseudonymize', () => {
+      const docs = [
+        createLocation('home-night', HOME, at(12, 23)),
+        createLocation('home-day', HOME, at(13, 12)),
+        createLocation('work', WORK, at(13, 14, 44)),
+        createLocation('no-consent', WORK, at(13, 15), { dataSharingConsent: false })
+      ];
+      const context = buildUserContext('hashed01', docs, config);
+
+      const shared = anonymizeDocuments(docs, locations, context, config);
+
+      expect(shared.map((doc) => doc.id)).toEqual(['work']);
+      expect(shared[0]).toMatchObject({
+        userId: 'hashed01',
+        latitude: 42.374,
+        longitude: -71.11,
+        timestamp: coarsenTimestamp(at(13, 14, 44), 15)
+      });
+    });
+
+    it('should share motion only for users with consenting locations', () => {
+      const motionDocs = [{ id: 'm1', isWalking: true, timestamp: at(13, 14), userId: 'realUser123' }];
+      const consenting = buildUserContext('hashed01', [createLocation('l', WORK, at(13, 14))], config);
+      const declined = buildUserContext('hashed02', [createLocation('l', WORK, at(13, 14), { dataSharingConsent: false })], config);
+
+      expect(anonymizeDocuments(motionDocs, motion, consenting, config)).toHaveLength(1);
+      expect(anonymizeDocuments(motionDocs, motion, declined, config)).toEqual([]);
+      expect(anonymizeDocuments(motionDocs, motion, declined, { ...config, requireConsent: false })).toHaveLength(1);
+    });
+
+    it('should skip home detection when masking is disabled', () => {
+      const context = buildUserContext('x', [createLocation('n', HOME, at(12, 23))], { ...config, homeRadius: 0 });
+      expect(context.homes).toEqual([]);
+    });
+
+    it('should describe settings without the salt', () => {
+      expect(describeAnonymization(config)).toEqual({
+        userIds: 'hash',
+        requireConsent: true,
+        homeRadiusMeters: 500,
+        coordinateDecimals: 3,
+        timeGranularityMinutes: 15
+      });
+    });
+  });
+
+  describe('exporter integration', () => {
+    const options = {
+      since: new Date('2025-12-01T00:00:00Z'),
+      until: null,
+      pageSize: 2
+    };
+
+    it('should anonymize documents as they are read', async () => {
+      const db = createFakeFirestore({
+        user_locations: [
+          createLocation('l1', HOME, at(12, 23)),
+          createLocation('l2', HOME, at(13, 1)),
+          createLocation('l3', WORK, at(13, 14))
+        ],
+        user_visits: [
+          { id: 'v1', ...HOME, arrivalDate: at(12, 20), userId: 'realUser123', dataSharingConsent: true },
+          { id: 'v2', ...WORK, arrivalDate: at(13, 13), userId: 'realUser123', dataSharingConsent: true }
+        ]
+      });
+      const anonymize = { ...config };
+
+      const visits = await fetchUserDocuments(db, resolveCollection('visits'), 'realUser123', { ...options, anonymize });
+
+      expect(visits.map((doc) => doc.id)).toEqual(['v2']);
+      expect(visits[0].userId).toBe(createPseudonymizer('hash', 'secret')('realUser123'));
+      expect(visits[0].latitude).toBe(42.374);
+    });
+
+    it('should read each user\'s locations once per export', async () => {
+      const db = createFakeFirestore({ user_locations: [createLocation('l1', WORK, at(13, 14))] });
+      const fullOptions = { ...options, anonymize: { ...config, idMode: 'sequential' } };
+
+      const first = await getAnonymizationContext(db, 'realUser123', fullOptions);
+      const queryCount = db.queries.length;
+      const second = await getAnonymizationContext(db, 'realUser123', fullOptions);
+
+      expect(second).toBe(first);
+      expect(db.queries).toHaveLength(queryCount);
+      expect(first.pseudonym).toBe('participant-001');
+      expect(first.consented).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,308 @@
+/**
+ * Test suite for exporter/cli.js
+ * Tests command-line option parsing, defaults and validation
+ */
+
+const path = require('path');
+const {
+  DEFAULT_USER_ID,
+  DEFAULT_PROJECT_ID,
+  DEFAULT_OUT_DIR,
+  HELP_TEXT,
+  parseCliArgs,
+  parseDateOption
+} = require('../exporter/cli');
+
+describe('Exporter CLI', () => {
+  const now = new Date('2025-12-15T12:00:00Z');
+
+  // ============================================================================
+  // Defaults
+  // ============================================================================
+
+  describe('defaults', () => {
+    it('should fall back to the default user, project and output directory', () => {
+      const options = parseCliArgs([], {}, now);
+
+      expect(options.userIds).toEqual([DEFAULT_USER_ID]);
+      expect(options.projectId).toBe(DEFAULT_PROJECT_ID);
+      expect(options.outDir).toBe(path.resolve(DEFAULT_OUT_DIR));
+      expect(options.credentials).toBeNull();
+      expect(options.help).toBe(false);
+    });
+
+    it('should default to the last 30 days with no upper bound', () => {
+      const options = parseCliArgs([], {}, now);
+
+      expect(options.since.toISOString()).toBe('2025-11-15T12:00:00.000Z');
+      expect(options.until).toBeNull();
+    });
+
+    it('should export the three mobility collections by default', () => {
+      const options = parseCliArgs([], {}, now);
+
+      expect(options.collections.map((c) => c.name)).toEqual([
+        'user_locations',
+        'user_motion_activities',
+        'user_visits'
+      ]);
+      expect(options.collections[0]).toMatchObject({ fileName: 'locations.json', timestampField: 'serverTimestamp' });
+    });
+
+    it('should read credentials and project from the environment', () => {
+      const options = parseCliArgs([], {
+        GOOGLE_APPLICATION_CREDENTIALS: '/tmp/creds.json',
+        GCLOUD_PROJECT: 'env-project'
+      }, now);
+
+      expect(options.credentials).toBe('/tmp/creds.json');
+      expect(options.projectId).toBe('env-project');
+    });
+  });
+
+  // ============================================================================
+  // Users
+  // ============================================================================
+
+  describe('--user', () => {
+    it('should accept repeated --user options', () => {
+      const options = parseCliArgs(['--user', 'a', '-u', 'b'], {}, now);
+      expect(options.userIds).toEqual(['a', 'b']);
+    });
+
+    it('should accept a legacy positional user ID', () => {
+      const options = parseCliArgs(['legacyUser'], {}, now);
+      expect(options.userIds).toEqual(['legacyUser']);
+    });
+
+    it('should de-duplicate user IDs', () => {
+      const options = parseCliArgs(['-u', 'a', '-u', 'a', 'a'], {}, now);
+      expect(options.userIds).toEqual(['a']);
+    });
+  });
+
+  describe('cohort options', () => {
+    it('should not enable cohort mode by default', () => {
+      const options = parseCliArgs([], {}, now);
+      expect(options.cohort).toBe(false);
+      expect(options.usersFile).toBeNull();
+      expect(options.consentingUsers).toBe(false);
+    });
+
+    it('should enable cohort mode for explicit users', () => {
+      const options = parseCliArgs(['--cohort', '-u', 'a', '-u', 'b'], {}, now);
+      expect(options.cohort).toBe(true);
+      expect(options.userIds).toEqual(['a', 'b']);
+    });
+
+    it('should imply cohort mode for a users file without adding the default user', () => {
+      const options = parseCliArgs(['--users-file', 'study.txt'], {}, now);
+      expect(options.cohort).toBe(true);
+      expect(options.usersFile).toBe(path.resolve('study.txt'));
+      expect(options.userIds).toEqual([]);
+    });
+
+    it('should imply cohort mode for consenting users', () => {
+      const options = parseCliArgs(['--consenting-users'], {}, now);
+      expect(options.cohort).toBe(true);
+      expect(options.consentingUsers).toBe(true);
+      expect(options.userIds).toEqual([]);
+    });
+  });
+
+  describe('incremental options', () => {
+    it('should default the manifest into the output directory', () => {
+      const options = parseCliArgs(['--incremental', '-o', 'exports'], {}, now);
+      expect(options.incremental).toBe(true);
+      expect(options.manifestPath).toBe(path.join(path.resolve('exports'), '.sync-manifest.json'));
+    });
+
+    it('should accept an explicit manifest path', () => {
+      const options = parseCliArgs(['--incremental', '--manifest', 'state/sync.json'], {}, now);
+      expect(options.manifestPath).toBe(path.resolve('state/sync.json'));
+    });
+  });
+
+  describe('paging options', () => {
+    it('should default to 1000 documents per page with server-side filtering', () => {
+      const options = parseCliArgs([], {}, now);
+      expect(options.pageSize).toBe(1000);
+      expect(options.clientFilter).toBe(false);
+    });
+
+    it('should accept --page-size and --client-filter', () => {
+      const options = parseCliArgs(['--page-size', '250', '--client-filter'], {}, now);
+      expect(options.pageSize).toBe(250);
+      expect(options.clientFilter).toBe(true);
+    });
+
+    it('should reject a non-positive page size', () => {
+      expect(() => parseCliArgs(['--page-size', '0'], {}, now)).toThrow('--page-size must be a positive integer');
+      expect(() => parseCliArgs(['--page-size', 'lots'], {}, now)).toThrow('--page-size must be a positive integer');
+    });
+  });
+
+  // ============================================================================
+  // Date Range
+  // ============================================================================
+
+  describe('--since / --until', () => {
+    it('should parse ISO dates', () => {
+      const options = parseCliArgs(['--since', '2025-12-01', '--until', '2025-12-10T08:00:00Z'], {}, now);
+
+      expect(options.since.toISOString()).toBe('2025-12-01T00:00:00.000Z');
+      expect(options.until.toISOString()).toBe('2025-12-10T08:00:00.000Z');
+    });
+
+    it('should include the whole day for a date-only --until', () => {
+      const options = parseCliArgs(['--since', '2025-12-01', '--until', '2025-12-10'], {}, now);
+      expect(options.until.toISOString()).toBe('2025-12-10T23:59:59.999Z');
+    });
+
+    it('should reject invalid dates', () => {
+      expect(() => parseCliArgs(['--since', 'last-week'], {}, now)).toThrow('Invalid date for --since');
+    });
+
+    it('should reject an --until before --since', () => {
+      expect(() => parseCliArgs(['--since', '2025-12-10', '--until', '2025-12-01'], {}, now))
+        .toThrow('is before --since');
+    });
+
+    it('should expose date parsing for reuse', () => {
+      expect(parseDateOption('2025-01-31', 'until', true).toISOString()).toBe('2025-01-31T23:59:59.999Z');
+      expect(parseDateOption('2025-01-31', 'since').toISOString()).toBe('2025-01-31T00:00:00.000Z');
+    });
+  });
+
+  // ============================================================================
+  // Collections and Paths
+  // ============================================================================
+
+  describe('--collections', () => {
+    it('should resolve aliases and full names', () => {
+      const options = parseCliArgs(['--collections', 'visits, user_locations'], {}, now);
+      expect(options.collections.map((c) => c.name)).toEqual(['user_visits', 'user_locations']);
+    });
+
+    it('should export unknown collections to <name>.json', () => {
+      const options = parseCliArgs(['-c', 'narrative_history'], {}, now);
+      expect(options.collections[0]).toMatchObject({
+        name: 'narrative_history',
+        fileName: 'narrative_history.json',
+        timestampField: 'timestamp'
+      });
+    });
+
+    it('should reject an empty collection list', () => {
+      expect(() => parseCliArgs(['--collections', ','], {}, now)).toThrow('at least one collection');
+    });
+  });
+
+  describe('--format', () => {
+    it('should resolve comma-separated and repeated format entries', () => {
+      const options = parseCliArgs(['--format', 'json,gpx', '-f', 'visits:geojson'], {}, now);
+      expect(options.formats).toEqual({
+        user_locations: ['json', 'gpx'],
+        user_motion_activities: ['json'],
+        user_visits: ['json', 'gpx', 'geojson']
+      });
+    });
+
+    it('should accept streaming formats per collection and gzip', () => {
+      const options = parseCliArgs(['--format', 'locations:csv,motion:ndjson', '--gzip'], {}, now);
+      expect(options.formats.user_locations).toEqual(['csv']);
+      expect(options.formats.user_motion_activities).toEqual(['ndjson']);
+      expect(options.gzip).toBe(true);
+    });
+
+    it('should keep JSON in incremental mode', () => {
+      const options = parseCliArgs(['--incremental', '--format', 'gpx'], {}, now);
+      expect(options.formats.user_locations).toEqual(['json', 'gpx']);
+    });
+  });
+
+  describe('--out-dir, --project and --credentials', () => {
+    it('should resolve paths and override the project', () => {
+      const options = parseCliArgs(['-o', 'exports/run1', '-p', 'other-project', '--credentials', 'creds.json'], {}, now);
+
+      expect(options.outDir).toBe(path.resolve('exports/run1'));
+      expect(options.projectId).toBe('other-project');
+      expect(options.credentials).toBe(path.resolve('creds.json'));
+    });
+  });
+
+  // ============================================================================
+  // Help and Errors
+  // ============================================================================
+
+  describe('validation options', () => {
+    it('should validate and drop malformed documents by default', () => {
+      expect(parseCliArgs([], {}, now)).toMatchObject({ validate: true, keepInvalid: false, report: true });
+    });
+
+    it('should accept --skip-validation and --keep-invalid', () => {
+      expect(parseCliArgs(['--skip-validation'], {}, now).validate).toBe(false);
+      expect(parseCliArgs(['--keep-invalid'], {}, now).keepInvalid).toBe(true);
+    });
+
+    it('should accept --skip-report', () => {
+      expect(parseCliArgs(['--skip-report'], {}, now).report).toBe(false);
+    });
+  });
+
+  describe('anonymization options', () => {
+    it('should leave exports raw by default', () => {
+      expect(parseCliArgs([], {}, now).anonymize).toBeNull();
+    });
+
+    it('should enable every step with --anonymize', () => {
+      expect(parseCliArgs(['--anonymize'], { EXPORT_ID_SALT: 'pepper' }, now).anonymize).toEqual({
+        idMode: 'hash',
+        salt: 'pepper',
+        requireConsent: true,
+        homeRadius: 500,
+        coordinateDecimals: 3,
+        timeGranularity: 15
+      });
+    });
+
+    it('should let individual options override or enable single steps', () => {
+      expect(parseCliArgs(['--anonymize', '--mask-home-radius', '0', '--coarsen-coords', '2', '--pseudonymize', 'sequential'], {}, now).anonymize)
+        .toMatchObject({ idMode: 'sequential', homeRadius: 0, coordinateDecimals: 2, timeGranularity: 15 });
+      expect(parseCliArgs(['--require-consent'], {}, now).anonymize).toEqual({
+        idMode: null,
+        salt: null,
+        requireConsent: true,
+        homeRadius: 0,
+        coordinateDecimals: null,
+        timeGranularity: null
+      });
+    });
+
+    it('should reject invalid values and incremental runs', () => {
+      expect(() => parseCliArgs(['--pseudonymize', 'rot13'], {}, now)).toThrow('Unknown --pseudonymize mode');
+      expect(() => parseCliArgs(['--coarsen-time', '2.5'], {}, now)).toThrow('--coarsen-time must be a non-negative integer');
+      expect(() => parseCliArgs(['--anonymize', '--incremental'], {}, now)).toThrow('cannot be combined with --incremental');
+    });
+  });
+
+  describe('--help', () => {
+    it('should set the help flag', () => {
+      expect(parseCliArgs(['--help'], {}, now).help).toBe(true);
+      expect(parseCliArgs(['-h'], {}, now).help).toBe(true);
+    });
+
+    it('should document every option', () => {
+      ['--user', '--since', '--until', '--collections', '--format', '--out-dir', '--project', '--credentials',
+        '--cohort', '--users-file', '--consenting-users', '--incremental', '--manifest',
+        '--page-size', '--client-filter', '--gzip', '--emulator', '--emulator-host',
+        '--skip-validation', '--keep-invalid', '--skip-report', '--anonymize', '--pseudonymize', '--id-salt', '--require-consent', '--mask-home-radius', '--coarsen-coords',
+        '--coarsen-time', '--help']
+        .forEach((option) => expect(HELP_TEXT).toContain(option));
+    });
+  });
+
+  it('should reject unknown options', () => {
+    expect(() => parseCliArgs(['--days', '7'], {}, now)).toThrow();
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Test suite for exporter/cohort.js
+ * Tests cohort user resolution and the combined cohort index
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  readUserIdsFile,
+  findConsentingUsers,
+  resolveCohortUsers,
+  getUserDirectoryName,
+  buildCohortIndex,
+  writeCohortIndex
+} = require('../exporter/cohort');
+const { createFakeFirestore } = require('./helpers/fake-firestore');
+
+describe('Cohort Export', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mix-cohort-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Build a fake Firestore db with consenting documents per collection, plus one without consent
+   */
+  function createConsentDb(userIdsByCollection) {
+    const collections = {};
+    for (const [name, userIds] of Object.entries(userIdsByCollection)) {
+      collections[name] = [
+        ...userIds.map((userId, i) => ({ id: `${name}-${i}`, userId, dataSharingConsent: true })),
+        { id: `${name}-private`, userId: 'privateUser', dataSharingConsent: false }
+      ];
+    }
+    return createFakeFirestore(collections);
+  }
+
+  // ============================================================================
+  // User Lists
+  // ============================================================================
+
+  describe('readUserIdsFile', () => {
+    it('should read one user ID per line, skipping blanks and comments', () => {
+      const filePath = path.join(tmpDir, 'users.txt');
+      fs.writeFileSync(filePath, '# study group A\nuserA\n\n  userB  # pilot\r\nuserC\n');
+
+      expect(readUserIdsFile(filePath)).toEqual(['userA', 'userB', 'userC']);
+    });
+
+    it('should read a JSON array of user IDs', () => {
+      const filePath = path.join(tmpDir, 'users.json');
+      fs.writeFileSync(filePath, JSON.stringify(['userA', 'userB']));
+
+      expect(readUserIdsFile(filePath)).toEqual(['userA', 'userB']);
+    });
+
+    it('should reject JSON that is not an array of strings', () => {
+      const filePath = path.join(tmpDir, 'users.json');
+      fs.writeFileSync(filePath, '[1, 2]');
+
+      expect(() => readUserIdsFile(filePath)).toThrow('JSON array of strings');
+    });
+
+    it('should report a missing file', () => {
+      expect(() => readUserIdsFile(path.join(tmpDir, 'missing.txt'))).toThrow('Users file not found');
+    });
+  });
+
+  describe('findConsentingUsers', () => {
+    it('should collect distinct consenting users across collections, skipping test accounts', async () => {
+      const db = createConsentDb({
+        user_locations: ['userB', 'userA', 'testUser1', 'userA'],
+        user_visits: ['userC', 'userB']
+      });
+
+      await expect(findConsentingUsers(db)).resolves.toEqual(['userA', 'userB', 'userC']);
+      expect(db.queries.map((query) => query.collection)).toEqual(['user_locations', 'user_visits']);
+    });
+
+    it('should read consenting documents a page at a time', async () => {
+      const db = createConsentDb({ user_locations: ['userA', 'userA', 'userB', 'userC', 'userA'] });
+
+      await expect(findConsentingUsers(db, 2)).resolves.toEqual(['userA', 'userB', 'userC']);
+      const pages = db.queries.filter((query) => query.collection === 'user_locations');
+      expect(pages).toHaveLength(3);
+      expect(pages.every((query) => query.limit === 2)).toBe(true);
+      expect(pages[1].cursor).toBe('user_locations-1');
+    });
+  });
+
+  describe('resolveCohortUsers', () => {
+    it('should combine explicit, file and consenting users without duplicates', async () => {
+      const filePath = path.join(tmpDir, 'users.txt');
+      fs.writeFileSync(filePath, 'userB\nuserC\n');
+      const db = createConsentDb({ user_locations: ['userC', 'userD'] });
+
+      const userIds = await resolveCohortUsers(db, {
+        userIds: ['userA', 'userB'],
+        usersFile: filePath,
+        consentingUsers: true
+      });
+
+      expect(userIds).toEqual(['userA', 'userB', 'userC', 'userD']);
+    });
+
+    it('should fail when no users are found', async () => {
+      await expect(resolveCohortUsers(createConsentDb({}), { userIds: [], consentingUsers: true }))
+        .rejects.toThrow('no users');
+    });
+  });
+
+  // ============================================================================
+  // Index
+  // ============================================================================
+
+  describe('getUserDirectoryName', () => {
+    it('should keep Firebase UIDs unchanged and replace unsafe characters', () => {
+      expect(getUserDirectoryName('qaCPu4bNgYOFsjQaSRjjMb4fJRf2')).toBe('qaCPu4bNgYOFsjQaSRjjMb4fJRf2');
+      expect(getUserDirectoryName('../etc/passwd')).toMatch(/^___etc_passwd-[0-9a-f]{8}$/);
+    });
+
+    it('should give IDs that sanitize to the same name their own directories', () => {
+      const usedNames = new Set();
+      const names = ['a_b', 'a.b', 'a/b', 'UserA', 'usera'].map((userId) => getUserDirectoryName(userId, usedNames));
+
+      expect(names[0]).toBe('a_b');
+      expect(names[3]).toBe('UserA');
+      expect(new Set(names.map((name) => name.toLowerCase())).size).toBe(5);
+      expect(getUserDirectoryName('a.b')).toBe(names[1]);
+    });
+  });
+
+  describe('buildCohortIndex', () => {
+    const options = {
+      projectId: 'suelio-ar',
+      since: new Date('2025-12-01T00:00:00Z'),
+      until: null,
+      collections: [
+        { name: 'user_locations', fileName: 'locations.json' },
+        { name: 'user_visits', fileName: 'visits.json' }
+      ]
+    };
+
+    it('should list each user with files, counts and totals', () => {
+      const index = buildCohortIndex(options, [
+        { userId: 'userA', directory: 'userA', counts: { user_locations: 10, user_visits: 2 } },
+        { userId: 'userB', directory: 'userB', counts: { user_locations: 5, user_visits: 0 } }
+      ]);
+
+      expect(index.userCount).toBe(2);
+      expect(index.since).toBe('2025-12-01T00:00:00.000Z');
+      expect(index.until).toBeNull();
+      expect(index.collections).toEqual(['user_locations', 'user_visits']);
+      expect(index.users[0]).toEqual({
+        userId: 'userA',
+        directory: 'userA',
+        files: ['userA/locations.json', 'userA/visits.json'],
+        counts: { user_locations: 10, user_visits: 2 },
+        total: 12
+      });
+      expect(index.totals).toEqual({ user_locations: 15, user_visits: 2 });
+    });
+
+    it('should write index.json to the output directory', () => {
+      const outDir = path.join(tmpDir, 'cohort');
+      const indexPath = writeCohortIndex(outDir, buildCohortIndex(options, []));
+
+      expect(indexPath).toBe(path.join(outDir, 'index.json'));
+      expect(JSON.parse(fs.readFileSync(indexPath, 'utf8')).userCount).toBe(0);
+    });
+  });
+});
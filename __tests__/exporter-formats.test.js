@@ -0,0 +1,237 @@
+/**
+ * Test suite for exporter/formats.js
+ * Tests GeoJSON, GPX and KML conversion and --format resolution
+ */
+
+const {
+  escapeXml,
+  getCoordinates,
+  buildTracks,
+  locationsToGeoJSON,
+  visitsToGeoJSON,
+  locationsToGPX,
+  visitsToGPX,
+  locationsToKML,
+  visitsToKML,
+  resolveFormats,
+  getFormatFileName,
+  serializeDocuments
+} = require('../exporter/formats');
+const { resolveCollection } = require('../exporter/collections');
+
+describe('Export Formats', () => {
+  // Exporter output is sorted newest first
+  const locations = [
+    {
+      id: 'loc2',
+      latitude: 42.3729,
+      longitude: -71.1031,
+      location: { latitude: 42.3729, longitude: -71.1031 },
+      timestamp: '2025-12-13T19:40:22.822Z',
+      userId: 'userA',
+      horizontalAccuracy: 3.9,
+      backgroundCollected: true
+    },
+    {
+      id: 'loc1',
+      latitude: 42.3600,
+      longitude: -71.0900,
+      location: { latitude: 42.3600, longitude: -71.0900 },
+      timestamp: '2025-12-13T19:30:00.000Z',
+      userId: 'userA',
+      horizontalAccuracy: 12.5,
+      backgroundCollected: false
+    },
+    { id: 'noCoords', timestamp: '2025-12-13T19:35:00.000Z', userId: 'userA' }
+  ];
+
+  const visits = [
+    {
+      id: 'visit2',
+      latitude: 42.3634,
+      longitude: -71.0968,
+      arrivalDate: '2025-12-13T00:39:29.215Z',
+      departureDate: '2025-12-13T00:53:15.999Z',
+      horizontalAccuracy: 59.2,
+      userId: 'userA'
+    },
+    {
+      id: 'visit1',
+      location: { latitude: 42.3598, longitude: -71.0935 },
+      arrivalDate: '2025-12-12T23:01:32.465Z',
+      userId: 'userA'
+    }
+  ];
+
+  const collections = ['user_locations', 'user_motion_activities', 'user_visits'].map(resolveCollection);
+
+  // ============================================================================
+  // Helpers
+  // ============================================================================
+
+  describe('helpers', () => {
+    it('should read top-level or nested coordinates in GeoJSON order', () => {
+      expect(getCoordinates({ latitude: 1, longitude: 2 })).toEqual([2, 1]);
+      expect(getCoordinates({ location: { latitude: 3, longitude: 4 } })).toEqual([4, 3]);
+      expect(getCoordinates({ name: 'nowhere' })).toBeNull();
+    });
+
+    it('should escape XML special characters', () => {
+      expect(escapeXml('<a & "b">')).toBe('&lt;a &amp; &quot;b&quot;&gt;');
+    });
+
+    it('should build chronological per-user tracks', () => {
+      const tracks = buildTracks([...locations, { ...locations[0], id: 'other', userId: 'userB' }]);
+
+      expect(tracks.map((t) => t.userId)).toEqual(['userA', 'userB']);
+      expect(tracks[0].points.map((p) => p.id)).toEqual(['loc1', 'loc2']);
+    });
+  });
+
+  // ============================================================================
+  // GeoJSON
+  // ============================================================================
+
+  describe('GeoJSON', () => {
+    it('should convert locations to a LineString followed by Point features', () => {
+      const geojson = locationsToGeoJSON(locations);
+
+      expect(geojson.type).toBe('FeatureCollection');
+      expect(geojson.features).toHaveLength(3);
+      expect(geojson.features[0].geometry).toEqual({
+        type: 'LineString',
+        coordinates: [[-71.09, 42.36], [-71.1031, 42.3729]]
+      });
+      expect(geojson.features[0].properties).toMatchObject({
+        featureType: 'track',
+        userId: 'userA',
+        pointCount: 2,
+        startTime: '2025-12-13T19:30:00.000Z',
+        endTime: '2025-12-13T19:40:22.822Z'
+      });
+      expect(geojson.features[1].properties).toMatchObject({ featureType: 'location', id: 'loc1', horizontalAccuracy: 12.5 });
+      expect(geojson.features[1].properties.latitude).toBeUndefined();
+    });
+
+    it('should convert visits to Point features with arrival and departure', () => {
+      const geojson = visitsToGeoJSON(visits);
+
+      expect(geojson.features.map((f) => f.properties.id)).toEqual(['visit1', 'visit2']);
+      expect(geojson.features[1]).toMatchObject({
+        geometry: { type: 'Point', coordinates: [-71.0968, 42.3634] },
+        properties: {
+          featureType: 'visit',
+          arrivalDate: '2025-12-13T00:39:29.215Z',
+          departureDate: '2025-12-13T00:53:15.999Z',
+          durationMinutes: 13.8
+        }
+      });
+      expect(geojson.features[0].properties).toMatchObject({ departureDate: null, durationMinutes: null });
+    });
+  });
+
+  // ============================================================================
+  // GPX
+  // ============================================================================
+
+  describe('GPX', () => {
+    it('should write a timed track with accuracy extensions', () => {
+      const gpx = locationsToGPX(locations);
+
+      expect(gpx).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+      expect(gpx).toContain('<gpx version="1.1"');
+      expect(gpx).toContain('<name>userA</name>');
+      expect(gpx.indexOf('lat="42.36" lon="-71.09"')).toBeLessThan(gpx.indexOf('lat="42.3729" lon="-71.1031"'));
+      expect(gpx).toContain('<time>2025-12-13T19:30:00.000Z</time>');
+      expect(gpx).toContain('<mix:horizontalAccuracy>12.5</mix:horizontalAccuracy>');
+      expect(gpx).toContain('<mix:backgroundCollected>true</mix:backgroundCollected>');
+      expect(gpx.match(/<trkpt /g)).toHaveLength(2);
+    });
+
+    it('should write visits as waypoints timed at arrival', () => {
+      const gpx = visitsToGPX(visits);
+
+      expect(gpx.match(/<wpt /g)).toHaveLength(2);
+      expect(gpx).toContain('<time>2025-12-13T00:39:29.215Z</time>');
+      expect(gpx).toContain('<mix:departureDate>2025-12-13T00:53:15.999Z</mix:departureDate>');
+      expect(gpx).toContain('<mix:durationMinutes>13.8</mix:durationMinutes>');
+    });
+  });
+
+  // ============================================================================
+  // KML
+  // ============================================================================
+
+  describe('KML', () => {
+    it('should write a gx:Track with matching when and coord entries', () => {
+      const kml = locationsToKML(locations);
+
+      expect(kml).toContain('<kml xmlns="http://www.opengis.net/kml/2.2"');
+      expect(kml.match(/<when>/g)).toHaveLength(2);
+      expect(kml.match(/<gx:coord>/g)).toHaveLength(2);
+      expect(kml).toContain('<gx:coord>-71.09 42.36 0</gx:coord>');
+    });
+
+    it('should write visits as placemarks spanning the stay', () => {
+      const kml = visitsToKML(visits);
+
+      expect(kml).toContain('<begin>2025-12-13T00:39:29.215Z</begin>');
+      expect(kml).toContain('<end>2025-12-13T00:53:15.999Z</end>');
+      expect(kml).toContain('<coordinates>-71.0935,42.3598,0</coordinates>');
+    });
+  });
+
+  // ============================================================================
+  // Format Resolution
+  // ============================================================================
+
+  describe('resolveFormats', () => {
+    it('should default every collection to JSON', () => {
+      expect(resolveFormats([], collections)).toEqual({
+        user_locations: ['json'],
+        user_motion_activities: ['json'],
+        user_visits: ['json']
+      });
+    });
+
+    it('should apply geo formats only to location and visit collections', () => {
+      expect(resolveFormats(['json', 'gpx'], collections)).toEqual({
+        user_locations: ['json', 'gpx'],
+        user_motion_activities: ['json'],
+        user_visits: ['json', 'gpx']
+      });
+    });
+
+    it('should fall back to JSON for collections no format applies to', () => {
+      expect(resolveFormats(['kml'], collections).user_motion_activities).toEqual(['json']);
+    });
+
+    it('should accept collection:format entries by name or alias', () => {
+      expect(resolveFormats(['locations:gpx', 'user_visits:geojson'], collections)).toEqual({
+        user_locations: ['gpx'],
+        user_motion_activities: ['json'],
+        user_visits: ['geojson']
+      });
+    });
+
+    it('should reject unknown formats and unsupported collections', () => {
+      expect(() => resolveFormats(['shapefile'], collections)).toThrow('Unknown format "shapefile"');
+      expect(() => resolveFormats(['motion:gpx'], collections)).toThrow('gpx cannot represent user_motion_activities');
+      expect(() => resolveFormats(['stories:json'], collections)).toThrow('"stories" is not one of the exported collections');
+    });
+  });
+
+  describe('file names and serialization', () => {
+    it('should swap the extension for each format', () => {
+      expect(getFormatFileName('locations.json', 'json')).toBe('locations.json');
+      expect(getFormatFileName('locations.json', 'geojson')).toBe('locations.geojson');
+      expect(getFormatFileName('visits.json', 'kml')).toBe('visits.kml');
+    });
+
+    it('should serialize by collection', () => {
+      expect(JSON.parse(serializeDocuments(visits, 'user_visits', 'geojson')).features[0].properties.featureType)
+        .toBe('visit');
+      expect(JSON.parse(serializeDocuments(locations, 'user_locations', 'json'))).toHaveLength(3);
+    });
+  });
+});
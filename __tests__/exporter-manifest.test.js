@@ -0,0 +1,221 @@
+/**
+ * Test suite for exporter/manifest.js and incremental exports
+ * Tests sync state bookkeeping, merging and resuming interrupted runs
+ */
+
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  firestore: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createManifest,
+  loadManifest,
+  saveManifest,
+  getSyncState,
+  updateSyncState,
+  getLatestServerTimestamp,
+  mergeDocuments,
+  readExportedDocuments
+} = require('../exporter/manifest');
+const { exportCollection } = require('../export-firebase-data');
+const { createFakeFirestore } = require('./helpers/fake-firestore');
+
+describe('Sync Manifest', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mix-manifest-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // ============================================================================
+  // Manifest Persistence
+  // ============================================================================
+
+  describe('loadManifest / saveManifest', () => {
+    it('should return an empty manifest when the file does not exist', () => {
+      expect(loadManifest(path.join(tmpDir, 'missing.json'))).toEqual(createManifest());
+    });
+
+    it('should round-trip sync state', () => {
+      const manifestPath = path.join(tmpDir, 'nested', '.sync-manifest.json');
+      const manifest = createManifest();
+      updateSyncState(manifest, 'user_locations', 'userA', { lastServerTimestamp: '2025-12-13T19:40:23.013Z' });
+
+      saveManifest(manifestPath, manifest);
+      const loaded = loadManifest(manifestPath);
+
+      expect(loaded.updatedAt).toEqual(expect.any(String));
+      expect(getSyncState(loaded, 'user_locations', 'userA').lastServerTimestamp).toBe('2025-12-13T19:40:23.013Z');
+      expect(fs.existsSync(`${manifestPath}.tmp`)).toBe(false);
+    });
+
+    it('should reject manifests from an unknown version', () => {
+      const manifestPath = path.join(tmpDir, 'manifest.json');
+      fs.writeFileSync(manifestPath, JSON.stringify({ version: 99, collections: {} }));
+
+      expect(() => loadManifest(manifestPath)).toThrow('Unsupported sync manifest version 99');
+    });
+  });
+
+  describe('getSyncState / updateSyncState', () => {
+    it('should return null for collections and users never exported', () => {
+      const manifest = createManifest();
+      expect(getSyncState(manifest, 'user_visits', 'userA')).toBeNull();
+    });
+
+    it('should merge new fields into existing state', () => {
+      const manifest = createManifest();
+      updateSyncState(manifest, 'user_visits', 'userA', { lastServerTimestamp: 't1', inProgress: true });
+      const state = updateSyncState(manifest, 'user_visits', 'userA', { inProgress: false });
+
+      expect(state).toMatchObject({ lastServerTimestamp: 't1', inProgress: false });
+    });
+  });
+
+  // ============================================================================
+  // Merging
+  // ============================================================================
+
+  describe('mergeDocuments', () => {
+    it('should de-duplicate by id, preferring incoming documents', () => {
+      const merged = mergeDocuments(
+        [{ id: '1', v: 'old' }, { id: '2', v: 'old' }],
+        [{ id: '2', v: 'new' }, { id: '3', v: 'new' }]
+      );
+
+      expect(merged).toEqual([{ id: '1', v: 'old' }, { id: '2', v: 'new' }, { id: '3', v: 'new' }]);
+    });
+  });
+
+  describe('getLatestServerTimestamp', () => {
+    it('should return the latest serverTimestamp, ignoring documents without one', () => {
+      expect(getLatestServerTimestamp([
+        { serverTimestamp: '2025-12-10T00:00:00Z' },
+        {},
+        { serverTimestamp: '2025-12-12T00:00:00Z' }
+      ])).toBe('2025-12-12T00:00:00Z');
+      expect(getLatestServerTimestamp([])).toBeNull();
+    });
+  });
+
+  describe('readExportedDocuments', () => {
+    it('should return an empty array when nothing was exported yet', () => {
+      expect(readExportedDocuments(path.join(tmpDir, 'locations.json'))).toEqual([]);
+    });
+
+    it('should decompress gzipped exports', () => {
+      const filePath = path.join(tmpDir, 'locations.json.gz');
+      fs.writeFileSync(filePath, require('zlib').gzipSync(JSON.stringify([{ id: '1' }])));
+      expect(readExportedDocuments(filePath)).toEqual([{ id: '1' }]);
+    });
+
+    it('should reject files that are not JSON arrays', () => {
+      const filePath = path.join(tmpDir, 'locations.json');
+      fs.writeFileSync(filePath, '{}');
+      expect(() => readExportedDocuments(filePath)).toThrow('Expected a JSON array');
+    });
+  });
+
+  // ============================================================================
+  // Incremental Export
+  // ============================================================================
+
+  describe('incremental exportCollection', () => {
+    const collection = { name: 'user_locations', fileName: 'locations.json', timestampField: 'serverTimestamp' };
+
+    function createDb(docs, { missingIndex = false } = {}) {
+      return createFakeFirestore(
+        { user_locations: docs },
+        { missingIndexes: missingIndex ? ['user_locations.serverTimestamp'] : [] }
+      );
+    }
+
+    function createOptions(manifest) {
+      return {
+        userIds: ['userA'],
+        since: new Date('2025-01-01T00:00:00Z'),
+        until: null,
+        outDir: tmpDir,
+        incremental: true,
+        sync: { manifestPath: path.join(tmpDir, '.sync-manifest.json'), manifest }
+      };
+    }
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+      console.warn.mockRestore();
+    });
+
+    it('should only fetch newer documents and merge them into the existing file', async () => {
+      const docs = [
+        { id: '1', userId: 'userA', serverTimestamp: '2025-12-10T00:00:00.000Z' },
+        { id: '2', userId: 'userA', serverTimestamp: '2025-12-11T00:00:00.000Z' }
+      ];
+      const manifest = createManifest();
+
+      await exportCollection(createDb(docs), collection, createOptions(manifest));
+      expect(getSyncState(manifest, 'user_locations', 'userA')).toMatchObject({
+        lastServerTimestamp: '2025-12-11T00:00:00.000Z',
+        inProgress: false
+      });
+
+      docs.push({ id: '3', userId: 'userA', serverTimestamp: '2025-12-12T00:00:00.000Z' });
+      const count = await exportCollection(createDb(docs), collection, createOptions(manifest));
+
+      const written = JSON.parse(fs.readFileSync(path.join(tmpDir, 'locations.json'), 'utf8'));
+      expect(count).toBe(3);
+      expect(written.map((d) => d.id)).toEqual(['3', '2', '1']);
+      expect(loadManifest(path.join(tmpDir, '.sync-manifest.json')).collections.user_locations.userA.lastServerTimestamp)
+        .toBe('2025-12-12T00:00:00.000Z');
+    });
+
+    it('should fall back to client-side filtering when the index is missing', async () => {
+      const docs = [
+        { id: '1', userId: 'userA', serverTimestamp: '2025-12-10T00:00:00.000Z' },
+        { id: '2', userId: 'userA', serverTimestamp: '2025-12-12T00:00:00.000Z' }
+      ];
+      const manifest = createManifest();
+      updateSyncState(manifest, 'user_locations', 'userA', { lastServerTimestamp: '2025-12-11T00:00:00.000Z' });
+
+      await exportCollection(createDb(docs, { missingIndex: true }), collection, createOptions(manifest));
+
+      const written = JSON.parse(fs.readFileSync(path.join(tmpDir, 'locations.json'), 'utf8'));
+      expect(written.map((d) => d.id)).toEqual(['2']);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('filtering dates client-side'));
+    });
+
+    it('should resume an interrupted run without losing or duplicating documents', async () => {
+      const docs = [
+        { id: '1', userId: 'userA', serverTimestamp: '2025-12-10T00:00:00.000Z' },
+        { id: '2', userId: 'userA', serverTimestamp: '2025-12-11T00:00:00.000Z' }
+      ];
+      // Simulate a crash after the data was written but before the cursor advanced
+      fs.writeFileSync(path.join(tmpDir, 'locations.json'), JSON.stringify([docs[0]]));
+      const manifest = createManifest();
+      updateSyncState(manifest, 'user_locations', 'userA', {
+        lastServerTimestamp: '2025-12-10T00:00:00.000Z',
+        inProgress: true
+      });
+
+      await exportCollection(createDb(docs), collection, createOptions(manifest));
+
+      const written = JSON.parse(fs.readFileSync(path.join(tmpDir, 'locations.json'), 'utf8'));
+      expect(written.map((d) => d.id)).toEqual(['2', '1']);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Resuming interrupted export'));
+      expect(getSyncState(manifest, 'user_locations', 'userA').inProgress).toBe(false);
+    });
+  });
+});
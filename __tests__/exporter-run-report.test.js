@@ -0,0 +1,236 @@
+/**
+ * Test suite for exporter/run-report.js
+ * Tests data-quality statistics collected during an export
+ */
+
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  firestore: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  RUN_REPORT_FILE,
+  createRunReport,
+  recordDocuments,
+  percentile,
+  summarizeAccuracy,
+  buildRunReport,
+  writeRunReport
+} = require('../exporter/run-report');
+const { resolveCollection } = require('../exporter/collections');
+const { exportAllData } = require('../export-firebase-data');
+const { createFakeFirestore } = require('./helpers/fake-firestore');
+
+describe('Export Run Report', () => {
+  const locations = resolveCollection('locations');
+  const motion = resolveCollection('motion');
+
+  function createLocation(id, serverTimestamp, extra = {}) {
+    return {
+      id,
+      latitude: 42.36,
+      longitude: -71.09,
+      timestamp: serverTimestamp,
+      serverTimestamp,
+      userId: 'userA',
+      horizontalAccuracy: 10,
+      backgroundCollected: true,
+      ...extra
+    };
+  }
+
+  function createMotion(id, timestamp, confidence) {
+    return {
+      id,
+      isStationary: true,
+      isWalking: false,
+      isRunning: false,
+      isAutomotive: false,
+      isCycling: false,
+      isUnknown: false,
+      confidence,
+      timestamp,
+      serverTimestamp: timestamp,
+      userId: 'userA'
+    };
+  }
+
+  // ============================================================================
+  // Statistics
+  // ============================================================================
+
+  describe('percentile / summarizeAccuracy', () => {
+    it('should use nearest-rank percentiles', () => {
+      const sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+      expect(percentile(sorted, 50)).toBe(5);
+      expect(percentile(sorted, 90)).toBe(9);
+      expect(percentile(sorted, 100)).toBe(10);
+      expect(percentile([], 50)).toBeNull();
+    });
+
+    it('should bucket accuracy values', () => {
+      const summary = summarizeAccuracy([3, 4.99, 5, 12, 60, 2000]);
+
+      expect(summary).toMatchObject({ count: 6, min: 3, max: 2000, p50: 5 });
+      expect(summary.histogram).toEqual({
+        '0-5m': 2,
+        '5-10m': 1,
+        '10-20m': 1,
+        '20-50m': 0,
+        '50-100m': 1,
+        '100-500m': 0,
+        '500m+': 1
+      });
+      expect(summarizeAccuracy([])).toBeNull();
+    });
+  });
+
+  describe('buildRunReport', () => {
+    it('should report coverage, gaps, accuracy and background share', () => {
+      const report = createRunReport();
+      recordDocuments(report, locations, [
+        createLocation('a', '2025-12-10T08:00:00.000Z'),
+        createLocation('b', '2025-12-10T09:00:00.000Z', { horizontalAccuracy: 30 }),
+        createLocation('c', '2025-12-11T15:00:00.000Z', { backgroundCollected: false }),
+        createLocation('d', '2025-12-11T15:30:00.000Z', { horizontalAccuracy: undefined, backgroundCollected: undefined })
+      ], 'userA');
+      recordDocuments(report, locations, [
+        createLocation('e', '2025-12-10T12:00:00.000Z', { userId: 'userB' })
+      ], 'userB');
+
+      const result = buildRunReport(report, { since: new Date('2025-12-01T00:00:00Z'), until: null, projectId: 'p' })
+        .collections.user_locations;
+
+      expect(result).toMatchObject({
+        count: 5,
+        users: 2,
+        coverage: {
+          first: '2025-12-10T08:00:00.000Z',
+          last: '2025-12-11T15:30:00.000Z',
+          spanHours: 31.5,
+          activeDays: 2
+        },
+        backgroundCollected: { background: 3, foreground: 1, unknown: 1, backgroundShare: 0.75 }
+      });
+      // Gaps are measured per user, never across users
+      expect(result.largestUploadGaps[0]).toEqual({
+        userId: 'userA',
+        from: '2025-12-10T09:00:00.000Z',
+        to: '2025-12-11T15:00:00.000Z',
+        hours: 30
+      });
+      expect(result.largestUploadGaps).toHaveLength(3);
+      expect(result.horizontalAccuracy).toMatchObject({ count: 4, min: 10, max: 30 });
+      expect(result.confidence).toBeNull();
+    });
+
+    it('should count duplicate timestamps per user and histogram motion confidence', () => {
+      const report = createRunReport();
+      recordDocuments(report, motion, [
+        createMotion('m1', '2025-12-10T08:00:00.000Z', 2),
+        createMotion('m2', '2025-12-10T08:00:00.000Z', 2),
+        createMotion('m3', '2025-12-10T09:00:00.000Z', 1)
+      ], 'userA');
+      recordDocuments(report, motion, [createMotion('m4', '2025-12-10T09:00:00.000Z', 2)], 'userB');
+
+      const result = buildRunReport(report, {}).collections.user_motion_activities;
+
+      expect(result.duplicateTimestamps).toEqual({
+        groups: 1,
+        documents: 2,
+        examples: [{ userId: 'userA', timestamp: '2025-12-10T08:00:00.000Z', ids: ['m1', 'm2'] }]
+      });
+      expect(result.confidence).toEqual({ low: 0, medium: 1, high: 3 });
+      expect(result.horizontalAccuracy).toBeNull();
+      expect(result.backgroundCollected).toBeNull();
+    });
+  });
+
+  // ============================================================================
+  // Writing
+  // ============================================================================
+
+  describe('exportAllData', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mix-run-report-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should write run-report.json next to the exported files', async () => {
+      const db = createFakeFirestore({
+        user_locations: [
+          createLocation('a', '2025-12-10T08:00:00.000Z'),
+          createLocation('b', '2025-12-10T10:00:00.000Z')
+        ]
+      });
+
+      await exportAllData(db, {
+        userIds: ['userA'],
+        since: new Date('2025-12-01T00:00:00Z'),
+        until: null,
+        projectId: 'suelio-ar',
+        collections: [locations],
+        outDir: tmpDir,
+        report: true
+      });
+
+      const report = JSON.parse(fs.readFileSync(path.join(tmpDir, RUN_REPORT_FILE), 'utf8'));
+      expect(report).toMatchObject({ projectId: 'suelio-ar', since: '2025-12-01T00:00:00.000Z', until: null });
+      expect(report.collections.user_locations.count).toBe(2);
+      expect(report.collections.user_locations.largestUploadGaps[0].hours).toBe(2);
+      expect(console.log).toHaveBeenCalledWith(`  Run report: ${path.join(tmpDir, RUN_REPORT_FILE)}`);
+    });
+
+    it('should only report anonymized values when the export is anonymized', async () => {
+      const HOME = { latitude: 42.3601, longitude: -71.0942 };
+      const WORK = { latitude: 42.3736, longitude: -71.1097 }; // ~2 km from home
+      // Night-time and daytime in the local time zone the anonymizer reads hours in
+      const at = (day, hour, minute = 0) => new Date(2025, 11, day, hour, minute, 7, 123).toISOString();
+      const masked = [at(12, 23), at(13, 1), at(13, 1)];
+      const kept = [at(13, 14), at(13, 14, 5)];
+      const db = createFakeFirestore({
+        user_locations: [
+          ...masked.map((time, i) => createLocation(`home${i}`, time, { ...HOME, dataSharingConsent: true })),
+          ...kept.map((time, i) => createLocation(`work${i}`, time, { ...WORK, dataSharingConsent: true }))
+        ]
+      });
+
+      await exportAllData(db, {
+        userIds: ['userA'],
+        since: new Date('2025-12-01T00:00:00Z'),
+        until: null,
+        collections: [locations],
+        outDir: tmpDir,
+        report: true,
+        anonymize: { idMode: 'sequential', requireConsent: true, homeRadius: 500, coordinateDecimals: 3, timeGranularity: 15 }
+      });
+
+      const text = fs.readFileSync(path.join(tmpDir, RUN_REPORT_FILE), 'utf8');
+      const report = JSON.parse(text);
+      for (const time of [...masked, ...kept]) {
+        expect(text).not.toContain(time);
+      }
+      expect(text).not.toContain('userA');
+      expect(text).not.toContain('home0');
+      expect(report.anonymized).toBe(true);
+      expect(report.collections.user_locations.count).toBe(2);
+      expect(report.collections.user_locations.coverage.first).toBe(new Date(2025, 11, 13, 14).toISOString());
+      expect(report.collections.user_locations.duplicateTimestamps).toBeNull();
+    });
+
+    it('should create the output directory', () => {
+      const reportPath = writeRunReport(path.join(tmpDir, 'nested'), buildRunReport(createRunReport(), {}));
+      expect(JSON.parse(fs.readFileSync(reportPath, 'utf8')).collections).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Test suite for exporter/seed.js and emulator mode
+ * Tests seeding options, restoring Firestore values and batched writes
+ */
+
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  firestore: jest.fn(() => ({}))
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_EMULATOR_HOST,
+  SEED_HELP_TEXT,
+  parseSeedArgs,
+  restoreDocument,
+  readSeedDocuments,
+  clearCollection,
+  seedCollection
+} = require('../exporter/seed');
+const { parseCliArgs } = require('../exporter/cli');
+const { resolveCollection } = require('../exporter/collections');
+const { initializeFirestore, transformDocument } = require('../export-firebase-data');
+const { createFakeFirestore } = require('./helpers/fake-firestore');
+
+describe('Emulator Seeding', () => {
+  // Stand-ins for admin.firestore.Timestamp and GeoPoint
+  class FakeTimestamp {
+    constructor(date) {
+      this.date = date;
+    }
+
+    toDate() {
+      return this.date;
+    }
+  }
+
+  class FakeGeoPoint {
+    constructor(latitude, longitude) {
+      this.latitude = latitude;
+      this.longitude = longitude;
+    }
+  }
+
+  const types = {
+    toTimestamp: (date) => new FakeTimestamp(date),
+    toGeoPoint: (latitude, longitude) => new FakeGeoPoint(latitude, longitude)
+  };
+
+  const exportedLocation = {
+    id: 'kqZM68c6YKJD1Zdyrj1e',
+    latitude: 42.37290845226013,
+    longitude: -71.10315893117078,
+    location: { latitude: 42.37290845226013, longitude: -71.10315893117078 },
+    timestamp: '2025-12-13T19:40:22.822Z',
+    userId: 'qaCPu4bNgYOFsjQaSRjjMb4fJRf2',
+    source: 'device',
+    backgroundCollected: true,
+    horizontalAccuracy: 3.9226212486370198,
+    serverTimestamp: '2025-12-13T19:40:23.013Z'
+  };
+
+  // ============================================================================
+  // Options
+  // ============================================================================
+
+  describe('parseSeedArgs', () => {
+    it('should default to the local emulator and the data directory', () => {
+      const options = parseSeedArgs([], {});
+
+      expect(options.emulatorHost).toBe(DEFAULT_EMULATOR_HOST);
+      expect(options.dataDir).toBe(path.resolve(__dirname, '..', 'data'));
+      expect(options.collections.map((c) => c.name)).toEqual([
+        'user_locations', 'user_motion_activities', 'user_visits'
+      ]);
+      expect(options.clear).toBe(false);
+    });
+
+    it('should honour FIRESTORE_EMULATOR_HOST and explicit options', () => {
+      expect(parseSeedArgs([], { FIRESTORE_EMULATOR_HOST: '127.0.0.1:9090' }).emulatorHost).toBe('127.0.0.1:9090');
+
+      const options = parseSeedArgs(['--emulator-host', 'emu:8081', '-c', 'visits', '--clear', '-d', 'fixtures'], {});
+      expect(options.emulatorHost).toBe('emu:8081');
+      expect(options.collections.map((c) => c.name)).toEqual(['user_visits']);
+      expect(options.clear).toBe(true);
+      expect(options.dataDir).toBe(path.resolve('fixtures'));
+    });
+
+    it('should explain that it only ever targets an emulator', () => {
+      expect(SEED_HELP_TEXT).toContain('never write to production');
+    });
+  });
+
+  describe('exporter emulator options', () => {
+    const now = new Date('2025-12-15T00:00:00Z');
+
+    it('should stay on production unless asked', () => {
+      expect(parseCliArgs([], {}, now).emulatorHost).toBeNull();
+    });
+
+    it('should enable emulator mode from flags or the environment', () => {
+      expect(parseCliArgs(['--emulator'], {}, now).emulatorHost).toBe(DEFAULT_EMULATOR_HOST);
+      expect(parseCliArgs(['--emulator-host', 'emu:9000'], {}, now).emulatorHost).toBe('emu:9000');
+      expect(parseCliArgs([], { FIRESTORE_EMULATOR_HOST: 'env:8080' }, now).emulatorHost).toBe('env:8080');
+    });
+
+    it('should point the Admin SDK at the emulator without credentials', () => {
+      const previous = process.env.FIRESTORE_EMULATOR_HOST;
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      initializeFirestore({ emulatorHost: 'emu:9000', credentials: '/does/not/exist.json', projectId: 'suelio-ar' });
+
+      expect(process.env.FIRESTORE_EMULATOR_HOST).toBe('emu:9000');
+      console.log.mockRestore();
+      if (previous === undefined) {
+        delete process.env.FIRESTORE_EMULATOR_HOST;
+      } else {
+        process.env.FIRESTORE_EMULATOR_HOST = previous;
+      }
+    });
+  });
+
+  // ============================================================================
+  // Restoring Firestore Values
+  // ============================================================================
+
+  describe('restoreDocument', () => {
+    it('should turn ISO timestamps into Timestamps and coordinate pairs into GeoPoints', () => {
+      const { id, ...data } = exportedLocation;
+      const restored = restoreDocument(data, types);
+
+      expect(restored.timestamp).toBeInstanceOf(FakeTimestamp);
+      expect(restored.timestamp.toDate().toISOString()).toBe('2025-12-13T19:40:22.822Z');
+      expect(restored.location).toBeInstanceOf(FakeGeoPoint);
+      expect(restored.location).toMatchObject({ latitude: 42.37290845226013, longitude: -71.10315893117078 });
+      expect(restored.latitude).toBe(42.37290845226013);
+      expect(restored.source).toBe('device');
+    });
+
+    it('should leave date-like strings that are not exporter timestamps alone', () => {
+      expect(restoreDocument({ day: '2025-12-13', note: 'at 2025-12-13T19:40:22Z' }, types))
+        .toEqual({ day: '2025-12-13', note: 'at 2025-12-13T19:40:22Z' });
+    });
+
+    it('should round-trip through the exporter transform', () => {
+      const { id, ...data } = exportedLocation;
+      expect(transformDocument(restoreDocument(data, types))).toEqual(data);
+    });
+  });
+
+  // ============================================================================
+  // Writing
+  // ============================================================================
+
+  describe('readSeedDocuments', () => {
+    it('should read the repository exports', () => {
+      const visits = readSeedDocuments(path.join(__dirname, '..', 'data'), resolveCollection('visits'));
+      expect(visits.length).toBeGreaterThan(0);
+      expect(visits[0]).toHaveProperty('arrivalDate');
+    });
+
+    it('should report a missing export', () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mix-seed-'));
+      expect(() => readSeedDocuments(tmpDir, resolveCollection('visits'))).toThrow('No export found for user_visits');
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+  });
+
+  describe('seedCollection / clearCollection', () => {
+    it('should write documents in batches, keeping document IDs', async () => {
+      const db = createFakeFirestore();
+      const documents = [1, 2, 3, 4, 5].map((n) => ({ id: `doc${n}`, serverTimestamp: `2025-12-0${n}T00:00:00.000Z` }));
+
+      const written = await seedCollection(db, 'user_locations', documents, types, 2);
+
+      expect(written).toBe(5);
+      expect(db.commits).toBe(3);
+      expect(db.getDocuments('user_locations').map((d) => d.id)).toEqual(['doc1', 'doc2', 'doc3', 'doc4', 'doc5']);
+      expect(db.getDocuments('user_locations')[0].serverTimestamp).toBeInstanceOf(FakeTimestamp);
+    });
+
+    it('should delete existing documents before reseeding', async () => {
+      const db = createFakeFirestore({ user_visits: [{ id: 'a' }, { id: 'b' }, { id: 'c' }] });
+
+      const deleted = await clearCollection(db, 'user_visits', 2);
+
+      expect(deleted).toBe(3);
+      expect(db.getDocuments('user_visits')).toEqual([]);
+    });
+  });
+});
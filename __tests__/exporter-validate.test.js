@@ -0,0 +1,234 @@
+/**
+ * Test suite for exporter/validate.js
+ * Tests document shape checks, suspicious-data checks and the validation report
+ */
+
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  firestore: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  VALIDATION_REPORT_FILE,
+  GEO_POINT_FIELDS,
+  checkType,
+  validateDocument,
+  createValidationReport,
+  validateDocuments,
+  writeValidationReport
+} = require('../exporter/validate');
+const { resolveCollection } = require('../exporter/collections');
+const { exportAllData } = require('../export-firebase-data');
+const { createFakeFirestore } = require('./helpers/fake-firestore');
+
+describe('Export Validation', () => {
+  const locations = resolveCollection('locations');
+  const motion = resolveCollection('motion');
+  const visits = resolveCollection('visits');
+
+  const validLocation = {
+    id: 'loc1',
+    latitude: 42.37290845226013,
+    longitude: -71.10315893117078,
+    location: { latitude: 42.37290845226013, longitude: -71.10315893117078 },
+    timestamp: '2025-12-13T19:40:22.822Z',
+    userId: 'userA',
+    source: 'device',
+    backgroundCollected: true,
+    dataSharingConsent: true,
+    horizontalAccuracy: 3.92,
+    isARSession: false,
+    serverTimestamp: '2025-12-13T19:40:23.013Z',
+    createdAt: '2025-12-13T19:40:23.013Z'
+  };
+
+  const validMotion = {
+    id: 'mot1',
+    isStationary: true,
+    isWalking: false,
+    isRunning: false,
+    isAutomotive: false,
+    isCycling: false,
+    isUnknown: false,
+    confidence: 2,
+    timestamp: '2025-12-13T19:39:04.391Z',
+    userId: 'userA',
+    serverTimestamp: '2025-12-13T19:40:08.953Z'
+  };
+
+  const messages = (issues) => issues.map((issue) => `${issue.field}: ${issue.message}`);
+
+  // ============================================================================
+  // Field Checks
+  // ============================================================================
+
+  describe('checkType', () => {
+    it('should check primitive types', () => {
+      expect(checkType('a', 'string')).toBeNull();
+      expect(checkType(1, 'string')).toBe('expected string, got 1');
+      expect(checkType(false, 'boolean')).toBeNull();
+      expect(checkType('true', 'boolean')).toBe('expected boolean, got "true"');
+      expect(checkType(NaN, 'number')).toBe('expected number, got NaN');
+    });
+
+    it('should require exporter ISO timestamps', () => {
+      expect(checkType('2025-12-13T19:40:22.822Z', 'timestamp')).toBeNull();
+      expect(checkType('2025-12-13', 'timestamp')).toBe('expected ISO timestamp, got "2025-12-13"');
+      expect(checkType(1734118822822, 'timestamp')).toBe('expected ISO timestamp, got 1734118822822');
+    });
+
+    it('should check GeoPoints against the generated schema', () => {
+      expect(GEO_POINT_FIELDS.map((field) => field.name)).toEqual(['latitude', 'longitude']);
+      expect(checkType({ latitude: 1, longitude: 2 }, 'GeoPoint')).toBeNull();
+      expect(checkType({ latitude: '1' }, 'GeoPoint')).toBe('GeoPoint has invalid latitude, longitude');
+      expect(checkType([], 'GeoPoint')).toBe('GeoPoint has invalid latitude, longitude');
+    });
+  });
+
+  describe('validateDocument', () => {
+    it('should accept well-formed documents', () => {
+      expect(validateDocument(validLocation, locations.fields)).toEqual({ errors: [], warnings: [] });
+      expect(validateDocument(validMotion, motion.fields)).toEqual({ errors: [], warnings: [] });
+    });
+
+    it('should report missing, mistyped and out-of-range fields', () => {
+      const { errors } = validateDocument({
+        ...validLocation,
+        userId: undefined,
+        latitude: 91,
+        longitude: '-71.1',
+        serverTimestamp: 'yesterday'
+      }, locations.fields);
+
+      expect(messages(errors)).toEqual([
+        'userId: missing required field',
+        'serverTimestamp: expected ISO timestamp, got "yesterday"',
+        'latitude: 91 is outside -90..90',
+        'longitude: expected number, got "-71.1"'
+      ]);
+    });
+
+    it('should require boolean motion flags', () => {
+      const { errors } = validateDocument({ ...validMotion, isWalking: 1, confidence: 3 }, motion.fields);
+      expect(messages(errors)).toEqual(['confidence: 3 is outside 0..2', 'isWalking: expected boolean, got 1']);
+    });
+
+    it('should allow optional fields to be missing', () => {
+      const { arrivalDate, departureDate, ...visit } = { ...validLocation, arrivalDate: null };
+      expect(validateDocument(visit, visits.fields).errors).toEqual([]);
+    });
+
+    it('should flag suspicious documents', () => {
+      const check = (doc, fields = locations.fields) => validateDocument(doc, fields).warnings.map((w) => w.message);
+
+      expect(check({ ...validLocation, latitude: 0, longitude: 0, location: { latitude: 0, longitude: 0 } }))
+        .toEqual(['coordinates are 0,0']);
+      expect(check({ ...validLocation, location: { latitude: 40, longitude: -71.1 } }))
+        .toEqual(['location GeoPoint differs from latitude/longitude']);
+      expect(check({ ...validLocation, horizontalAccuracy: -1 }))
+        .toEqual(['negative horizontalAccuracy (the device reported an invalid fix)']);
+      expect(check({ ...validLocation, timestamp: '2025-12-13T20:40:22.822Z' }))
+        .toEqual(['timestamp is after serverTimestamp (device clock ahead)']);
+      expect(check({ ...validLocation, arrivalDate: '2025-12-13T19:00:00.000Z', departureDate: '2025-12-13T18:00:00.000Z' }, visits.fields))
+        .toEqual(['departureDate is before arrivalDate']);
+      expect(check({ ...validMotion, isStationary: false }, motion.fields)).toEqual(['no motion activity flag is set']);
+    });
+
+    it('should validate the repository exports cleanly', () => {
+      const report = createValidationReport();
+      for (const collection of [locations, motion, visits]) {
+        const documents = require(path.join('..', 'data', collection.fileName));
+        validateDocuments(report, collection, documents);
+      }
+
+      for (const result of Object.values(report.collections)) {
+        expect(result.malformed).toBe(0);
+        expect(result.valid).toBe(result.checked);
+      }
+    });
+  });
+
+  // ============================================================================
+  // Report
+  // ============================================================================
+
+  describe('validateDocuments', () => {
+    const documents = [
+      validLocation,
+      { ...validLocation, id: 'loc2', latitude: -100 },
+      { ...validLocation, id: 'loc3', horizontalAccuracy: -1 }
+    ];
+
+    it('should drop malformed documents and keep suspicious ones', () => {
+      const report = createValidationReport();
+
+      const kept = validateDocuments(report, locations, documents, { userId: 'userA' });
+
+      expect(kept.map((doc) => doc.id)).toEqual(['loc1', 'loc3']);
+      expect(report.collections.user_locations).toMatchObject({ checked: 3, valid: 1, malformed: 1, suspicious: 1 });
+      expect(report.collections.user_locations.documents).toEqual([
+        expect.objectContaining({ id: 'loc2', userId: 'userA', status: 'malformed', exported: false }),
+        expect.objectContaining({ id: 'loc3', status: 'suspicious', exported: true })
+      ]);
+    });
+
+    it('should keep malformed documents on request', () => {
+      const report = createValidationReport();
+      expect(validateDocuments(report, locations, documents, { keepInvalid: true })).toHaveLength(3);
+      expect(report.collections.user_locations.documents[0].exported).toBe(true);
+    });
+
+    it('should pass collections without a declared shape through', () => {
+      const report = createValidationReport();
+      const docs = [{ id: 'x' }];
+      expect(validateDocuments(report, resolveCollection('narrative_history'), docs)).toBe(docs);
+      expect(report.collections).toEqual({});
+    });
+  });
+
+  describe('exportAllData', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mix-validate-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+      console.warn.mockRestore();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should write validation-report.json and leave malformed documents out', async () => {
+      const db = createFakeFirestore({
+        user_locations: [validLocation, { ...validLocation, id: 'loc2', latitude: 'n/a' }]
+      });
+
+      const counts = await exportAllData(db, {
+        userIds: ['userA'],
+        since: new Date('2025-12-01T00:00:00Z'),
+        until: null,
+        collections: [locations],
+        outDir: tmpDir,
+        validate: true
+      });
+
+      expect(counts.user_locations).toBe(1);
+      const report = JSON.parse(fs.readFileSync(path.join(tmpDir, VALIDATION_REPORT_FILE), 'utf8'));
+      expect(report.collections.user_locations.documents).toEqual([
+        expect.objectContaining({ id: 'loc2', status: 'malformed', issues: [{ field: 'latitude', message: 'expected number, got "n/a"' }] })
+      ]);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('1 malformed document was left out'));
+    });
+
+    it('should write the report to any directory', () => {
+      const reportPath = writeValidationReport(path.join(tmpDir, 'nested'), createValidationReport());
+      expect(fs.existsSync(reportPath)).toBe(true);
+    });
+  });
+});
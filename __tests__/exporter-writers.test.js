@@ -0,0 +1,217 @@
+/**
+ * Test suite for exporter/writers.js and streaming exports
+ * Tests NDJSON/CSV writers, gzip output and page-by-page collection streaming
+ */
+
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  firestore: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const {
+  flattenDocument,
+  formatCsvValue,
+  createNdjsonWriter,
+  createCsvWriter
+} = require('../exporter/writers');
+const { resolveCollection } = require('../exporter/collections');
+const { exportCollection } = require('../export-firebase-data');
+const { createFakeFirestore } = require('./helpers/fake-firestore');
+
+describe('Streaming Writers', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mix-writers-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // ============================================================================
+  // Flattening and Escaping
+  // ============================================================================
+
+  describe('flattenDocument', () => {
+    it('should flatten nested objects to dotted keys and keep arrays', () => {
+      expect(flattenDocument({
+        id: '1',
+        location: { latitude: 42.1, longitude: -71.2 },
+        meta: { device: { os: 'iOS' } },
+        tags: ['a', 'b']
+      })).toEqual({
+        id: '1',
+        'location.latitude': 42.1,
+        'location.longitude': -71.2,
+        'meta.device.os': 'iOS',
+        tags: ['a', 'b']
+      });
+    });
+  });
+
+  describe('formatCsvValue', () => {
+    it('should quote fields containing commas, quotes or newlines', () => {
+      expect(formatCsvValue('plain')).toBe('plain');
+      expect(formatCsvValue('a,b')).toBe('"a,b"');
+      expect(formatCsvValue('say "hi"')).toBe('"say ""hi"""');
+      expect(formatCsvValue('two\nlines')).toBe('"two\nlines"');
+    });
+
+    it('should format empty values, booleans and arrays', () => {
+      expect(formatCsvValue(null)).toBe('');
+      expect(formatCsvValue(undefined)).toBe('');
+      expect(formatCsvValue(false)).toBe('false');
+      expect(formatCsvValue([1, 2])).toBe('"[1,2]"');
+    });
+  });
+
+  // ============================================================================
+  // Writers
+  // ============================================================================
+
+  describe('createNdjsonWriter', () => {
+    it('should write one JSON document per line across batches', async () => {
+      const filePath = path.join(tmpDir, 'motion.ndjson');
+      const writer = createNdjsonWriter(filePath);
+
+      await writer.write([{ id: '1' }, { id: '2' }]);
+      await writer.write([{ id: '3' }]);
+      const count = await writer.close();
+
+      expect(count).toBe(3);
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('{"id":"1"}\n{"id":"2"}\n{"id":"3"}\n');
+    });
+
+    it('should gzip the output when requested', async () => {
+      const filePath = path.join(tmpDir, 'motion.ndjson.gz');
+      const writer = createNdjsonWriter(filePath, { gzip: true });
+
+      await writer.write([{ id: '1' }]);
+      await writer.close();
+
+      expect(zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf8')).toBe('{"id":"1"}\n');
+    });
+
+    it('should reject instead of crashing when the file cannot be written', async () => {
+      const filePath = path.join(tmpDir, 'missing', 'motion.ndjson');
+      const writer = createNdjsonWriter(filePath);
+
+      await writer.write([{ id: '1' }]);
+      await expect(writer.close()).rejects.toThrow(/ENOENT/);
+    });
+
+    it('should reject a gzip close when the file cannot be written', async () => {
+      const filePath = path.join(tmpDir, 'missing', 'motion.ndjson.gz');
+      const writer = createNdjsonWriter(filePath, { gzip: true });
+
+      await writer.write([{ id: '1' }]);
+      await expect(writer.close()).rejects.toThrow(/ENOENT/);
+    });
+
+    it('should reject writes after the file stream has failed', async () => {
+      const filePath = path.join(tmpDir, 'missing', 'motion.ndjson');
+      const writer = createNdjsonWriter(filePath);
+
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      await expect(writer.write([{ id: '1' }])).rejects.toThrow(/ENOENT/);
+    });
+  });
+
+  describe('createCsvWriter', () => {
+    it('should write declared columns first, then new keys from the first batch', async () => {
+      const filePath = path.join(tmpDir, 'locations.csv');
+      const writer = createCsvWriter(filePath, { columns: ['id', 'location.latitude'] });
+
+      await writer.write([]);
+      await writer.write([{ id: '1', location: { latitude: 42.1 }, source: 'device' }]);
+      await writer.write([{ id: '2', location: { latitude: 42.2 }, isARSession: true }]);
+      await writer.close();
+
+      expect(fs.readFileSync(filePath, 'utf8')).toBe(
+        'id,location.latitude,source\n1,42.1,device\n2,42.2,\n'
+      );
+      expect([...writer.droppedColumns]).toEqual(['isARSession']);
+    });
+
+    it('should write only the header for an empty export', async () => {
+      const filePath = path.join(tmpDir, 'visits.csv');
+      const writer = createCsvWriter(filePath, { columns: ['id', 'arrivalDate'] });
+
+      expect(await writer.close()).toBe(0);
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('id,arrivalDate\n');
+    });
+  });
+
+  // ============================================================================
+  // Streaming Export
+  // ============================================================================
+
+  describe('streaming exportCollection', () => {
+    const locations = [];
+    for (let i = 0; i < 5; i++) {
+      locations.push({
+        id: `loc${i}`,
+        userId: 'userA',
+        latitude: 42 + i / 100,
+        longitude: -71,
+        location: { latitude: 42 + i / 100, longitude: -71 },
+        serverTimestamp: `2025-12-1${i}T00:00:00.000Z`,
+        horizontalAccuracy: 5
+      });
+    }
+
+    function createOptions(formats, extra = {}) {
+      return {
+        userIds: ['userA'],
+        since: new Date('2025-12-01T00:00:00Z'),
+        until: null,
+        outDir: tmpDir,
+        pageSize: 2,
+        formats: { user_locations: formats },
+        ...extra
+      };
+    }
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('should stream pages straight to CSV and NDJSON without writing JSON', async () => {
+      const db = createFakeFirestore({ user_locations: locations });
+
+      const count = await exportCollection(db, resolveCollection('user_locations'), createOptions(['csv', 'ndjson']));
+
+      expect(count).toBe(5);
+      expect(db.queries).toHaveLength(3);
+      expect(fs.existsSync(path.join(tmpDir, 'locations.json'))).toBe(false);
+
+      const csvLines = fs.readFileSync(path.join(tmpDir, 'locations.csv'), 'utf8').trim().split('\n');
+      expect(csvLines[0]).toBe(resolveCollection('user_locations').csvColumns.join(','));
+      expect(csvLines).toHaveLength(6);
+      expect(csvLines[1].startsWith('loc0,userA,,2025-12-10T00:00:00.000Z')).toBe(true);
+
+      const ndjsonLines = fs.readFileSync(path.join(tmpDir, 'locations.ndjson'), 'utf8').trim().split('\n');
+      expect(ndjsonLines.map((line) => JSON.parse(line).id)).toEqual(['loc0', 'loc1', 'loc2', 'loc3', 'loc4']);
+    });
+
+    it('should gzip every format, including JSON written from memory', async () => {
+      const db = createFakeFirestore({ user_locations: locations });
+
+      await exportCollection(db, resolveCollection('user_locations'), createOptions(['json', 'csv'], { gzip: true }));
+
+      const json = JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(tmpDir, 'locations.json.gz'))).toString('utf8'));
+      expect(json.map((d) => d.id)).toEqual(['loc4', 'loc3', 'loc2', 'loc1', 'loc0']);
+      expect(zlib.gunzipSync(fs.readFileSync(path.join(tmpDir, 'locations.csv.gz'))).toString('utf8').split('\n'))
+        .toHaveLength(7);
+    });
+  });
+});
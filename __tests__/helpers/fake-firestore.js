@@ -0,0 +1,179 @@
+/**
+ * In-memory Firestore stand-in for exporter tests
+ *
+ * Supports the query surface the exporter uses: where (==, >, >=, <, <=),
+ * orderBy, limit, startAfter, select and get, plus doc() refs and batched
+ * set/delete for seeding. Documents are plain objects with an `id`;
+ * timestamp fields are ISO strings compared as dates.
+ */
+
+const DOCUMENT_ID_FIELD = '__name__';
+
+function getField(doc, field) {
+  return field === DOCUMENT_ID_FIELD ? doc.id : doc.data[field];
+}
+
+function compareValues(a, b) {
+  const toComparable = (value) => {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'string' && !Number.isNaN(Date.parse(value)) && /^\d{4}-/.test(value)) {
+      return Date.parse(value);
+    }
+    return value;
+  };
+  const left = toComparable(a);
+  const right = toComparable(b);
+  if (left < right) return -1;
+  if (left > right) return 1;
+  return 0;
+}
+
+const OPERATORS = {
+  '==': (a, b) => compareValues(a, b) === 0,
+  '>': (a, b) => compareValues(a, b) > 0,
+  '>=': (a, b) => compareValues(a, b) >= 0,
+  '<': (a, b) => compareValues(a, b) < 0,
+  '<=': (a, b) => compareValues(a, b) <= 0
+};
+
+function toSnapshotDoc(collectionName, doc) {
+  return {
+    id: doc.id,
+    ref: { collectionName, id: doc.id },
+    data: () => ({ ...doc.data }),
+    get: (field) => doc.data[field]
+  };
+}
+
+class FakeQuery {
+  constructor(store, collectionName, state = {}) {
+    this.store = store;
+    this.collectionName = collectionName;
+    this.state = { filters: [], order: null, limit: null, cursor: null, ...state };
+  }
+
+  clone(changes) {
+    return new FakeQuery(this.store, this.collectionName, { ...this.state, ...changes });
+  }
+
+  where(field, op, value) {
+    return this.clone({ filters: [...this.state.filters, { field, op, value }] });
+  }
+
+  orderBy(field) {
+    return this.clone({ order: field });
+  }
+
+  limit(count) {
+    return this.clone({ limit: count });
+  }
+
+  startAfter(snapshotDoc) {
+    return this.clone({ cursor: snapshotDoc.id });
+  }
+
+  select() {
+    return this;
+  }
+
+  doc(id = `auto${++this.store.autoId}`) {
+    return { collectionName: this.collectionName, id };
+  }
+
+  async get() {
+    this.store.queries.push({ collection: this.collectionName, ...this.state });
+
+    const hasEquality = this.state.filters.some((f) => f.op === '==');
+    const rangeField = this.state.filters.find((f) => f.op !== '==');
+    if (hasEquality && rangeField && this.store.missingIndexes.has(`${this.collectionName}.${rangeField.field}`)) {
+      throw Object.assign(new Error('FAILED_PRECONDITION: The query requires an index'), { code: 9 });
+    }
+
+    let docs = (this.store.collections[this.collectionName] || []).filter((doc) =>
+      this.state.filters.every(({ field, op, value }) => {
+        const fieldValue = getField(doc, field);
+        return fieldValue !== undefined && OPERATORS[op](fieldValue, value);
+      })
+    );
+
+    const order = this.state.order || DOCUMENT_ID_FIELD;
+    docs = [...docs].sort((a, b) =>
+      compareValues(getField(a, order), getField(b, order)) || compareValues(a.id, b.id)
+    );
+
+    if (this.state.cursor) {
+      const cursorIndex = docs.findIndex((doc) => doc.id === this.state.cursor);
+      docs = docs.slice(cursorIndex + 1);
+    }
+    if (this.state.limit) {
+      docs = docs.slice(0, this.state.limit);
+    }
+
+    const snapshotDocs = docs.map((doc) => toSnapshotDoc(this.collectionName, doc));
+    return {
+      docs: snapshotDocs,
+      size: snapshotDocs.length,
+      empty: snapshotDocs.length === 0,
+      forEach: (callback) => snapshotDocs.forEach(callback)
+    };
+  }
+}
+
+/**
+ * Creates a fake Firestore db
+ * @param {Object} collections - Map of collection name to documents ({ id, ...fields })
+ * @param {Object} [options]
+ * @param {string[]} [options.missingIndexes] - "collection.field" pairs whose range queries fail
+ * @returns {Object} Fake db with `queries` recording every executed query
+ */
+function createFakeFirestore(collections = {}, { missingIndexes = [] } = {}) {
+  const store = {
+    collections: {},
+    queries: [],
+    commits: 0,
+    autoId: 0,
+    missingIndexes: new Set(missingIndexes)
+  };
+
+  const withoutDoc = (ref) =>
+    (store.collections[ref.collectionName] || []).filter((doc) => doc.id !== ref.id);
+
+  for (const [name, docs] of Object.entries(collections)) {
+    store.collections[name] = docs.map(({ id, ...data }) => ({ id, data }));
+  }
+
+  return {
+    queries: store.queries,
+    collection: (name) => new FakeQuery(store, name),
+    get commits() {
+      return store.commits;
+    },
+    batch() {
+      const operations = [];
+      return {
+        set: (ref, data) => operations.push(() => {
+          store.collections[ref.collectionName] = [...withoutDoc(ref), { id: ref.id, data }];
+        }),
+        delete: (ref) => operations.push(() => {
+          store.collections[ref.collectionName] = withoutDoc(ref);
+        }),
+        commit: async () => {
+          operations.forEach((operation) => operation());
+          store.commits++;
+        }
+      };
+    },
+    getDocuments: (name) => (store.collections[name] || []).map(({ id, data }) => ({ id, ...data })),
+    addDocuments(name, docs) {
+      store.collections[name] = [
+        ...(store.collections[name] || []),
+        ...docs.map(({ id, ...data }) => ({ id, data }))
+      ];
+    }
+  };
+}
+
+module.exports = {
+  DOCUMENT_ID_FIELD,
+  createFakeFirestore
+};
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+const tzlookup = require('@photostructure/tz-lookup');
+const { parseTimezoneBoundaries, createTimezoneLookup, createLocalTime } = require('./js/timezones');
+const { evaluateTransportModes } = require('./evaluation/cross-validation');
+const {
+  EVALUATE_HELP_TEXT,
+  parseEvaluateArgs,
+  readExportText,
+  readExportDocuments,
+  readTunedThresholds,
+  writeEvaluationReport
+} = require('./evaluation/report');
+
+function formatPercent(value) {
+  return value === null ? '  –  ' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+/**
+ * Cross-validates the transport mode algorithms on exported data and writes the comparison report
+ * @returns {Promise<number>} Process exit code
+ */
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseEvaluateArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Run with --help for usage.');
+    return 1;
+  }
+
+  if (options.help) {
+    console.log(EVALUATE_HELP_TEXT);
+    return 0;
+  }
+
+  try {
+    const locations = readExportDocuments(options.locationsFile);
+    const motion = readExportDocuments(options.motionFile);
+    console.log(`Read ${locations.length} locations from ${options.locationsFile}`);
+    console.log(`Read ${motion.length} motion readings from ${options.motionFile}`);
+
+    let localTime;
+    if (options.timezonesFile) {
+      const boundaries = parseTimezoneBoundaries(JSON.parse(readExportText(options.timezonesFile)));
+      localTime = createLocalTime(createTimezoneLookup(boundaries, tzlookup));
+      console.log(`Local days from timezone boundaries in ${options.timezonesFile}`);
+    }
+
+    let parameters;
+    if (options.thresholdsFile) {
+      parameters = readTunedThresholds(options.thresholdsFile).parameters;
+      console.log(`Tuned ${Object.keys(parameters).join(', ')} thresholds from ${options.thresholdsFile}`);
+      console.log('  (tuned rows are scored partly on the points they were tuned on; see the tuner\'s held-out scores)');
+    }
+
+    console.log('---');
+    const report = evaluateTransportModes(locations, motion, {
+      folds: options.folds,
+      clean: options.clean,
+      algorithms: options.algorithms,
+      parameters,
+      localTime
+    });
+
+    console.log(`${report.labelledPoints} of ${report.points} points labelled; ${report.folds.method} over ${report.folds.names.length} folds`);
+    console.log('  (bus, car and train are scored as one automotive class: the sensors cannot tell them apart)');
+    for (const algorithm of report.algorithms) {
+      const { accuracy, macroF1 } = algorithm.intervals;
+      const name = `${algorithm.name}${algorithm.tuned ? ' (tuned)' : ''}`;
+      console.log(`  ${name.padEnd(34)} accuracy ${formatPercent(algorithm.micro.f1)} ` +
+        `(95% CI ${formatPercent(accuracy.low)}–${formatPercent(accuracy.high)})  ` +
+        `macro F1 ${formatPercent(algorithm.macroF1)} (95% CI ${formatPercent(macroF1.low)}–${formatPercent(macroF1.high)})`);
+    }
+
+    const written = writeEvaluationReport(options.outDir, report, {
+      locationsFile: options.locationsFile,
+      motionFile: options.motionFile
+    });
+    console.log('---');
+    written.forEach((filePath) => console.log(`✓ Report written to ${filePath}`));
+    return 0;
+  } catch (error) {
+    console.error('Evaluation failed:', error.message);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main().then((code) => process.exit(code));
+}
+
+module.exports = { main };
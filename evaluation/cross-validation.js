@@ -0,0 +1,401 @@
+/**
+ * Transport mode cross-validation
+ *
+ * Scores every transport mode algorithm against motion sensor ground truth
+ * (bus, car and train as the one automotive class the sensors report)
+ * with leave-one-day-out or blocked k-fold cross-validation, so each fold is
+ * scored on data the algorithm was not trained on, and summarises the folds
+ * as per-class F1, macro/micro averages and 95% bootstrap confidence intervals.
+ * Tuned thresholds passed in are the exception: they were fitted before the
+ * folds were drawn, usually on the same points, so those algorithms are
+ * marked as not held out from tuning.
+ */
+
+const {
+  SENSOR_MODES,
+  getSensorModes,
+  toSensorMode,
+  getRegisteredAlgorithms,
+  buildConfusionMatrix,
+  calculatePrecision,
+  calculateRecall,
+  calculateF1
+} = require('../js/motion-algorithms');
+const { cleanTrace } = require('../js/trace-cleaning');
+const { createRandom, extractWindowFeatures, trainModeForest, predictModeForest } = require('../js/mode-forest');
+const { createTimezoneLookup, createLocalTime } = require('../js/timezones');
+const tzlookup = require('@photostructure/tz-lookup');
+
+// Speed data and motion matching follow calculateSpeedAndActivity() and findNearestMotion() in dashboard.html
+const MAX_MOTION_MATCH_SECONDS = 90;
+const MIN_STEP_SECONDS = 1;
+const MAX_STEP_SECONDS = 600;
+const MAX_SPEED = 50; // m/s
+const EARTH_RADIUS = 6371000; // meters
+
+// Modes scored: the motion sensor classes. Sensors report bus, car and train only as automotive, and
+// getGroundTruthModes() splits that at the baseline's own speed thresholds, which would favour the
+// baseline by construction; vehicle predictions are therefore scored as 'automotive'
+const EVALUATION_MODES = SENSOR_MODES;
+
+// The trained ensemble is fitted on the other folds before scoring each fold, so it is not a registered algorithm
+const TRAINED_ALGORITHM = { key: 'forest', name: 'Trained Tree Ensemble', trained: true };
+
+/**
+ * Algorithms compared: every algorithm registered in js/motion-algorithms.js, then the trained ensemble.
+ * classify(points, parameters) takes that algorithm's entry of a tuned thresholds file, if any
+ * @returns {Object[]} { key, name, classify } or { key, name, trained: true } per algorithm
+ */
+function getEvaluatedAlgorithms() {
+  return [
+    ...getRegisteredAlgorithms().map(({ key, name, classify }) => ({ key, name, classify })),
+    TRAINED_ALGORITHM
+  ];
+}
+
+const BOOTSTRAP_RESAMPLES = 1000;
+
+// ============================================================================
+// Data
+// ============================================================================
+
+function documentTime(doc) {
+  return new Date(doc.timestamp || doc.serverTimestamp).getTime();
+}
+
+function haversineDistance(lat1, lon1, lat2, lon2) {
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) * Math.cos((lat2 * Math.PI) / 180) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Turns locations into the per-step speed points the algorithms classify,
+ * dropping steps shorter than a second, longer than 10 minutes or faster than 50 m/s
+ * @param {Object[]} locations - Location documents (any order)
+ * @returns {Object[]} Points oldest first with timestamp, latitude, longitude, distance, timeDeltaSec, speed and prevPoint
+ */
+function buildSpeedData(locations) {
+  const sorted = [...locations].sort((a, b) => documentTime(a) - documentTime(b));
+  const points = [];
+
+  for (let i = 1; i < sorted.length; i++) {
+    const prev = sorted[i - 1];
+    const curr = sorted[i];
+    const distance = haversineDistance(prev.latitude, prev.longitude, curr.latitude, curr.longitude);
+    const timeDeltaSec = (documentTime(curr) - documentTime(prev)) / 1000;
+    if (timeDeltaSec > MAX_STEP_SECONDS || timeDeltaSec < MIN_STEP_SECONDS) continue;
+
+    const speed = distance / timeDeltaSec;
+    if (speed > MAX_SPEED) continue;
+
+    points.push({
+      timestamp: curr.timestamp,
+      latitude: curr.latitude,
+      longitude: curr.longitude,
+      distance,
+      timeDeltaSec,
+      speed,
+      prevPoint: prev
+    });
+  }
+
+  return points;
+}
+
+/**
+ * Creates a lookup of the motion reading nearest to a time
+ * @param {Object[]} motion - Motion documents (any order)
+ * @returns {Function} timestamp => nearest reading within 90 seconds, or null
+ */
+function createMotionLookup(motion) {
+  const readings = [...motion].sort((a, b) => documentTime(a) - documentTime(b));
+  const times = readings.map(documentTime);
+
+  return (timestamp) => {
+    const time = new Date(timestamp).getTime();
+    let low = 0;
+    let high = times.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (times[mid] < time) low = mid + 1;
+      else high = mid;
+    }
+
+    let nearest = null;
+    for (const index of [low - 1, low]) {
+      if (index < 0 || index >= times.length) continue;
+      if (!nearest || Math.abs(times[index] - time) < Math.abs(documentTime(nearest) - time)) {
+        nearest = readings[index];
+      }
+    }
+    return nearest && Math.abs(documentTime(nearest) - time) <= MAX_MOTION_MATCH_SECONDS * 1000 ? nearest : null;
+  };
+}
+
+/**
+ * Speed points of exported locations with the motion sensor mode of each
+ * @param {Object[]} locations - Location documents
+ * @param {Object[]} motion - Motion documents
+ * @param {Object} [options] - { clean: run cleanTrace() first, like the dashboard (default true) }
+ * @returns {Object} { points, groundTruth: sensor mode per point (see getSensorModes), 'unknown' without a reading }
+ */
+function buildLabelledPoints(locations, motion, { clean = true } = {}) {
+  const trace = clean ? cleanTrace(locations).locations : locations;
+  const points = buildSpeedData(trace);
+  return { points, groundTruth: getSensorModes(points, createMotionLookup(motion)) };
+}
+
+// ============================================================================
+// Folds
+// ============================================================================
+
+/**
+ * Assigns each point to the local day it was recorded on (leave-one-day-out)
+ * @param {Object[]} points - Speed points oldest first
+ * @param {Function} localTime - (time, latitude, longitude) => { dateKey }, see createLocalTime in js/timezones.js
+ * @returns {Object} { names: YYYY-MM-DD per fold, foldOf: fold index per point }
+ */
+function assignDayFolds(points, localTime) {
+  const names = [];
+  const foldOf = points.map((point) => {
+    const { dateKey } = localTime(new Date(point.timestamp).getTime(), point.latitude, point.longitude);
+    if (!names.includes(dateKey)) names.push(dateKey);
+    return names.indexOf(dateKey);
+  });
+  return { names, foldOf };
+}
+
+/**
+ * Splits points into k folds of consecutive points; contiguous folds keep
+ * overlapping feature windows from leaking between training and test data
+ * @param {number} count - Number of points
+ * @param {number} k - Number of folds
+ * @returns {Object} { names, foldOf: fold index per point }
+ */
+function assignBlockFolds(count, k) {
+  const names = Array.from({ length: k }, (_, fold) => `fold ${fold + 1}`);
+  const foldOf = Array.from({ length: count }, (_, index) => Math.min(k - 1, Math.floor((index * k) / count)));
+  return { names, foldOf };
+}
+
+// ============================================================================
+// Metrics
+// ============================================================================
+
+/**
+ * Per-class and averaged scores of a confusion matrix
+ * @param {Object} matrix - Confusion matrix (actual => predicted => count)
+ * @returns {Object} { classes: mode => { precision, recall, f1, support }, macroF1, micro: { precision, recall, f1 }, points }
+ */
+function summarizeMatrix(matrix) {
+  const classes = {};
+  let truePositives = 0;
+  let predicted = 0;
+  let points = 0;
+
+  for (const mode of Object.keys(matrix)) {
+    const support = Object.values(matrix[mode]).reduce((sum, count) => sum + count, 0);
+    const predictedCount = Object.keys(matrix).reduce((sum, actual) => sum + (matrix[actual][mode] || 0), 0);
+    truePositives += matrix[mode][mode] || 0;
+    predicted += predictedCount;
+    points += support;
+
+    // Modes neither seen nor predicted say nothing about the algorithm
+    if (support === 0 && predictedCount === 0) continue;
+    classes[mode] = {
+      precision: calculatePrecision(matrix, mode),
+      recall: calculateRecall(matrix, mode),
+      f1: calculateF1(matrix, mode),
+      support
+    };
+  }
+
+  const scored = Object.values(classes);
+  const microPrecision = predicted > 0 ? truePositives / predicted : 0;
+  const microRecall = points > 0 ? truePositives / points : 0;
+
+  return {
+    classes,
+    macroF1: scored.length > 0 ? scored.reduce((sum, scores) => sum + scores.f1, 0) / scored.length : 0,
+    micro: {
+      precision: microPrecision,
+      recall: microRecall,
+      f1: microPrecision + microRecall > 0 ? (2 * microPrecision * microRecall) / (microPrecision + microRecall) : 0
+    },
+    points
+  };
+}
+
+function addMatrices(total, matrix) {
+  for (const actual of Object.keys(matrix)) {
+    for (const predicted of Object.keys(matrix[actual])) {
+      total[actual][predicted] += matrix[actual][predicted];
+    }
+  }
+  return total;
+}
+
+/**
+ * 95% intervals of the accuracy (micro F1) and macro F1 over all folds, from resampling
+ * whole folds with replacement (cluster bootstrap), since points within a fold are not independent
+ * @param {Object[]} matrices - Confusion matrix per fold
+ * @param {Object} [options] - { resamples, seed }
+ * @returns {Object} { accuracy: { low, high }, macroF1: { low, high }, resamples }; bounds are null with fewer than two folds
+ */
+function bootstrapIntervals(matrices, { resamples = BOOTSTRAP_RESAMPLES, seed = 1 } = {}) {
+  if (matrices.length < 2) {
+    return { accuracy: { low: null, high: null }, macroF1: { low: null, high: null }, resamples: 0 };
+  }
+
+  const random = createRandom(seed);
+  const accuracy = [];
+  const macroF1 = [];
+  for (let resample = 0; resample < resamples; resample++) {
+    const total = buildConfusionMatrix([], [], EVALUATION_MODES);
+    for (let i = 0; i < matrices.length; i++) {
+      addMatrices(total, matrices[Math.floor(random() * matrices.length)]);
+    }
+    const scores = summarizeMatrix(total);
+    accuracy.push(scores.micro.f1);
+    macroF1.push(scores.macroF1);
+  }
+
+  const bounds = (values) => {
+    values.sort((a, b) => a - b);
+    return { low: values[Math.floor(resamples * 0.025)], high: values[Math.ceil(resamples * 0.975) - 1] };
+  };
+  return { accuracy: bounds(accuracy), macroF1: bounds(macroF1), resamples };
+}
+
+// ============================================================================
+// Cross-validation
+// ============================================================================
+
+/**
+ * Predictions of the trained ensemble for one fold, trained on the labelled points of every other fold
+ */
+function predictForestFold(samples, groundTruth, foldOf, fold, options) {
+  const train = [];
+  for (let index = 0; index < samples.length; index++) {
+    if (foldOf[index] !== fold && groundTruth[index] !== 'unknown') train.push(index);
+  }
+  if (train.length === 0) return null;
+
+  const model = trainModeForest(train.map((index) => samples[index]), train.map((index) => groundTruth[index]), options);
+  return samples.map((sample, index) => (foldOf[index] === fold ? predictModeForest(model, sample).mode : null));
+}
+
+/**
+ * Cross-validates algorithms over labelled speed points
+ * @param {Object[]} points - Speed points oldest first (see buildSpeedData)
+ * @param {string[]} groundTruth - Sensor mode per point; 'unknown' points are not scored, and bus, car and
+ *   train (in labels and predictions) are scored as 'automotive'
+ * @param {Object} folds - Output of assignDayFolds or assignBlockFolds
+ * @param {Object} [options] - { algorithms: keys to run (default all), forest: trainModeForest options,
+ *   parameters: algorithm => tuned parameters (see parseTunedThresholds in js/motion-algorithms.js) }
+ * @returns {Object[]} Per algorithm: { key, name, matrix (all folds), folds: [{ name, matrix }] }
+ */
+function crossValidate(points, groundTruth, folds, options = {}) {
+  const algorithms = getEvaluatedAlgorithms().filter((algorithm) => !options.algorithms || options.algorithms.includes(algorithm.key));
+  const labels = groundTruth.map(toSensorMode);
+  const samples = algorithms.some((algorithm) => algorithm.trained) ? extractWindowFeatures(points) : null;
+
+  return algorithms.map((algorithm) => {
+    // Untrained algorithms label the whole track once; their windows see the same neighbours as in the dashboard
+    const parameters = options.parameters || {};
+    const predictions = algorithm.trained ? null : algorithm.classify(points, parameters[algorithm.key]);
+    const total = buildConfusionMatrix([], [], EVALUATION_MODES);
+
+    const foldResults = folds.names.map((name, fold) => {
+      const foldPredictions = algorithm.trained
+        ? predictForestFold(samples, labels, folds.foldOf, fold, options.forest)
+        : predictions;
+      const scored = [];
+      for (let index = 0; index < points.length; index++) {
+        if (folds.foldOf[index] === fold && labels[index] !== 'unknown') scored.push(index);
+      }
+
+      const matrix = buildConfusionMatrix(
+        scored.map((index) => (foldPredictions ? toSensorMode(foldPredictions[index]) : 'unknown')),
+        scored.map((index) => labels[index]),
+        EVALUATION_MODES
+      );
+      addMatrices(total, matrix);
+      return { name, matrix };
+    });
+
+    return { key: algorithm.key, name: algorithm.name, matrix: total, folds: foldResults };
+  });
+}
+
+/**
+ * Runs the whole evaluation on exported documents
+ * @param {Object[]} locations - Location documents
+ * @param {Object[]} motion - Motion documents
+ * @param {Object} [options] - { folds: 'day' or a number of blocked folds (default 'day'), clean (default true),
+ *   algorithms, forest, parameters, localTime (for day folds; default: IANA timezone of each point from tz-lookup) }
+ * @returns {Object} Report: { generatedAt, folds: { method, names }, cleaned, points, labelledPoints, modes (scored,
+ *   with vehicles as 'automotive'), algorithms },
+ *   each algorithm with whether it ran with tuned parameters, heldOutFromTuning (false when tuned: the folds may include
+ *   the points it was tuned on), summarizeMatrix scores over all folds, their bootstrapIntervals, per-fold scores
+ *   and the pooled confusion matrix
+ */
+function evaluateTransportModes(locations, motion, options = {}) {
+  const { folds = 'day', clean = true } = options;
+  const { points, groundTruth } = buildLabelledPoints(locations, motion, { clean });
+
+  const assigned = folds === 'day'
+    ? assignDayFolds(points, options.localTime || createLocalTime(createTimezoneLookup(null, tzlookup)))
+    : assignBlockFolds(points.length, folds);
+
+  // Folds without sensor labels cannot be scored
+  const labelledFolds = new Set(groundTruth.map((mode, index) => (mode !== 'unknown' ? assigned.foldOf[index] : -1)));
+  const kept = assigned.names.map((name, fold) => fold).filter((fold) => labelledFolds.has(fold));
+  const renumbered = new Map(kept.map((fold, index) => [fold, index]));
+  const scoredFolds = {
+    names: kept.map((fold) => assigned.names[fold]),
+    foldOf: assigned.foldOf.map((fold) => (renumbered.has(fold) ? renumbered.get(fold) : -1))
+  };
+
+  const results = crossValidate(points, groundTruth, scoredFolds, options);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    folds: { method: folds === 'day' ? 'leave-one-day-out' : `${folds}-fold`, names: scoredFolds.names },
+    cleaned: clean,
+    points: points.length,
+    labelledPoints: groundTruth.filter((mode) => mode !== 'unknown').length,
+    modes: EVALUATION_MODES.filter((mode) => mode !== 'unknown'),
+    algorithms: results.map(({ key, name, matrix, folds: foldResults }) => {
+      const perFold = foldResults.map((fold) => ({ name: fold.name, ...summarizeMatrix(fold.matrix) }));
+      const tuned = Boolean(options.parameters && options.parameters[key]);
+      return {
+        key,
+        name,
+        tuned,
+        heldOutFromTuning: !tuned,
+        ...summarizeMatrix(matrix),
+        intervals: bootstrapIntervals(foldResults.map((fold) => fold.matrix)),
+        folds: perFold.map((fold) => ({ name: fold.name, points: fold.points, accuracy: fold.micro.f1, macroF1: fold.macroF1 })),
+        confusionMatrix: matrix
+      };
+    })
+  };
+}
+
+module.exports = {
+  EVALUATION_MODES,
+  getEvaluatedAlgorithms,
+  buildSpeedData,
+  createMotionLookup,
+  buildLabelledPoints,
+  assignDayFolds,
+  assignBlockFolds,
+  summarizeMatrix,
+  bootstrapIntervals,
+  crossValidate,
+  evaluateTransportModes
+};
@@ -0,0 +1,335 @@
+/**
+ * Transport mode evaluation and tuning options and reports
+ *
+ * Command-line options for evaluate-transport-modes.js and
+ * tune-transport-thresholds.js, reading exported files, the comparison report
+ * written as JSON (every number) and Markdown (tables for reading), and the
+ * tuned thresholds file the dashboard loads.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { parseArgs } = require('util');
+const { DEFAULT_OUT_DIR } = require('../exporter/cli');
+const { parseLocalDataText } = require('../js/local-data');
+const { parseTunedThresholds } = require('../js/motion-algorithms');
+const { EVALUATION_MODES, getEvaluatedAlgorithms } = require('./cross-validation');
+const { TUNING_GRIDS, TUNING_OBJECTIVES, TUNING_DEFAULTS } = require('./threshold-tuning');
+
+const EVALUATION_REPORT_NAME = 'transport-mode-report';
+const TUNED_THRESHOLDS_FILE = 'transport-thresholds.json';
+
+const EVALUATE_HELP_TEXT = `Usage: node evaluate-transport-modes.js [options]
+
+Cross-validate the transport mode algorithms against motion sensor labels and
+write a comparison report (per-class F1, macro/micro averages and 95%
+confidence intervals from resampling folds). The sensors cannot tell bus, car
+and train apart, so they are scored as one automotive class.
+
+Options:
+  -d, --data-dir <dir>     Directory holding exported files (default: ./data)
+      --locations <file>   Locations export (default: <data-dir>/locations.json)
+      --motion <file>      Motion export (default: <data-dir>/motion.json)
+  -k, --folds <day|n>      'day' for leave-one-day-out, or a number of folds of
+                           consecutive points (default: day)
+  -a, --algorithms <list>  Comma-separated algorithms to evaluate
+                           (default: ${getEvaluatedAlgorithms().map((algorithm) => algorithm.key).join(',')})
+      --timezones <file>   Timezone boundaries for local days (default:
+                           <data-dir>/timezones.geojson when present, else the
+                           IANA timezone of each point from tz-lookup)
+      --thresholds <file>  Tuned thresholds to run the threshold algorithms
+                           with (from tune-transport-thresholds.js)
+      --raw                Skip trace cleaning (the dashboard cleans by default)
+  -o, --out-dir <dir>      Directory to write ${EVALUATION_REPORT_NAME}.json and .md to
+                           (default: <data-dir>)
+  -h, --help               Show this help and exit
+
+Exports may be JSON arrays or NDJSON, optionally gzipped (.gz).
+`;
+
+const TUNE_HELP_TEXT = `Usage: node tune-transport-thresholds.js [options]
+
+Search the speed thresholds and window sizes of the threshold algorithms for
+the values that best match the motion sensor labels, and write them to a file
+the dashboard can load (Algorithm Performance Comparison > Load thresholds).
+
+Options:
+  -d, --data-dir <dir>     Directory holding exported files (default: ./data)
+      --locations <file>   Locations export (default: <data-dir>/locations.json)
+      --motion <file>      Motion export (default: <data-dir>/motion.json)
+  -a, --algorithms <list>  Comma-separated algorithms to tune
+                           (default: ${Object.keys(TUNING_GRIDS).join(',')})
+  -m, --objective <name>   ${TUNING_OBJECTIVES.join(' or ')} (default: ${TUNING_DEFAULTS.objective})
+      --test-share <0-1>   Share of labelled points held out to check the tuned
+                           values (default: ${TUNING_DEFAULTS.testShare})
+      --raw                Skip trace cleaning (the dashboard cleans by default)
+  -o, --out <file>         File to write (default: <data-dir>/${TUNED_THRESHOLDS_FILE})
+  -h, --help               Show this help and exit
+
+Exports may be JSON arrays or NDJSON, optionally gzipped (.gz).
+`;
+
+function parseAlgorithmList(list, knownAlgorithms) {
+  if (!list) return null;
+
+  const algorithms = list.split(',').map((key) => key.trim()).filter(Boolean);
+  for (const key of algorithms) {
+    if (!knownAlgorithms.includes(key)) {
+      throw new Error(`Unknown algorithm: ${key} (expected one of ${knownAlgorithms.join(', ')})`);
+    }
+  }
+  return algorithms;
+}
+
+/**
+ * Parses evaluation command-line arguments
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @returns {Object} Evaluation options
+ */
+function parseEvaluateArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      'data-dir': { type: 'string', short: 'd' },
+      locations: { type: 'string' },
+      motion: { type: 'string' },
+      folds: { type: 'string', short: 'k', default: 'day' },
+      algorithms: { type: 'string', short: 'a' },
+      timezones: { type: 'string' },
+      thresholds: { type: 'string' },
+      raw: { type: 'boolean', default: false },
+      'out-dir': { type: 'string', short: 'o' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  let folds = values.folds;
+  if (folds !== 'day') {
+    folds = Number(folds);
+    if (!Number.isInteger(folds) || folds < 2) {
+      throw new Error(`Invalid --folds: ${values.folds} (expected 'day' or a whole number of at least 2)`);
+    }
+  }
+
+  const algorithms = parseAlgorithmList(values.algorithms, getEvaluatedAlgorithms().map((algorithm) => algorithm.key));
+
+  const dataDir = path.resolve(values['data-dir'] || DEFAULT_OUT_DIR);
+  const defaultTimezones = path.join(dataDir, 'timezones.geojson');
+
+  return {
+    help: values.help,
+    dataDir,
+    locationsFile: path.resolve(values.locations || path.join(dataDir, 'locations.json')),
+    motionFile: path.resolve(values.motion || path.join(dataDir, 'motion.json')),
+    folds,
+    algorithms,
+    timezonesFile: values.timezones
+      ? path.resolve(values.timezones)
+      : (fs.existsSync(defaultTimezones) ? defaultTimezones : null),
+    thresholdsFile: values.thresholds ? path.resolve(values.thresholds) : null,
+    clean: !values.raw,
+    outDir: path.resolve(values['out-dir'] || dataDir)
+  };
+}
+
+/**
+ * Parses tuning command-line arguments
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @returns {Object} Tuning options
+ */
+function parseTuneArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      'data-dir': { type: 'string', short: 'd' },
+      locations: { type: 'string' },
+      motion: { type: 'string' },
+      algorithms: { type: 'string', short: 'a' },
+      objective: { type: 'string', short: 'm', default: TUNING_DEFAULTS.objective },
+      'test-share': { type: 'string', default: String(TUNING_DEFAULTS.testShare) },
+      raw: { type: 'boolean', default: false },
+      out: { type: 'string', short: 'o' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (!TUNING_OBJECTIVES.includes(values.objective)) {
+    throw new Error(`Unknown objective: ${values.objective} (expected one of ${TUNING_OBJECTIVES.join(', ')})`);
+  }
+
+  const testShare = Number(values['test-share']);
+  if (!Number.isFinite(testShare) || testShare < 0 || testShare >= 1) {
+    throw new Error(`Invalid --test-share: ${values['test-share']} (expected a number from 0 up to 1)`);
+  }
+
+  const dataDir = path.resolve(values['data-dir'] || DEFAULT_OUT_DIR);
+
+  return {
+    help: values.help,
+    dataDir,
+    locationsFile: path.resolve(values.locations || path.join(dataDir, 'locations.json')),
+    motionFile: path.resolve(values.motion || path.join(dataDir, 'motion.json')),
+    algorithms: parseAlgorithmList(values.algorithms, Object.keys(TUNING_GRIDS)),
+    objective: values.objective,
+    testShare,
+    clean: !values.raw,
+    outFile: path.resolve(values.out || path.join(dataDir, TUNED_THRESHOLDS_FILE))
+  };
+}
+
+/**
+ * Reads an exported file: a JSON array or NDJSON, gzipped when the name ends in .gz
+ * @param {string} filePath - Path of the export
+ * @returns {string} File contents
+ */
+function readExportText(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No export found: ${filePath}`);
+  }
+
+  const contents = fs.readFileSync(filePath);
+  return (filePath.endsWith('.gz') ? zlib.gunzipSync(contents) : contents).toString('utf8');
+}
+
+/**
+ * Reads the documents of an exported file
+ * @param {string} filePath - Path of the export
+ * @returns {Object[]} Documents
+ */
+function readExportDocuments(filePath) {
+  return parseLocalDataText(readExportText(filePath));
+}
+
+/**
+ * Reads a tuned thresholds file
+ * @param {string} filePath - Path of the file written by tune-transport-thresholds.js
+ * @returns {Object} Thresholds, see parseTunedThresholds in js/motion-algorithms.js
+ */
+function readTunedThresholds(filePath) {
+  return parseTunedThresholds(readExportText(filePath));
+}
+
+function percent(value) {
+  return value === null ? '–' : `${(value * 100).toFixed(1)}%`;
+}
+
+function interval(ci) {
+  return ci.low === null ? '–' : `${percent(ci.low)} – ${percent(ci.high)}`;
+}
+
+/**
+ * Formats the evaluation report as Markdown tables
+ * @param {Object} report - Output of evaluateTransportModes
+ * @param {Object} [sources] - { locationsFile, motionFile } to name in the report
+ * @returns {string} Markdown
+ */
+function formatMarkdownReport(report, sources = {}) {
+  const ranked = [...report.algorithms].sort((a, b) => b.macroF1 - a.macroF1);
+  const modes = EVALUATION_MODES.filter((mode) => report.algorithms.some((algorithm) => algorithm.classes[mode]));
+  const lines = [
+    '# Transport Mode Algorithm Comparison',
+    '',
+    `Generated ${report.generatedAt}.`,
+    ''
+  ];
+
+  if (sources.locationsFile) {
+    lines.push(`Data: \`${sources.locationsFile}\` and \`${sources.motionFile}\`${report.cleaned ? ' (trace cleaned)' : ' (raw trace)'}.`, '');
+  }
+  lines.push(
+    `${report.labelledPoints.toLocaleString('en-US')} of ${report.points.toLocaleString('en-US')} points have a motion sensor label. ` +
+      `Cross-validation: ${report.folds.method}, ${report.folds.names.length} folds. ` +
+      'Intervals are 95% bootstrap intervals from resampling whole folds.',
+    '',
+    'Bus, car and train are scored as one *automotive* class. The motion sensors only report automotive, and ' +
+      'splitting it by speed would score the algorithms against the baseline\'s own thresholds.',
+    '',
+    '## Overall',
+    '',
+    '| Algorithm | Accuracy (micro F1) | 95% CI | Macro F1 | 95% CI |',
+    '| --- | ---: | ---: | ---: | ---: |'
+  );
+
+  const label = (algorithm) => `${algorithm.name}${algorithm.tuned ? ' (tuned)' : ''}`;
+  for (const algorithm of ranked) {
+    lines.push(`| ${label(algorithm)} | ${percent(algorithm.micro.f1)} | ${interval(algorithm.intervals.accuracy)} | ` +
+      `${percent(algorithm.macroF1)} | ${interval(algorithm.intervals.macroF1)} |`);
+  }
+
+  if (report.algorithms.some((algorithm) => algorithm.heldOutFromTuning === false)) {
+    lines.push(
+      '',
+      '*(tuned)*: thresholds from `--thresholds` were tuned before the folds were drawn, usually on these same points. ' +
+        'Every fold is then scored partly on data it was tuned on, so these rows overstate accuracy on new data. ' +
+        'The held-out scores printed by `npm run tune` are the fair comparison with the defaults.'
+    );
+  }
+
+  lines.push(
+    '',
+    '## F1 per mode',
+    '',
+    `| Algorithm | ${modes.join(' | ')} |`,
+    `| --- |${modes.map(() => ' ---: |').join('')}`
+  );
+  for (const algorithm of ranked) {
+    lines.push(`| ${label(algorithm)} | ${modes.map((mode) => (algorithm.classes[mode] ? percent(algorithm.classes[mode].f1) : '–')).join(' | ')} |`);
+  }
+
+  const support = ranked.length > 0 ? ranked[0].classes : {};
+  lines.push(`| *Points (support)* | ${modes.map((mode) => (support[mode] ? support[mode].support.toLocaleString('en-US') : '0')).join(' | ')} |`, '');
+
+  return lines.join('\n');
+}
+
+/**
+ * Writes the report as JSON and Markdown to the output directory
+ * @param {string} outDir - Output directory
+ * @param {Object} report - Output of evaluateTransportModes
+ * @param {Object} [sources] - { locationsFile, motionFile }
+ * @returns {string[]} Paths of the written files
+ */
+function writeEvaluationReport(outDir, report, sources = {}) {
+  if (!fs.existsSync(outDir)) {
+    fs.mkdirSync(outDir, { recursive: true });
+  }
+
+  const jsonPath = path.join(outDir, `${EVALUATION_REPORT_NAME}.json`);
+  const markdownPath = path.join(outDir, `${EVALUATION_REPORT_NAME}.md`);
+  fs.writeFileSync(jsonPath, JSON.stringify({ ...report, sources }, null, 2));
+  fs.writeFileSync(markdownPath, formatMarkdownReport(report, sources));
+  return [jsonPath, markdownPath];
+}
+
+/**
+ * Writes tuned thresholds where the dashboard and --thresholds can load them
+ * @param {string} filePath - File to write
+ * @param {Object} thresholds - Output of tuneTransportThresholds
+ * @param {Object} [sources] - { locationsFile, motionFile }
+ * @returns {string} Path of the written file
+ */
+function writeTunedThresholds(filePath, thresholds, sources = {}) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  fs.writeFileSync(filePath, JSON.stringify({ ...thresholds, sources }, null, 2));
+  return filePath;
+}
+
+module.exports = {
+  EVALUATION_REPORT_NAME,
+  TUNED_THRESHOLDS_FILE,
+  EVALUATE_HELP_TEXT,
+  TUNE_HELP_TEXT,
+  parseEvaluateArgs,
+  parseTuneArgs,
+  readExportText,
+  readExportDocuments,
+  readTunedThresholds,
+  formatMarkdownReport,
+  writeEvaluationReport,
+  writeTunedThresholds
+};
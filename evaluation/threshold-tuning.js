@@ -0,0 +1,222 @@
+/**
+ * Transport mode threshold tuning
+ *
+ * Searches the walking and cycling thresholds and window sizes of the threshold algorithms
+ * in js/motion-algorithms.js for the values that best match the motion sensor
+ * labels of exported data, holding out blocks of points to check that the
+ * tuned values beat the defaults on data they were not tuned on.
+ */
+
+const {
+  DEFAULT_ALGORITHM_PARAMETERS,
+  TUNED_THRESHOLDS_TYPE,
+  TUNED_THRESHOLDS_VERSION,
+  resolveAlgorithmParameters,
+  getRegisteredAlgorithms,
+  buildConfusionMatrix,
+  toSensorMode
+} = require('../js/motion-algorithms');
+const { splitTrainTest } = require('../js/mode-forest');
+const { EVALUATION_MODES, buildLabelledPoints, summarizeMatrix } = require('./cross-validation');
+
+// Parameters that only tell bus, car and train apart. Sensors report all three as automotive, so
+// they are scored as one class (getGroundTruthModes() only splits them at fixed speeds, and tuning
+// against that split would learn the split back); these keep their defaults
+const VEHICLE_PARAMETERS = ['maxBus', 'maxCar', 'busStopShare', 'trainSpeed', 'maxTrainHeading', 'maxCarHeading'];
+
+// Values tried for each parameter; every grid includes the default so the search can keep it
+const SPEED_GRIDS = {
+  maxStationary: [0.1, 0.15, 0.2, 0.3, 0.5],
+  maxWalking: [1.2, 1.5, 1.8, 2.0, 2.2, 2.5, 3.0, 3.5],
+  maxCycling: [4.0, 5.0, 6.0, 7.0, 8.0, 9.0, 10.0, 12.0]
+};
+
+const TUNING_GRIDS = {
+  baseline: {
+    ...SPEED_GRIDS
+  },
+  percentile95: {
+    windowSize: [3, 5, 7, 9, 11, 15],
+    ...SPEED_GRIDS
+  },
+  stopPattern: {
+    windowSize: [5, 7, 10, 15, 20],
+    stopSpeed: [0.3, 0.5, 0.8, 1.0],
+    ...SPEED_GRIDS
+  },
+  headingChange: {
+    windowSize: [5, 7, 10, 15, 20],
+    ...SPEED_GRIDS
+  }
+};
+
+const TUNING_OBJECTIVES = ['macroF1', 'accuracy'];
+
+const TUNING_DEFAULTS = {
+  objective: 'macroF1', // macro F1 keeps rare modes from being traded away for the most common one
+  rounds: 3,            // passes over every parameter; the search stops early once a pass changes nothing
+  testShare: 0.2,       // share of labelled points held out, in blocks of consecutive points
+  blockSize: 60,
+  seed: 1
+};
+
+// ============================================================================
+// Search
+// ============================================================================
+
+function findRegisteredAlgorithm(key) {
+  return getRegisteredAlgorithms().find((registered) => registered.key === key);
+}
+
+/**
+ * Scores one parameter set on the given points
+ * @param {Object[]} points - Speed points oldest first (see buildSpeedData)
+ * @param {string[]} groundTruth - Sensor mode per point
+ * @param {number[]} indexes - Points to score (vehicles as 'automotive'); the rest only serve as window neighbours
+ * @param {string} algorithm - Key in TUNING_GRIDS
+ * @param {Object} parameters - Parameters of the algorithm
+ * @param {string} [objective] - 'macroF1' or 'accuracy' (micro F1)
+ * @returns {number} Score between 0 and 1
+ */
+function scoreParameters(points, groundTruth, indexes, algorithm, parameters, objective = TUNING_DEFAULTS.objective) {
+  const { classify } = findRegisteredAlgorithm(algorithm);
+  const predictions = classify(points, parameters);
+  const summary = summarizeMatrix(buildConfusionMatrix(
+    indexes.map((index) => toSensorMode(predictions[index])),
+    indexes.map((index) => toSensorMode(groundTruth[index])),
+    EVALUATION_MODES
+  ));
+  return objective === 'accuracy' ? summary.micro.f1 : summary.macroF1;
+}
+
+function isValidParameters(algorithm, parameters) {
+  try {
+    resolveAlgorithmParameters(algorithm, parameters);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Grid search one parameter at a time (coordinate search): starting from the defaults,
+ * each parameter in turn takes the value of its grid that scores best with the others held,
+ * repeating until a whole pass changes nothing. A full grid over five or more parameters would
+ * take tens of thousands of runs; this takes a few hundred. Ties keep the current value
+ * @param {Object[]} points - Speed points oldest first
+ * @param {string[]} groundTruth - Sensor mode per point
+ * @param {number[]} indexes - Labelled points to tune on
+ * @param {string} algorithm - Key in TUNING_GRIDS
+ * @param {Object} [options] - { objective, rounds, grid: parameter => values (default TUNING_GRIDS[algorithm]) }
+ * @returns {Object} { parameters, score, evaluations }
+ */
+function tuneAlgorithm(points, groundTruth, indexes, algorithm, options = {}) {
+  const { objective, rounds } = { ...TUNING_DEFAULTS, ...options };
+  const grid = options.grid || TUNING_GRIDS[algorithm];
+  const scores = new Map();
+  const score = (parameters) => {
+    const key = JSON.stringify(parameters);
+    if (!scores.has(key)) {
+      scores.set(key, scoreParameters(points, groundTruth, indexes, algorithm, parameters, objective));
+    }
+    return scores.get(key);
+  };
+
+  let best = { ...DEFAULT_ALGORITHM_PARAMETERS[algorithm] };
+  let bestScore = score(best);
+  for (let round = 0; round < rounds; round++) {
+    let changed = false;
+    for (const [name, values] of Object.entries(grid)) {
+      for (const value of values) {
+        const candidate = { ...best, [name]: value };
+        if (value === best[name] || !isValidParameters(algorithm, candidate)) continue;
+
+        const candidateScore = score(candidate);
+        if (candidateScore > bestScore) {
+          best = candidate;
+          bestScore = candidateScore;
+          changed = true;
+        }
+      }
+    }
+    if (!changed) break;
+  }
+
+  return { parameters: best, score: bestScore, evaluations: scores.size };
+}
+
+// ============================================================================
+// Tuning exported data
+// ============================================================================
+
+/**
+ * Tunes the threshold algorithms on exported documents
+ * @param {Object[]} locations - Location documents
+ * @param {Object[]} motion - Motion documents
+ * @param {Object} [options] - { algorithms: keys of TUNING_GRIDS (default all), objective, rounds,
+ *   testShare, blockSize, seed, clean (default true) }
+ * @returns {Object} Tuned thresholds file (see parseTunedThresholds in js/motion-algorithms.js):
+ *   { type, version, generatedAt, objective, cleaned, points, labelledPoints, trainPoints, testPoints,
+ *   parameters: algorithm => tuned parameters,
+ *   scores: algorithm => { name, evaluations, train: { default, tuned }, test: { default, tuned } } };
+ *   test scores are null when nothing is held out
+ */
+function tuneTransportThresholds(locations, motion, options = {}) {
+  const settings = { ...TUNING_DEFAULTS, ...options };
+  const { clean = true } = options;
+  const algorithms = options.algorithms || Object.keys(TUNING_GRIDS);
+  const { points, groundTruth } = buildLabelledPoints(locations, motion, { clean });
+
+  const labelled = [];
+  groundTruth.forEach((mode, index) => {
+    if (mode !== 'unknown') labelled.push(index);
+  });
+  if (labelled.length === 0) {
+    throw new Error('No points with motion sensor labels to tune on');
+  }
+
+  const split = splitTrainTest(labelled.length, settings);
+  const train = split.train.map((i) => labelled[i]);
+  const test = split.test.map((i) => labelled[i]);
+
+  const parameters = {};
+  const scores = {};
+  for (const algorithm of algorithms) {
+    const tuned = tuneAlgorithm(points, groundTruth, train, algorithm, settings);
+    const scoreOn = (indexes, candidate) => (indexes.length > 0
+      ? scoreParameters(points, groundTruth, indexes, algorithm, candidate, settings.objective)
+      : null);
+
+    parameters[algorithm] = tuned.parameters;
+    scores[algorithm] = {
+      name: findRegisteredAlgorithm(algorithm).name,
+      evaluations: tuned.evaluations,
+      train: { default: scoreOn(train, {}), tuned: tuned.score },
+      test: { default: scoreOn(test, {}), tuned: scoreOn(test, tuned.parameters) }
+    };
+  }
+
+  return {
+    type: TUNED_THRESHOLDS_TYPE,
+    version: TUNED_THRESHOLDS_VERSION,
+    generatedAt: new Date().toISOString(),
+    objective: settings.objective,
+    cleaned: clean,
+    points: points.length,
+    labelledPoints: labelled.length,
+    trainPoints: train.length,
+    testPoints: test.length,
+    parameters,
+    scores
+  };
+}
+
+module.exports = {
+  VEHICLE_PARAMETERS,
+  TUNING_GRIDS,
+  TUNING_OBJECTIVES,
+  TUNING_DEFAULTS,
+  scoreParameters,
+  tuneAlgorithm,
+  tuneTransportThresholds
+};
@@ -3,30 +3,106 @@
 const admin = require('firebase-admin');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
+const zlib = require('zlib');
+const { DEFAULT_PAGE_SIZE, HELP_TEXT, parseCliArgs } = require('./exporter/cli');
+const {
+  resolveCohortUsers,
+  getUserDirectoryName,
+  buildCohortIndex,
+  writeCohortIndex
+} = require('./exporter/cohort');
+const {
+  loadManifest,
+  saveManifest,
+  getSyncState,
+  updateSyncState,
+  getLatestServerTimestamp,
+  mergeDocuments,
+  readExportedDocuments
+} = require('./exporter/manifest');
+const { FORMATS, getFormatFileName, isStreamingFormat, writeFormat } = require('./exporter/formats');
+const { resolveCollection } = require('./exporter/collections');
+const { DOCUMENT_ID_FIELD, readPages } = require('./exporter/pages');
+const {
+  createPseudonymizer,
+  buildUserContext,
+  anonymizeDocuments,
+  describeAnonymization
+} = require('./exporter/anonymize');
+const { createValidationReport, validateDocuments, writeValidationReport } = require('./exporter/validate');
+const { createRunReport, recordDocuments, buildRunReport, writeRunReport } = require('./exporter/run-report');
 
-// Use Firebase CLI credentials
-const firebaseCredsPath = path.join(os.homedir(), '.config', 'firebase', 'deniz_suelio_com_application_default_credentials.json');
+// gRPC status code Firestore returns when a query needs a missing composite index
+const FAILED_PRECONDITION = 9;
 
-// Set up credentials
-process.env.GOOGLE_APPLICATION_CREDENTIALS = firebaseCredsPath;
+// Range queries known to lack a composite index, per Firestore instance
+const missingIndexesByDb = new WeakMap();
 
-// Initialize with application default credentials
-admin.initializeApp({
-  projectId: 'suelio-ar'
-});
+/**
+ * Returns the set of "collection.field" range queries that lack an index on this db
+ */
+function getMissingIndexes(db) {
+  if (!missingIndexesByDb.has(db)) {
+    missingIndexesByDb.set(db, new Set());
+  }
+  return missingIndexesByDb.get(db);
+}
 
-const db = admin.firestore();
-const USER_ID = process.argv[2] || 'qaCPu4bNgYOFsjQaSRjjMb4fJRf2';
-const DAYS_BACK = 30;
+// Pseudonymizer and per-user contexts, per anonymization config
+const anonymizationStates = new WeakMap();
 
-// Calculate date 30 days ago
-const thirtyDaysAgo = new Date();
-thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - DAYS_BACK);
+/**
+ * Returns the anonymization context for a user, building it on first use
+ * Home clusters and consent come from the user's location documents in the
+ * export date range, read separately from the exported collections.
+ */
+async function getAnonymizationContext(db, userId, options) {
+  const config = options.anonymize;
+  if (!anonymizationStates.has(config)) {
+    anonymizationStates.set(config, {
+      pseudonymize: createPseudonymizer(config.idMode, config.salt),
+      contexts: new Map()
+    });
+  }
 
-console.log(`Starting export for user: ${USER_ID}`);
-console.log(`Filtering data from: ${thirtyDaysAgo.toISOString()}`);
-console.log('---');
+  const state = anonymizationStates.get(config);
+  if (!state.contexts.has(userId)) {
+    const needsLocations = config.requireConsent || config.homeRadius > 0;
+    const rawOptions = { ...options, anonymize: null, validationReport: null, runReport: null };
+    const locations = needsLocations
+      ? await fetchUserDocuments(db, resolveCollection('user_locations'), userId, rawOptions)
+      : [];
+    const context = buildUserContext(state.pseudonymize(userId), locations, config);
+    if (context.homes.length > 0) {
+      console.log(`  Masking ${context.homes.length} home cluster${context.homes.length === 1 ? '' : 's'} for ${userId}`);
+    }
+    state.contexts.set(userId, context);
+  }
+  return state.contexts.get(userId);
+}
+
+/**
+ * Initializes Firebase Admin and returns a Firestore instance
+ * In emulator mode no credentials are needed or used
+ */
+function initializeFirestore(options) {
+  if (options.emulatorHost) {
+    process.env.FIRESTORE_EMULATOR_HOST = options.emulatorHost;
+    console.log(`Using Firestore emulator at ${options.emulatorHost}`);
+  } else if (options.credentials) {
+    if (!fs.existsSync(options.credentials)) {
+      throw new Error(`Credentials file not found: ${options.credentials}`);
+    }
+    process.env.GOOGLE_APPLICATION_CREDENTIALS = options.credentials;
+  }
+
+  // Initialize with application default credentials
+  admin.initializeApp({
+    projectId: options.projectId
+  });
+
+  return admin.firestore();
+}
 
 /**
  * Converts Firestore Timestamp to ISO string
@@ -86,63 +162,308 @@ function transformDocument(data) {
 }
 
 /**
- * Exports a collection to JSON file
+ * Returns the first available timestamp of a transformed document
  */
-async function exportCollection(collectionName, outputFileName, timestampField = 'timestamp') {
-  console.log(`Exporting ${collectionName}...`);
+function getDocumentTime(doc, timestampField) {
+  return doc[timestampField] || doc.serverTimestamp || doc.createdAt || doc.arrivalDate;
+}
 
-  try {
-    // Simple query by userId only (avoid compound index requirement)
-    const snapshot = await db
-      .collection(collectionName)
-      .where('userId', '==', USER_ID)
-      .get();
-
-    const documents = [];
-
-    snapshot.forEach((doc) => {
-      const data = doc.data();
-      const transformed = transformDocument(data);
-
-      // Client-side date filtering
-      const docTime = transformed[timestampField] || transformed.serverTimestamp || transformed.createdAt || transformed.arrivalDate;
-      if (docTime) {
-        const docDate = new Date(docTime);
-        if (docDate >= thirtyDaysAgo) {
-          documents.push({
-            id: doc.id,
-            ...transformed
-          });
-        }
-      } else {
-        // Include docs without timestamps
-        documents.push({
+/**
+ * Checks whether a document timestamp falls inside the export date range
+ * Documents without timestamps are always included
+ */
+function isWithinRange(docTime, since, until) {
+  if (!docTime) {
+    return true;
+  }
+
+  const docDate = new Date(docTime);
+  if (since && docDate < since) return false;
+  if (until && docDate > until) return false;
+  return true;
+}
+
+/**
+ * Sorts documents by timestamp descending
+ */
+function sortDocuments(documents, timestampField) {
+  return documents.sort((a, b) => {
+    const timeA = getDocumentTime(a, timestampField);
+    const timeB = getDocumentTime(b, timestampField);
+
+    if (!timeA || !timeB) return 0;
+    return new Date(timeB) - new Date(timeA);
+  });
+}
+
+/**
+ * Whether the collection's schema lets documents leave out its timestamp field
+ * (user_visits without arrivalDate); Firestore range queries skip such documents
+ */
+function hasOptionalTimestamp(collection) {
+  const field = (collection.fields || []).find((descriptor) => descriptor.name === collection.timestampField);
+  return Boolean(field && !field.required);
+}
+
+/**
+ * Returns the server-side timestamp range for a user query
+ * Incremental runs page through serverTimestamp from the sync cursor; full
+ * runs filter the collection's own timestamp field by the export date range.
+ * When that field is optional, full runs read every document of the user and
+ * the client-side getDocumentTime filter, with its fallbacks, applies the range
+ */
+function getQueryRange(collection, options, after) {
+  if (!after) {
+    if (hasOptionalTimestamp(collection)) {
+      return { field: collection.timestampField, start: null, end: null };
+    }
+    return { field: collection.timestampField, start: options.since, end: options.until };
+  }
+
+  const cursor = new Date(after);
+  if (collection.timestampField !== 'serverTimestamp') {
+    return { field: 'serverTimestamp', start: cursor, end: null };
+  }
+
+  return {
+    field: 'serverTimestamp',
+    start: options.since && options.since > cursor ? options.since : cursor,
+    end: options.until
+  };
+}
+
+/**
+ * Streams one user's documents from a collection, filtered to the export date range
+ * Uses a paginated server-side timestamp range query when the composite index
+ * exists, otherwise pages through every document for the user and filters client-side.
+ * When `after` is set only documents with a serverTimestamp at or after it are kept.
+ * With options.validationReport set, documents are validated first and malformed
+ * ones recorded and dropped; with options.anonymize set, the rest are then
+ * anonymized. options.runReport collects statistics on the documents that are
+ * shared, so an anonymized run report holds no masked or exact values.
+ * @returns {Promise<number>} Number of documents passed to onDocuments
+ */
+async function streamUserDocuments(db, collection, userId, options, after, onDocuments) {
+  const { name: collectionName, timestampField } = collection;
+  const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+  const range = getQueryRange(collection, options, after);
+  const baseQuery = db
+    .collection(collectionName)
+    .where('userId', '==', userId);
+  const context = options.anonymize ? await getAnonymizationContext(db, userId, options) : null;
+
+  let readCount = 0;
+  let keptCount = 0;
+
+  const collectPage = async (docs, page) => {
+    readCount += docs.length;
+    const kept = [];
+
+    for (const doc of docs) {
+      const transformed = transformDocument(doc.data());
+
+      if (after && transformed.serverTimestamp && new Date(transformed.serverTimestamp) < new Date(after)) {
+        continue;
+      }
+
+      // Client-side date filtering (also covers the timestamp fallbacks in getDocumentTime)
+      if (isWithinRange(getDocumentTime(transformed, timestampField), options.since, options.until)) {
+        kept.push({
           id: doc.id,
           ...transformed
         });
       }
-    });
+    }
 
-    // Sort by timestamp descending
-    documents.sort((a, b) => {
-      const timeA = a[timestampField] || a.serverTimestamp || a.createdAt || a.arrivalDate;
-      const timeB = b[timestampField] || b.serverTimestamp || b.createdAt || b.arrivalDate;
+    const valid = options.validationReport
+      ? validateDocuments(options.validationReport, collection, kept, {
+        userId: context ? context.pseudonym : userId,
+        keepInvalid: options.keepInvalid
+      })
+      : kept;
+    const shared = context ? anonymizeDocuments(valid, collection, context, options.anonymize) : valid;
+    if (options.runReport) {
+      recordDocuments(options.runReport, collection, shared, context ? context.pseudonym : userId);
+    }
+    keptCount += shared.length;
+    console.log(`  ${collectionName} [${userId}] page ${page}: ${readCount} read, ${keptCount} kept`);
+    await onDocuments(shared);
+  };
 
-      if (!timeA || !timeB) return 0;
-      return new Date(timeB) - new Date(timeA);
-    });
+  const indexKey = `${collectionName}.${range.field}`;
+  const canFilterOnServer = !options.clientFilter && (range.start || range.end) && !getMissingIndexes(db).has(indexKey);
+
+  if (canFilterOnServer) {
+    let rangeQuery = baseQuery;
+    if (range.start) {
+      rangeQuery = rangeQuery.where(range.field, '>=', range.start);
+    }
+    if (range.end) {
+      rangeQuery = rangeQuery.where(range.field, '<=', range.end);
+    }
+
+    try {
+      await readPages(rangeQuery, range.field, pageSize, collectPage);
+      return keptCount;
+    } catch (error) {
+      // Missing indexes fail on the first page; anything later is a real error
+      if (error.code !== FAILED_PRECONDITION || readCount > 0) {
+        throw error;
+      }
+      getMissingIndexes(db).add(indexKey);
+      console.warn(`  No userId/${range.field} index on ${collectionName}; filtering dates client-side`);
+    }
+  }
+
+  // Query by userId only (avoids the compound index requirement)
+  await readPages(baseQuery, DOCUMENT_ID_FIELD, pageSize, collectPage);
+  return keptCount;
+}
+
+/**
+ * Fetches one user's documents from a collection into memory
+ * See streamUserDocuments for filtering and pagination
+ */
+async function fetchUserDocuments(db, collection, userId, options, after = null) {
+  const documents = [];
+  await streamUserDocuments(db, collection, userId, options, after, (docs) => {
+    documents.push(...docs);
+  });
+  return documents;
+}
+
+/**
+ * Writes documents to a JSON file
+ */
+function writeDocuments(outputPath, documents, gzip = false) {
+  const contents = JSON.stringify(documents, null, 2);
+  fs.writeFileSync(outputPath, gzip ? zlib.gzipSync(contents) : contents);
+}
+
+/**
+ * Warns about CSV columns that appeared after the header was written
+ */
+function reportDroppedColumns(collection, writer) {
+  if (writer && writer.droppedColumns && writer.droppedColumns.size > 0) {
+    console.warn(`  ${collection.name}: CSV columns not in header were dropped: ${[...writer.droppedColumns].join(', ')}`);
+  }
+}
+
+/**
+ * Writes documents in each requested output format
+ * @returns {Promise<string[]>} Names of the written files
+ */
+async function writeOutputs(outDir, collection, documents, formats, gzip = false) {
+  const fileNames = [];
+  for (const format of formats) {
+    const fileName = getFormatFileName(collection.fileName, format, gzip);
+    const writer = await writeFormat(path.join(outDir, fileName), documents, collection, format, { gzip });
+    reportDroppedColumns(collection, writer);
+    fileNames.push(fileName);
+  }
+  return fileNames;
+}
+
+/**
+ * Streams a collection page by page into NDJSON/CSV writers
+ * Documents are written in query order and never held in memory all at once
+ * @returns {Promise<number>} Number of documents written
+ */
+async function streamCollection(db, collection, options, formats) {
+  const gzip = Boolean(options.gzip);
+  const outputs = formats.map((format) => {
+    const fileName = getFormatFileName(collection.fileName, format, gzip);
+    const writer = FORMATS[format].createWriter(path.join(options.outDir, fileName), collection, { gzip });
+    return { fileName, writer };
+  });
 
-    // Ensure data directory exists
-    const dataDir = path.join(__dirname, 'data');
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
+  let count = 0;
+  try {
+    for (const userId of options.userIds) {
+      count += await streamUserDocuments(db, collection, userId, options, null, async (docs) => {
+        for (const { writer } of outputs) {
+          await writer.write(docs);
+        }
+      });
+    }
+  } finally {
+    for (const { writer } of outputs) {
+      await writer.close();
+      reportDroppedColumns(collection, writer);
     }
+  }
+
+  console.log(`✓ ${collection.name}: ${count} records streamed to ${outputs.map((o) => o.fileName).join(', ')}`);
+  return count;
+}
 
-    // Write to file
-    const outputPath = path.join(dataDir, outputFileName);
-    fs.writeFileSync(outputPath, JSON.stringify(documents, null, 2));
+/**
+ * Exports a collection in each requested format
+ * Collections written only as NDJSON/CSV are streamed page by page.
+ * In incremental mode, only documents newer than the sync manifest cursor are
+ * fetched and merged into the existing file, checkpointing after each user
+ */
+async function exportCollection(db, collection, options) {
+  const { name: collectionName, timestampField } = collection;
+  console.log(`Exporting ${collectionName}...`);
+
+  try {
+    // Ensure output directory exists
+    if (!fs.existsSync(options.outDir)) {
+      fs.mkdirSync(options.outDir, { recursive: true });
+    }
+
+    const gzip = Boolean(options.gzip);
+    const outputFileName = getFormatFileName(collection.fileName, 'json', gzip);
+    const outputPath = path.join(options.outDir, outputFileName);
+    const formats = (options.formats && options.formats[collectionName]) || ['json'];
+    const sync = options.incremental ? options.sync : null;
+
+    if (!sync && formats.every(isStreamingFormat)) {
+      return await streamCollection(db, collection, options, formats);
+    }
+
+    let documents = sync ? readExportedDocuments(outputPath) : [];
+    let newCount = 0;
+
+    for (const userId of options.userIds) {
+      if (!sync) {
+        documents.push(...await fetchUserDocuments(db, collection, userId, options));
+        continue;
+      }
+
+      const state = getSyncState(sync.manifest, collectionName, userId);
+      if (state && state.inProgress) {
+        console.log(`  Resuming interrupted export of ${collectionName} for ${userId}`);
+      }
+
+      updateSyncState(sync.manifest, collectionName, userId, { inProgress: true });
+      saveManifest(sync.manifestPath, sync.manifest);
+
+      const lastServerTimestamp = state ? state.lastServerTimestamp : null;
+      const fetched = await fetchUserDocuments(db, collection, userId, options, lastServerTimestamp);
+      documents = sortDocuments(mergeDocuments(documents, fetched), timestampField);
+      newCount += fetched.length;
+
+      // Write data before advancing the cursor so a crash never skips documents
+      writeDocuments(outputPath, documents, gzip);
+      updateSyncState(sync.manifest, collectionName, userId, {
+        lastServerTimestamp: getLatestServerTimestamp(fetched) || lastServerTimestamp,
+        inProgress: false
+      });
+      saveManifest(sync.manifestPath, sync.manifest);
+    }
+
+    if (!sync) {
+      sortDocuments(documents, timestampField);
+      const fileNames = await writeOutputs(options.outDir, collection, documents, formats, gzip);
+      console.log(`✓ ${collectionName}: ${documents.length} records exported to ${fileNames.join(', ')}`);
+    } else {
+      // The JSON file was checkpointed per user above; other formats are rebuilt from it
+      const fileNames = await writeOutputs(options.outDir, collection, documents, formats.filter((f) => f !== 'json'), gzip);
+      console.log(`✓ ${collectionName}: ${newCount} new records, ${documents.length} total in ${[outputFileName, ...fileNames].join(', ')}`);
+    }
 
-    console.log(`✓ ${collectionName}: ${documents.length} records exported to ${outputFileName}`);
     return documents.length;
   } catch (error) {
     console.error(`✗ Error exporting ${collectionName}:`, error.message);
@@ -151,35 +472,226 @@ async function exportCollection(collectionName, outputFileName, timestampField =
 }
 
 /**
- * Main export function
+ * Prints the anonymization settings of an export, if any
+ */
+function logAnonymization(options) {
+  if (!options.anonymize) {
+    return;
+  }
+
+  const settings = describeAnonymization(options.anonymize);
+  console.log(`Anonymizing: ${Object.entries(settings).map(([key, value]) => `${key}=${value}`).join(', ')}`);
+  if (settings.userIds === 'hash' && !options.anonymize.salt) {
+    console.warn('Warning: hashing user IDs without --id-salt or EXPORT_ID_SALT; anyone who knows a user ID can recompute its hash');
+  }
+}
+
+/**
+ * Writes the validation report of an export, if validation ran, and prints its totals
+ */
+function finishValidation(options) {
+  const report = options.validationReport;
+  if (!report) {
+    return;
+  }
+
+  const reportPath = writeValidationReport(options.outDir, report);
+  const results = Object.values(report.collections);
+  const malformed = results.reduce((sum, result) => sum + result.malformed, 0);
+  const suspicious = results.reduce((sum, result) => sum + result.suspicious, 0);
+
+  console.log(`Validation: ${malformed} malformed, ${suspicious} suspicious (${reportPath})`);
+  if (malformed > 0 && !options.keepInvalid) {
+    console.warn(`  ${malformed} malformed document${malformed === 1 ? ' was' : 's were'} left out of the export; use --keep-invalid to export them`);
+  }
+}
+
+/**
+ * Writes the run report of an export, if one was collected
+ * @returns {string|null} Path of the written report
  */
-async function exportAllData() {
+function finishRunReport(options) {
+  if (!options.runReport) {
+    return null;
+  }
+  return writeRunReport(options.outDir, buildRunReport(options.runReport, options));
+}
+
+/**
+ * Adds the validation and run report accumulators requested by the options
+ */
+function withReports(options) {
+  return {
+    ...options,
+    validationReport: options.validate ? createValidationReport() : null,
+    runReport: options.report ? createRunReport() : null
+  };
+}
+
+/**
+ * Exports every requested collection and prints a summary
+ * @returns {Promise<Object>} Record counts keyed by collection name
+ */
+async function exportAllData(db, options) {
+  const startTime = Date.now();
+  const counts = {};
+  const runOptions = withReports(options);
+
+  console.log(`Starting export for user${options.userIds.length > 1 ? 's' : ''}: ${options.userIds.join(', ')}`);
+  console.log(`Filtering data from: ${options.since.toISOString()}${options.until ? ` to ${options.until.toISOString()}` : ''}`);
+  console.log(`Output directory: ${options.outDir}`);
+  logAnonymization(options);
+  console.log('---');
+
+  // Export each collection
+  for (const collection of options.collections) {
+    counts[collection.name] = await exportCollection(db, collection, runOptions);
+  }
+  finishValidation(runOptions);
+  const reportPath = finishRunReport(runOptions);
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  console.log('---');
+  console.log('Export Summary:');
+  for (const collection of options.collections) {
+    console.log(`  ${collection.label}: ${counts[collection.name]} records`);
+  }
+  console.log(`  Total: ${total} records`);
+  console.log(`  Duration: ${duration}s`);
+  if (reportPath) {
+    console.log(`  Run report: ${reportPath}`);
+  }
+  console.log('---');
+  console.log('Export completed successfully!');
+
+  return counts;
+}
+
+/**
+ * Exports every requested collection for each user in the cohort
+ * Each user gets a subdirectory of the output directory, plus a combined index.json
+ * @returns {Promise<Object>} Cohort index
+ */
+async function exportCohort(db, options) {
+  const startTime = Date.now();
+  const userIds = await resolveCohortUsers(db, options);
+
+  console.log(`Starting cohort export for ${userIds.length} user${userIds.length === 1 ? '' : 's'}`);
+  console.log(`Filtering data from: ${options.since.toISOString()}${options.until ? ` to ${options.until.toISOString()}` : ''}`);
+  console.log(`Output directory: ${options.outDir}`);
+  logAnonymization(options);
+  console.log('---');
+
+  const results = [];
+  const usedDirectories = new Set();
+  for (const userId of userIds) {
+    const sharedId = options.anonymize ? (await getAnonymizationContext(db, userId, options)).pseudonym : userId;
+    const directory = getUserDirectoryName(sharedId, usedDirectories);
+    const userOptions = withReports({
+      ...options,
+      userIds: [userId],
+      outDir: path.join(options.outDir, directory)
+    });
+
+    console.log(`User ${userId}:`);
+    const counts = {};
+    for (const collection of options.collections) {
+      counts[collection.name] = await exportCollection(db, collection, userOptions);
+    }
+    finishValidation(userOptions);
+    finishRunReport(userOptions);
+    results.push({ userId: sharedId, directory, counts });
+  }
+
+  const index = buildCohortIndex(options, results);
+  if (options.anonymize) {
+    index.anonymization = describeAnonymization(options.anonymize);
+  }
+  const indexPath = writeCohortIndex(options.outDir, index);
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+  const total = Object.values(index.totals).reduce((sum, count) => sum + count, 0);
+
+  console.log('---');
+  console.log('Cohort Export Summary:');
+  console.log(`  Users: ${index.userCount}`);
+  for (const collection of options.collections) {
+    console.log(`  ${collection.label}: ${index.totals[collection.name]} records`);
+  }
+  console.log(`  Total: ${total} records`);
+  console.log(`  Index: ${indexPath}`);
+  console.log(`  Duration: ${duration}s`);
+  console.log('---');
+  console.log('Export completed successfully!');
+
+  return index;
+}
+
+/**
+ * Command-line entry point
+ * @returns {Promise<number>} Process exit code
+ */
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Run with --help for usage.');
+    return 1;
+  }
+
+  if (options.help) {
+    console.log(HELP_TEXT);
+    return 0;
+  }
+
   try {
-    const startTime = Date.now();
-
-    // Export each collection
-    const locationsCount = await exportCollection('user_locations', 'locations.json', 'serverTimestamp');
-    const motionCount = await exportCollection('user_motion_activities', 'motion.json', 'timestamp');
-    const visitsCount = await exportCollection('user_visits', 'visits.json', 'arrivalDate');
-
-    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-
-    console.log('---');
-    console.log('Export Summary:');
-    console.log(`  Locations: ${locationsCount} records`);
-    console.log(`  Motion Activities: ${motionCount} records`);
-    console.log(`  Visits: ${visitsCount} records`);
-    console.log(`  Total: ${locationsCount + motionCount + visitsCount} records`);
-    console.log(`  Duration: ${duration}s`);
-    console.log('---');
-    console.log('Export completed successfully!');
-
-    process.exit(0);
+    const db = initializeFirestore(options);
+
+    if (options.incremental) {
+      options.sync = {
+        manifestPath: options.manifestPath,
+        manifest: loadManifest(options.manifestPath)
+      };
+      console.log(`Incremental mode: using sync manifest ${options.manifestPath}`);
+    }
+
+    if (options.cohort) {
+      await exportCohort(db, options);
+    } else {
+      await exportAllData(db, options);
+    }
+    return 0;
   } catch (error) {
     console.error('Export failed:', error);
-    process.exit(1);
+    return 1;
   }
 }
 
-// Run the export
-exportAllData();
+// Run the export when invoked directly
+if (require.main === module) {
+  main().then((code) => process.exit(code));
+}
+
+module.exports = {
+  convertTimestamp,
+  convertGeoPoint,
+  transformDocument,
+  getDocumentTime,
+  isWithinRange,
+  sortDocuments,
+  writeOutputs,
+  initializeFirestore,
+  getQueryRange,
+  getAnonymizationContext,
+  readPages,
+  streamUserDocuments,
+  fetchUserDocuments,
+  streamCollection,
+  exportCollection,
+  exportAllData,
+  exportCohort,
+  main
+};
@@ -0,0 +1,252 @@
+/**
+ * Anonymization stage for exported documents
+ *
+ * Makes exports safe to share with researchers: user IDs are hashed or
+ * replaced by sequential pseudonyms, documents without dataSharingConsent
+ * are dropped, points near a user's night-time home clusters are removed
+ * and coordinates/timestamps are coarsened.
+ */
+
+const crypto = require('crypto');
+const { CONSENT_COLLECTIONS } = require('./cohort');
+
+const ID_MODES = ['hash', 'sequential'];
+const DEFAULT_HOME_RADIUS = 500; // meters
+const DEFAULT_COORDINATE_DECIMALS = 3; // ~110 m of latitude
+const DEFAULT_TIME_GRANULARITY = 15; // minutes
+const HOME_CLUSTER_RADIUS = 500; // meters, matches the dashboard's home detection
+const NIGHT_START_HOUR = 22;
+const NIGHT_END_HOUR = 6;
+const HASH_LENGTH = 16;
+
+// Exporter timestamps are always written with Date#toISOString
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+/**
+ * Calculates the great-circle distance between two points
+ * @returns {number} Distance in meters
+ */
+function haversineDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371000; // Earth radius in meters
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Checks whether a timestamp falls between 22:00 and 06:00
+ * Hours are read in the exporter's local time zone (set TZ to change it)
+ */
+function isNightTime(value) {
+  const hour = new Date(value).getHours();
+  return hour >= NIGHT_START_HOUR || hour < NIGHT_END_HOUR;
+}
+
+/**
+ * Detects night-time home clusters the same way the dashboard does:
+ * night-time points are grouped by expanding clusters of neighbours
+ * within HOME_CLUSTER_RADIUS of each other
+ * @param {Object[]} locations - Exported location documents
+ * @returns {Object[]} Cluster centroids with latitude, longitude and count, largest first
+ */
+function detectHomeClusters(locations) {
+  const nightPoints = locations.filter((loc) =>
+    typeof loc.latitude === 'number' && typeof loc.longitude === 'number' && loc.timestamp && isNightTime(loc.timestamp));
+
+  const visited = new Set();
+  const clusters = [];
+
+  nightPoints.forEach((point, idx) => {
+    if (visited.has(idx)) return;
+
+    const cluster = [point];
+    const queue = [idx];
+    visited.add(idx);
+
+    while (queue.length > 0) {
+      const current = nightPoints[queue.shift()];
+      nightPoints.forEach((other, otherIdx) => {
+        if (visited.has(otherIdx)) return;
+        if (haversineDistance(current.latitude, current.longitude, other.latitude, other.longitude) <= HOME_CLUSTER_RADIUS) {
+          cluster.push(other);
+          visited.add(otherIdx);
+          queue.push(otherIdx);
+        }
+      });
+    }
+
+    clusters.push(cluster);
+  });
+
+  return clusters.map((cluster) => ({
+    latitude: cluster.reduce((sum, p) => sum + p.latitude, 0) / cluster.length,
+    longitude: cluster.reduce((sum, p) => sum + p.longitude, 0) / cluster.length,
+    count: cluster.length
+  })).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Checks whether a document lies within radius meters of any home cluster
+ */
+function isNearHome(doc, homes, radius) {
+  if (typeof doc.latitude !== 'number' || typeof doc.longitude !== 'number') {
+    return false;
+  }
+  return homes.some((home) => haversineDistance(home.latitude, home.longitude, doc.latitude, doc.longitude) <= radius);
+}
+
+/**
+ * Creates a function mapping real user IDs to shareable IDs
+ * hash: keyed SHA-256 (HMAC with the salt), stable across runs with the same salt
+ * sequential: participant-001, participant-002, ... in the order users are seen
+ * @param {string} mode - One of ID_MODES
+ * @param {string|null} salt - Secret key for hash mode
+ * @returns {Function} userId => pseudonym
+ */
+function createPseudonymizer(mode, salt = null) {
+  if (mode === 'hash') {
+    return (userId) => {
+      const hash = salt ? crypto.createHmac('sha256', salt) : crypto.createHash('sha256');
+      return hash.update(userId).digest('hex').slice(0, HASH_LENGTH);
+    };
+  }
+
+  if (mode === 'sequential') {
+    const assigned = new Map();
+    return (userId) => {
+      if (!assigned.has(userId)) {
+        assigned.set(userId, `participant-${String(assigned.size + 1).padStart(3, '0')}`);
+      }
+      return assigned.get(userId);
+    };
+  }
+
+  return (userId) => userId;
+}
+
+/**
+ * Rounds a coordinate to a fixed number of decimal places
+ */
+function coarsenCoordinate(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Truncates an ISO timestamp down to a multiple of minutes
+ */
+function coarsenTimestamp(value, minutes) {
+  const step = minutes * 60 * 1000;
+  return new Date(Math.floor(new Date(value).getTime() / step) * step).toISOString();
+}
+
+/**
+ * Coarsens every coordinate and ISO timestamp in a document, including nested ones
+ */
+function coarsenValues(value, config, key = null) {
+  if (Array.isArray(value)) {
+    return value.map((item) => coarsenValues(item, config));
+  }
+
+  if (value && typeof value === 'object') {
+    const coarsened = {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+      coarsened[field] = coarsenValues(fieldValue, config, field);
+    }
+    return coarsened;
+  }
+
+  if (config.coordinateDecimals !== null && typeof value === 'number' && (key === 'latitude' || key === 'longitude')) {
+    return coarsenCoordinate(value, config.coordinateDecimals);
+  }
+
+  if (config.timeGranularity !== null && typeof value === 'string' && ISO_TIMESTAMP_PATTERN.test(value)) {
+    return coarsenTimestamp(value, config.timeGranularity);
+  }
+
+  return value;
+}
+
+/**
+ * Checks whether a document carries dataSharingConsent
+ */
+function hasConsent(doc) {
+  return doc.dataSharingConsent === true;
+}
+
+/**
+ * Builds what the anonymizer needs to know about one user
+ * Collections without a consent flag (motion) are only shared for users with
+ * at least one consenting location document.
+ * @param {string} pseudonym - Shareable user ID
+ * @param {Object[]} locations - The user's exported location documents
+ * @param {Object} config - Anonymization settings
+ * @returns {Object} User context with pseudonym, homes and consented
+ */
+function buildUserContext(pseudonym, locations, config) {
+  return {
+    pseudonym,
+    homes: config.homeRadius > 0 ? detectHomeClusters(locations) : [],
+    consented: locations.some(hasConsent)
+  };
+}
+
+/**
+ * Anonymizes one user's documents from a collection
+ * @param {Object[]} documents - Exported documents
+ * @param {Object} collection - Collection definition
+ * @param {Object} context - User context from buildUserContext
+ * @param {Object} config - Anonymization settings
+ * @returns {Object[]} Documents that may be shared
+ */
+function anonymizeDocuments(documents, collection, context, config) {
+  const carriesConsent = CONSENT_COLLECTIONS.includes(collection.name);
+
+  return documents
+    .filter((doc) => !config.requireConsent || (carriesConsent ? hasConsent(doc) : context.consented))
+    .filter((doc) => !isNearHome(doc, context.homes, config.homeRadius))
+    .map((doc) => {
+      const anonymized = coarsenValues(doc, config);
+      if ('userId' in anonymized) {
+        anonymized.userId = context.pseudonym;
+      }
+      return anonymized;
+    });
+}
+
+/**
+ * Describes the anonymization settings for index files, leaving out the salt
+ * @param {Object} config - Anonymization settings
+ * @returns {Object} Settings researchers need to interpret the data
+ */
+function describeAnonymization(config) {
+  return {
+    userIds: config.idMode,
+    requireConsent: config.requireConsent,
+    homeRadiusMeters: config.homeRadius,
+    coordinateDecimals: config.coordinateDecimals,
+    timeGranularityMinutes: config.timeGranularity
+  };
+}
+
+module.exports = {
+  ID_MODES,
+  DEFAULT_HOME_RADIUS,
+  DEFAULT_COORDINATE_DECIMALS,
+  DEFAULT_TIME_GRANULARITY,
+  haversineDistance,
+  isNightTime,
+  detectHomeClusters,
+  isNearHome,
+  createPseudonymizer,
+  coarsenCoordinate,
+  coarsenTimestamp,
+  coarsenValues,
+  hasConsent,
+  buildUserContext,
+  anonymizeDocuments,
+  describeAnonymization
+};
@@ -0,0 +1,321 @@
+/**
+ * Command-line option parsing for export-firebase-data.js
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { DEFAULT_COLLECTIONS, resolveCollection } = require('./collections');
+const { DEFAULT_MANIFEST_FILE } = require('./manifest');
+const { FORMATS, resolveFormats } = require('./formats');
+const { DEFAULT_PAGE_SIZE } = require('./pages');
+const {
+  ID_MODES,
+  DEFAULT_HOME_RADIUS,
+  DEFAULT_COORDINATE_DECIMALS,
+  DEFAULT_TIME_GRANULARITY
+} = require('./anonymize');
+
+const DEFAULT_USER_ID = 'qaCPu4bNgYOFsjQaSRjjMb4fJRf2';
+const DEFAULT_PROJECT_ID = 'suelio-ar';
+const DEFAULT_DAYS_BACK = 30;
+const DEFAULT_OUT_DIR = path.join(__dirname, '..', 'data');
+const DEFAULT_EMULATOR_HOST = 'localhost:8080';
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const HELP_TEXT = `Usage: node export-firebase-data.js [options] [userId]
+
+Export Firestore mobility data to JSON files for the Mix Dashboard.
+
+Options:
+  -u, --user <id>          User ID to export (repeatable, default: ${DEFAULT_USER_ID})
+      --since <date>       Only export documents on or after this ISO date
+                           (default: ${DEFAULT_DAYS_BACK} days ago)
+      --until <date>       Only export documents up to this ISO date; a date
+                           without a time includes that whole day (default: now)
+  -c, --collections <list> Comma-separated collections or aliases
+                           (default: ${DEFAULT_COLLECTIONS.join(',')})
+  -f, --format <list>      Output formats, comma-separated and repeatable: a format
+                           for every collection that supports it, or
+                           collection:format for one collection (default: json)
+                           Formats: ${Object.keys(FORMATS).join(', ')}
+                           (geojson, gpx and kml apply to locations and visits;
+                           a collection written only as ndjson/csv is streamed page
+                           by page in query order instead of sorted in memory)
+      --gzip               Gzip-compress every output file (adds .gz)
+  -o, --out-dir <dir>      Directory to write exported files to (default: ./data)
+  -p, --project <id>       Firebase project ID (default: ${DEFAULT_PROJECT_ID})
+      --credentials <file> Service account or application default credentials file
+                           (default: GOOGLE_APPLICATION_CREDENTIALS or gcloud defaults)
+      --emulator           Read from the Firestore emulator instead of production
+                           (automatic when FIRESTORE_EMULATOR_HOST is set)
+      --emulator-host <host:port>
+                           Emulator address; implies --emulator (default: FIRESTORE_EMULATOR_HOST or ${DEFAULT_EMULATOR_HOST})
+      --cohort             Write one subdirectory per user plus a combined index.json
+      --users-file <file>  Read user IDs from a file (one per line or a JSON array);
+                           implies --cohort
+      --consenting-users   Export every user with dataSharingConsent; implies --cohort
+      --incremental        Only fetch documents newer than the last run and merge
+                           them into the existing files (resumes interrupted runs);
+                           always keeps the JSON files later runs merge into
+      --manifest <file>    Sync manifest for --incremental
+                           (default: <out-dir>/${DEFAULT_MANIFEST_FILE})
+      --page-size <n>      Documents read per Firestore page (default: ${DEFAULT_PAGE_SIZE})
+      --client-filter      Skip server-side date range queries and filter dates
+                           client-side (no composite index needed)
+      --skip-validation    Don't check documents against the declared collection shapes
+      --keep-invalid       Export malformed documents too (they are still reported)
+      --skip-report        Don't write run-report.json
+  -h, --help               Show this help and exit
+
+Every document is validated before it is written: malformed documents (missing
+or mistyped fields, coordinates out of range) are left out, and they are listed
+in validation-report.json in the output directory along with suspicious ones.
+run-report.json records data-quality statistics per collection: time coverage,
+the largest upload gaps, horizontalAccuracy percentiles, background vs
+foreground collection, duplicate timestamps and motion confidence.
+
+Anonymization (for sharing with researchers; cannot be combined with --incremental):
+      --anonymize          Apply every step below with its default; individual
+                           options override the defaults
+      --pseudonymize <mode>
+                           Replace user IDs in documents, directory names and
+                           index.json: ${ID_MODES.join(' or ')} (default with --anonymize: hash)
+      --id-salt <secret>   Key for hashed IDs, keep it private (default: EXPORT_ID_SALT)
+      --require-consent    Drop documents without dataSharingConsent; motion is kept
+                           only for users with consenting location documents
+      --mask-home-radius <meters>
+                           Drop points within this distance of night-time home
+                           clusters (default with --anonymize: ${DEFAULT_HOME_RADIUS}, 0 disables)
+      --coarsen-coords <decimals>
+                           Round coordinates (default with --anonymize: ${DEFAULT_COORDINATE_DECIMALS})
+      --coarsen-time <minutes>
+                           Truncate timestamps (default with --anonymize: ${DEFAULT_TIME_GRANULARITY})
+
+Dates without a time are read as UTC midnight. Date ranges are queried
+server-side when Firestore has a composite index on (userId, <timestamp field>);
+otherwise the exporter falls back to client-side filtering automatically.
+
+Examples:
+  node export-firebase-data.js --user abc123 --since 2025-12-01 --until 2025-12-14
+  node export-firebase-data.js -u abc123 -u def456 --collections locations,visits
+  node export-firebase-data.js --users-file study-group.txt --out-dir exports/study
+  node export-firebase-data.js --format json,gpx --format visits:geojson
+  node export-firebase-data.js --since 2025-06-01 --format locations:csv,motion:ndjson --gzip
+  node export-firebase-data.js --emulator --since 2025-12-01 --out-dir /tmp/emulator-export
+  EXPORT_ID_SALT=... node export-firebase-data.js --consenting-users --anonymize --out-dir exports/shared
+`;
+
+/**
+ * Parses an ISO date option value
+ * @param {string} value - ISO date (YYYY-MM-DD) or date-time string
+ * @param {string} optionName - Option name used in error messages
+ * @param {boolean} [endOfDay=false] - Move date-only values to the end of that day
+ * @returns {Date} Parsed date
+ */
+function parseDateOption(value, optionName, endOfDay = false) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date for --${optionName}: "${value}" (expected ISO format, e.g. 2025-12-01)`);
+  }
+
+  if (endOfDay && DATE_ONLY_PATTERN.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
+  }
+
+  return date;
+}
+
+/**
+ * Splits a comma-separated list option, dropping empty entries
+ * @param {string} value - Comma-separated list
+ * @returns {string[]} List entries
+ */
+function splitList(value) {
+  return value.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parses a non-negative integer option value
+ * @param {string} value - Option value
+ * @param {string} optionName - Option name used in error messages
+ * @returns {number} Parsed integer
+ */
+function parseNonNegativeInteger(value, optionName) {
+  const number = Number(value);
+  if (value === '' || !Number.isInteger(number) || number < 0) {
+    throw new Error(`--${optionName} must be a non-negative integer, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Builds anonymization settings from parsed option values
+ * @param {Object} values - Values from util.parseArgs
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Anonymization settings, or null when no step is enabled
+ */
+function parseAnonymizeOptions(values, env) {
+  const enabled = values.anonymize || Boolean(values.pseudonymize) || values['require-consent'] ||
+    values['mask-home-radius'] !== undefined || values['coarsen-coords'] !== undefined ||
+    values['coarsen-time'] !== undefined;
+  if (!enabled) {
+    return null;
+  }
+
+  const idMode = values.pseudonymize || (values.anonymize ? 'hash' : null);
+  if (idMode && !ID_MODES.includes(idMode)) {
+    throw new Error(`Unknown --pseudonymize mode "${idMode}" (expected ${ID_MODES.join(' or ')})`);
+  }
+
+  const numberOption = (name, defaultValue) => {
+    if (values[name] !== undefined) {
+      return parseNonNegativeInteger(values[name], name);
+    }
+    return values.anonymize ? defaultValue : null;
+  };
+
+  return {
+    idMode,
+    salt: values['id-salt'] || env.EXPORT_ID_SALT || null,
+    requireConsent: values.anonymize || values['require-consent'],
+    homeRadius: numberOption('mask-home-radius', DEFAULT_HOME_RADIUS) || 0,
+    coordinateDecimals: numberOption('coarsen-coords', DEFAULT_COORDINATE_DECIMALS),
+    timeGranularity: numberOption('coarsen-time', DEFAULT_TIME_GRANULARITY) || null
+  };
+}
+
+/**
+ * Parses exporter command-line arguments
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @param {Object} [env=process.env] - Environment variables
+ * @param {Date} [now=new Date()] - Reference time for the default date range
+ * @returns {Object} Export options
+ */
+function parseCliArgs(argv, env = process.env, now = new Date()) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      user: { type: 'string', short: 'u', multiple: true },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      collections: { type: 'string', short: 'c' },
+      format: { type: 'string', short: 'f', multiple: true },
+      gzip: { type: 'boolean', default: false },
+      'out-dir': { type: 'string', short: 'o' },
+      project: { type: 'string', short: 'p' },
+      credentials: { type: 'string' },
+      emulator: { type: 'boolean', default: false },
+      'emulator-host': { type: 'string' },
+      cohort: { type: 'boolean', default: false },
+      'users-file': { type: 'string' },
+      'consenting-users': { type: 'boolean', default: false },
+      incremental: { type: 'boolean', default: false },
+      manifest: { type: 'string' },
+      'page-size': { type: 'string' },
+      'client-filter': { type: 'boolean', default: false },
+      'skip-validation': { type: 'boolean', default: false },
+      'keep-invalid': { type: 'boolean', default: false },
+      'skip-report': { type: 'boolean', default: false },
+      anonymize: { type: 'boolean', default: false },
+      pseudonymize: { type: 'string' },
+      'id-salt': { type: 'string' },
+      'require-consent': { type: 'boolean', default: false },
+      'mask-home-radius': { type: 'string' },
+      'coarsen-coords': { type: 'string' },
+      'coarsen-time': { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  // A bare positional user ID is still accepted for backwards compatibility
+  const userIds = [...(values.user || []), ...positionals];
+  const usersFile = values['users-file'] ? path.resolve(values['users-file']) : null;
+  const consentingUsers = values['consenting-users'];
+  const hasCohortSource = Boolean(usersFile) || consentingUsers;
+
+  let since;
+  if (values.since) {
+    since = parseDateOption(values.since, 'since');
+  } else {
+    since = new Date(now);
+    since.setDate(since.getDate() - DEFAULT_DAYS_BACK);
+  }
+
+  const until = values.until ? parseDateOption(values.until, 'until', true) : null;
+  if (until && until < since) {
+    throw new Error(`--until (${until.toISOString()}) is before --since (${since.toISOString()})`);
+  }
+
+  const collections = values.collections ? splitList(values.collections) : DEFAULT_COLLECTIONS;
+  if (collections.length === 0) {
+    throw new Error('--collections must name at least one collection');
+  }
+
+  const resolvedCollections = collections.map(resolveCollection);
+  const formatEntries = (values.format || []).flatMap(splitList);
+  const formats = resolveFormats(formatEntries, resolvedCollections);
+  if (values.incremental) {
+    for (const collectionFormats of Object.values(formats)) {
+      if (!collectionFormats.includes('json')) {
+        collectionFormats.unshift('json');
+      }
+    }
+  }
+
+  const pageSize = values['page-size'] ? Number(values['page-size']) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(pageSize) || pageSize < 1) {
+    throw new Error(`--page-size must be a positive integer, got "${values['page-size']}"`);
+  }
+
+  const useEmulator = values.emulator || Boolean(values['emulator-host']) || Boolean(env.FIRESTORE_EMULATOR_HOST);
+  const emulatorHost = useEmulator
+    ? values['emulator-host'] || env.FIRESTORE_EMULATOR_HOST || DEFAULT_EMULATOR_HOST
+    : null;
+
+  const anonymize = parseAnonymizeOptions(values, env);
+  if (anonymize && values.incremental) {
+    throw new Error('Anonymization cannot be combined with --incremental; anonymize a full export instead');
+  }
+
+  const outDir = path.resolve(values['out-dir'] || DEFAULT_OUT_DIR);
+
+  return {
+    help: values.help,
+    userIds: userIds.length > 0 || hasCohortSource ? [...new Set(userIds)] : [DEFAULT_USER_ID],
+    cohort: values.cohort || hasCohortSource,
+    usersFile,
+    consentingUsers,
+    since,
+    until,
+    collections: resolvedCollections,
+    formats,
+    gzip: values.gzip,
+    outDir,
+    pageSize,
+    clientFilter: values['client-filter'],
+    validate: !values['skip-validation'],
+    keepInvalid: values['keep-invalid'],
+    report: !values['skip-report'],
+    incremental: values.incremental,
+    manifestPath: values.manifest ? path.resolve(values.manifest) : path.join(outDir, DEFAULT_MANIFEST_FILE),
+    projectId: values.project || env.GCLOUD_PROJECT || DEFAULT_PROJECT_ID,
+    credentials: values.credentials ? path.resolve(values.credentials) : env.GOOGLE_APPLICATION_CREDENTIALS || null,
+    emulatorHost,
+    anonymize
+  };
+}
+
+module.exports = {
+  DEFAULT_USER_ID,
+  DEFAULT_PROJECT_ID,
+  DEFAULT_DAYS_BACK,
+  DEFAULT_OUT_DIR,
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_EMULATOR_HOST,
+  HELP_TEXT,
+  parseCliArgs,
+  parseDateOption
+};
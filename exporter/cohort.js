@@ -0,0 +1,183 @@
+/**
+ * Cohort export helpers
+ *
+ * Resolves the set of users to export (explicit IDs, a file of IDs, or every
+ * user who has opted into data sharing) and builds the combined cohort index.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getFormatFileName } = require('./formats');
+const { DEFAULT_PAGE_SIZE, DOCUMENT_ID_FIELD, readPages } = require('./pages');
+
+// Collections whose documents carry the dataSharingConsent flag
+const CONSENT_COLLECTIONS = ['user_locations', 'user_visits'];
+
+/**
+ * Reads user IDs from a file
+ * Accepts a JSON array of IDs or plain text with one ID per line (# starts a comment)
+ * @param {string} filePath - Path to the user list
+ * @returns {string[]} User IDs in file order
+ */
+function readUserIdsFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Users file not found: ${filePath}`);
+  }
+
+  const contents = fs.readFileSync(filePath, 'utf8');
+
+  if (contents.trim().startsWith('[')) {
+    const parsed = JSON.parse(contents);
+    if (!Array.isArray(parsed) || parsed.some((id) => typeof id !== 'string')) {
+      throw new Error(`Users file must be a JSON array of strings: ${filePath}`);
+    }
+    return parsed.map((id) => id.trim()).filter(Boolean);
+  }
+
+  return contents
+    .split(/\r?\n/)
+    .map((line) => line.replace(/#.*$/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Finds every user with at least one document shared with dataSharingConsent
+ * Test accounts (IDs starting with "test") are skipped, matching the dashboard user selector.
+ * Consenting documents are read a page at a time by document ID (no composite index
+ * needed), keeping only the user IDs in memory
+ * @param {Object} db - Firestore instance
+ * @param {number} [pageSize] - Documents read per page
+ * @returns {Promise<string[]>} Sorted user IDs
+ */
+async function findConsentingUsers(db, pageSize = DEFAULT_PAGE_SIZE) {
+  const userIds = new Set();
+
+  for (const collectionName of CONSENT_COLLECTIONS) {
+    const query = db
+      .collection(collectionName)
+      .where('dataSharingConsent', '==', true)
+      .select('userId');
+
+    await readPages(query, DOCUMENT_ID_FIELD, pageSize, (docs) => {
+      for (const doc of docs) {
+        const userId = doc.get('userId');
+        if (userId && !userId.startsWith('test')) {
+          userIds.add(userId);
+        }
+      }
+    });
+  }
+
+  return [...userIds].sort();
+}
+
+/**
+ * Resolves the full list of users to export from the parsed options
+ * @param {Object} db - Firestore instance
+ * @param {Object} options - Parsed exporter options
+ * @returns {Promise<string[]>} De-duplicated user IDs
+ */
+async function resolveCohortUsers(db, options) {
+  const userIds = [...options.userIds];
+
+  if (options.usersFile) {
+    userIds.push(...readUserIdsFile(options.usersFile));
+  }
+
+  if (options.consentingUsers) {
+    userIds.push(...await findConsentingUsers(db, options.pageSize));
+  }
+
+  const unique = [...new Set(userIds)];
+  if (unique.length === 0) {
+    throw new Error('Cohort export found no users to export');
+  }
+  return unique;
+}
+
+/**
+ * Returns a filesystem-safe directory name for a user ID
+ * IDs with unsafe characters, or whose name is already used ignoring case (as on
+ * macOS and Windows filesystems), get a short hash of the raw ID appended, so
+ * e.g. "a.b" and "a_b" do not share a directory
+ * @param {string} userId - Firebase user ID
+ * @param {Set<string>} [usedNames] - Lower-cased names given out so far; the new name is added
+ * @returns {string} Directory name
+ */
+function getUserDirectoryName(userId, usedNames = new Set()) {
+  const safe = userId.replace(/[^A-Za-z0-9_-]/g, '_');
+  const name = safe === userId && !usedNames.has(safe.toLowerCase())
+    ? safe
+    : `${safe}-${crypto.createHash('sha256').update(userId).digest('hex').slice(0, 8)}`;
+  usedNames.add(name.toLowerCase());
+  return name;
+}
+
+/**
+ * Builds the combined cohort index
+ * @param {Object} options - Parsed exporter options
+ * @param {Object[]} results - Per-user results with userId, directory and counts
+ * @returns {Object} Index with per-user counts and cohort totals
+ */
+function buildCohortIndex(options, results) {
+  const totals = {};
+  for (const collection of options.collections) {
+    totals[collection.name] = 0;
+  }
+
+  const users = results.map(({ userId, directory, counts }) => {
+    let total = 0;
+    for (const [collectionName, count] of Object.entries(counts)) {
+      totals[collectionName] = (totals[collectionName] || 0) + count;
+      total += count;
+    }
+    return {
+      userId,
+      directory,
+      files: options.collections.flatMap((collection) => {
+        const formats = (options.formats && options.formats[collection.name]) || ['json'];
+        return formats.map((format) => path.posix.join(directory, getFormatFileName(collection.fileName, format, options.gzip)));
+      }),
+      counts,
+      total
+    };
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    projectId: options.projectId,
+    since: options.since.toISOString(),
+    until: options.until ? options.until.toISOString() : null,
+    collections: options.collections.map((collection) => collection.name),
+    userCount: users.length,
+    users,
+    totals
+  };
+}
+
+/**
+ * Writes the cohort index to index.json in the output directory
+ * @param {string} outDir - Output directory
+ * @param {Object} index - Cohort index
+ * @returns {string} Path of the written index
+ */
+function writeCohortIndex(outDir, index) {
+  if (!fs.existsSync(outDir)) {
+    fs.mkdirSync(outDir, { recursive: true });
+  }
+
+  const indexPath = path.join(outDir, 'index.json');
+  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+  return indexPath;
+}
+
+module.exports = {
+  CONSENT_COLLECTIONS,
+  readUserIdsFile,
+  findConsentingUsers,
+  resolveCohortUsers,
+  getUserDirectoryName,
+  buildCohortIndex,
+  writeCohortIndex
+};
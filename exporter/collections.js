@@ -0,0 +1,118 @@
+/**
+ * Collections known to the exporter
+ *
+ * Maps each Firestore collection to its output file, the timestamp field
+ * used for date filtering and sorting, the CSV columns written for it and the
+ * document shape exports are validated against. Shapes use the field
+ * descriptors of js/schema-data.generated.json ({ name, type, required }),
+ * plus a `timestamp` type for ISO date strings and optional min/max bounds.
+ */
+
+const MOTION_FLAGS = ['isStationary', 'isWalking', 'isRunning', 'isAutomotive', 'isCycling', 'isUnknown'];
+
+// Fields every mobility document carries
+const COMMON_FIELDS = [
+  { name: 'id', type: 'string', required: true },
+  { name: 'userId', type: 'string', required: true },
+  { name: 'timestamp', type: 'timestamp', required: true },
+  { name: 'serverTimestamp', type: 'timestamp', required: true },
+  { name: 'createdAt', type: 'timestamp', required: false }
+];
+
+const POSITION_FIELDS = [
+  { name: 'latitude', type: 'number', required: true, min: -90, max: 90 },
+  { name: 'longitude', type: 'number', required: true, min: -180, max: 180 },
+  { name: 'location', type: 'GeoPoint', required: false },
+  { name: 'horizontalAccuracy', type: 'number', required: false },
+  { name: 'dataSharingConsent', type: 'boolean', required: false }
+];
+
+const COLLECTIONS = {
+  user_locations: {
+    alias: 'locations',
+    label: 'Locations',
+    fileName: 'locations.json',
+    timestampField: 'serverTimestamp',
+    csvColumns: [
+      'id', 'userId', 'timestamp', 'serverTimestamp', 'createdAt', 'latitude', 'longitude',
+      'location.latitude', 'location.longitude', 'horizontalAccuracy', 'source',
+      'backgroundCollected', 'dataSharingConsent', 'isARSession'
+    ],
+    fields: [
+      ...COMMON_FIELDS,
+      ...POSITION_FIELDS,
+      { name: 'source', type: 'string', required: false },
+      { name: 'backgroundCollected', type: 'boolean', required: false },
+      { name: 'isARSession', type: 'boolean', required: false }
+    ]
+  },
+  user_motion_activities: {
+    alias: 'motion',
+    label: 'Motion Activities',
+    fileName: 'motion.json',
+    timestampField: 'timestamp',
+    csvColumns: [
+      'id', 'userId', 'timestamp', 'serverTimestamp', 'createdAt', 'confidence',
+      'isStationary', 'isWalking', 'isRunning', 'isAutomotive', 'isCycling', 'isUnknown'
+    ],
+    fields: [
+      ...COMMON_FIELDS,
+      // CMMotionActivityConfidence: 0 low, 1 medium, 2 high
+      { name: 'confidence', type: 'number', required: true, min: 0, max: 2 },
+      ...MOTION_FLAGS.map((name) => ({ name, type: 'boolean', required: true }))
+    ]
+  },
+  user_visits: {
+    alias: 'visits',
+    label: 'Visits',
+    fileName: 'visits.json',
+    timestampField: 'arrivalDate',
+    csvColumns: [
+      'id', 'userId', 'arrivalDate', 'departureDate', 'timestamp', 'serverTimestamp', 'createdAt',
+      'latitude', 'longitude', 'location.latitude', 'location.longitude', 'horizontalAccuracy',
+      'dataSharingConsent'
+    ],
+    fields: [
+      ...COMMON_FIELDS,
+      ...POSITION_FIELDS,
+      { name: 'arrivalDate', type: 'timestamp', required: false },
+      { name: 'departureDate', type: 'timestamp', required: false }
+    ]
+  }
+};
+
+const DEFAULT_COLLECTIONS = Object.keys(COLLECTIONS);
+
+/**
+ * Resolves a collection name or alias to its export configuration
+ * Unknown collections are exported to <name>.json using the `timestamp` field
+ * @param {string} name - Collection name (e.g. 'user_locations') or alias (e.g. 'locations')
+ * @returns {Object} Collection config with name, label, fileName, timestampField, csvColumns and fields
+ */
+function resolveCollection(name) {
+  if (COLLECTIONS[name]) {
+    return { name, ...COLLECTIONS[name] };
+  }
+
+  const aliased = Object.keys(COLLECTIONS).find((key) => COLLECTIONS[key].alias === name);
+  if (aliased) {
+    return { name: aliased, ...COLLECTIONS[aliased] };
+  }
+
+  return {
+    name,
+    alias: name,
+    label: name,
+    fileName: `${name}.json`,
+    timestampField: 'timestamp',
+    csvColumns: null,
+    fields: null
+  };
+}
+
+module.exports = {
+  MOTION_FLAGS,
+  COLLECTIONS,
+  DEFAULT_COLLECTIONS,
+  resolveCollection
+};
@@ -0,0 +1,481 @@
+/**
+ * Output formats for exported collections
+ *
+ * JSON keeps the raw documents. GeoJSON, GPX and KML turn location documents
+ * into tracks and visit documents into points, so traces open directly in
+ * QGIS, Google Earth or GPS tooling. NDJSON and CSV are streaming formats
+ * written page by page (see writers.js).
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { createNdjsonWriter, createCsvWriter } = require('./writers');
+
+const GEO_COLLECTIONS = ['user_locations', 'user_visits'];
+
+// Namespace for the GPX <extensions> written by the exporter
+const GPX_EXTENSIONS_NAMESPACE = 'urn:mix-dashboard:gpx-extensions:1';
+
+/**
+ * Escapes text for use in XML element content and attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Returns [longitude, latitude] for a document, or null if it has no coordinates
+ * Supports both top-level latitude/longitude and a nested location GeoPoint
+ * @param {Object} doc - Exported document
+ * @returns {number[]|null} GeoJSON-ordered coordinates
+ */
+function getCoordinates(doc) {
+  const source = typeof doc.latitude === 'number' ? doc : doc.location;
+  if (!source || typeof source.latitude !== 'number' || typeof source.longitude !== 'number') {
+    return null;
+  }
+  return [source.longitude, source.latitude];
+}
+
+/**
+ * Returns the device time of a location fix
+ * @param {Object} doc - Location document
+ * @returns {string|undefined} ISO timestamp
+ */
+function getPointTime(doc) {
+  return doc.timestamp || doc.serverTimestamp;
+}
+
+/**
+ * Groups location documents into chronological per-user tracks
+ * Documents without coordinates are dropped
+ * @param {Object[]} documents - Location documents
+ * @returns {Object[]} Tracks with userId and points sorted oldest first
+ */
+function buildTracks(documents) {
+  const tracks = new Map();
+
+  for (const doc of documents) {
+    if (!getCoordinates(doc)) continue;
+    const userId = doc.userId || 'unknown';
+    if (!tracks.has(userId)) {
+      tracks.set(userId, []);
+    }
+    tracks.get(userId).push(doc);
+  }
+
+  return [...tracks.entries()].map(([userId, points]) => ({
+    userId,
+    points: points.sort((a, b) => new Date(getPointTime(a)) - new Date(getPointTime(b)))
+  }));
+}
+
+/**
+ * Returns visits with coordinates, sorted by arrival
+ * @param {Object[]} documents - Visit documents
+ * @returns {Object[]} Visits sorted oldest first
+ */
+function getSortedVisits(documents) {
+  return documents
+    .filter((doc) => getCoordinates(doc))
+    .sort((a, b) => new Date(a.arrivalDate) - new Date(b.arrivalDate));
+}
+
+/**
+ * Returns a visit's dwell time in minutes, or null if either end is unknown
+ * @param {Object} visit - Visit document
+ * @returns {number|null} Duration in minutes
+ */
+function getVisitDurationMinutes(visit) {
+  if (!visit.arrivalDate || !visit.departureDate) return null;
+  const minutes = (new Date(visit.departureDate) - new Date(visit.arrivalDate)) / 60000;
+  return Number.isFinite(minutes) && minutes >= 0 ? Math.round(minutes * 10) / 10 : null;
+}
+
+// ============================================================================
+// GeoJSON
+// ============================================================================
+
+/**
+ * Converts location documents to a FeatureCollection
+ * Each user's trace becomes a LineString (with per-vertex coordTimes), followed
+ * by one Point feature per fix carrying the original document properties
+ */
+function locationsToGeoJSON(documents) {
+  const features = [];
+
+  for (const { userId, points } of buildTracks(documents)) {
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: points.map(getCoordinates)
+      },
+      properties: {
+        featureType: 'track',
+        userId,
+        pointCount: points.length,
+        startTime: getPointTime(points[0]) || null,
+        endTime: getPointTime(points[points.length - 1]) || null,
+        coordTimes: points.map((point) => getPointTime(point) || null)
+      }
+    });
+
+    for (const point of points) {
+      const { latitude, longitude, location, ...properties } = point;
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: getCoordinates(point) },
+        properties: { featureType: 'location', ...properties }
+      });
+    }
+  }
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Converts visit documents to a FeatureCollection of Point features
+ */
+function visitsToGeoJSON(documents) {
+  return {
+    type: 'FeatureCollection',
+    features: getSortedVisits(documents).map((visit) => {
+      const { latitude, longitude, location, ...properties } = visit;
+      return {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: getCoordinates(visit) },
+        properties: {
+          featureType: 'visit',
+          ...properties,
+          arrivalDate: visit.arrivalDate || null,
+          departureDate: visit.departureDate || null,
+          durationMinutes: getVisitDurationMinutes(visit)
+        }
+      };
+    })
+  };
+}
+
+// ============================================================================
+// GPX
+// ============================================================================
+
+function formatGpxPoint(tag, doc, indent, children) {
+  const [lon, lat] = getCoordinates(doc);
+  return [
+    `${indent}<${tag} lat="${lat}" lon="${lon}">`,
+    ...children.filter(Boolean).map((child) => `${indent}  ${child}`),
+    `${indent}</${tag}>`
+  ].join('\n');
+}
+
+function wrapGpx(body) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="mix-dashboard export-firebase-data.js" xmlns="http://www.topografix.com/GPX/1/1" xmlns:mix="${GPX_EXTENSIONS_NAMESPACE}">`,
+    ...body,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Converts location documents to a GPX document with one track per user
+ * horizontalAccuracy and backgroundCollected are written as point extensions
+ */
+function locationsToGPX(documents) {
+  const body = [];
+
+  for (const { userId, points } of buildTracks(documents)) {
+    body.push('  <trk>');
+    body.push(`    <name>${escapeXml(userId)}</name>`);
+    body.push('    <trkseg>');
+    for (const point of points) {
+      const extensions = [];
+      if (typeof point.horizontalAccuracy === 'number') {
+        extensions.push(`<mix:horizontalAccuracy>${point.horizontalAccuracy}</mix:horizontalAccuracy>`);
+      }
+      if (typeof point.backgroundCollected === 'boolean') {
+        extensions.push(`<mix:backgroundCollected>${point.backgroundCollected}</mix:backgroundCollected>`);
+      }
+
+      body.push(formatGpxPoint('trkpt', point, '      ', [
+        getPointTime(point) && `<time>${escapeXml(getPointTime(point))}</time>`,
+        extensions.length > 0 && `<extensions>${extensions.join('')}</extensions>`
+      ]));
+    }
+    body.push('    </trkseg>');
+    body.push('  </trk>');
+  }
+
+  return wrapGpx(body);
+}
+
+/**
+ * Converts visit documents to GPX waypoints timed at arrival
+ */
+function visitsToGPX(documents) {
+  const body = getSortedVisits(documents).map((visit) => {
+    const duration = getVisitDurationMinutes(visit);
+    return formatGpxPoint('wpt', visit, '  ', [
+      visit.arrivalDate && `<time>${escapeXml(visit.arrivalDate)}</time>`,
+      `<name>${escapeXml(visit.id || 'visit')}</name>`,
+      `<desc>${escapeXml(`Arrived ${visit.arrivalDate || 'unknown'}, departed ${visit.departureDate || 'unknown'}`)}</desc>`,
+      `<extensions>${[
+        visit.departureDate && `<mix:departureDate>${escapeXml(visit.departureDate)}</mix:departureDate>`,
+        duration !== null && `<mix:durationMinutes>${duration}</mix:durationMinutes>`,
+        typeof visit.horizontalAccuracy === 'number' && `<mix:horizontalAccuracy>${visit.horizontalAccuracy}</mix:horizontalAccuracy>`
+      ].filter(Boolean).join('')}</extensions>`
+    ]);
+  });
+
+  return wrapGpx(body);
+}
+
+// ============================================================================
+// KML
+// ============================================================================
+
+function wrapKml(name, body) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    ...body,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Converts location documents to KML with one timed gx:Track per user
+ */
+function locationsToKML(documents) {
+  const body = [];
+
+  for (const { userId, points } of buildTracks(documents)) {
+    body.push('    <Placemark>');
+    body.push(`      <name>${escapeXml(userId)}</name>`);
+    body.push('      <gx:Track>');
+    for (const point of points) {
+      body.push(`        <when>${escapeXml(getPointTime(point) || '')}</when>`);
+    }
+    for (const point of points) {
+      const [lon, lat] = getCoordinates(point);
+      body.push(`        <gx:coord>${lon} ${lat} 0</gx:coord>`);
+    }
+    body.push('      </gx:Track>');
+    body.push('    </Placemark>');
+  }
+
+  return wrapKml('Locations', body);
+}
+
+/**
+ * Converts visit documents to KML Point placemarks spanning arrival to departure
+ */
+function visitsToKML(documents) {
+  const body = [];
+
+  for (const visit of getSortedVisits(documents)) {
+    const [lon, lat] = getCoordinates(visit);
+    body.push('    <Placemark>');
+    body.push(`      <name>${escapeXml(visit.id || 'visit')}</name>`);
+    body.push('      <TimeSpan>');
+    if (visit.arrivalDate) body.push(`        <begin>${escapeXml(visit.arrivalDate)}</begin>`);
+    if (visit.departureDate) body.push(`        <end>${escapeXml(visit.departureDate)}</end>`);
+    body.push('      </TimeSpan>');
+    body.push(`      <Point><coordinates>${lon},${lat},0</coordinates></Point>`);
+    body.push('    </Placemark>');
+  }
+
+  return wrapKml('Visits', body);
+}
+
+// ============================================================================
+// Format Registry
+// ============================================================================
+
+const FORMATS = {
+  json: {
+    extension: 'json',
+    collections: null,
+    serialize: (documents) => JSON.stringify(documents, null, 2)
+  },
+  ndjson: {
+    extension: 'ndjson',
+    collections: null,
+    streaming: true,
+    createWriter: (filePath, collection, options) => createNdjsonWriter(filePath, options)
+  },
+  csv: {
+    extension: 'csv',
+    collections: null,
+    streaming: true,
+    createWriter: (filePath, collection, options) =>
+      createCsvWriter(filePath, { ...options, columns: collection.csvColumns })
+  },
+  geojson: {
+    extension: 'geojson',
+    collections: GEO_COLLECTIONS,
+    serialize: (documents, collectionName) => JSON.stringify(
+      collectionName === 'user_visits' ? visitsToGeoJSON(documents) : locationsToGeoJSON(documents),
+      null,
+      2
+    )
+  },
+  gpx: {
+    extension: 'gpx',
+    collections: GEO_COLLECTIONS,
+    serialize: (documents, collectionName) =>
+      (collectionName === 'user_visits' ? visitsToGPX(documents) : locationsToGPX(documents))
+  },
+  kml: {
+    extension: 'kml',
+    collections: GEO_COLLECTIONS,
+    serialize: (documents, collectionName) =>
+      (collectionName === 'user_visits' ? visitsToKML(documents) : locationsToKML(documents))
+  }
+};
+
+/**
+ * Checks whether a format can represent a collection
+ * @param {string} format - Format name
+ * @param {string} collectionName - Firestore collection name
+ * @returns {boolean} True if supported
+ */
+function supportsCollection(format, collectionName) {
+  const { collections } = FORMATS[format];
+  return !collections || collections.includes(collectionName);
+}
+
+/**
+ * Resolves --format entries to the formats written for each collection
+ * Entries are either "format" (every collection that supports it) or
+ * "collection:format" where collection is a name or alias. Collections left
+ * without a format are written as JSON.
+ * @param {string[]} entries - Format entries
+ * @param {Object[]} collections - Resolved collection configs
+ * @returns {Object} Map of collection name to format names
+ */
+function resolveFormats(entries, collections) {
+  const formats = {};
+  for (const collection of collections) {
+    formats[collection.name] = [];
+  }
+
+  for (const entry of entries) {
+    const [target, format] = entry.includes(':') ? entry.split(':') : [null, entry];
+    if (!FORMATS[format]) {
+      throw new Error(`Unknown format "${format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+    }
+
+    const targets = target
+      ? collections.filter((collection) => collection.name === target || collection.alias === target)
+      : collections.filter((collection) => supportsCollection(format, collection.name));
+
+    if (target && targets.length === 0) {
+      throw new Error(`--format ${entry}: "${target}" is not one of the exported collections`);
+    }
+
+    for (const collection of targets) {
+      if (!supportsCollection(format, collection.name)) {
+        throw new Error(`--format ${entry}: ${format} cannot represent ${collection.name}`);
+      }
+      if (!formats[collection.name].includes(format)) {
+        formats[collection.name].push(format);
+      }
+    }
+  }
+
+  for (const name of Object.keys(formats)) {
+    if (formats[name].length === 0) {
+      formats[name].push('json');
+    }
+  }
+
+  return formats;
+}
+
+/**
+ * Returns the output file name for a collection in a given format
+ * @param {string} fileName - Collection's JSON file name (e.g. 'locations.json')
+ * @param {string} format - Format name
+ * @param {boolean} [gzip=false] - Append the .gz suffix
+ * @returns {string} File name with the format's extension
+ */
+function getFormatFileName(fileName, format, gzip = false) {
+  return fileName.replace(/\.json$/, '') + `.${FORMATS[format].extension}${gzip ? '.gz' : ''}`;
+}
+
+/**
+ * Checks whether a format is written incrementally by a streaming writer
+ * @param {string} format - Format name
+ * @returns {boolean} True for streaming formats
+ */
+function isStreamingFormat(format) {
+  return Boolean(FORMATS[format].streaming);
+}
+
+/**
+ * Serializes documents in a format
+ * @param {Object[]} documents - Exported documents
+ * @param {string} collectionName - Firestore collection name
+ * @param {string} format - Format name
+ * @returns {string} File contents
+ */
+function serializeDocuments(documents, collectionName, format) {
+  return FORMATS[format].serialize(documents, collectionName);
+}
+
+/**
+ * Writes documents to a file in any format, streaming NDJSON and CSV
+ * @param {string} filePath - Destination file
+ * @param {Object[]} documents - Exported documents
+ * @param {Object} collection - Collection config
+ * @param {string} format - Format name
+ * @param {Object} [options]
+ * @param {boolean} [options.gzip=false] - Compress the output
+ * @returns {Promise<Object|null>} The streaming writer used, or null
+ */
+async function writeFormat(filePath, documents, collection, format, { gzip = false } = {}) {
+  if (isStreamingFormat(format)) {
+    const writer = FORMATS[format].createWriter(filePath, collection, { gzip });
+    await writer.write(documents);
+    await writer.close();
+    return writer;
+  }
+
+  const contents = serializeDocuments(documents, collection.name, format);
+  fs.writeFileSync(filePath, gzip ? zlib.gzipSync(contents) : contents);
+  return null;
+}
+
+module.exports = {
+  FORMATS,
+  escapeXml,
+  getCoordinates,
+  buildTracks,
+  locationsToGeoJSON,
+  visitsToGeoJSON,
+  locationsToGPX,
+  visitsToGPX,
+  locationsToKML,
+  visitsToKML,
+  supportsCollection,
+  resolveFormats,
+  getFormatFileName,
+  isStreamingFormat,
+  serializeDocuments,
+  writeFormat
+};
@@ -0,0 +1,158 @@
+/**
+ * Sync manifest for incremental exports
+ *
+ * Records the last exported serverTimestamp per collection and user so that
+ * later runs only fetch newer documents. The manifest is saved after every
+ * user/collection batch, so an interrupted run resumes where it stopped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const MANIFEST_VERSION = 1;
+const DEFAULT_MANIFEST_FILE = '.sync-manifest.json';
+
+/**
+ * Creates an empty manifest
+ * @returns {Object} Manifest with no sync state
+ */
+function createManifest() {
+  return {
+    version: MANIFEST_VERSION,
+    updatedAt: null,
+    collections: {}
+  };
+}
+
+/**
+ * Loads a manifest from disk, or returns an empty one if it does not exist
+ * @param {string} manifestPath - Path to the manifest file
+ * @returns {Object} Manifest
+ */
+function loadManifest(manifestPath) {
+  if (!fs.existsSync(manifestPath)) {
+    return createManifest();
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported sync manifest version ${manifest.version} in ${manifestPath}`);
+  }
+  return manifest;
+}
+
+/**
+ * Saves a manifest atomically (write to a temp file, then rename)
+ * @param {string} manifestPath - Path to the manifest file
+ * @param {Object} manifest - Manifest to save
+ */
+function saveManifest(manifestPath, manifest) {
+  const dir = path.dirname(manifestPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  manifest.updatedAt = new Date().toISOString();
+  const tmpPath = `${manifestPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tmpPath, manifestPath);
+}
+
+/**
+ * Returns the sync state for a collection and user
+ * @param {Object} manifest - Manifest
+ * @param {string} collectionName - Firestore collection name
+ * @param {string} userId - User ID
+ * @returns {Object|null} Sync state, or null if never exported
+ */
+function getSyncState(manifest, collectionName, userId) {
+  return manifest.collections[collectionName]?.[userId] || null;
+}
+
+/**
+ * Updates the sync state for a collection and user
+ * @param {Object} manifest - Manifest
+ * @param {string} collectionName - Firestore collection name
+ * @param {string} userId - User ID
+ * @param {Object} state - Fields to merge into the sync state
+ * @returns {Object} Updated sync state
+ */
+function updateSyncState(manifest, collectionName, userId, state) {
+  if (!manifest.collections[collectionName]) {
+    manifest.collections[collectionName] = {};
+  }
+
+  const updated = {
+    ...manifest.collections[collectionName][userId],
+    ...state,
+    updatedAt: new Date().toISOString()
+  };
+  manifest.collections[collectionName][userId] = updated;
+  return updated;
+}
+
+/**
+ * Returns the latest serverTimestamp among documents
+ * @param {Object[]} documents - Exported documents
+ * @returns {string|null} Latest serverTimestamp as an ISO string
+ */
+function getLatestServerTimestamp(documents) {
+  let latest = null;
+  for (const doc of documents) {
+    if (doc.serverTimestamp && (!latest || new Date(doc.serverTimestamp) > new Date(latest))) {
+      latest = doc.serverTimestamp;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Merges newly fetched documents into previously exported ones, de-duplicating by id
+ * Incoming documents replace existing documents with the same id
+ * @param {Object[]} existing - Previously exported documents
+ * @param {Object[]} incoming - Newly fetched documents
+ * @returns {Object[]} Merged documents
+ */
+function mergeDocuments(existing, incoming) {
+  const byId = new Map();
+  for (const doc of existing) {
+    byId.set(doc.id, doc);
+  }
+  for (const doc of incoming) {
+    byId.set(doc.id, doc);
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Reads a previously exported JSON array, or returns an empty array if missing
+ * Files ending in .gz are decompressed
+ * @param {string} outputPath - Path to the exported file
+ * @returns {Object[]} Previously exported documents
+ */
+function readExportedDocuments(outputPath) {
+  if (!fs.existsSync(outputPath)) {
+    return [];
+  }
+
+  const raw = fs.readFileSync(outputPath);
+  const documents = JSON.parse((outputPath.endsWith('.gz') ? zlib.gunzipSync(raw) : raw).toString('utf8'));
+  if (!Array.isArray(documents)) {
+    throw new Error(`Expected a JSON array in ${outputPath}`);
+  }
+  return documents;
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  DEFAULT_MANIFEST_FILE,
+  createManifest,
+  loadManifest,
+  saveManifest,
+  getSyncState,
+  updateSyncState,
+  getLatestServerTimestamp,
+  mergeDocuments,
+  readExportedDocuments
+};
@@ -0,0 +1,46 @@
+/**
+ * Paginated Firestore reads
+ *
+ * Reads large queries a page at a time with startAfter cursors, so no single
+ * request returns (or holds in memory) a whole collection.
+ */
+
+// Field path Firestore uses to order by document ID
+const DOCUMENT_ID_FIELD = '__name__';
+
+const DEFAULT_PAGE_SIZE = 1000;
+
+/**
+ * Reads a query page by page using startAfter cursors
+ * @returns {Promise<number>} Number of pages read
+ */
+async function readPages(query, orderField, pageSize, onPage) {
+  let lastDoc = null;
+  let page = 0;
+
+  while (true) {
+    let pageQuery = query.orderBy(orderField).limit(pageSize);
+    if (lastDoc) {
+      pageQuery = pageQuery.startAfter(lastDoc);
+    }
+
+    const snapshot = await pageQuery.get();
+    if (snapshot.empty) {
+      return page;
+    }
+
+    page++;
+    await onPage(snapshot.docs, page);
+
+    if (snapshot.size < pageSize) {
+      return page;
+    }
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+}
+
+module.exports = {
+  DOCUMENT_ID_FIELD,
+  DEFAULT_PAGE_SIZE,
+  readPages
+};
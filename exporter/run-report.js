@@ -0,0 +1,285 @@
+/**
+ * Export run report
+ *
+ * Collects data-quality statistics while documents are exported (time
+ * coverage, upload gaps, horizontalAccuracy distribution, background vs
+ * foreground collection, duplicate timestamps and motion confidence) and
+ * writes them as run-report.json, so broken tracking on a device shows up
+ * before the data is analysed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RUN_REPORT_FILE = 'run-report.json';
+const LARGEST_GAP_COUNT = 5;
+const DUPLICATE_EXAMPLE_COUNT = 10;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Upper bounds (meters) of the horizontalAccuracy histogram buckets
+const ACCURACY_BUCKETS = [5, 10, 20, 50, 100, 500];
+
+// CMMotionActivityConfidence values
+const CONFIDENCE_LABELS = { 0: 'low', 1: 'medium', 2: 'high' };
+
+/**
+ * Creates an empty run report accumulator
+ * @returns {Object} Accumulator passed to recordDocuments
+ */
+function createRunReport() {
+  return {
+    startedAt: new Date(),
+    collections: {}
+  };
+}
+
+/**
+ * Returns the statistics for a collection, creating them on first use
+ */
+function getCollectionStats(report, collectionName) {
+  if (!report.collections[collectionName]) {
+    report.collections[collectionName] = {
+      count: 0,
+      first: null,
+      last: null,
+      days: new Set(),
+      users: new Map(),
+      accuracy: [],
+      background: { background: 0, foreground: 0, unknown: 0 },
+      confidence: {}
+    };
+  }
+  return report.collections[collectionName];
+}
+
+/**
+ * Returns the per-user statistics of a collection, creating them on first use
+ */
+function getUserStats(stats, userId) {
+  if (!stats.users.has(userId)) {
+    stats.users.set(userId, { uploads: [], timestamps: new Map() });
+  }
+  return stats.users.get(userId);
+}
+
+/**
+ * Adds exported documents to the run report
+ * @param {Object} report - Accumulator from createRunReport
+ * @param {Object} collection - Collection definition
+ * @param {Object[]} documents - Exported documents
+ * @param {string} userId - User the documents belong to
+ */
+function recordDocuments(report, collection, documents, userId) {
+  const stats = getCollectionStats(report, collection.name);
+  const user = getUserStats(stats, userId);
+
+  for (const doc of documents) {
+    stats.count++;
+
+    const time = doc[collection.timestampField] || doc.timestamp;
+    if (time) {
+      if (!stats.first || time < stats.first) stats.first = time;
+      if (!stats.last || time > stats.last) stats.last = time;
+      stats.days.add(time.slice(0, 10));
+    }
+
+    if (doc.serverTimestamp) {
+      user.uploads.push(Date.parse(doc.serverTimestamp));
+    }
+
+    if (doc.timestamp) {
+      const ids = user.timestamps.get(doc.timestamp) || [];
+      ids.push(doc.id);
+      user.timestamps.set(doc.timestamp, ids);
+    }
+
+    if (typeof doc.horizontalAccuracy === 'number') {
+      stats.accuracy.push(doc.horizontalAccuracy);
+    }
+
+    if (doc.backgroundCollected === true) {
+      stats.background.background++;
+    } else if (doc.backgroundCollected === false) {
+      stats.background.foreground++;
+    } else {
+      stats.background.unknown++;
+    }
+
+    if (typeof doc.confidence === 'number') {
+      const label = CONFIDENCE_LABELS[doc.confidence] || String(doc.confidence);
+      stats.confidence[label] = (stats.confidence[label] || 0) + 1;
+    }
+  }
+}
+
+/**
+ * Returns the value at a percentile of a sorted array (nearest rank)
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length) - 1;
+  return sorted[Math.min(Math.max(rank, 0), sorted.length - 1)];
+}
+
+/**
+ * Rounds a statistic for the report
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Summarizes horizontalAccuracy values into percentiles and a histogram
+ * @param {number[]} values - Accuracy values in meters
+ * @returns {Object|null} Distribution, or null without values
+ */
+function summarizeAccuracy(values) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const histogram = {};
+  let lower = 0;
+  for (const upper of ACCURACY_BUCKETS) {
+    histogram[`${lower}-${upper}m`] = 0;
+    lower = upper;
+  }
+  histogram[`${lower}m+`] = 0;
+
+  for (const value of sorted) {
+    const upperIndex = ACCURACY_BUCKETS.findIndex((upper) => value < upper);
+    const key = Object.keys(histogram)[upperIndex === -1 ? ACCURACY_BUCKETS.length : upperIndex];
+    histogram[key]++;
+  }
+
+  return {
+    count: sorted.length,
+    min: round(sorted[0]),
+    mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    p50: round(percentile(sorted, 50)),
+    p90: round(percentile(sorted, 90)),
+    p99: round(percentile(sorted, 99)),
+    max: round(sorted[sorted.length - 1]),
+    histogram
+  };
+}
+
+/**
+ * Finds the largest gaps between consecutive uploads of each user
+ * @param {Map} users - Per-user statistics
+ * @returns {Object[]} Largest gaps first, with userId, from, to and hours
+ */
+function findLargestGaps(users) {
+  const gaps = [];
+  for (const [userId, { uploads }] of users) {
+    const sorted = [...uploads].sort((a, b) => a - b);
+    for (let i = 1; i < sorted.length; i++) {
+      gaps.push({ userId, from: sorted[i - 1], to: sorted[i] });
+    }
+  }
+
+  return gaps
+    .sort((a, b) => (b.to - b.from) - (a.to - a.from))
+    .slice(0, LARGEST_GAP_COUNT)
+    .map(({ userId, from, to }) => ({
+      userId,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      hours: round((to - from) / HOUR_MS)
+    }));
+}
+
+/**
+ * Finds documents of the same user sharing a timestamp
+ * @param {Map} users - Per-user statistics
+ * @returns {Object} Duplicate group and document counts with examples
+ */
+function findDuplicateTimestamps(users) {
+  const duplicates = { groups: 0, documents: 0, examples: [] };
+  for (const [userId, { timestamps }] of users) {
+    for (const [timestamp, ids] of timestamps) {
+      if (ids.length < 2) continue;
+      duplicates.groups++;
+      duplicates.documents += ids.length;
+      if (duplicates.examples.length < DUPLICATE_EXAMPLE_COUNT) {
+        duplicates.examples.push({ userId, timestamp, ids });
+      }
+    }
+  }
+  return duplicates;
+}
+
+/**
+ * Turns the accumulator into the machine-readable run report
+ * @param {Object} report - Accumulator from createRunReport
+ * @param {Object} options - Export options (date range, project and anonymization)
+ * @returns {Object} Run report
+ */
+function buildRunReport(report, options) {
+  const collections = {};
+
+  for (const [name, stats] of Object.entries(report.collections)) {
+    const { background, foreground, unknown } = stats.background;
+    const collected = background + foreground;
+
+    collections[name] = {
+      count: stats.count,
+      users: stats.users.size,
+      coverage: {
+        first: stats.first,
+        last: stats.last,
+        spanHours: stats.first ? round((Date.parse(stats.last) - Date.parse(stats.first)) / HOUR_MS) : 0,
+        activeDays: stats.days.size
+      },
+      largestUploadGaps: findLargestGaps(stats.users),
+      // Coarsened timestamps make every point in a time step a duplicate
+      duplicateTimestamps: options.anonymize ? null : findDuplicateTimestamps(stats.users),
+      horizontalAccuracy: summarizeAccuracy(stats.accuracy),
+      backgroundCollected: collected > 0
+        ? { background, foreground, unknown, backgroundShare: round(background / collected, 4) }
+        : null,
+      confidence: Object.keys(stats.confidence).length > 0 ? { low: 0, medium: 0, high: 0, ...stats.confidence } : null
+    };
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    durationSeconds: round((Date.now() - report.startedAt.getTime()) / 1000),
+    projectId: options.projectId || null,
+    since: options.since ? options.since.toISOString() : null,
+    until: options.until ? options.until.toISOString() : null,
+    anonymized: Boolean(options.anonymize),
+    collections
+  };
+}
+
+/**
+ * Writes the run report to the output directory
+ * @param {string} outDir - Output directory
+ * @param {Object} runReport - Report from buildRunReport
+ * @returns {string} Path of the written report
+ */
+function writeRunReport(outDir, runReport) {
+  if (!fs.existsSync(outDir)) {
+    fs.mkdirSync(outDir, { recursive: true });
+  }
+
+  const reportPath = path.join(outDir, RUN_REPORT_FILE);
+  fs.writeFileSync(reportPath, JSON.stringify(runReport, null, 2));
+  return reportPath;
+}
+
+module.exports = {
+  RUN_REPORT_FILE,
+  ACCURACY_BUCKETS,
+  createRunReport,
+  recordDocuments,
+  percentile,
+  summarizeAccuracy,
+  findLargestGaps,
+  findDuplicateTimestamps,
+  buildRunReport,
+  writeRunReport
+};
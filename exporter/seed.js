@@ -0,0 +1,184 @@
+/**
+ * Firestore emulator seeding
+ *
+ * Loads exported JSON files (data/*.json) back into a Firestore emulator,
+ * turning ISO timestamp strings into Timestamps and {latitude, longitude}
+ * objects into GeoPoints, so the exporter and the dashboard see the same
+ * shapes they read from production.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { DEFAULT_COLLECTIONS, resolveCollection } = require('./collections');
+const { DEFAULT_PROJECT_ID, DEFAULT_OUT_DIR, DEFAULT_EMULATOR_HOST } = require('./cli');
+const DEFAULT_BATCH_SIZE = 500; // Firestore's maximum writes per batch
+
+// Exporter timestamps are always written with Date#toISOString
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+const SEED_HELP_TEXT = `Usage: node seed-firestore-emulator.js [options]
+
+Load exported JSON files into a local Firestore emulator. The command always
+connects to an emulator, so it can never write to production.
+
+Options:
+      --emulator-host <host:port> Emulator to seed
+                                  (default: FIRESTORE_EMULATOR_HOST or ${DEFAULT_EMULATOR_HOST})
+  -d, --data-dir <dir>            Directory holding exported files (default: ./data)
+  -c, --collections <list>        Comma-separated collections or aliases
+                                  (default: ${DEFAULT_COLLECTIONS.join(',')})
+  -p, --project <id>              Emulator project ID (default: ${DEFAULT_PROJECT_ID})
+      --clear                     Delete existing documents in each collection first
+  -h, --help                      Show this help and exit
+
+Start the emulator first, e.g.: firebase emulators:start --only firestore
+`;
+
+/**
+ * Parses seeding command-line arguments
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} Seed options
+ */
+function parseSeedArgs(argv, env = process.env) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      'emulator-host': { type: 'string' },
+      'data-dir': { type: 'string', short: 'd' },
+      collections: { type: 'string', short: 'c' },
+      project: { type: 'string', short: 'p' },
+      clear: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const collections = values.collections
+    ? values.collections.split(',').map((name) => name.trim()).filter(Boolean)
+    : DEFAULT_COLLECTIONS;
+
+  return {
+    help: values.help,
+    emulatorHost: values['emulator-host'] || env.FIRESTORE_EMULATOR_HOST || DEFAULT_EMULATOR_HOST,
+    dataDir: path.resolve(values['data-dir'] || DEFAULT_OUT_DIR),
+    collections: collections.map(resolveCollection),
+    projectId: values.project || DEFAULT_PROJECT_ID,
+    clear: values.clear
+  };
+}
+
+/**
+ * Converts an exported document back into Firestore values
+ * @param {*} data - Exported document or value
+ * @param {Object} types - Firestore value constructors
+ * @param {Function} types.toTimestamp - (Date) => Timestamp
+ * @param {Function} types.toGeoPoint - (latitude, longitude) => GeoPoint
+ * @returns {*} Document data ready to write
+ */
+function restoreDocument(data, types) {
+  if (data === null || data === undefined) {
+    return data;
+  }
+
+  if (Array.isArray(data)) {
+    return data.map((item) => restoreDocument(item, types));
+  }
+
+  if (typeof data === 'string' && ISO_TIMESTAMP_PATTERN.test(data)) {
+    return types.toTimestamp(new Date(data));
+  }
+
+  if (typeof data === 'object') {
+    // Mirrors the exporter's GeoPoint detection in transformDocument
+    if (typeof data.latitude === 'number' && typeof data.longitude === 'number' && Object.keys(data).length === 2) {
+      return types.toGeoPoint(data.latitude, data.longitude);
+    }
+
+    const restored = {};
+    for (const [key, value] of Object.entries(data)) {
+      restored[key] = restoreDocument(value, types);
+    }
+    return restored;
+  }
+
+  return data;
+}
+
+/**
+ * Reads the exported documents for a collection
+ * @param {string} dataDir - Directory holding exported files
+ * @param {Object} collection - Collection config
+ * @returns {Object[]} Exported documents
+ */
+function readSeedDocuments(dataDir, collection) {
+  const filePath = path.join(dataDir, collection.fileName);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No export found for ${collection.name}: ${filePath}`);
+  }
+
+  const documents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(documents)) {
+    throw new Error(`Expected a JSON array in ${filePath}`);
+  }
+  return documents;
+}
+
+/**
+ * Deletes every document in a collection
+ * @param {Object} db - Firestore instance
+ * @param {string} collectionName - Collection to clear
+ * @param {number} [batchSize=DEFAULT_BATCH_SIZE] - Deletes per batch
+ * @returns {Promise<number>} Number of deleted documents
+ */
+async function clearCollection(db, collectionName, batchSize = DEFAULT_BATCH_SIZE) {
+  let deleted = 0;
+
+  while (true) {
+    const snapshot = await db.collection(collectionName).limit(batchSize).get();
+    if (snapshot.empty) {
+      return deleted;
+    }
+
+    const batch = db.batch();
+    snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+  }
+}
+
+/**
+ * Writes exported documents into a collection, keeping their document IDs
+ * @param {Object} db - Firestore instance
+ * @param {string} collectionName - Collection to seed
+ * @param {Object[]} documents - Exported documents (each with an `id`)
+ * @param {Object} types - Firestore value constructors (see restoreDocument)
+ * @param {number} [batchSize=DEFAULT_BATCH_SIZE] - Writes per batch
+ * @returns {Promise<number>} Number of written documents
+ */
+async function seedCollection(db, collectionName, documents, types, batchSize = DEFAULT_BATCH_SIZE) {
+  let written = 0;
+
+  for (let start = 0; start < documents.length; start += batchSize) {
+    const batch = db.batch();
+    for (const { id, ...data } of documents.slice(start, start + batchSize)) {
+      const ref = id ? db.collection(collectionName).doc(id) : db.collection(collectionName).doc();
+      batch.set(ref, restoreDocument(data, types));
+    }
+    await batch.commit();
+    written += Math.min(batchSize, documents.length - start);
+  }
+
+  return written;
+}
+
+module.exports = {
+  DEFAULT_EMULATOR_HOST,
+  DEFAULT_BATCH_SIZE,
+  SEED_HELP_TEXT,
+  parseSeedArgs,
+  restoreDocument,
+  readSeedDocuments,
+  clearCollection,
+  seedCollection
+};
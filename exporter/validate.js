@@ -0,0 +1,210 @@
+/**
+ * Export validation
+ *
+ * Checks exported documents against the shapes declared in collections.js
+ * and collects malformed documents (missing or mistyped fields, out-of-range
+ * values) and suspicious ones (plausibly shaped but unlikely data) into a
+ * validation report written next to the exported files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MOTION_FLAGS } = require('./collections');
+const schemaData = require('../js/schema-data.generated.json');
+
+const VALIDATION_REPORT_FILE = 'validation-report.json';
+
+// GeoPoint shape from the generated backend schema
+const GEO_POINT_FIELDS = schemaData.entities.GeoPoint.fields;
+
+// Exporter timestamps are always written with Date#toISOString
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+const COORDINATE_TOLERANCE = 1e-6; // degrees
+const CLOCK_SKEW_TOLERANCE = 5 * 60 * 1000; // ms
+
+/**
+ * Checks a value against a declared field type
+ * @returns {string|null} Problem description, or null when the value fits
+ */
+function checkType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? null : `expected string, got ${describeValue(value)}`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `expected boolean, got ${describeValue(value)}`;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : `expected number, got ${describeValue(value)}`;
+    case 'timestamp':
+      if (typeof value !== 'string' || !ISO_TIMESTAMP_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+        return `expected ISO timestamp, got ${describeValue(value)}`;
+      }
+      return null;
+    case 'GeoPoint': {
+      if (!value || typeof value !== 'object') {
+        return `expected GeoPoint, got ${describeValue(value)}`;
+      }
+      const problems = GEO_POINT_FIELDS
+        .filter((field) => field.required || value[field.name] !== undefined)
+        .map((field) => checkType(value[field.name], field.type) && field.name);
+      const invalid = problems.filter(Boolean);
+      return invalid.length > 0 ? `GeoPoint has invalid ${invalid.join(', ')}` : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Describes a value for validation messages
+ */
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'string') return JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}…` : value);
+  if (typeof value === 'number') return String(value);
+  return typeof value;
+}
+
+// Checks for plausibly shaped but unlikely documents; each returns a message or null
+const SUSPICIOUS_CHECKS = [
+  (doc) => (doc.latitude === 0 && doc.longitude === 0 ? 'coordinates are 0,0' : null),
+  (doc) => {
+    const { location } = doc;
+    if (!location || typeof doc.latitude !== 'number' || typeof location.latitude !== 'number') return null;
+    const drift = Math.max(Math.abs(location.latitude - doc.latitude), Math.abs(location.longitude - doc.longitude));
+    return drift > COORDINATE_TOLERANCE ? 'location GeoPoint differs from latitude/longitude' : null;
+  },
+  (doc) => (typeof doc.horizontalAccuracy === 'number' && doc.horizontalAccuracy < 0
+    ? 'negative horizontalAccuracy (the device reported an invalid fix)'
+    : null),
+  (doc) => {
+    const recorded = Date.parse(doc.timestamp);
+    const received = Date.parse(doc.serverTimestamp);
+    return recorded - received > CLOCK_SKEW_TOLERANCE ? 'timestamp is after serverTimestamp (device clock ahead)' : null;
+  },
+  (doc) => (doc.arrivalDate && doc.departureDate && Date.parse(doc.departureDate) < Date.parse(doc.arrivalDate)
+    ? 'departureDate is before arrivalDate'
+    : null),
+  (doc) => (MOTION_FLAGS.every((flag) => doc[flag] === false) ? 'no motion activity flag is set' : null)
+];
+
+/**
+ * Validates one document against its collection's declared fields
+ * @param {Object} doc - Exported document
+ * @param {Object[]} fields - Field descriptors from collections.js
+ * @returns {Object} { errors, warnings }, each a list of { field, message }
+ */
+function validateDocument(doc, fields) {
+  const errors = [];
+
+  for (const field of fields) {
+    const value = doc[field.name];
+    if (value === undefined || value === null) {
+      if (field.required) {
+        errors.push({ field: field.name, message: 'missing required field' });
+      }
+      continue;
+    }
+
+    const problem = checkType(value, field.type);
+    if (problem) {
+      errors.push({ field: field.name, message: problem });
+    } else if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+      errors.push({ field: field.name, message: `${value} is outside ${field.min}..${field.max}` });
+    }
+  }
+
+  const warnings = errors.length > 0 ? [] : SUSPICIOUS_CHECKS
+    .map((check) => check(doc))
+    .filter(Boolean)
+    .map((message) => ({ field: null, message }));
+
+  return { errors, warnings };
+}
+
+/**
+ * Creates an empty validation report
+ * @returns {Object} Report with per-collection results
+ */
+function createValidationReport() {
+  return {
+    generatedAt: new Date().toISOString(),
+    collections: {}
+  };
+}
+
+/**
+ * Returns the report entry for a collection, creating it on first use
+ */
+function getCollectionReport(report, collectionName) {
+  if (!report.collections[collectionName]) {
+    report.collections[collectionName] = { checked: 0, valid: 0, malformed: 0, suspicious: 0, documents: [] };
+  }
+  return report.collections[collectionName];
+}
+
+/**
+ * Validates a batch of documents and records problems in the report
+ * Collections without declared fields are passed through unchecked.
+ * @param {Object} report - Validation report
+ * @param {Object} collection - Collection definition
+ * @param {Object[]} documents - Exported documents
+ * @param {Object} [options]
+ * @param {string} [options.userId] - User ID recorded with each problem document
+ * @param {boolean} [options.keepInvalid=false] - Export malformed documents anyway
+ * @returns {Object[]} Documents to export
+ */
+function validateDocuments(report, collection, documents, { userId = null, keepInvalid = false } = {}) {
+  if (!collection.fields) {
+    return documents;
+  }
+
+  const entry = getCollectionReport(report, collection.name);
+  return documents.filter((doc) => {
+    const { errors, warnings } = validateDocument(doc, collection.fields);
+    entry.checked++;
+
+    if (errors.length === 0 && warnings.length === 0) {
+      entry.valid++;
+      return true;
+    }
+
+    const status = errors.length > 0 ? 'malformed' : 'suspicious';
+    entry[status]++;
+    entry.documents.push({
+      id: doc.id || null,
+      userId: userId || doc.userId || null,
+      status,
+      exported: status === 'suspicious' || keepInvalid,
+      issues: [...errors, ...warnings]
+    });
+    return status === 'suspicious' || keepInvalid;
+  });
+}
+
+/**
+ * Writes the validation report to the output directory
+ * @param {string} outDir - Output directory
+ * @param {Object} report - Validation report
+ * @returns {string} Path of the written report
+ */
+function writeValidationReport(outDir, report) {
+  if (!fs.existsSync(outDir)) {
+    fs.mkdirSync(outDir, { recursive: true });
+  }
+
+  const reportPath = path.join(outDir, VALIDATION_REPORT_FILE);
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  return reportPath;
+}
+
+module.exports = {
+  VALIDATION_REPORT_FILE,
+  GEO_POINT_FIELDS,
+  checkType,
+  validateDocument,
+  createValidationReport,
+  validateDocuments,
+  writeValidationReport
+};
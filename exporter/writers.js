@@ -0,0 +1,198 @@
+/**
+ * Streaming NDJSON and CSV writers
+ *
+ * Writers accept documents in batches (one Firestore page at a time) and write
+ * them straight to disk, optionally gzip-compressed, so large exports never
+ * need the whole collection in memory or one giant JSON string.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { once } = require('events');
+const { finished, pipeline } = require('stream/promises');
+
+/**
+ * Opens a writable output stream, optionally gzip-compressed
+ * Stream errors (ENOSPC, EACCES, ...) are listened for from the start and
+ * reject the pending write() or close() instead of crashing the process.
+ * @param {string} filePath - Destination file
+ * @param {Object} [options]
+ * @param {boolean} [options.gzip=false] - Compress the output
+ * @returns {Object} { stream, write, close } where close() resolves once data is flushed
+ */
+function createOutputStream(filePath, { gzip = false } = {}) {
+  const fileStream = fs.createWriteStream(filePath);
+  const stream = gzip ? zlib.createGzip() : fileStream;
+
+  let error = null;
+  let rejectFailed;
+  const failed = new Promise((resolve, reject) => {
+    rejectFailed = reject;
+  });
+  // Awaited only in a race with the pending write or close
+  failed.catch(() => {});
+  const fail = (err) => {
+    if (!error) {
+      error = err;
+      rejectFailed(err);
+    }
+  };
+
+  fileStream.on('error', fail);
+  stream.on('error', fail);
+  const done = gzip ? pipeline(stream, fileStream) : finished(fileStream);
+  done.catch(fail);
+
+  return {
+    stream,
+
+    async write(chunk) {
+      if (error) {
+        throw error;
+      }
+      if (!stream.write(chunk)) {
+        await Promise.race([once(stream, 'drain'), failed]);
+      }
+    },
+
+    async close() {
+      if (error) {
+        throw error;
+      }
+      stream.end();
+      await Promise.race([done, failed]);
+    }
+  };
+}
+
+/**
+ * Flattens nested objects into dotted keys (e.g. location.latitude)
+ * Arrays are kept as values
+ * @param {Object} doc - Document to flatten
+ * @param {string} [prefix=''] - Key prefix for nested values
+ * @param {Object} [result={}] - Accumulator
+ * @returns {Object} Flat key/value map
+ */
+function flattenDocument(doc, prefix = '', result = {}) {
+  for (const [key, value] of Object.entries(doc)) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenDocument(value, `${prefix}${key}.`, result);
+    } else {
+      result[`${prefix}${key}`] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Formats a value as a CSV field (RFC 4180 quoting)
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function formatCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = Array.isArray(value) ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Creates a newline-delimited JSON writer
+ * @param {string} filePath - Destination file
+ * @param {Object} [options] - Output options (gzip)
+ * @returns {Object} Writer with write(documents) and close()
+ */
+function createNdjsonWriter(filePath, options = {}) {
+  const output = createOutputStream(filePath, options);
+  const writer = {
+    count: 0,
+
+    async write(documents) {
+      for (const doc of documents) {
+        await output.write(`${JSON.stringify(doc)}\n`);
+        writer.count++;
+      }
+    },
+
+    async close() {
+      await output.close();
+      return writer.count;
+    }
+  };
+  return writer;
+}
+
+/**
+ * Creates a CSV writer with nested objects flattened to columns
+ * Columns are the declared columns plus any new keys in the first batch;
+ * keys first seen in later batches cannot be added to the header and are
+ * recorded in `droppedColumns`.
+ * @param {string} filePath - Destination file
+ * @param {Object} [options]
+ * @param {string[]} [options.columns] - Columns to always include, in order
+ * @param {boolean} [options.gzip=false] - Compress the output
+ * @returns {Object} Writer with write(documents), close() and droppedColumns
+ */
+function createCsvWriter(filePath, options = {}) {
+  const output = createOutputStream(filePath, options);
+  let columns = null;
+
+  const writeHeader = async (extraKeys) => {
+    columns = [...(options.columns || [])];
+    for (const key of extraKeys) {
+      if (!columns.includes(key)) {
+        columns.push(key);
+      }
+    }
+    await output.write(`${columns.map(formatCsvValue).join(',')}\n`);
+  };
+
+  const writer = {
+    count: 0,
+    droppedColumns: new Set(),
+
+    async write(documents) {
+      const rows = documents.map((doc) => flattenDocument(doc));
+
+      // Wait for a non-empty batch so the header can include its keys
+      if (!columns && rows.length === 0) {
+        return;
+      }
+
+      if (!columns) {
+        const keys = new Set();
+        rows.forEach((row) => Object.keys(row).forEach((key) => keys.add(key)));
+        await writeHeader(keys);
+      }
+
+      for (const row of rows) {
+        for (const key of Object.keys(row)) {
+          if (!columns.includes(key)) {
+            writer.droppedColumns.add(key);
+          }
+        }
+        await output.write(`${columns.map((column) => formatCsvValue(row[column])).join(',')}\n`);
+        writer.count++;
+      }
+    },
+
+    async close() {
+      if (!columns) {
+        await writeHeader([]);
+      }
+      await output.close();
+      return writer.count;
+    }
+  };
+  return writer;
+}
+
+module.exports = {
+  createOutputStream,
+  flattenDocument,
+  formatCsvValue,
+  createNdjsonWriter,
+  createCsvWriter
+};
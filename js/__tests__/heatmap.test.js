@@ -0,0 +1,153 @@
+/**
+ * Test suite for heatmap.js
+ * Tests time-of-day windows and dwell-weighted heatmap points
+ */
+
+const {
+  HEATMAP_DEFAULTS,
+  isHourInWindow,
+  minutesInWindow,
+  buildHeatmapPoints,
+  formatHourWindow,
+} = require('../heatmap');
+
+describe('Heatmap Module', () => {
+  const at = (hour, minute = 0, day = 2) => new Date(2025, 5, day, hour, minute).getTime();
+  const iso = (time) => new Date(time).toISOString();
+  // A clock fixed at UTC, standing in for the local time at each point
+  const utcTime = (time) => {
+    const date = new Date(time);
+    return { hour: date.getUTCHours(), minute: date.getUTCMinutes(), second: date.getUTCSeconds() };
+  };
+
+  // ============================================================================
+  // Time of day
+  // ============================================================================
+
+  describe('isHourInWindow', () => {
+    it('should accept every hour for the whole day', () => {
+      expect(isHourInWindow(3, 0, 24)).toBe(true);
+      expect(isHourInWindow(3, 8, 8)).toBe(true);
+    });
+
+    it('should treat the end hour as exclusive', () => {
+      expect(isHourInWindow(9, 9, 17)).toBe(true);
+      expect(isHourInWindow(17, 9, 17)).toBe(false);
+    });
+
+    it('should wrap windows over midnight', () => {
+      expect(isHourInWindow(23, 22, 6)).toBe(true);
+      expect(isHourInWindow(2, 22, 6)).toBe(true);
+      expect(isHourInWindow(12, 22, 6)).toBe(false);
+    });
+  });
+
+  describe('minutesInWindow', () => {
+    it('should count a whole span for the whole day', () => {
+      expect(minutesInWindow(at(8), at(10, 30), 0, 24)).toBe(150);
+    });
+
+    it('should clip a span to the window', () => {
+      expect(minutesInWindow(at(8, 30), at(10, 15), 9, 17)).toBe(75);
+    });
+
+    it('should count night-time minutes across midnight', () => {
+      expect(minutesInWindow(at(21), at(7, 0, 3), 22, 6)).toBe(8 * 60);
+    });
+
+    it('should return 0 for empty spans', () => {
+      expect(minutesInWindow(at(10), at(10), 0, 24)).toBe(0);
+    });
+
+    it('should use the given clock for the window', () => {
+      expect(minutesInWindow(Date.UTC(2025, 5, 2, 8, 30), Date.UTC(2025, 5, 2, 10, 15), 9, 17, utcTime)).toBe(75);
+    });
+  });
+
+  // ============================================================================
+  // Points
+  // ============================================================================
+
+  describe('buildHeatmapPoints', () => {
+    const location = (time, latitude = 1, longitude = 2) => ({ timestamp: iso(time), latitude, longitude });
+    const visit = (arrival, departure, latitude = 5, longitude = 6) => ({
+      arrivalDate: iso(arrival),
+      departureDate: iso(departure),
+      latitude,
+      longitude,
+    });
+
+    it('should weight visits by dwell time relative to location samples', () => {
+      const points = buildHeatmapPoints([location(at(8))], [visit(at(9), at(9, 50))]);
+
+      // 50 min / 5 min per point = 10, normalised to 1
+      expect(points).toEqual([[1, 2, 0.1], [5, 6, 1]]);
+    });
+
+    it('should only count samples and dwell minutes in the time-of-day window', () => {
+      const points = buildHeatmapPoints(
+        [location(at(8)), location(at(13))],
+        [visit(at(11), at(13))],
+        { fromHour: 12, toHour: 18 },
+      );
+
+      // One sample at 13:00 (1) and 60 dwell minutes after 12:00 (12)
+      expect(points).toHaveLength(2);
+      expect(points[0][2]).toBeCloseTo(1 / 12);
+      expect(points[1][2]).toBe(1);
+    });
+
+    it('should clip to the date range', () => {
+      const points = buildHeatmapPoints(
+        [location(at(8)), location(at(8, 0, 5))],
+        [visit(at(20), at(8, 0, 3))],
+        { start: at(0), end: at(23, 59) },
+      );
+
+      expect(points).toHaveLength(2);
+      expect(points[1][2]).toBe(1); // 20:00-23:59 of dwell within the range, ~48 points
+      expect(points[0][2]).toBeCloseTo(1 / 48);
+    });
+
+    it('should skip visits without dwell time and invalid points', () => {
+      const points = buildHeatmapPoints(
+        [location(at(8)), { timestamp: iso(at(9)) }],
+        [{ timestamp: iso(at(9)), latitude: 5, longitude: 6 }],
+      );
+
+      expect(points).toEqual([[1, 2, 1]]);
+    });
+
+    it('should return no points without data', () => {
+      expect(buildHeatmapPoints([], [])).toEqual([]);
+    });
+
+    it('should take the hour from the localTime option', () => {
+      const localTime = jest.fn((time) => utcTime(time));
+      const points = buildHeatmapPoints(
+        [location(Date.UTC(2025, 5, 2, 8)), location(Date.UTC(2025, 5, 2, 13))],
+        [visit(Date.UTC(2025, 5, 2, 11), Date.UTC(2025, 5, 2, 13))],
+        { fromHour: 12, toHour: 18, localTime },
+      );
+
+      expect(points).toHaveLength(2);
+      expect(points[0][2]).toBeCloseTo(1 / 12);
+      expect(localTime).toHaveBeenCalledWith(Date.UTC(2025, 5, 2, 13), 1, 2);
+      expect(localTime).toHaveBeenCalledWith(Date.UTC(2025, 5, 2, 12), 5, 6);
+    });
+
+    it('should let minutesPerPoint change how much a visit weighs', () => {
+      const points = buildHeatmapPoints([location(at(8))], [visit(at(9), at(9, 1))], { minutesPerPoint: 0.5 });
+
+      expect(points).toEqual([[1, 2, 0.5], [5, 6, 1]]);
+    });
+  });
+
+  describe('formatHourWindow', () => {
+    it('should describe the window', () => {
+      expect(formatHourWindow(HEATMAP_DEFAULTS.fromHour, HEATMAP_DEFAULTS.toHour)).toBe('All day');
+      expect(formatHourWindow(22, 6)).toBe('22:00–06:00');
+      expect(formatHourWindow(9, 24)).toBe('09:00–00:00');
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Test suite for local-data.js
+ * Tests parsing exported files, building a local dataset and answering dashboard queries from it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  LOCAL_DATA_FILES,
+  parseLocalDataText,
+  detectLocalDataKind,
+  readLocalDataFile,
+  createLocalDataset,
+  addLocalDocuments,
+  loadLocalDataFiles,
+  selectLocalDocuments,
+  summarizeLocalUsers,
+} = require('../local-data');
+
+describe('Local Data Module', () => {
+  const location = (id, serverTimestamp, userId = 'userA') => ({
+    id,
+    latitude: 42.36,
+    longitude: -71.09,
+    timestamp: serverTimestamp,
+    serverTimestamp,
+    userId,
+  });
+
+  // ============================================================================
+  // Parsing
+  // ============================================================================
+
+  describe('parseLocalDataText', () => {
+    it('should parse JSON arrays written by the exporter', () => {
+      expect(parseLocalDataText('[{"id":"a"},{"id":"b"}]')).toEqual([{ id: 'a' }, { id: 'b' }]);
+    });
+
+    it('should parse NDJSON, ignoring blank lines', () => {
+      expect(parseLocalDataText('{"id":"a"}\n\n{"id":"b"}\r\n')).toEqual([{ id: 'a' }, { id: 'b' }]);
+    });
+
+    it('should treat an empty file as no documents', () => {
+      expect(parseLocalDataText('  \n')).toEqual([]);
+    });
+
+    it('should report the failing NDJSON line', () => {
+      expect(() => parseLocalDataText('{"id":"a"}\n{oops')).toThrow('Invalid JSON on line 2');
+    });
+  });
+
+  describe('detectLocalDataKind', () => {
+    it('should use the file name when it names the collection', () => {
+      expect(detectLocalDataKind('locations.json.gz', [])).toBe('locations');
+      expect(detectLocalDataKind('user_motion_activities.ndjson', [])).toBe('motion');
+      expect(detectLocalDataKind('Visits.json', [])).toBe('visits');
+    });
+
+    it('should fall back to the document shape', () => {
+      expect(detectLocalDataKind('export.json', [{ latitude: 1, longitude: 2, arrivalDate: 'x' }])).toBe('visits');
+      expect(detectLocalDataKind('export.json', [{ isWalking: true }])).toBe('motion');
+      expect(detectLocalDataKind('export.json', [{ latitude: 1, longitude: 2 }])).toBe('locations');
+      expect(detectLocalDataKind('index.json', [{ users: [] }])).toBeNull();
+      expect(detectLocalDataKind('empty.json', [])).toBeNull();
+    });
+  });
+
+  describe('readLocalDataFile', () => {
+    it('should read plain files as text', async () => {
+      const file = { name: 'locations.json', text: jest.fn(async () => '[]') };
+      await expect(readLocalDataFile(file)).resolves.toBe('[]');
+    });
+  });
+
+  // ============================================================================
+  // Dataset
+  // ============================================================================
+
+  describe('addLocalDocuments', () => {
+    it('should combine files and replace documents with the same id', () => {
+      const dataset = createLocalDataset();
+      addLocalDocuments(dataset, 'locations', [location('a', '2025-12-01T00:00:00.000Z')], 'one.json');
+      addLocalDocuments(dataset, 'locations', [
+        location('a', '2025-12-02T00:00:00.000Z'),
+        location('b', '2025-12-03T00:00:00.000Z', 'userB'),
+      ], 'two.json');
+
+      expect(dataset.locations.map((doc) => [doc.id, doc.serverTimestamp])).toEqual([
+        ['a', '2025-12-02T00:00:00.000Z'],
+        ['b', '2025-12-03T00:00:00.000Z'],
+      ]);
+      expect(dataset.sources).toEqual([
+        { name: 'one.json', kind: 'locations', count: 1 },
+        { name: 'two.json', kind: 'locations', count: 2 },
+      ]);
+    });
+
+    it('should reject unknown kinds', () => {
+      expect(() => addLocalDocuments(createLocalDataset(), 'narratives', [], 'x.json')).toThrow('Unknown data kind');
+    });
+  });
+
+  describe('loadLocalDataFiles', () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+
+    function fetchFromRepo(missing = []) {
+      return jest.fn(async (url) => {
+        if (missing.includes(url)) {
+          return { ok: false, status: 404 };
+        }
+        return { ok: true, status: 200, text: async () => fs.readFileSync(path.join(repoRoot, url), 'utf8') };
+      });
+    }
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('should load the exported data files', async () => {
+      const dataset = await loadLocalDataFiles(fetchFromRepo());
+
+      expect(dataset.sources.map((source) => source.name)).toEqual(Object.values(LOCAL_DATA_FILES));
+      expect(dataset.locations.length).toBeGreaterThan(0);
+      expect(dataset.motion.length).toBeGreaterThan(0);
+      expect(dataset.visits.length).toBeGreaterThan(0);
+    });
+
+    it('should skip missing files', async () => {
+      const dataset = await loadLocalDataFiles(fetchFromRepo([LOCAL_DATA_FILES.motion]));
+      expect(dataset.motion).toEqual([]);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('data/motion.json not found'));
+    });
+
+    it('should fail when no file exists', async () => {
+      await expect(loadLocalDataFiles(fetchFromRepo(Object.values(LOCAL_DATA_FILES))))
+        .rejects.toThrow('No exported data found');
+    });
+  });
+
+  // ============================================================================
+  // Queries
+  // ============================================================================
+
+  describe('selectLocalDocuments', () => {
+    const documents = [
+      location('a', '2025-12-01T10:00:00.000Z'),
+      location('b', '2025-12-03T10:00:00.000Z'),
+      location('c', '2025-12-02T10:00:00.000Z'),
+      location('d', '2025-12-02T12:00:00.000Z', 'userB'),
+      location('e', '2025-12-05T10:00:00.000Z'),
+    ];
+
+    it('should select one user within the range, newest first', () => {
+      const selected = selectLocalDocuments(
+        documents, 'userA', new Date('2025-12-01T10:00:00.000Z'), new Date('2025-12-03T10:00:00.000Z'));
+      expect(selected.map((doc) => doc.id)).toEqual(['b', 'c', 'a']);
+    });
+
+    it('should select every user without a user ID', () => {
+      const selected = selectLocalDocuments(
+        documents, null, new Date('2025-12-02T00:00:00.000Z'), new Date('2025-12-02T23:59:59.999Z'));
+      expect(selected.map((doc) => doc.id)).toEqual(['d', 'c']);
+    });
+
+    it('should not reorder the source array', () => {
+      selectLocalDocuments(documents, 'userA', new Date(0), new Date('2030-01-01'));
+      expect(documents.map((doc) => doc.id)).toEqual(['a', 'b', 'c', 'd', 'e']);
+    });
+  });
+
+  describe('summarizeLocalUsers', () => {
+    it('should count documents and date ranges per user like loadAvailableUsers', () => {
+      const dataset = createLocalDataset();
+      addLocalDocuments(dataset, 'locations', [
+        location('a', '2025-12-01T10:00:00.000Z'),
+        location('b', '2025-12-03T10:00:00.000Z'),
+      ], 'locations.json');
+      addLocalDocuments(dataset, 'visits', [
+        { id: 'v', userId: 'userA', arrivalDate: '2025-11-30T09:00:00.000Z' },
+        { id: 'w', arrivalDate: '2025-11-30T09:00:00.000Z' },
+      ], 'visits.json');
+
+      const users = summarizeLocalUsers(dataset);
+
+      expect([...users.keys()]).toEqual(['userA']);
+      expect(users.get('userA')).toEqual({
+        locations: 2,
+        motion: 0,
+        visits: 1,
+        minDate: new Date('2025-11-30T09:00:00.000Z'),
+        maxDate: new Date('2025-12-03T10:00:00.000Z'),
+      });
+    });
+  });
+});
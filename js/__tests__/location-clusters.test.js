@@ -0,0 +1,106 @@
+/**
+ * Test suite for location-clusters.js
+ * Tests level-of-detail decisions, grid clustering and cluster summaries
+ */
+
+const {
+  LOD_DEFAULTS,
+  filterPointsInBounds,
+  chooseRenderMode,
+  clusterPoints,
+  summarizeCluster,
+  getClusterRadius,
+} = require('../location-clusters');
+
+describe('Location Clusters Module', () => {
+  // Treat degrees as pixels so cell membership is easy to read
+  const project = (latitude, longitude) => ({ x: longitude, y: latitude });
+  const point = (latitude, longitude, extra = {}) => ({ latitude, longitude, ...extra });
+
+  // ============================================================================
+  // Level of detail
+  // ============================================================================
+
+  describe('filterPointsInBounds', () => {
+    it('should keep points inside the bounds, edges included', () => {
+      const points = [point(0, 0), point(10, 10), point(11, 5), point(5, -1)];
+
+      expect(filterPointsInBounds(points, { south: 0, west: 0, north: 10, east: 10 })).toEqual([point(0, 0), point(10, 10)]);
+    });
+  });
+
+  describe('chooseRenderMode', () => {
+    it('should draw few points individually at any zoom', () => {
+      expect(chooseRenderMode(3, LOD_DEFAULTS.maxDetailPoints)).toBe('points');
+    });
+
+    it('should cluster many points when zoomed out', () => {
+      expect(chooseRenderMode(10, LOD_DEFAULTS.maxDetailPoints + 1)).toBe('clusters');
+    });
+
+    it('should draw individual points when zoomed in far enough', () => {
+      expect(chooseRenderMode(LOD_DEFAULTS.detailZoom, 100000)).toBe('points');
+    });
+
+    it('should honour custom thresholds', () => {
+      expect(chooseRenderMode(10, 50, { maxDetailPoints: 10 })).toBe('clusters');
+    });
+  });
+
+  // ============================================================================
+  // Clustering
+  // ============================================================================
+
+  describe('clusterPoints', () => {
+    it('should group points sharing a grid cell', () => {
+      const clusters = clusterPoints([point(1, 1), point(2, 3), point(50, 50)], project, 10);
+
+      expect(clusters).toHaveLength(2);
+      const [near, far] = clusters;
+      expect(near.count).toBe(2);
+      expect(near.latitude).toBe(1.5);
+      expect(near.longitude).toBe(2);
+      expect(far.points).toEqual([point(50, 50)]);
+    });
+
+    it('should use the default cell size', () => {
+      const clusters = clusterPoints([point(0, 0), point(LOD_DEFAULTS.cellSize - 1, 0)], project);
+
+      expect(clusters).toHaveLength(1);
+    });
+
+    it('should return no clusters without points', () => {
+      expect(clusterPoints([], project)).toEqual([]);
+    });
+  });
+
+  describe('summarizeCluster', () => {
+    it('should summarize the time range and activity mix', () => {
+      const summary = summarizeCluster([
+        point(0, 0, { time: 3000, activity: 'walking' }),
+        point(0, 0, { time: 1000, activity: 'walking' }),
+        point(0, 0, { time: 2000, activity: 'automotive' }),
+      ]);
+
+      expect(summary).toEqual({
+        count: 3,
+        start: 1000,
+        end: 3000,
+        activities: { walking: 2, automotive: 1 },
+        dominantActivity: 'walking',
+      });
+    });
+
+    it('should handle empty clusters', () => {
+      expect(summarizeCluster([])).toMatchObject({ count: 0, start: null, end: null, dominantActivity: 'unknown' });
+    });
+  });
+
+  describe('getClusterRadius', () => {
+    it('should grow with the cluster size up to a maximum', () => {
+      expect(getClusterRadius(1)).toBe(8);
+      expect(getClusterRadius(16)).toBeGreaterThan(getClusterRadius(4));
+      expect(getClusterRadius(1e9)).toBe(28);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Test suite for map-matching.js
+ * Tests street network parsing, candidate search, street routing and trace matching
+ */
+
+const {
+  MATCHING_DEFAULTS,
+  parseStreetNetwork,
+  findStreetCandidates,
+  searchStreetGraph,
+  routeBetweenCandidates,
+  matchTrace,
+} = require('../map-matching');
+
+describe('Map Matching Module', () => {
+  // ~111 m per 0.001 degrees of latitude, ~82 m per 0.001 degrees of longitude at 42.36
+  const line = (coordinates, properties = {}) => ({
+    type: 'Feature',
+    properties,
+    geometry: { type: 'LineString', coordinates: coordinates.map(([lat, lon]) => [lon, lat]) },
+  });
+
+  // An L-shaped street: east along 42.360 from -71.100 to -71.095, then north to 42.365
+  const lStreet = () => parseStreetNetwork({
+    type: 'FeatureCollection',
+    features: [
+      line([[42.360, -71.100], [42.360, -71.095]], { highway: 'residential', name: 'Main St' }),
+      line([[42.360, -71.095], [42.365, -71.095]], { highway: 'footway' }),
+    ],
+  });
+
+  // ============================================================================
+  // Street network
+  // ============================================================================
+
+  describe('parseStreetNetwork', () => {
+    it('should join GeoJSON streets at shared vertices', () => {
+      const network = lStreet();
+
+      expect(network.nodes).toHaveLength(3);
+      expect(network.edges).toHaveLength(2);
+      expect(network.edges[0].name).toBe('Main St');
+      expect(network.adjacency[1]).toHaveLength(2);
+    });
+
+    it('should skip excluded highways and read MultiLineStrings', () => {
+      const network = parseStreetNetwork({
+        type: 'FeatureCollection',
+        features: [
+          line([[42.36, -71.1], [42.37, -71.1]], { highway: 'motorway' }),
+          {
+            type: 'Feature',
+            properties: {},
+            geometry: { type: 'MultiLineString', coordinates: [[[-71.1, 42.36], [-71.09, 42.36]], [[-71.1, 42.35], [-71.09, 42.35]]] },
+          },
+        ],
+      });
+
+      expect(network.edges).toHaveLength(2);
+    });
+
+    it('should read OSM JSON ways with their nodes', () => {
+      const network = parseStreetNetwork({
+        elements: [
+          { type: 'node', id: 1, lat: 42.36, lon: -71.1 },
+          { type: 'node', id: 2, lat: 42.36, lon: -71.09 },
+          { type: 'node', id: 3, lat: 42.37, lon: -71.09 },
+          { type: 'way', id: 10, nodes: [1, 2, 3], tags: { highway: 'path' } },
+          { type: 'way', id: 11, nodes: [1, 3], tags: { building: 'yes' } },
+        ],
+      });
+
+      expect(network.edges).toHaveLength(2);
+      expect(network.edges[0].distance).toBeCloseTo(822, -1);
+    });
+
+    it('should reject data that is not a street network', () => {
+      expect(() => parseStreetNetwork([{ latitude: 1, longitude: 2 }])).toThrow('Unrecognised street network');
+      expect(() => parseStreetNetwork({ type: 'FeatureCollection', features: [] })).toThrow('no usable streets');
+    });
+  });
+
+  describe('findStreetCandidates', () => {
+    it('should project a fix onto the nearest streets', () => {
+      const [closest] = findStreetCandidates(lStreet(), { latitude: 42.3602, longitude: -71.0975 });
+
+      expect(closest.edge).toBe(0);
+      expect(closest.fraction).toBeCloseTo(0.5, 2);
+      expect(closest.latitude).toBeCloseTo(42.36, 6);
+      expect(closest.distance).toBeCloseTo(22, 0);
+    });
+
+    it('should ignore streets outside the search radius', () => {
+      expect(findStreetCandidates(lStreet(), { latitude: 42.362, longitude: -71.0975 })).toEqual([]);
+    });
+  });
+
+  // ============================================================================
+  // Routing
+  // ============================================================================
+
+  describe('routeBetweenCandidates', () => {
+    it('should route around a corner through the shared node', () => {
+      const network = lStreet();
+      const search = (node) => searchStreetGraph(network, node, MATCHING_DEFAULTS.maxRouteDistance);
+      const [from] = findStreetCandidates(network, { latitude: 42.3601, longitude: -71.0975 });
+      const [to] = findStreetCandidates(network, { latitude: 42.3625, longitude: -71.0951 });
+
+      const route = routeBetweenCandidates(network, from, to, search);
+
+      // ~205 m east to the corner, then ~278 m north
+      expect(route.distance).toBeCloseTo(206 + 278, -1);
+      expect(route.path).toContainEqual([42.36, -71.095]);
+    });
+
+    it('should return null when no street route connects the candidates', () => {
+      const network = parseStreetNetwork({
+        type: 'FeatureCollection',
+        features: [line([[42.360, -71.100], [42.360, -71.095]]), line([[42.370, -71.100], [42.370, -71.095]])],
+      });
+      const search = (node) => searchStreetGraph(network, node, MATCHING_DEFAULTS.maxRouteDistance);
+      const [from] = findStreetCandidates(network, { latitude: 42.3601, longitude: -71.099 });
+      const [to] = findStreetCandidates(network, { latitude: 42.3701, longitude: -71.099 });
+
+      expect(routeBetweenCandidates(network, from, to, search)).toBeNull();
+    });
+  });
+
+  // ============================================================================
+  // Matching
+  // ============================================================================
+
+  describe('matchTrace', () => {
+    it('should follow the street instead of zig-zagging between noisy fixes', () => {
+      // Fixes alternate ~20 m either side of Main St while walking east
+      const points = [0, 1, 2, 3, 4, 5].map((i) => ({
+        latitude: 42.36 + (i % 2 === 0 ? 0.00018 : -0.00018),
+        longitude: -71.1 + i * 0.0008,
+      }));
+
+      const match = matchTrace(points, lStreet());
+
+      expect(match.matchedCount).toBe(6);
+      expect(match.paths).toHaveLength(1);
+      match.paths[0].forEach(([latitude]) => expect(latitude).toBeCloseTo(42.36, 6));
+      // Five ~66 m steps along the street, not the ~75 m diagonals between fixes
+      expect(match.distance).toBeCloseTo(5 * 0.0008 * 82000, -1);
+      expect(match.gapDistance).toBe(0);
+    });
+
+    it('should follow the street around a corner', () => {
+      const points = [
+        { latitude: 42.3601, longitude: -71.097 },
+        { latitude: 42.3599, longitude: -71.0955 },
+        { latitude: 42.361, longitude: -71.0951 },
+        { latitude: 42.3625, longitude: -71.0949 },
+      ];
+
+      const match = matchTrace(points, lStreet());
+
+      expect(match.paths[0]).toContainEqual([42.36, -71.095]);
+      expect(match.distance).toBeCloseTo(164 + 278, -1);
+    });
+
+    it('should skip fixes with no street nearby', () => {
+      const points = [
+        { latitude: 42.3601, longitude: -71.099 },
+        { latitude: 42.3630, longitude: -71.098 }, // in the middle of a block
+        { latitude: 42.3601, longitude: -71.097 },
+      ];
+
+      const match = matchTrace(points, lStreet());
+
+      expect(match.matchedCount).toBe(2);
+      expect(match.unmatchedCount).toBe(1);
+      // The detour through the skipped fix is measured straight: two ~332 m legs
+      expect(match.gapDistance).toBeCloseTo(2 * Math.hypot(0.0029 * 111000, 0.001 * 82000), -1);
+    });
+
+    it('should split the match where streets do not connect', () => {
+      const network = parseStreetNetwork({
+        type: 'FeatureCollection',
+        features: [
+          line([[42.360, -71.100], [42.360, -71.095]]),
+          line([[42.3605, -71.100], [42.3605, -71.095]]), // a parallel street ~55 m north, not connected
+        ],
+      });
+      const points = [
+        { latitude: 42.3599, longitude: -71.099 },
+        { latitude: 42.3599, longitude: -71.098 },
+        { latitude: 42.3606, longitude: -71.097 },
+        { latitude: 42.3606, longitude: -71.096 },
+      ];
+
+      const match = matchTrace(points, network, { searchRadius: 20 });
+
+      expect(match.paths).toHaveLength(2);
+      expect(match.matchedCount).toBe(4);
+      // The jump between the streets is measured straight
+      expect(match.gapDistance).toBeCloseTo(Math.hypot(0.0007 * 111000, 0.001 * 82000), -1);
+    });
+
+    it('should return no paths for an empty trace', () => {
+      expect(matchTrace([], lStreet())).toEqual({ paths: [], distance: 0, gapDistance: 0, matchedCount: 0, unmatchedCount: 0 });
+    });
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Test suite for mode-forest.js
+ * Tests windowed features, train/test splitting, forest training and saved models
+ */
+
+const {
+  MODE_FOREST_FEATURES,
+  extractWindowFeatures,
+  splitTrainTest,
+  getTrainingSpans,
+  isInTrainingSpans,
+  trainModeForest,
+  predictModeForest,
+  classifyModeForest,
+  evaluateModeForest,
+  serializeModeForest,
+  parseModeForest,
+} = require('../mode-forest');
+
+describe('Mode Forest Module', () => {
+  const START = Date.UTC(2025, 10, 3, 8, 0, 0);
+  const METERS_PER_DEGREE = 111320;
+
+  // Fixes every 10 s at the given speeds (m/s), heading north or zig-zagging east and west
+  const track = (speeds, { zigzag = false, from = START } = {}) => {
+    let latitude = 42.36;
+    let longitude = -71.06;
+    return speeds.map((speed, i) => {
+      const step = speed * 10;
+      if (zigzag && i % 2 === 1) longitude += step / (METERS_PER_DEGREE * Math.cos((latitude * Math.PI) / 180));
+      else latitude += step / METERS_PER_DEGREE;
+      return { timestamp: new Date(from + i * 10000).toISOString(), latitude, longitude, speed };
+    });
+  };
+
+  const repeat = (count, speedAt) => Array.from({ length: count }, (_, i) => speedAt(i));
+  const walking = (count) => repeat(count, (i) => 1.3 + 0.2 * Math.sin(i));
+  const driving = (count) => repeat(count, (i) => (i % 12 < 2 ? 0.2 : 11 + 2 * Math.sin(i)));
+
+  // A labelled day: walk, drive, walk, drive
+  const labelledTrack = () => {
+    const segments = [['walking', walking(120)], ['car', driving(120)], ['walking', walking(120)], ['car', driving(120)]];
+    const speeds = segments.flatMap(([, segmentSpeeds]) => segmentSpeeds);
+    return {
+      points: track(speeds, { zigzag: true }),
+      labels: segments.flatMap(([mode, segmentSpeeds]) => segmentSpeeds.map(() => mode)),
+    };
+  };
+
+  const feature = (sample, name) => sample[MODE_FOREST_FEATURES.indexOf(name)];
+
+  // ============================================================================
+  // Features
+  // ============================================================================
+
+  describe('extractWindowFeatures', () => {
+    it('should return one sample per fix with every feature', () => {
+      const samples = extractWindowFeatures(track(walking(30)));
+
+      expect(samples).toHaveLength(30);
+      samples.forEach((sample) => {
+        expect(sample).toHaveLength(MODE_FOREST_FEATURES.length);
+        sample.forEach((value) => expect(Number.isFinite(value)).toBe(true));
+      });
+    });
+
+    it('should describe the speeds in the window', () => {
+      const [sample] = extractWindowFeatures(track([1, 2, 3, 4, 5, 6]), 10);
+
+      expect(feature(sample, 'speedP50')).toBe(3);
+      expect(feature(sample, 'speedMax')).toBe(5);
+    });
+
+    it('should count stops per minute and the stopped share', () => {
+      const sample = extractWindowFeatures(track([5, 0, 5, 0, 5, 0, 5]), 7)[3];
+
+      expect(feature(sample, 'stopShare')).toBeCloseTo(3 / 7);
+      expect(feature(sample, 'stopsPerMinute')).toBeCloseTo(3);
+    });
+
+    it('should measure turning while moving but not while stopped', () => {
+      const straight = extractWindowFeatures(track(walking(10)))[5];
+      const zigzag = extractWindowFeatures(track(walking(10), { zigzag: true }))[5];
+      const parked = extractWindowFeatures(track(repeat(10, () => 0.1), { zigzag: true }))[5];
+
+      expect(feature(straight, 'headingChangeRate')).toBeCloseTo(0);
+      expect(feature(zigzag, 'headingChangeRate')).toBeCloseTo(9);
+      expect(feature(parked, 'headingChangeRate')).toBe(0);
+    });
+
+    it('should measure acceleration between fixes', () => {
+      const sample = extractWindowFeatures(track([0, 10, 0, 10]), 4)[2];
+
+      expect(feature(sample, 'accelerationMean')).toBeCloseTo(1);
+    });
+  });
+
+  // ============================================================================
+  // Train/test split
+  // ============================================================================
+
+  describe('splitTrainTest', () => {
+    it('should hold out whole blocks of consecutive samples', () => {
+      const split = splitTrainTest(100, { testShare: 0.3, blockSize: 10 });
+
+      expect(split.train.length + split.test.length).toBe(100);
+      expect(split.test).toHaveLength(30);
+      for (let block = 0; block < 10; block++) {
+        const inTest = split.test.filter((index) => Math.floor(index / 10) === block).length;
+        expect([0, 10]).toContain(inTest);
+      }
+    });
+
+    it('should repeat the same split for the same seed', () => {
+      expect(splitTrainTest(200, { blockSize: 10, seed: 7 })).toEqual(splitTrainTest(200, { blockSize: 10, seed: 7 }));
+      expect(splitTrainTest(200, { blockSize: 10, seed: 7 })).not.toEqual(splitTrainTest(200, { blockSize: 10, seed: 8 }));
+    });
+  });
+
+  describe('getTrainingSpans', () => {
+    it('should turn runs of training samples into time spans that leave the test samples out', () => {
+      const times = Array.from({ length: 100 }, (_, index) => START + index * 1000);
+      const split = splitTrainTest(100, { testShare: 0.3, blockSize: 10 });
+      const spans = getTrainingSpans(times, split.train);
+
+      expect(split.train.every((index) => isInTrainingSpans(spans, times[index]))).toBe(true);
+      expect(split.test.some((index) => isInTrainingSpans(spans, times[index]))).toBe(false);
+      expect(spans.length).toBeLessThanOrEqual(7);
+    });
+
+    it('should return no spans without training samples', () => {
+      expect(getTrainingSpans([START], [])).toEqual([]);
+    });
+  });
+
+  // ============================================================================
+  // Training and prediction
+  // ============================================================================
+
+  describe('trainModeForest', () => {
+    it('should learn modes that hold up on held-out samples', () => {
+      const { points, labels } = labelledTrack();
+      const samples = extractWindowFeatures(points);
+      const split = splitTrainTest(samples.length, { blockSize: 20 });
+      const model = trainModeForest(split.train.map((i) => samples[i]), split.train.map((i) => labels[i]), { trees: 10 });
+
+      const { accuracy } = evaluateModeForest(model, split.test.map((i) => samples[i]), split.test.map((i) => labels[i]));
+
+      expect(model.classes).toEqual(['car', 'walking']);
+      expect(model.trees).toHaveLength(10);
+      expect(accuracy).toBeGreaterThan(90);
+    });
+
+    it('should report how much each feature contributed', () => {
+      const { points, labels } = labelledTrack();
+      const model = trainModeForest(extractWindowFeatures(points), labels, { trees: 5 });
+      const shares = Object.values(model.importance);
+
+      expect(Object.keys(model.importance)).toEqual(MODE_FOREST_FEATURES);
+      expect(shares.reduce((sum, share) => sum + share, 0)).toBeCloseTo(1, 2);
+    });
+
+    it('should reject samples without labels', () => {
+      expect(() => trainModeForest([], [])).toThrow('at least one sample');
+      expect(() => trainModeForest([[1, 2]], ['walking', 'car'])).toThrow('one label per sample');
+    });
+  });
+
+  describe('predictModeForest', () => {
+    it('should give a confident single-class answer when trained on one mode', () => {
+      const model = trainModeForest(extractWindowFeatures(track(walking(40))), repeat(40, () => 'walking'), { trees: 3 });
+
+      expect(predictModeForest(model, extractWindowFeatures(track(driving(20)))[10])).toEqual({ mode: 'walking', confidence: 1 });
+    });
+  });
+
+  describe('classifyModeForest', () => {
+    it('should label every fix of a new track', () => {
+      const { points, labels } = labelledTrack();
+      const model = trainModeForest(extractWindowFeatures(points), labels, { trees: 10 });
+      const modes = classifyModeForest(model, track([...walking(60), ...driving(60)], { zigzag: true }));
+
+      expect(modes).toHaveLength(120);
+      expect(modes.slice(5, 55).every((mode) => mode === 'walking')).toBe(true);
+      expect(modes.slice(65).every((mode) => mode === 'car')).toBe(true);
+    });
+  });
+
+  // ============================================================================
+  // Saved models
+  // ============================================================================
+
+  describe('parseModeForest', () => {
+    const model = () => {
+      const { points, labels } = labelledTrack();
+      return trainModeForest(extractWindowFeatures(points), labels, { trees: 3 });
+    };
+
+    it('should reload a saved model with the same predictions', () => {
+      const trained = model();
+      const reloaded = parseModeForest(serializeModeForest(trained));
+      const samples = extractWindowFeatures(track(driving(30)));
+
+      expect(reloaded).toEqual(trained);
+      expect(samples.map((sample) => predictModeForest(reloaded, sample)))
+        .toEqual(samples.map((sample) => predictModeForest(trained, sample)));
+    });
+
+    it('should reject files that are not mode models', () => {
+      expect(() => parseModeForest({ type: 'FeatureCollection', features: [] })).toThrow('Unrecognised mode model');
+      expect(() => parseModeForest('[]')).toThrow('Unrecognised mode model');
+    });
+
+    it('should reject models from another version or feature set', () => {
+      expect(() => parseModeForest({ ...model(), version: 99 })).toThrow('Unsupported mode model version: 99');
+      expect(() => parseModeForest({ ...model(), features: ['speedMax'] })).toThrow('different features');
+    });
+
+    it('should keep training spans and reject malformed ones', () => {
+      const trained = { ...model(), trainedOn: [[START, START + 60000]] };
+
+      expect(parseModeForest(serializeModeForest(trained)).trainedOn).toEqual([[START, START + 60000]]);
+      expect(() => parseModeForest({ ...trained, trainedOn: [[START]] })).toThrow('malformed training spans');
+    });
+  });
+});
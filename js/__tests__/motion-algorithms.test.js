@@ -17,6 +17,7 @@ const {
   calculateAccuracy,
   calculatePrecision,
   calculateRecall,
+  calculateF1,
 } = require('../motion-algorithms.js');
 
 describe('Transportation Mode Detection Algorithms', () => {
@@ -600,6 +601,13 @@ describe('Transportation Mode Detection Algorithms', () => {
       const f1 = 2 * ((precision * recall) / (precision + recall));
 
       expect(f1).toBeCloseTo(2 / 3, 5);
+      expect(calculateF1(matrix, 'walking')).toBeCloseTo(f1, 5);
+    });
+
+    test('should give an F1 score of 0 for a mode never seen or predicted', () => {
+      const matrix = buildConfusionMatrix([{ actual: 'walking', predicted: 'walking' }]);
+
+      expect(calculateF1(matrix, 'train')).toBe(0);
     });
 
     test('should handle empty confusion matrix', () => {
@@ -0,0 +1,314 @@
+/**
+ * Test suite for the point classifiers of motion-algorithms.js
+ * Tests the HMM/Viterbi classifier, tunable thresholds, the algorithm registry and the comparison
+ */
+
+const {
+  compareAlgorithms, getGroundTruthModes, getSensorModes, toSensorMode, classifyHMM, classifyHMMEmissions, TRANSPORT_MODES,
+  classifyBaseline, classifyPercentile95, classifyStopPattern, classifyHeadingChange,
+  resolveAlgorithmParameters, parseTunedThresholds, DEFAULT_ALGORITHM_PARAMETERS,
+  registerAlgorithm, unregisterAlgorithm, getRegisteredAlgorithms,
+} = require('../motion-algorithms');
+
+const START = Date.UTC(2025, 5, 2, 8);
+
+// One point per interval seconds with the given speeds (m/s)
+const trace = (speeds, interval = 20) => speeds.map((speed, i) => ({
+  timestamp: new Date(START + i * interval * 1000).toISOString(),
+  timeDeltaSec: interval,
+  speed,
+  latitude: 42.36,
+  longitude: -71.06 + i * 0.0001,
+  prevPoint: { latitude: 42.36, longitude: -71.06 + (i - 1) * 0.0001 },
+}));
+const repeat = (count, speed) => Array(count).fill(speed);
+
+describe('Motion Algorithms - HMM Classifier', () => {
+  // ============================================================================
+  // Viterbi path
+  // ============================================================================
+
+  describe('classifyHMM', () => {
+    it('should keep a walk walking through a single fast fix', () => {
+      const points = trace([...repeat(10, 1.4), 12, ...repeat(10, 1.3)]);
+
+      expect(classifyHMMEmissions(points)[10]).not.toBe(TRANSPORT_MODES.WALKING);
+      expect(classifyHMM(points)).toEqual(repeat(21, TRANSPORT_MODES.WALKING));
+    });
+
+    it('should keep a bus ride on the bus through its stops', () => {
+      const ride = [];
+      for (let stop = 0; stop < 5; stop++) {
+        ride.push(...repeat(6, 8 + (stop % 2) * 2), 0.1, 0.05);
+      }
+      const modes = classifyHMM(trace([...repeat(15, 1.4), ...ride, ...repeat(15, 1.4)]));
+
+      expect(modes.slice(0, 12)).toEqual(repeat(12, TRANSPORT_MODES.WALKING));
+      expect(modes.slice(18, 15 + ride.length - 3)).toEqual(repeat(ride.length - 6, TRANSPORT_MODES.BUS));
+      expect(modes.slice(-12)).toEqual(repeat(12, TRANSPORT_MODES.WALKING));
+    });
+
+    it('should switch freely across long gaps', () => {
+      const points = trace([1.4, 1.4, 30, 30], 3600);
+
+      expect(classifyHMM(points)).toEqual([
+        TRANSPORT_MODES.WALKING, TRANSPORT_MODES.WALKING, TRANSPORT_MODES.TRAIN, TRANSPORT_MODES.TRAIN,
+      ]);
+    });
+
+    it('should switch more readily with a shorter mean time in a mode', () => {
+      const points = trace([...repeat(5, 1.4), 12, ...repeat(5, 1.4)]);
+
+      expect(classifyHMM(points)).toEqual(repeat(11, TRANSPORT_MODES.WALKING));
+      expect(classifyHMM(points, 5)[5]).not.toBe(TRANSPORT_MODES.WALKING);
+    });
+
+    it('should return no modes without points', () => {
+      expect(classifyHMM([])).toEqual([]);
+    });
+  });
+
+  // ============================================================================
+  // Comparison
+  // ============================================================================
+
+  describe('compareAlgorithms', () => {
+    beforeEach(() => {
+      // Sensors report walking throughout
+      window.motionData = [];
+      window.findNearestMotion = () => ({ isWalking: true });
+    });
+
+    afterEach(() => {
+      delete window.motionData;
+      delete window.findNearestMotion;
+    });
+
+    it('should run the HMM as a fifth algorithm', () => {
+      const results = compareAlgorithms(trace([...repeat(10, 1.4), 12, ...repeat(10, 1.3)]));
+
+      expect(Object.keys(results.algorithms)).toEqual(['baseline', 'percentile95', 'stopPattern', 'headingChange', 'hmm']);
+      const { hmm } = results.algorithms;
+      expect(hmm.predictions).toHaveLength(21);
+      expect(hmm.metrics.overallAccuracy).toBe(100);
+      expect(hmm.confusionMatrix.walking.walking).toBe(21);
+    });
+
+    it('should report the share of per-point errors the transitions fix', () => {
+      const results = compareAlgorithms(trace([...repeat(10, 1.4), 12, ...repeat(10, 1.3)]));
+
+      // The emission-only classifier gets the spike wrong; the HMM fixes it
+      expect(results.algorithms.hmm.transitionGain).toBeCloseTo(100);
+    });
+  });
+
+  describe('getGroundTruthModes', () => {
+    afterEach(() => {
+      delete window.motionData;
+      delete window.findNearestMotion;
+    });
+
+    it('should label points from the sensors and split automotive by speed', () => {
+      window.motionData = [];
+      window.findNearestMotion = (timestamp) => [
+        { isWalking: true }, { isAutomotive: true }, { isAutomotive: true }, { isStationary: true }, null,
+      ][(new Date(timestamp).getTime() - START) / 20000];
+
+      expect(getGroundTruthModes(trace([1.4, 10, 30, 0, 2]))).toEqual(['walking', 'bus', 'train', 'stationary', 'unknown']);
+    });
+
+    it('should leave automotive points unsplit for training labels', () => {
+      const readings = [{ isRunning: true }, { isAutomotive: true }, { isAutomotive: true }, { isCycling: true }, null];
+      const findMotion = (timestamp) => readings[(new Date(timestamp).getTime() - START) / 20000];
+
+      expect(getSensorModes(trace([3, 10, 30, 5, 2]), findMotion))
+        .toEqual(['walking', 'automotive', 'automotive', 'cycling', 'unknown']);
+    });
+
+    it('should merge vehicle modes into the automotive sensor class', () => {
+      expect(['bus', 'car', 'train', 'walking', 'stationary'].map(toSensorMode))
+        .toEqual(['automotive', 'automotive', 'automotive', 'walking', 'stationary']);
+    });
+  });
+});
+
+describe('Motion Algorithms - Tunable Thresholds', () => {
+  // ============================================================================
+  // Parameters
+  // ============================================================================
+
+  describe('resolveAlgorithmParameters', () => {
+    it('should fill in the defaults', () => {
+      expect(resolveAlgorithmParameters('baseline')).toEqual(DEFAULT_ALGORITHM_PARAMETERS.baseline);
+      expect(resolveAlgorithmParameters('stopPattern', { windowSize: 5 })).toEqual({
+        ...DEFAULT_ALGORITHM_PARAMETERS.stopPattern,
+        windowSize: 5,
+      });
+    });
+
+    it('should reject unknown, invalid and out-of-order parameters', () => {
+      expect(() => resolveAlgorithmParameters('hmm')).toThrow('Unknown algorithm: hmm');
+      expect(() => resolveAlgorithmParameters('baseline', { maxRunning: 3 })).toThrow('Unknown baseline parameter: maxRunning');
+      expect(() => resolveAlgorithmParameters('baseline', { maxWalking: '2' })).toThrow('Invalid baseline maxWalking: 2');
+      expect(() => resolveAlgorithmParameters('percentile95', { windowSize: 2.5 })).toThrow('Invalid percentile95 windowSize');
+      expect(() => resolveAlgorithmParameters('baseline', { maxWalking: 9 }))
+        .toThrow('maxWalking must be below maxCycling');
+      expect(() => resolveAlgorithmParameters('headingChange', { maxTrainHeading: 25 }))
+        .toThrow('maxTrainHeading must be below maxCarHeading');
+    });
+  });
+
+  describe('classifiers', () => {
+    it('should classify with the given speed thresholds', () => {
+      const points = trace([0.1, 1.8, 2.5, 10]);
+
+      expect(classifyBaseline(points)).toEqual(['stationary', 'walking', 'cycling', 'bus']);
+      expect(classifyBaseline(points, { maxWalking: 3 })).toEqual(['stationary', 'walking', 'walking', 'bus']);
+    });
+
+    it('should use the given window sizes', () => {
+      const points = trace([...repeat(6, 1.4), 6.5, ...repeat(6, 1.4)]);
+
+      // The fast fix is the 95th percentile of every window it falls in
+      expect(classifyPercentile95(points).filter(mode => mode === 'walking')).toHaveLength(8);
+      expect(classifyPercentile95(points, { windowSize: 1 }).filter(mode => mode === 'walking')).toHaveLength(12);
+    });
+
+    it('should count stops and heading changes with the given thresholds', () => {
+      // The window around the sixth point holds all four slow fixes
+      const stopping = trace([...repeat(4, 0.4), ...repeat(6, 18)]);
+      const straight = trace(repeat(10, 12));
+
+      expect(classifyStopPattern(stopping)[5]).toBe(TRANSPORT_MODES.BUS);
+      expect(classifyStopPattern(stopping, { stopSpeed: 0.3 })[5]).toBe(TRANSPORT_MODES.CAR);
+      expect(classifyHeadingChange(straight)[5]).toBe(TRANSPORT_MODES.TRAIN);
+      expect(classifyHeadingChange(straight, { maxTrainHeading: 0, maxCarHeading: 1 })[5]).toBe(TRANSPORT_MODES.CAR);
+    });
+  });
+
+  describe('parseTunedThresholds', () => {
+    const thresholds = {
+      type: 'transport-thresholds',
+      version: 1,
+      parameters: { baseline: { maxWalking: 2.5 } },
+    };
+
+    it('should accept a thresholds file as text or object', () => {
+      expect(parseTunedThresholds(JSON.stringify(thresholds))).toEqual(thresholds);
+      expect(parseTunedThresholds(thresholds)).toBe(thresholds);
+    });
+
+    it('should reject other files and invalid parameters', () => {
+      expect(() => parseTunedThresholds({ type: 'mode-forest' })).toThrow('Unrecognised thresholds file');
+      expect(() => parseTunedThresholds({ ...thresholds, version: 2 })).toThrow('Unsupported thresholds version: 2');
+      expect(() => parseTunedThresholds({ ...thresholds, parameters: {} })).toThrow('no parameters');
+      expect(() => parseTunedThresholds({ ...thresholds, parameters: { baseline: { maxWalking: -1 } } }))
+        .toThrow('Invalid baseline maxWalking');
+    });
+  });
+
+  describe('compareAlgorithms', () => {
+    beforeEach(() => {
+      window.motionData = [];
+      window.findNearestMotion = () => ({ isWalking: true });
+    });
+
+    afterEach(() => {
+      delete window.motionData;
+      delete window.findNearestMotion;
+    });
+
+    it('should run the algorithms with tuned parameters', () => {
+      const points = trace(repeat(10, 2.5));
+      const defaults = compareAlgorithms(points);
+      const tuned = compareAlgorithms(points, { baseline: { maxWalking: 3 } });
+
+      expect(defaults.algorithms.baseline.metrics.overallAccuracy).toBe(0);
+      expect(tuned.algorithms.baseline.metrics.overallAccuracy).toBe(100);
+      expect(tuned.algorithms.baseline.name).toBe('Baseline Speed Thresholds (tuned)');
+      expect(tuned.algorithms.percentile95.name).toBe('95th Percentile Speed');
+    });
+  });
+});
+
+describe('Motion Algorithms - Algorithm Registry', () => {
+  const walkingSensor = () => ({ isWalking: true });
+
+  afterEach(() => {
+    unregisterAlgorithm('alwaysWalking');
+  });
+
+  it('should register the built-in algorithms in comparison order', () => {
+    expect(getRegisteredAlgorithms().map((algorithm) => algorithm.key))
+      .toEqual(['baseline', 'percentile95', 'stopPattern', 'headingChange', 'hmm']);
+  });
+
+  it('should compare a registered algorithm without changing compareAlgorithms', () => {
+    const classify = jest.fn((speedData) => speedData.map(() => TRANSPORT_MODES.WALKING));
+    registerAlgorithm('alwaysWalking', { name: 'Always Walking', description: 'Labels every point walking', classify });
+
+    const results = compareAlgorithms(trace(repeat(5, 9)), { alwaysWalking: { any: 1 } }, walkingSensor);
+
+    expect(Object.keys(results.algorithms).pop()).toBe('alwaysWalking');
+    expect(results.algorithms.alwaysWalking).toMatchObject({
+      name: 'Always Walking (tuned)',
+      description: 'Labels every point walking',
+      metrics: { overallAccuracy: 100 },
+    });
+    expect(classify).toHaveBeenCalledWith(expect.any(Array), { any: 1 });
+    expect(results.algorithms.baseline.metrics.overallAccuracy).toBe(0);
+  });
+
+  it('should add the fields of details to the result', () => {
+    registerAlgorithm('alwaysWalking', {
+      name: 'Always Walking',
+      classify: (speedData) => speedData.map(() => TRANSPORT_MODES.WALKING),
+      details: ({ predictions, metrics }) => ({ points: predictions.length, accuracy: metrics.overallAccuracy }),
+    });
+
+    const { alwaysWalking } = compareAlgorithms(trace(repeat(3, 1.4)), {}, walkingSensor).algorithms;
+
+    expect(alwaysWalking).toMatchObject({ points: 3, accuracy: 100 });
+  });
+
+  it('should score sensor-class algorithms on sensor classes and skip points they return null for', () => {
+    const readings = [{ isAutomotive: true }, { isAutomotive: true }, { isWalking: true }, { isWalking: true }];
+    const findMotion = (timestamp) => readings[(new Date(timestamp).getTime() - START) / 20000];
+    registerAlgorithm('alwaysWalking', {
+      name: 'Sensor Classes',
+      sensorModes: true,
+      classify: () => ['automotive', 'automotive', 'walking', null],
+    });
+
+    const { alwaysWalking, baseline } = compareAlgorithms(trace([10, 30, 1.4, 1.4]), {}, findMotion).algorithms;
+
+    expect(alwaysWalking.modes).toEqual(['walking', 'cycling', 'automotive', 'stationary', 'unknown']);
+    expect(alwaysWalking.confusionMatrix.automotive.automotive).toBe(2);
+    expect(alwaysWalking.metrics).toMatchObject({ overallAccuracy: 100, perClassAccuracy: { automotive: 100 } });
+    expect(alwaysWalking.metrics.perClassAccuracy.bus).toBeUndefined();
+    expect(baseline.modes).toBeUndefined();
+    expect(baseline.confusionMatrix.bus.bus).toBe(1);
+  });
+
+  it('should replace an algorithm registered under the same key in place', () => {
+    registerAlgorithm('alwaysWalking', { name: 'First', classify: () => [] });
+    registerAlgorithm('alwaysWalking', { name: 'Second', classify: () => [] });
+
+    const keys = getRegisteredAlgorithms().map((algorithm) => algorithm.key);
+    expect(keys.filter((key) => key === 'alwaysWalking')).toHaveLength(1);
+    expect(getRegisteredAlgorithms().find((algorithm) => algorithm.key === 'alwaysWalking').name).toBe('Second');
+  });
+
+  it('should unregister an algorithm', () => {
+    registerAlgorithm('alwaysWalking', { name: 'Always Walking', classify: () => [] });
+
+    expect(unregisterAlgorithm('alwaysWalking')).toBe(true);
+    expect(unregisterAlgorithm('alwaysWalking')).toBe(false);
+    expect(Object.keys(compareAlgorithms(trace([1.4]), {}, walkingSensor).algorithms)).not.toContain('alwaysWalking');
+  });
+
+  it('should need a key and a classify function', () => {
+    expect(() => registerAlgorithm('', { classify: () => [] })).toThrow('non-empty string');
+    expect(() => registerAlgorithm('alwaysWalking', { name: 'Always Walking' })).toThrow('needs a classify function');
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Test suite for period-comparison.js
+ * Tests comparison periods, metric deltas and day-of-period alignment
+ */
+
+const {
+  toDateKey,
+  getComparisonPeriod,
+  comparePeriodValues,
+  formatPeriodDelta,
+  alignDailySeries,
+} = require('../period-comparison');
+
+describe('Period Comparison Module', () => {
+  const day = (year, month, date) => new Date(year, month - 1, date);
+  const keys = (period) => [toDateKey(period.start), toDateKey(period.end)];
+
+  // ============================================================================
+  // Periods
+  // ============================================================================
+
+  describe('toDateKey', () => {
+    it('should format the local calendar day', () => {
+      expect(toDateKey(new Date(2025, 0, 5, 23, 30))).toBe('2025-01-05');
+    });
+  });
+
+  describe('getComparisonPeriod', () => {
+    it('should take the same number of days just before', () => {
+      const period = getComparisonPeriod(day(2025, 11, 14), new Date(2025, 11, 13, 23, 59), 'previous');
+
+      expect(keys(period)).toEqual(['2025-10-15', '2025-11-13']);
+      expect(period.start.getHours()).toBe(0);
+      expect(period.end.getHours()).toBe(23);
+    });
+
+    it('should compare a calendar month with the whole previous month', () => {
+      expect(keys(getComparisonPeriod(day(2025, 12, 1), day(2025, 12, 31), 'previous-month')))
+        .toEqual(['2025-11-01', '2025-11-30']);
+      expect(keys(getComparisonPeriod(day(2025, 3, 1), day(2025, 3, 31), 'previous-month')))
+        .toEqual(['2025-02-01', '2025-02-28']);
+    });
+
+    it('should clamp days missing from the previous month', () => {
+      expect(keys(getComparisonPeriod(day(2025, 3, 10), day(2025, 3, 30), 'previous-month')))
+        .toEqual(['2025-02-10', '2025-02-28']);
+    });
+
+    it('should take the same dates a year earlier', () => {
+      expect(keys(getComparisonPeriod(day(2024, 2, 1), day(2024, 2, 29), 'previous-year')))
+        .toEqual(['2023-02-01', '2023-02-28']);
+      expect(keys(getComparisonPeriod(day(2025, 1, 1), day(2025, 1, 7), 'previous-year')))
+        .toEqual(['2024-01-01', '2024-01-07']);
+    });
+
+    it('should reject unknown presets', () => {
+      expect(() => getComparisonPeriod(day(2025, 1, 1), day(2025, 1, 7), 'custom')).toThrow('Unknown comparison period');
+    });
+  });
+
+  // ============================================================================
+  // Metrics
+  // ============================================================================
+
+  describe('comparePeriodValues', () => {
+    it('should compute the delta and percentage change', () => {
+      expect(comparePeriodValues(12, 10)).toEqual({ current: 12, previous: 10, delta: 2, percent: 20 });
+      expect(comparePeriodValues(-1, -2).percent).toBe(50);
+    });
+
+    it('should leave the percentage out when the comparison period had none', () => {
+      expect(comparePeriodValues(5, 0).percent).toBeNull();
+    });
+  });
+
+  describe('formatPeriodDelta', () => {
+    it('should sign and round the percentage', () => {
+      expect(formatPeriodDelta(comparePeriodValues(12, 10))).toBe('+20%');
+      expect(formatPeriodDelta(comparePeriodValues(9, 10))).toBe('-10%');
+      expect(formatPeriodDelta(comparePeriodValues(1000, 1001))).toBe('0%');
+    });
+
+    it('should describe values with nothing to compare against', () => {
+      expect(formatPeriodDelta(comparePeriodValues(5, 0))).toBe('new');
+      expect(formatPeriodDelta(comparePeriodValues(0, 0))).toBe('0%');
+    });
+  });
+
+  // ============================================================================
+  // Daily series
+  // ============================================================================
+
+  describe('alignDailySeries', () => {
+    it('should line up days by their offset from each period start', () => {
+      const aligned = alignDailySeries(
+        { '2025-12-01': 3, '2025-12-03': 5 },
+        { '2025-11-01': 2, '2025-11-02': 4 },
+        '2025-12-01',
+        '2025-11-01',
+      );
+
+      expect(aligned).toEqual({ offsets: [0, 1, 2], current: [3, null, 5], previous: [2, 4, null] });
+    });
+
+    it('should count calendar days across daylight saving changes', () => {
+      const aligned = alignDailySeries({ '2025-11-03': 1 }, {}, '2025-11-01', '2025-10-01');
+
+      expect(aligned.offsets).toEqual([2]);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Test suite for place-roles.js
+ * Tests place clustering, timing summaries and home / work / other role inference
+ */
+
+const {
+  PLACE_ROLE_DEFAULTS,
+  clusterStaysIntoPlaces,
+  summarizePlaceTiming,
+  countObservedDays,
+  inferPlaceRoles,
+  findNearestAnchor,
+  normalizePlaceRoleSettings,
+} = require('../place-roles');
+const { createLocalTime } = require('../timezones');
+
+describe('Place Roles Module', () => {
+  // Local times; 2 June 2025 is a Monday
+  const at = (day, hour, minute = 0) => new Date(2025, 5, day, hour, minute).getTime();
+  const HOME = { latitude: 42.3736, longitude: -71.1097 };
+  const OFFICE = { latitude: 42.3601, longitude: -71.0942 };
+  const GYM = { latitude: 42.3505, longitude: -71.0810 };
+  const stay = (place, start, end) => ({ ...place, start, end });
+
+  // Monday to Sunday: nights at home, weekdays 9-17 at the office, two gym evenings
+  const week = () => {
+    const stays = [];
+    for (let day = 2; day <= 8; day++) {
+      stays.push(stay(HOME, at(day - 1, 22), at(day, 7, 30)));
+      if (day <= 6) {
+        stays.push(stay(OFFICE, at(day, 8, 45 + (day % 2) * 10), at(day, 17, 15)));
+      }
+    }
+    stays.push(stay(GYM, at(3, 18, 30), at(3, 19, 45)));
+    stays.push(stay(GYM, at(5, 18, 30), at(5, 19, 45)));
+    return stays;
+  };
+
+  // ============================================================================
+  // Places
+  // ============================================================================
+
+  describe('clusterStaysIntoPlaces', () => {
+    it('should group nearby stays and weight the centre by dwell time', () => {
+      const places = clusterStaysIntoPlaces([
+        stay({ latitude: 42.3600, longitude: -71.09 }, at(2, 9), at(2, 12)),
+        stay({ latitude: 42.3604, longitude: -71.09 }, at(2, 13), at(2, 14)),
+        stay(GYM, at(2, 18), at(2, 19)),
+      ]);
+
+      expect(places).toHaveLength(2);
+      expect(places[0].stays).toHaveLength(2);
+      expect(places[0].totalMinutes).toBe(240);
+      expect(places[0].latitude).toBeCloseTo(42.3601, 6);
+    });
+
+    it('should ignore stays without a duration', () => {
+      expect(clusterStaysIntoPlaces([stay(GYM, at(2, 9), at(2, 9))])).toEqual([]);
+    });
+  });
+
+  describe('summarizePlaceTiming', () => {
+    it('should key a night past midnight by the evening it started', () => {
+      const timing = summarizePlaceTiming(clusterStaysIntoPlaces([stay(HOME, at(2, 21), at(3, 7))])[0]);
+
+      expect([...timing.nights.entries()]).toEqual([['2025-06-02', 8 * 60]]);
+      expect(timing.days).toEqual(new Set(['2025-06-02', '2025-06-03']));
+    });
+
+    it('should count work hours on weekdays only', () => {
+      const timing = summarizePlaceTiming(clusterStaysIntoPlaces([
+        stay(OFFICE, at(6, 8), at(6, 12)), // Friday
+        stay(OFFICE, at(7, 10), at(7, 12)), // Saturday
+      ])[0]);
+
+      expect([...timing.workdays.entries()]).toEqual([['2025-06-06', 3 * 60]]);
+      expect(timing.arrivalHours).toEqual([8]);
+    });
+
+    it('should read hours, weekdays and dates from the localTime option', () => {
+      // Every point pretends to be 12 hours ahead, so the daytime office stay falls at night
+      const localTime = jest.fn((time) => {
+        const date = new Date(time + 12 * 3600000);
+        const pad = (value) => String(value).padStart(2, '0');
+        return {
+          hour: date.getHours(),
+          minute: date.getMinutes(),
+          weekday: date.getDay(),
+          dateKey: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+        };
+      });
+      const timing = summarizePlaceTiming(clusterStaysIntoPlaces([stay(OFFICE, at(2, 11), at(2, 15))])[0], { localTime });
+
+      expect([...timing.nights.entries()]).toEqual([['2025-06-02', 4 * 60]]);
+      expect(timing.workdays.size).toBe(0);
+      expect(localTime).toHaveBeenCalledWith(at(2, 11), OFFICE.latitude, OFFICE.longitude);
+    });
+  });
+
+  describe('countObservedDays', () => {
+    it('should count calendar days and weekdays', () => {
+      expect(countObservedDays(at(2, 0), at(8, 23))).toEqual({ days: 7, weekdays: 5 });
+    });
+
+    it('should count days in the given clock', () => {
+      const tokyo = createLocalTime(() => 'Asia/Tokyo');
+      // Friday 20:00 to Saturday 02:00 UTC is Saturday 05:00-11:00 in Tokyo
+      const start = Date.UTC(2025, 5, 6, 20);
+      const end = Date.UTC(2025, 5, 7, 2);
+
+      expect(countObservedDays(start, end, tokyo, 35.68, 139.69).days).toBe(1);
+      expect(countObservedDays(start, start + 3 * 24 * 3600000, tokyo, 35.68, 139.69)).toEqual({ days: 4, weekdays: 2 });
+    });
+  });
+
+  // ============================================================================
+  // Roles
+  // ============================================================================
+
+  describe('inferPlaceRoles', () => {
+    it('should find home, work and other anchors', () => {
+      const anchors = inferPlaceRoles(week());
+
+      expect(anchors.map((a) => a.role)).toEqual(['home', 'work', 'other']);
+      const [home, work, gym] = anchors;
+      expect(home.latitude).toBeCloseTo(HOME.latitude, 6);
+      expect(home.nights).toBe(7);
+      expect(home.confidence).toBeGreaterThan(0.9);
+      expect(work.workdays).toBe(5);
+      expect(work.confidence).toBeGreaterThan(0.8);
+      expect(gym.days).toBe(2);
+      expect(gym.confidence).toBeLessThan(work.confidence);
+    });
+
+    it('should require enough nights for a home', () => {
+      const anchors = inferPlaceRoles([stay(HOME, at(1, 22), at(2, 7))]);
+
+      // A single night spans two days, so the place is still an other anchor
+      expect(anchors.map((a) => a.role)).toEqual(['other']);
+    });
+
+    it('should keep only the place with the most nights as home', () => {
+      // Two midweek nights in a hotel instead of at home
+      const HOTEL = { latitude: 40.7580, longitude: -73.9855 };
+      const stays = week().filter((s) => !(s.latitude === HOME.latitude && s.start >= at(3, 22) && s.start < at(5, 22)));
+      stays.push(stay(HOTEL, at(3, 21), at(4, 10)), stay(HOTEL, at(4, 19), at(5, 10)));
+
+      const anchors = inferPlaceRoles(stays);
+
+      expect(anchors.filter((a) => a.role === 'home')).toHaveLength(1);
+      expect(anchors[0]).toMatchObject({ role: 'home', latitude: HOME.latitude, nights: 5 });
+      expect(anchors.find((a) => a.latitude === HOTEL.latitude)).toMatchObject({ role: 'other', nights: 2 });
+    });
+
+    it('should apply custom thresholds', () => {
+      // The 9-17 window holds at most 8 hours, so no office day counts as a workday
+      const anchors = inferPlaceRoles(week(), { minWorkDayHours: 9 });
+
+      expect(anchors.find((a) => a.role === 'work')).toBeUndefined();
+      expect(anchors.find((a) => a.latitude === OFFICE.latitude)).toMatchObject({ role: 'other' });
+    });
+
+    it('should lower confidence over a longer observation period', () => {
+      const anchors = inferPlaceRoles(week(), { start: at(2, 0), end: at(29, 23) });
+      const [home] = anchors;
+
+      expect(home.evidence.nightCoverage).toBeCloseTo(7 / 28);
+      expect(home.confidence).toBeLessThan(inferPlaceRoles(week())[0].confidence);
+    });
+
+    it('should return no anchors without stays', () => {
+      expect(inferPlaceRoles([])).toEqual([]);
+    });
+  });
+
+  describe('findNearestAnchor', () => {
+    it('should return the closest anchor within range', () => {
+      const anchors = inferPlaceRoles(week());
+
+      expect(findNearestAnchor(anchors, 42.3603, -71.0942, 100).anchor.role).toBe('work');
+      expect(findNearestAnchor(anchors, 0, 0, 100)).toBeNull();
+    });
+  });
+
+  describe('normalizePlaceRoleSettings', () => {
+    it('should fill in defaults', () => {
+      expect(normalizePlaceRoleSettings()).toEqual(PLACE_ROLE_DEFAULTS);
+    });
+
+    it('should accept valid values from form inputs', () => {
+      expect(normalizePlaceRoleSettings({ nightStartHour: '0', workEndHour: '18', anchorRadius: '150' }))
+        .toMatchObject({ nightStartHour: 0, workEndHour: 18, anchorRadius: 150 });
+    });
+
+    it('should fall back to defaults for invalid values', () => {
+      expect(normalizePlaceRoleSettings({ nightStartHour: 25, workStartHour: 'nine', minHomeNights: -1, homeRadius: '' }))
+        .toMatchObject({
+          nightStartHour: PLACE_ROLE_DEFAULTS.nightStartHour,
+          workStartHour: PLACE_ROLE_DEFAULTS.workStartHour,
+          minHomeNights: PLACE_ROLE_DEFAULTS.minHomeNights,
+          homeRadius: PLACE_ROLE_DEFAULTS.homeRadius,
+        });
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Test suite for playback.js
+ * Tests building the playback track, interpolating positions and finding the visit dwelt at
+ */
+
+const {
+  DEFAULT_PLAYBACK_SPEED,
+  PLAYBACK_SPEEDS,
+  MAX_INTERPOLATION_GAP_MS,
+  buildPlaybackFrames,
+  getPlaybackDays,
+  findFrameIndex,
+  getPlaybackPosition,
+  findActiveVisit,
+  advancePlaybackTime,
+} = require('../playback');
+const { createLocalTime } = require('../timezones');
+
+describe('Playback Module', () => {
+  const location = (timestamp, latitude, longitude) => ({ timestamp, latitude, longitude, userId: 'userA' });
+  const time = (iso) => new Date(iso).getTime();
+
+  // ============================================================================
+  // Track
+  // ============================================================================
+
+  describe('buildPlaybackFrames', () => {
+    it('should sort frames oldest first', () => {
+      const frames = buildPlaybackFrames([
+        location('2025-06-01T10:02:00Z', 1, 1),
+        location('2025-06-01T10:00:00Z', 0, 0),
+        location('2025-06-01T10:01:00Z', 0.5, 0.5),
+      ]);
+
+      expect(frames.map((frame) => frame.latitude)).toEqual([0, 0.5, 1]);
+      expect(frames[0].time).toBe(time('2025-06-01T10:00:00Z'));
+    });
+
+    it('should take the activity inferred for the segment arriving at each point', () => {
+      const frames = buildPlaybackFrames(
+        [location('2025-06-01T10:00:00Z', 0, 0), location('2025-06-01T10:01:00Z', 0.001, 0)],
+        [{ timestamp: '2025-06-01T10:01:00Z', inferredActivity: 'walking' }],
+      );
+
+      expect(frames.map((frame) => frame.activity)).toEqual(['unknown', 'walking']);
+    });
+
+    it('should skip points without a timestamp or coordinates', () => {
+      const frames = buildPlaybackFrames([
+        location('2025-06-01T10:00:00Z', 0, 0),
+        location(null, 0, 0),
+        { timestamp: '2025-06-01T10:01:00Z' },
+      ]);
+
+      expect(frames).toHaveLength(1);
+    });
+
+    it('should keep a reference to the source location', () => {
+      const loc = location('2025-06-01T10:00:00Z', 0, 0);
+      expect(buildPlaybackFrames([loc])[0].location).toBe(loc);
+    });
+  });
+
+  describe('getPlaybackDays', () => {
+    it('should list each local day once with its bounds', () => {
+      const frames = buildPlaybackFrames([
+        location(new Date(2025, 5, 1, 8, 0).toISOString(), 0, 0),
+        location(new Date(2025, 5, 1, 20, 0).toISOString(), 0, 0),
+        location(new Date(2025, 5, 2, 9, 0).toISOString(), 0, 0),
+      ]);
+
+      const days = getPlaybackDays(frames);
+
+      expect(days.map((day) => day.key)).toEqual(['2025-06-01', '2025-06-02']);
+      expect(days[0].start).toBe(new Date(2025, 5, 1).getTime());
+      expect(days[0].end).toBe(new Date(2025, 5, 2).getTime() - 1);
+    });
+
+    it('should list days in the given clock', () => {
+      const frames = buildPlaybackFrames([
+        location('2025-06-01T14:30:00Z', 35.68, 139.69),
+        location('2025-06-01T15:30:00Z', 35.68, 139.69),
+      ]);
+
+      const days = getPlaybackDays(frames, createLocalTime(() => 'Asia/Tokyo'));
+
+      expect(days).toEqual([
+        { key: '2025-06-01', start: time('2025-05-31T15:00:00Z'), end: time('2025-06-01T15:00:00Z') - 1 },
+        { key: '2025-06-02', start: time('2025-06-01T15:00:00Z'), end: time('2025-06-02T15:00:00Z') - 1 },
+      ]);
+    });
+
+    it('should return no days without frames', () => {
+      expect(getPlaybackDays([])).toEqual([]);
+    });
+  });
+
+  describe('findFrameIndex', () => {
+    const frames = [{ time: 100 }, { time: 200 }, { time: 300 }];
+
+    it('should find the last frame at or before a time', () => {
+      expect(findFrameIndex(frames, 100)).toBe(0);
+      expect(findFrameIndex(frames, 250)).toBe(1);
+      expect(findFrameIndex(frames, 1000)).toBe(2);
+    });
+
+    it('should return -1 before the first frame', () => {
+      expect(findFrameIndex(frames, 50)).toBe(-1);
+      expect(findFrameIndex([], 50)).toBe(-1);
+    });
+  });
+
+  describe('getPlaybackPosition', () => {
+    const frames = [
+      { time: 0, latitude: 0, longitude: 0, activity: 'unknown' },
+      { time: 60000, latitude: 1, longitude: 2, activity: 'cycling' },
+      { time: 60000 + MAX_INTERPOLATION_GAP_MS + 1, latitude: 5, longitude: 5, activity: 'unknown' },
+    ];
+
+    it('should interpolate between neighbouring frames', () => {
+      const position = getPlaybackPosition(frames, 30000);
+
+      expect(position.latitude).toBeCloseTo(0.5);
+      expect(position.longitude).toBeCloseTo(1);
+      expect(position.index).toBe(0);
+      expect(position.activity).toBe('cycling');
+    });
+
+    it('should hold the position across long gaps', () => {
+      const position = getPlaybackPosition(frames, 120000);
+
+      expect(position).toMatchObject({ latitude: 1, longitude: 2, index: 1 });
+    });
+
+    it('should stay at the last frame after the track ends', () => {
+      expect(getPlaybackPosition(frames, Number.MAX_SAFE_INTEGER)).toMatchObject({ latitude: 5, longitude: 5, index: 2 });
+    });
+
+    it('should return null before the track starts', () => {
+      expect(getPlaybackPosition(frames, -1)).toBeNull();
+    });
+  });
+
+  describe('findActiveVisit', () => {
+    const home = { id: 'home', arrivalDate: '2025-06-01T08:00:00Z', departureDate: '2025-06-01T09:00:00Z' };
+    const shop = { id: 'shop', timestamp: '2025-06-01T10:00:00Z' };
+
+    it('should find the visit spanning a time', () => {
+      expect(findActiveVisit([home, shop], time('2025-06-01T08:30:00Z'))).toBe(home);
+    });
+
+    it('should match visits without a departure only at their arrival', () => {
+      expect(findActiveVisit([home, shop], time('2025-06-01T10:00:00Z'))).toBe(shop);
+      expect(findActiveVisit([home, shop], time('2025-06-01T10:01:00Z'))).toBeNull();
+    });
+
+    it('should return null between visits', () => {
+      expect(findActiveVisit([home, shop], time('2025-06-01T09:30:00Z'))).toBeNull();
+    });
+  });
+
+  describe('advancePlaybackTime', () => {
+    it('should advance by elapsed real time times the speed', () => {
+      expect(advancePlaybackTime(0, 1000, 60, 1e9)).toBe(60000);
+    });
+
+    it('should stop at the end of the timeline', () => {
+      expect(advancePlaybackTime(0, 1000, 3600, 5000)).toBe(5000);
+    });
+
+    it('should offer the default speed', () => {
+      expect(PLAYBACK_SPEEDS.map((speed) => speed.value)).toContain(DEFAULT_PLAYBACK_SPEED);
+    });
+  });
+});
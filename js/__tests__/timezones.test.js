@@ -0,0 +1,165 @@
+/**
+ * Test suite for timezones.js
+ * Tests boundary parsing, coordinate to timezone lookup and local time parts
+ */
+
+const {
+  parseTimezoneBoundaries,
+  findBoundaryTimezone,
+  getNauticalTimezone,
+  getIanaTimezoneLookup,
+  createTimezoneLookup,
+  getZonedTime,
+  createLocalTime,
+} = require('../timezones');
+const tzlookup = require('@photostructure/tz-lookup');
+
+describe('Timezones Module', () => {
+  // Square polygon rings from [south, west] to [north, east], as GeoJSON [lon, lat] positions
+  const square = (south, west, north, east) => [[west, south], [east, south], [east, north], [west, north], [west, south]];
+  const zone = (tzid, geometry) => ({ type: 'Feature', properties: { tzid }, geometry });
+
+  const boundaries = () => parseTimezoneBoundaries({
+    type: 'FeatureCollection',
+    features: [
+      // Eastern zone with a hole cut out for an enclave
+      zone('America/New_York', { type: 'Polygon', coordinates: [square(40, -75, 45, -70), square(42, -73, 43, -72)] }),
+      zone('America/Chicago', {
+        type: 'MultiPolygon',
+        coordinates: [[square(40, -90, 45, -85)], [square(42, -73, 43, -72)]],
+      }),
+    ],
+  });
+
+  // 2025-06-02 18:45 UTC, a Monday
+  const TIME = Date.UTC(2025, 5, 2, 18, 45, 30);
+
+  // ============================================================================
+  // Boundaries
+  // ============================================================================
+
+  describe('parseTimezoneBoundaries', () => {
+    it('should index polygons and list their zones', () => {
+      const parsed = boundaries();
+
+      expect(parsed.polygons).toHaveLength(3);
+      expect(parsed.zones).toEqual(['America/Chicago', 'America/New_York']);
+    });
+
+    it('should reject data that is not a boundary dataset', () => {
+      expect(() => parseTimezoneBoundaries([{ latitude: 1 }])).toThrow('Unrecognised timezone boundaries');
+      expect(() => parseTimezoneBoundaries({ type: 'FeatureCollection', features: [] })).toThrow('no polygons');
+    });
+  });
+
+  describe('findBoundaryTimezone', () => {
+    it('should find the polygon containing a point', () => {
+      expect(findBoundaryTimezone(boundaries(), 42.36, -71.06)).toBe('America/New_York');
+      expect(findBoundaryTimezone(boundaries(), 41.88, -87.63)).toBe('America/Chicago');
+    });
+
+    it('should respect holes', () => {
+      expect(findBoundaryTimezone(boundaries(), 42.5, -72.5)).toBe('America/Chicago');
+    });
+
+    it('should return null outside every boundary', () => {
+      expect(findBoundaryTimezone(boundaries(), 51.5, -0.12)).toBeNull();
+    });
+  });
+
+  describe('getNauticalTimezone', () => {
+    it('should use one whole-hour zone per 15 degrees with the Etc sign inverted', () => {
+      expect(getNauticalTimezone(-71.06)).toBe('Etc/GMT+5');
+      expect(getNauticalTimezone(139.7)).toBe('Etc/GMT-9');
+      expect(getNauticalTimezone(-0.12)).toBe('Etc/GMT');
+      expect(getNauticalTimezone(180)).toBe('Etc/GMT-12');
+    });
+  });
+
+  describe('createTimezoneLookup', () => {
+    it('should fall back to the nautical zone outside the boundaries', () => {
+      const lookup = createTimezoneLookup(boundaries());
+
+      expect(lookup(42.36, -71.06)).toBe('America/New_York');
+      expect(lookup(51.5, -0.12)).toBe('Etc/GMT');
+    });
+
+    it('should use nautical zones without boundaries', () => {
+      expect(createTimezoneLookup(null)(42.36, -71.06)).toBe('Etc/GMT+5');
+    });
+
+    it('should use the IANA lookup outside the boundaries', () => {
+      const lookup = createTimezoneLookup(boundaries(), tzlookup);
+
+      expect(lookup(42.36, -71.06)).toBe('America/New_York');
+      expect(lookup(51.5, -0.12)).toBe('Europe/London');
+      expect(lookup(27.7, 85.3)).toBe('Asia/Kathmandu');
+    });
+
+    it('should fall back to the nautical zone when the IANA lookup fails', () => {
+      const lookup = createTimezoneLookup(null, () => {
+        throw new Error('invalid coordinates');
+      });
+
+      expect(lookup(42.36, -71.06)).toBe('Etc/GMT+5');
+    });
+
+    it('should pick up tz-lookup when the dashboard loads it', () => {
+      expect(getIanaTimezoneLookup()).toBeNull();
+
+      window.tzlookup = tzlookup;
+      try {
+        expect(createTimezoneLookup(null)(42.36, -71.06)).toBe('America/New_York');
+      } finally {
+        delete window.tzlookup;
+      }
+    });
+
+    it('should reuse lookups for nearby points', () => {
+      const parsed = boundaries();
+      const lookup = createTimezoneLookup(parsed);
+      lookup(42.36, -71.06);
+      parsed.polygons.length = 0;
+
+      expect(lookup(42.3601, -71.0601)).toBe('America/New_York');
+    });
+  });
+
+  // ============================================================================
+  // Local time
+  // ============================================================================
+
+  describe('getZonedTime', () => {
+    it('should split a time into parts for a timezone', () => {
+      expect(getZonedTime(TIME, 'America/New_York')).toEqual({
+        year: 2025, month: 6, day: 2, hour: 14, minute: 45, second: 30, weekday: 1, dateKey: '2025-06-02',
+      });
+    });
+
+    it('should roll over the date for zones ahead of UTC', () => {
+      expect(getZonedTime(TIME, 'Asia/Kolkata')).toMatchObject({ hour: 0, minute: 15, weekday: 2, dateKey: '2025-06-03' });
+    });
+
+    it('should use this browser\'s timezone without a zone', () => {
+      const date = new Date(TIME);
+
+      expect(getZonedTime(TIME)).toMatchObject({ hour: date.getHours(), day: date.getDate(), weekday: date.getDay() });
+    });
+  });
+
+  describe('createLocalTime', () => {
+    it('should use the timezone at the coordinates', () => {
+      const localTime = createLocalTime(createTimezoneLookup(boundaries()));
+
+      expect(localTime(TIME, 41.88, -87.63).hour).toBe(13);
+      expect(localTime(TIME, 42.36, -71.06).hour).toBe(14);
+    });
+
+    it('should use viewer local time without a lookup or coordinates', () => {
+      const hour = new Date(TIME).getHours();
+
+      expect(createLocalTime(null)(TIME, 41.88, -87.63).hour).toBe(hour);
+      expect(createLocalTime(createTimezoneLookup(null))(TIME).hour).toBe(hour);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Test suite for trace-cleaning.js
+ * Tests accuracy filtering, teleport and spike removal, smoothing and the cleaning pipeline
+ */
+
+const {
+  CLEANING_DEFAULTS,
+  filterByAccuracy,
+  removeOutliers,
+  smoothMovingAverage,
+  smoothKalman,
+  cleanTrace,
+  splitAtGaps,
+  normalizeCleaningSettings,
+} = require('../trace-cleaning');
+
+describe('Trace Cleaning Module', () => {
+  const BASE = Date.parse('2025-06-02T08:00:00Z');
+  // ~111 m per 0.001 degrees of latitude
+  const location = (seconds, latitude, extra = {}) => ({
+    timestamp: new Date(BASE + seconds * 1000).toISOString(),
+    latitude,
+    longitude: -71.09,
+    ...extra,
+  });
+  const outlierOptions = { maxSpeed: CLEANING_DEFAULTS.maxSpeed, spikeDistance: CLEANING_DEFAULTS.spikeDistance };
+
+  // ============================================================================
+  // Filters
+  // ============================================================================
+
+  describe('filterByAccuracy', () => {
+    it('should drop fixes less accurate than the threshold and invalid fixes', () => {
+      const good = location(0, 42.36, { horizontalAccuracy: 5 });
+      const edge = location(1, 42.36, { horizontalAccuracy: 50 });
+      const poor = location(2, 42.36, { horizontalAccuracy: 65 });
+      const invalid = location(3, 42.36, { horizontalAccuracy: -1 });
+
+      expect(filterByAccuracy([good, edge, poor, invalid], 50)).toEqual({ kept: [good, edge], removed: [poor, invalid] });
+    });
+
+    it('should keep fixes without an accuracy', () => {
+      expect(filterByAccuracy([location(0, 42.36)], 10).kept).toHaveLength(1);
+    });
+  });
+
+  describe('removeOutliers', () => {
+    it('should remove an isolated teleport', () => {
+      const jump = location(20, 42.46); // ~11 km in 10 s
+      const { kept, teleports } = removeOutliers([location(0, 42.36), location(10, 42.3601), jump, location(30, 42.3602)], outlierOptions);
+
+      expect(teleports).toEqual([jump]);
+      expect(kept).toHaveLength(3);
+    });
+
+    it('should keep a relocation the trace carries on from', () => {
+      // Recording resumes 500 km away after a flight and continues from there
+      const points = [location(0, 42.36), location(3600, 46.86), location(3660, 46.8601), location(3720, 46.8602)];
+
+      const { kept, teleports } = removeOutliers(points, outlierOptions);
+
+      expect(teleports).toEqual([]);
+      expect(kept).toHaveLength(4);
+    });
+
+    it('should remove out-and-back spikes', () => {
+      // 500 m out and back within two minutes while the neighbours are 11 m apart
+      const spike = location(60, 42.3645);
+      const { kept, spikes } = removeOutliers([location(0, 42.36), spike, location(120, 42.3601)], outlierOptions);
+
+      expect(spikes).toEqual([spike]);
+      expect(kept).toHaveLength(2);
+    });
+
+    it('should keep steady movement', () => {
+      const points = [0, 1, 2, 3, 4].map((minute) => location(minute * 60, 42.36 + minute * 0.001));
+
+      expect(removeOutliers(points, outlierOptions).kept).toEqual(points);
+    });
+
+    it('should treat a jump at the same instant as a teleport', () => {
+      const duplicate = location(0, 42.37);
+      expect(removeOutliers([location(0, 42.36), duplicate, location(10, 42.36)], outlierOptions).teleports).toEqual([duplicate]);
+    });
+  });
+
+  // ============================================================================
+  // Smoothing
+  // ============================================================================
+
+  describe('smoothMovingAverage', () => {
+    it('should average each point with its neighbours', () => {
+      const smoothed = smoothMovingAverage([location(0, 1), location(1, 2), location(2, 6)], 3);
+
+      expect(smoothed.map((p) => p.latitude)).toEqual([1.5, 3, 4]);
+    });
+
+    it('should keep the other fields and not modify the input', () => {
+      const points = [location(0, 1, { id: 'a' }), location(1, 3, { id: 'b' })];
+
+      const smoothed = smoothMovingAverage(points, 3);
+
+      expect(smoothed[0]).toMatchObject({ id: 'a', latitude: 2 });
+      expect(points[0].latitude).toBe(1);
+    });
+  });
+
+  describe('smoothKalman', () => {
+    it('should pull a noisy fix towards the estimate', () => {
+      const points = [
+        location(0, 42.36, { horizontalAccuracy: 5 }),
+        location(1, 42.3610, { horizontalAccuracy: 50 }), // ~111 m off, low accuracy
+      ];
+
+      const smoothed = smoothKalman(points, 3);
+
+      expect(smoothed[0].latitude).toBe(42.36);
+      expect(smoothed[1].latitude).toBeGreaterThan(42.36);
+      expect(smoothed[1].latitude).toBeLessThan(42.3601);
+    });
+
+    it('should follow accurate fixes after time has passed', () => {
+      const points = [
+        location(0, 42.36, { horizontalAccuracy: 5 }),
+        location(600, 42.37, { horizontalAccuracy: 5 }),
+      ];
+
+      expect(smoothKalman(points, 3)[1].latitude).toBeCloseTo(42.37, 4);
+    });
+  });
+
+  // ============================================================================
+  // Pipeline
+  // ============================================================================
+
+  describe('cleanTrace', () => {
+    const trace = () => [
+      location(120, 42.3602, { id: 'c' }),
+      location(0, 42.36, { id: 'a' }),
+      location(60, 42.3601, { id: 'b', horizontalAccuracy: 80 }),
+      location(90, 42.5, { id: 'jump' }),
+      location(180, 42.3603, { id: 'd' }),
+    ];
+
+    it('should sort, filter and report what was removed', () => {
+      const result = cleanTrace(trace());
+
+      expect(result.locations.map((p) => p.id)).toEqual(['a', 'c', 'd']);
+      expect(result.removed.map((r) => [r.location.id, r.reason])).toEqual([['b', 'accuracy'], ['jump', 'teleport']]);
+      expect(result.stats).toEqual({ input: 5, output: 3, accuracy: 1, teleport: 1, spike: 0 });
+    });
+
+    it('should pass the trace through when disabled', () => {
+      const result = cleanTrace(trace(), { enabled: false });
+
+      expect(result.locations.map((p) => p.id)).toEqual(['a', 'b', 'jump', 'c', 'd']);
+      expect(result.removed).toEqual([]);
+    });
+
+    it('should smooth with the selected method', () => {
+      const average = cleanTrace(trace(), { smoothing: 'moving-average', windowSize: 3 });
+      const kalman = cleanTrace(trace(), { smoothing: 'kalman' });
+
+      expect(average.locations[0].latitude).toBeCloseTo(42.3601);
+      expect(kalman.locations[0].latitude).toBe(42.36);
+      expect(kalman.locations).toHaveLength(3);
+    });
+
+    it('should skip points without coordinates', () => {
+      expect(cleanTrace([{ timestamp: new Date(BASE).toISOString() }]).stats.input).toBe(0);
+    });
+  });
+
+  describe('splitAtGaps', () => {
+    it('should start a new run after a gap', () => {
+      const runs = splitAtGaps([location(0, 1), location(60, 2), location(4000, 3), location(4060, 4)], 30 * 60 * 1000);
+
+      expect(runs.map((run) => run.map((p) => p.latitude))).toEqual([[1, 2], [3, 4]]);
+    });
+
+    it('should return no runs without points', () => {
+      expect(splitAtGaps([], 1000)).toEqual([]);
+    });
+  });
+
+  describe('normalizeCleaningSettings', () => {
+    it('should fill in defaults', () => {
+      expect(normalizeCleaningSettings()).toEqual(CLEANING_DEFAULTS);
+    });
+
+    it('should accept valid values from form inputs', () => {
+      expect(normalizeCleaningSettings({ enabled: false, maxAccuracy: '20', smoothing: 'kalman', windowSize: '7' }))
+        .toMatchObject({ enabled: false, maxAccuracy: 20, smoothing: 'kalman', windowSize: 7 });
+    });
+
+    it('should fall back to defaults for invalid values', () => {
+      expect(normalizeCleaningSettings({ maxAccuracy: -5, maxSpeed: 'fast', smoothing: 'spline' }))
+        .toMatchObject({
+          maxAccuracy: CLEANING_DEFAULTS.maxAccuracy,
+          maxSpeed: CLEANING_DEFAULTS.maxSpeed,
+          smoothing: CLEANING_DEFAULTS.smoothing,
+        });
+    });
+  });
+});
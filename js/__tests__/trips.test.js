@@ -0,0 +1,261 @@
+/**
+ * Test suite for trips.js
+ * Tests stay detection, merging with iOS visits and segmenting locations into stays and journeys
+ */
+
+const {
+  detectStayPoints,
+  mergeVisitStays,
+  getJourneyModes,
+  getDominantMode,
+  segmentTrips,
+  getJourneys,
+  groupSegmentsByDay,
+  summarizeTrips,
+} = require('../trips');
+const { createLocalTime } = require('../timezones');
+
+describe('Trip Segmentation Module', () => {
+  const MINUTE = 60 * 1000;
+  const BASE = new Date(2025, 5, 2, 8, 0).getTime(); // local 08:00
+
+  // Work is ~1.1 km north of home
+  const HOME = { latitude: 42.36, longitude: -71.09 };
+  const WORK = { latitude: 42.37, longitude: -71.09 };
+
+  const location = (minutes, { latitude, longitude }) => ({
+    timestamp: new Date(BASE + minutes * MINUTE).toISOString(),
+    latitude,
+    longitude,
+  });
+
+  const point = (minutes, place) => ({ time: BASE + minutes * MINUTE, ...place });
+
+  // Home 08:00-08:30, walk north 08:31-08:44, work 08:45-10:00
+  const commute = () => [
+    ...[0, 10, 20, 30].map((m) => location(m, HOME)),
+    ...[1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14].map((step) => location(30 + step, {
+      latitude: HOME.latitude + (WORK.latitude - HOME.latitude) * (step / 15),
+      longitude: HOME.longitude,
+    })),
+    ...[45, 60, 80, 100, 120].map((m) => location(m, WORK)),
+  ];
+
+  // ============================================================================
+  // Stays
+  // ============================================================================
+
+  describe('detectStayPoints', () => {
+    it('should find runs of nearby points lasting long enough', () => {
+      const stays = detectStayPoints([point(0, HOME), point(10, HOME), point(20, WORK), point(40, WORK)]);
+
+      expect(stays).toHaveLength(2);
+      expect(stays[0]).toMatchObject({ type: 'stay', start: BASE, end: BASE + 10 * MINUTE, pointCount: 2 });
+      expect(stays[0].latitude).toBeCloseTo(HOME.latitude);
+      expect(stays[1].durationMinutes).toBe(20);
+    });
+
+    it('should ignore short pauses', () => {
+      expect(detectStayPoints([point(0, HOME), point(2, HOME), point(3, WORK)])).toEqual([]);
+    });
+
+    it('should honour a custom minimum stay', () => {
+      expect(detectStayPoints([point(0, HOME), point(2, HOME)], { minStayMinutes: 1 })).toHaveLength(1);
+    });
+  });
+
+  describe('mergeVisitStays', () => {
+    const visit = (arrival, departure, place) => ({
+      arrivalDate: new Date(BASE + arrival * MINUTE).toISOString(),
+      departureDate: new Date(BASE + departure * MINUTE).toISOString(),
+      ...place,
+    });
+
+    it('should absorb overlapping stays at the same place into the visit', () => {
+      const stays = detectStayPoints([point(10, HOME), point(20, HOME)]);
+      const homeVisit = visit(0, 30, HOME);
+
+      const merged = mergeVisitStays(stays, [homeVisit]);
+
+      expect(merged).toHaveLength(1);
+      expect(merged[0]).toMatchObject({ start: BASE, end: BASE + 30 * MINUTE, visit: homeVisit, pointCount: 2 });
+    });
+
+    it('should keep visits recorded without location updates as stays', () => {
+      const merged = mergeVisitStays([], [visit(0, 30, WORK)]);
+
+      expect(merged).toHaveLength(1);
+      expect(merged[0].latitude).toBe(WORK.latitude);
+    });
+
+    it('should not match a stay at another place', () => {
+      const stays = detectStayPoints([point(10, HOME), point(20, HOME)]);
+
+      expect(mergeVisitStays(stays, [visit(0, 30, WORK)])).toHaveLength(2);
+    });
+
+    it('should skip visits without a departure', () => {
+      expect(mergeVisitStays([], [{ timestamp: new Date(BASE).toISOString(), ...HOME }])).toEqual([]);
+    });
+  });
+
+  // ============================================================================
+  // Journeys
+  // ============================================================================
+
+  describe('getDominantMode', () => {
+    it('should pick the mode used longest', () => {
+      expect(getDominantMode({ walking: 300, automotive: 900 })).toBe('automotive');
+    });
+
+    it('should not let waiting outweigh moving', () => {
+      expect(getDominantMode({ stationary: 1200, walking: 300 })).toBe('walking');
+      expect(getDominantMode({ stationary: 1200 })).toBe('stationary');
+    });
+
+    it('should return unknown without measurements', () => {
+      expect(getDominantMode({})).toBe('unknown');
+    });
+  });
+
+  describe('getJourneyModes', () => {
+    it('should add up time per activity inside the journey', () => {
+      const speedData = [
+        { timestamp: new Date(BASE + MINUTE).toISOString(), inferredActivity: 'walking', timeDeltaSec: 60 },
+        { timestamp: new Date(BASE + 2 * MINUTE).toISOString(), inferredActivity: 'walking', timeDeltaSec: 60 },
+        { timestamp: new Date(BASE + 10 * MINUTE).toISOString(), inferredActivity: 'cycling', timeDeltaSec: 60 },
+      ];
+
+      expect(getJourneyModes(speedData, BASE, BASE + 5 * MINUTE)).toEqual({ walking: 120 });
+    });
+  });
+
+  describe('segmentTrips', () => {
+    it('should alternate stays and journeys', () => {
+      const segments = segmentTrips(commute());
+
+      expect(segments.map((segment) => segment.type)).toEqual(['stay', 'journey', 'stay']);
+    });
+
+    it('should describe journeys by origin, destination, times, distance and mode', () => {
+      const locations = commute();
+      const speedData = locations.slice(4, 18).map((loc) => ({ timestamp: loc.timestamp, inferredActivity: 'walking', timeDeltaSec: 60 }));
+
+      const [home, journey, work] = segmentTrips(locations, [], speedData);
+
+      expect(journey.origin).toBe(home);
+      expect(journey.destination).toBe(work);
+      expect(journey.start).toBe(home.end);
+      expect(journey.end).toBe(work.start);
+      expect(journey.distance).toBeGreaterThan(1000);
+      expect(journey.distance).toBeLessThan(1200);
+      expect(journey.mode).toBe('walking');
+      // The first and last steps are within the stay radius and belong to the stays
+      expect(journey.pointCount).toBe(12);
+    });
+
+    it('should link stays to the iOS visits they match', () => {
+      const workVisit = {
+        arrivalDate: new Date(BASE + 45 * MINUTE).toISOString(),
+        departureDate: new Date(BASE + 150 * MINUTE).toISOString(),
+        ...WORK,
+      };
+
+      const segments = segmentTrips(commute(), [workVisit]);
+
+      expect(segments[2].visit).toBe(workVisit);
+      expect(segments[2].end).toBe(BASE + 150 * MINUTE);
+    });
+
+    it('should merge stays at the same place when the user never left', () => {
+      const locations = [location(0, HOME), location(10, HOME), location(11, { latitude: HOME.latitude + 0.0012, longitude: HOME.longitude }), location(20, HOME), location(30, HOME)];
+
+      const segments = segmentTrips(locations, [], [], { stayRadius: 50 });
+
+      expect(segments).toHaveLength(1);
+      expect(segments[0]).toMatchObject({ type: 'stay', start: BASE, end: BASE + 30 * MINUTE });
+    });
+
+    it('should keep movement before the first and after the last stay as open journeys', () => {
+      const locations = commute().slice(4);
+      locations.push(location(125, { latitude: WORK.latitude + 0.005, longitude: WORK.longitude }));
+
+      const segments = segmentTrips(locations);
+
+      expect(segments[0]).toMatchObject({ type: 'journey', origin: null });
+      expect(segments[segments.length - 1]).toMatchObject({ type: 'journey', destination: null });
+    });
+
+    it('should return a single journey when the user never stopped', () => {
+      const segments = segmentTrips(commute().slice(4, 18));
+
+      expect(segments).toHaveLength(1);
+      expect(segments[0]).toMatchObject({ type: 'journey', origin: null, destination: null });
+    });
+
+    it('should return nothing without data', () => {
+      expect(segmentTrips([])).toEqual([]);
+    });
+  });
+
+  // ============================================================================
+  // Summaries
+  // ============================================================================
+
+  describe('groupSegmentsByDay', () => {
+    it('should list a segment on every day it covers', () => {
+      const night = { type: 'stay', start: new Date(2025, 5, 1, 22, 0).getTime(), end: new Date(2025, 5, 2, 7, 0).getTime() };
+      const morning = { type: 'journey', start: new Date(2025, 5, 2, 7, 0).getTime(), end: new Date(2025, 5, 2, 7, 30).getTime() };
+
+      const days = groupSegmentsByDay([night, morning]);
+
+      expect(days.map((day) => day.key)).toEqual(['2025-06-01', '2025-06-02']);
+      expect(days[0].segments).toEqual([night]);
+      expect(days[1].segments).toEqual([night, morning]);
+      expect(days[1].start).toBe(new Date(2025, 5, 2).getTime());
+    });
+
+    it('should split days in the given clock', () => {
+      const tokyo = createLocalTime(() => 'Asia/Tokyo');
+      // 14:00-16:00 UTC is 23:00-01:00 in Tokyo
+      const stay = { type: 'stay', ...HOME, start: Date.UTC(2025, 5, 1, 14), end: Date.UTC(2025, 5, 1, 16) };
+
+      const days = groupSegmentsByDay([stay], tokyo);
+
+      expect(days.map((day) => day.key)).toEqual(['2025-06-01', '2025-06-02']);
+      expect(days[1].start).toBe(Date.UTC(2025, 5, 1, 15));
+      expect(days[1].end).toBe(Date.UTC(2025, 5, 2, 15) - 1);
+    });
+
+    it('should keep day bounds at midnight across daylight saving changes', () => {
+      const newYork = createLocalTime(() => 'America/New_York');
+      // Clocks go forward at 02:00 on 9 March 2025, so that day is 23 hours long
+      const journey = { type: 'journey', origin: HOME, start: Date.UTC(2025, 2, 9, 18), end: Date.UTC(2025, 2, 10, 5) };
+
+      const [sunday, monday] = groupSegmentsByDay([journey], newYork);
+
+      expect(sunday).toMatchObject({ key: '2025-03-09', start: Date.UTC(2025, 2, 9, 5), end: Date.UTC(2025, 2, 10, 4) - 1 });
+      expect(monday.start).toBe(Date.UTC(2025, 2, 10, 4));
+    });
+  });
+
+  describe('summarizeTrips', () => {
+    it('should count journeys and distance by mode', () => {
+      const segments = [
+        { type: 'stay' },
+        { type: 'journey', mode: 'walking', distance: 500 },
+        { type: 'stay' },
+        { type: 'journey', mode: 'walking', distance: 700 },
+        { type: 'journey', mode: 'automotive', distance: 5000 },
+      ];
+
+      expect(getJourneys(segments)).toHaveLength(3);
+      expect(summarizeTrips(segments)).toEqual({
+        journeys: 3,
+        stays: 2,
+        totalDistance: 6200,
+        byMode: { walking: { count: 2, distance: 1200 }, automotive: { count: 1, distance: 5000 } },
+      });
+    });
+  });
+});
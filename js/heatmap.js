@@ -0,0 +1,145 @@
+/**
+ * Location Heatmap Module
+ * Builds weighted heatmap points from location samples and visits, so places where users dwell
+ * outweigh the places they merely pass through, optionally limited to a time-of-day window
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const HEATMAP_DEFAULTS = {
+  radius: 25,           // pixels, leaflet.heat radius
+  fromHour: 0,          // time-of-day window start (inclusive)
+  toHour: 24,           // time-of-day window end (exclusive); fromHour > toHour wraps midnight
+  minutesPerPoint: 5,   // a visit weighs as much as one location sample per this many dwell minutes
+};
+
+// ============================================================================
+// Time of day
+// ============================================================================
+
+/**
+ * Check whether a time-of-day window covers the whole day
+ */
+function isAllDay(fromHour, toHour) {
+  return fromHour === toHour || (fromHour === 0 && toHour === 24);
+}
+
+/**
+ * Local time parts in this browser's timezone, the default clock for time-of-day windows
+ */
+function heatmapLocalTime(time) {
+  const date = new Date(time);
+  return { hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds() };
+}
+
+/**
+ * Check whether a local hour falls in a time-of-day window
+ * @param {number} hour - Hour 0-23
+ * @param {number} fromHour - Window start (inclusive)
+ * @param {number} toHour - Window end (exclusive); a window from 22 to 6 wraps midnight
+ * @returns {boolean}
+ */
+function isHourInWindow(hour, fromHour, toHour) {
+  if (isAllDay(fromHour, toHour)) return true;
+  if (fromHour < toHour) return hour >= fromHour && hour < toHour;
+  return hour >= fromHour || hour < toHour;
+}
+
+/**
+ * Count the minutes of a time span that fall in a time-of-day window
+ * @param {number} start - Span start (ms)
+ * @param {number} end - Span end (ms)
+ * @param {number} fromHour - Window start
+ * @param {number} toHour - Window end
+ * @param {Function} [localTime] - time => { hour, minute, second } in the clock to use; defaults to this browser's
+ * @returns {number} Minutes in the window
+ */
+function minutesInWindow(start, end, fromHour, toHour, localTime = heatmapLocalTime) {
+  if (end <= start) return 0;
+  if (isAllDay(fromHour, toHour)) return (end - start) / 60000;
+
+  // Walk the span hour by hour (local time), clipping the first and last hour
+  let minutes = 0;
+  let cursor = start;
+  while (cursor < end) {
+    const { hour, minute, second } = localTime(cursor);
+    const nextHour = cursor + ((60 - minute) * 60 - second) * 1000 - (cursor % 1000);
+    const sliceEnd = Math.min(nextHour, end);
+    if (isHourInWindow(hour, fromHour, toHour)) {
+      minutes += (sliceEnd - cursor) / 60000;
+    }
+    cursor = sliceEnd;
+  }
+  return minutes;
+}
+
+// ============================================================================
+// Points
+// ============================================================================
+
+/**
+ * Build heatmap points weighted by dwell time
+ * Each location sample in the window weighs 1; each visit adds its dwell minutes in the window
+ * divided by minutesPerPoint. Weights are normalised so the heaviest point is 1.
+ * @param {Array<Object>} locations - Location documents
+ * @param {Array<Object>} visits - Visit documents (arrivalDate/departureDate or timestamp)
+ * @param {Object} [options] - Overrides of HEATMAP_DEFAULTS plus optional start/end (ms) date bounds and
+ *   localTime ((time, latitude, longitude) => { hour, minute, second }, e.g. from createLocalTime())
+ * @returns {Array<Array<number>>} [latitude, longitude, weight] triples for L.heatLayer
+ */
+function buildHeatmapPoints(locations, visits = [], options = {}) {
+  const { fromHour, toHour, minutesPerPoint, start = -Infinity, end = Infinity, localTime = heatmapLocalTime } = { ...HEATMAP_DEFAULTS, ...options };
+  const points = [];
+
+  for (const loc of locations) {
+    if (typeof loc.latitude !== 'number' || typeof loc.longitude !== 'number' || !loc.timestamp) continue;
+    const time = new Date(loc.timestamp).getTime();
+    if (time < start || time > end) continue;
+    if (!isHourInWindow(localTime(time, loc.latitude, loc.longitude).hour, fromHour, toHour)) continue;
+    points.push([loc.latitude, loc.longitude, 1]);
+  }
+
+  for (const visit of visits) {
+    if (typeof visit.latitude !== 'number' || typeof visit.longitude !== 'number') continue;
+    const arrival = new Date(visit.arrivalDate || visit.timestamp).getTime();
+    const departure = visit.departureDate ? new Date(visit.departureDate).getTime() : arrival;
+    if (Number.isNaN(arrival)) continue;
+
+    const visitTime = (time) => localTime(time, visit.latitude, visit.longitude);
+    const dwellMinutes = minutesInWindow(Math.max(arrival, start), Math.min(departure, end), fromHour, toHour, visitTime);
+    if (dwellMinutes > 0) {
+      points.push([visit.latitude, visit.longitude, dwellMinutes / minutesPerPoint]);
+    }
+  }
+
+  const maxWeight = points.reduce((max, point) => Math.max(max, point[2]), 0);
+  return maxWeight > 0 ? points.map(([lat, lng, weight]) => [lat, lng, weight / maxWeight]) : [];
+}
+
+/**
+ * Format a time-of-day window for display
+ * @param {number} fromHour - Window start
+ * @param {number} toHour - Window end
+ * @returns {string} e.g. 'All day' or '22:00–06:00'
+ */
+function formatHourWindow(fromHour, toHour) {
+  if (isAllDay(fromHour, toHour)) return 'All day';
+  const pad = (hour) => `${String(hour % 24).padStart(2, '0')}:00`;
+  return `${pad(fromHour)}–${pad(toHour)}`;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HEATMAP_DEFAULTS,
+    isHourInWindow,
+    minutesInWindow,
+    buildHeatmapPoints,
+    formatHourWindow,
+  };
+}
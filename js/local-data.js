@@ -0,0 +1,233 @@
+/**
+ * Local Data Module
+ * Loads exporter output (data/*.json, NDJSON, gzip) or dropped files as the dashboard's data source,
+ * and answers the same user + date range queries the dashboard sends to Firestore
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+// Files written by export-firebase-data.js, relative to dashboard.html
+const LOCAL_DATA_FILES = {
+  locations: 'data/locations.json',
+  motion: 'data/motion.json',
+  visits: 'data/visits.json',
+};
+
+const LOCAL_DATA_KINDS = Object.keys(LOCAL_DATA_FILES);
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Parse an exported data file
+ * @param {string} text - File contents: a JSON array or NDJSON (one document per line)
+ * @returns {Array<Object>} Documents
+ */
+function parseLocalDataText(text) {
+  const trimmed = text.trim();
+  if (trimmed === '') {
+    return [];
+  }
+
+  if (trimmed.startsWith('[')) {
+    const documents = JSON.parse(trimmed);
+    if (!Array.isArray(documents)) {
+      throw new Error('Expected a JSON array of documents');
+    }
+    return documents;
+  }
+
+  return trimmed.split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${index + 1}`);
+      }
+    });
+}
+
+/**
+ * Work out which dataset a file holds, from its name or else its documents
+ * @param {string} fileName - File name, e.g. 'locations.json.gz' or 'user_visits.ndjson'
+ * @param {Array<Object>} documents - Parsed documents
+ * @returns {string|null} 'locations', 'motion', 'visits' or null when unknown
+ */
+function detectLocalDataKind(fileName, documents) {
+  const name = (fileName || '').toLowerCase();
+  if (name.includes('location')) return 'locations';
+  if (name.includes('motion')) return 'motion';
+  if (name.includes('visit')) return 'visits';
+
+  const sample = documents.find((doc) => doc && typeof doc === 'object');
+  if (!sample) return null;
+  if ('arrivalDate' in sample || 'departureDate' in sample) return 'visits';
+  if ('isWalking' in sample || 'isStationary' in sample) return 'motion';
+  if ('latitude' in sample && 'longitude' in sample) return 'locations';
+  return null;
+}
+
+/**
+ * Read a dropped or fetched file as text, gunzipping .gz files
+ * @param {Blob} file - File or Blob (uses file.name to detect gzip)
+ * @returns {Promise<string>} File contents
+ */
+async function readLocalDataFile(file) {
+  if (file.name && file.name.endsWith('.gz')) {
+    const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+  }
+  return file.text();
+}
+
+// ============================================================================
+// Dataset
+// ============================================================================
+
+/**
+ * Create an empty local dataset
+ * @returns {Object} Dataset with locations, motion and visits arrays and the loaded source names
+ */
+function createLocalDataset() {
+  return { locations: [], motion: [], visits: [], sources: [] };
+}
+
+/**
+ * Add documents to a dataset, replacing documents with the same id
+ * Files from several users (e.g. a cohort export) are combined
+ * @param {Object} dataset - Dataset from createLocalDataset
+ * @param {string} kind - 'locations', 'motion' or 'visits'
+ * @param {Array<Object>} documents - Documents to add
+ * @param {string} sourceName - File name or URL shown in the UI
+ * @returns {Object} The dataset
+ */
+function addLocalDocuments(dataset, kind, documents, sourceName) {
+  if (!LOCAL_DATA_KINDS.includes(kind)) {
+    throw new Error(`Unknown data kind: ${kind}`);
+  }
+
+  const byId = new Map();
+  dataset[kind].forEach((doc, index) => byId.set(doc.id || `${kind}-${index}`, doc));
+  documents.forEach((doc, index) => byId.set(doc.id || `${sourceName}-${index}`, doc));
+
+  dataset[kind] = [...byId.values()];
+  dataset.sources.push({ name: sourceName, kind, count: documents.length });
+  return dataset;
+}
+
+/**
+ * Fetch the exporter's data/*.json files into a new dataset
+ * Missing files are skipped so a partial export still loads
+ * @param {Function} [fetchFn=fetch] - fetch implementation
+ * @param {Object} [files=LOCAL_DATA_FILES] - URL per data kind
+ * @returns {Promise<Object>} Dataset
+ */
+async function loadLocalDataFiles(fetchFn = fetch, files = LOCAL_DATA_FILES) {
+  const dataset = createLocalDataset();
+
+  for (const [kind, url] of Object.entries(files)) {
+    const response = await fetchFn(url);
+    if (!response.ok) {
+      console.warn(`Local data: ${url} not found (HTTP ${response.status})`);
+      continue;
+    }
+    addLocalDocuments(dataset, kind, parseLocalDataText(await response.text()), url);
+  }
+
+  if (dataset.sources.length === 0) {
+    throw new Error(`No exported data found (looked for ${Object.values(files).join(', ')})`);
+  }
+  return dataset;
+}
+
+// ============================================================================
+// Queries
+// ============================================================================
+
+/**
+ * Get the time a document was received, as the dashboard's Firestore queries use
+ * @param {Object} doc - Exported document
+ * @returns {number} Milliseconds since epoch, or NaN without a timestamp
+ */
+function getLocalDocumentTime(doc) {
+  return new Date(doc.serverTimestamp || doc.timestamp || doc.arrivalDate).getTime();
+}
+
+/**
+ * Select one user's documents in a date range, newest first
+ * Mirrors the dashboard's Firestore query: userId == user, serverTimestamp within range, ordered desc
+ * @param {Array<Object>} documents - Documents of one kind
+ * @param {string|null} userId - User to select, or null for every user
+ * @param {Date} startDate - Range start (inclusive)
+ * @param {Date} endDate - Range end (inclusive)
+ * @returns {Array<Object>} Matching documents
+ */
+function selectLocalDocuments(documents, userId, startDate, endDate) {
+  const start = startDate.getTime();
+  const end = endDate.getTime();
+
+  return documents
+    .filter((doc) => !userId || doc.userId === userId)
+    .filter((doc) => {
+      const time = getLocalDocumentTime(doc);
+      return time >= start && time <= end;
+    })
+    .sort((a, b) => getLocalDocumentTime(b) - getLocalDocumentTime(a));
+}
+
+/**
+ * Summarize the users in a dataset, in the shape of window.loadAvailableUsers()
+ * @param {Object} dataset - Dataset from createLocalDataset
+ * @returns {Map<string, Object>} userId -> { locations, motion, visits, minDate, maxDate }
+ */
+function summarizeLocalUsers(dataset) {
+  const usersMap = new Map();
+
+  for (const kind of LOCAL_DATA_KINDS) {
+    for (const doc of dataset[kind]) {
+      const userId = doc.userId;
+      if (!userId) continue;
+
+      if (!usersMap.has(userId)) {
+        usersMap.set(userId, { locations: 0, motion: 0, visits: 0, minDate: null, maxDate: null });
+      }
+
+      const stats = usersMap.get(userId);
+      stats[kind]++;
+
+      const time = getLocalDocumentTime(doc);
+      if (!Number.isNaN(time)) {
+        const date = new Date(time);
+        if (!stats.minDate || date < stats.minDate) stats.minDate = date;
+        if (!stats.maxDate || date > stats.maxDate) stats.maxDate = date;
+      }
+    }
+  }
+
+  return usersMap;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LOCAL_DATA_FILES,
+    LOCAL_DATA_KINDS,
+    parseLocalDataText,
+    detectLocalDataKind,
+    readLocalDataFile,
+    createLocalDataset,
+    addLocalDocuments,
+    loadLocalDataFiles,
+    getLocalDocumentTime,
+    selectLocalDocuments,
+    summarizeLocalUsers,
+  };
+}
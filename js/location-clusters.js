@@ -0,0 +1,124 @@
+/**
+ * Location Clusters Module
+ * Level-of-detail helpers for drawing large location traces: points in view are drawn one by one
+ * when few or zoomed in, and otherwise grouped into screen-space grid clusters with a summary of
+ * their time range and activity mix
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const LOD_DEFAULTS = {
+  cellSize: 60,           // pixels per grid cell when clustering
+  detailZoom: 16,         // from this zoom on points are always drawn individually
+  maxDetailPoints: 1500,  // draw individual points when at most this many are in view
+};
+
+// ============================================================================
+// Level of detail
+// ============================================================================
+
+/**
+ * Keep the points inside a bounding box
+ * @param {Array<Object>} points - Points with latitude and longitude
+ * @param {Object} bounds - { south, west, north, east } in degrees
+ * @returns {Array<Object>} Points in view
+ */
+function filterPointsInBounds(points, bounds) {
+  return points.filter((point) => point.latitude >= bounds.south && point.latitude <= bounds.north &&
+    point.longitude >= bounds.west && point.longitude <= bounds.east);
+}
+
+/**
+ * Decide whether to draw points individually or clustered
+ * @param {number} zoom - Map zoom level
+ * @param {number} pointCount - Points in view
+ * @param {Object} [options] - Overrides of LOD_DEFAULTS
+ * @returns {string} 'points' or 'clusters'
+ */
+function chooseRenderMode(zoom, pointCount, options = {}) {
+  const { detailZoom, maxDetailPoints } = { ...LOD_DEFAULTS, ...options };
+  return zoom >= detailZoom || pointCount <= maxDetailPoints ? 'points' : 'clusters';
+}
+
+// ============================================================================
+// Clustering
+// ============================================================================
+
+/**
+ * Group points into clusters by the screen-space grid cell they fall in
+ * @param {Array<Object>} points - Points with latitude and longitude
+ * @param {Function} project - (latitude, longitude) => { x, y } in pixels at the current zoom
+ * @param {number} [cellSize=LOD_DEFAULTS.cellSize] - Grid cell size in pixels
+ * @returns {Array<Object>} Clusters with centroid latitude/longitude, count and points
+ */
+function clusterPoints(points, project, cellSize = LOD_DEFAULTS.cellSize) {
+  const cells = new Map();
+
+  for (const point of points) {
+    const { x, y } = project(point.latitude, point.longitude);
+    const key = `${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`;
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push(point);
+  }
+
+  return [...cells.values()].map((cellPoints) => ({
+    latitude: cellPoints.reduce((sum, p) => sum + p.latitude, 0) / cellPoints.length,
+    longitude: cellPoints.reduce((sum, p) => sum + p.longitude, 0) / cellPoints.length,
+    count: cellPoints.length,
+    points: cellPoints,
+  }));
+}
+
+/**
+ * Summarize the points of a cluster for its popup
+ * @param {Array<Object>} points - Points with time (ms) and activity
+ * @returns {Object} { count, start, end, activities: { activity: count }, dominantActivity }
+ */
+function summarizeCluster(points) {
+  const activities = {};
+  let start = Infinity;
+  let end = -Infinity;
+
+  for (const point of points) {
+    activities[point.activity] = (activities[point.activity] || 0) + 1;
+    if (point.time < start) start = point.time;
+    if (point.time > end) end = point.time;
+  }
+
+  const dominant = Object.entries(activities).sort((a, b) => b[1] - a[1])[0];
+  return {
+    count: points.length,
+    start: points.length > 0 ? start : null,
+    end: points.length > 0 ? end : null,
+    activities,
+    dominantActivity: dominant ? dominant[0] : 'unknown',
+  };
+}
+
+/**
+ * Size a cluster marker so larger clusters stand out without covering the map
+ * @param {number} count - Points in the cluster
+ * @returns {number} Radius in pixels
+ */
+function getClusterRadius(count) {
+  return Math.min(28, 8 + 3 * Math.log2(Math.max(count, 1)));
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LOD_DEFAULTS,
+    filterPointsInBounds,
+    chooseRenderMode,
+    clusterPoints,
+    summarizeCluster,
+    getClusterRadius,
+  };
+}
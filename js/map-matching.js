@@ -0,0 +1,428 @@
+/**
+ * Map Matching Module
+ * Builds a street graph from a local OSM extract (GeoJSON or OSM JSON) and snaps walking and
+ * cycling traces onto it with a hidden Markov model, so routes follow real streets instead of
+ * zig-zagging between noisy fixes
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+// Optional extract next to the exported data, relative to dashboard.html
+const STREET_NETWORK_FILE = 'data/streets.geojson';
+
+const MATCHING_DEFAULTS = {
+  searchRadius: 50,        // meters; streets further than this from a fix are not candidates
+  maxCandidates: 5,        // closest streets considered per fix
+  gpsSigma: 15,            // meters; spread of GPS error around the true street position
+  transitionBeta: 50,      // meters; tolerance for street routes longer or shorter than the straight line
+  maxRouteDistance: 2000,  // meters; longest street route searched between consecutive fixes
+  excludeHighways: ['motorway', 'motorway_link', 'trunk', 'trunk_link', 'construction', 'proposed'],
+};
+
+const GRID_CELL_DEGREES = 0.002; // ~200 m spatial index cells
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Great-circle distance in meters
+ */
+function streetDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371000;
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function streetGridKey(latitude, longitude) {
+  return `${Math.floor(latitude / GRID_CELL_DEGREES)}:${Math.floor(longitude / GRID_CELL_DEGREES)}`;
+}
+
+// Binary min-heap of [cost, node] pairs for Dijkstra
+function streetHeapPush(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent][0] <= heap[i][0]) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function streetHeapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+      if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+}
+
+// ============================================================================
+// Street network
+// ============================================================================
+
+/**
+ * Build a street graph from an OSM extract
+ * Accepts a GeoJSON FeatureCollection of LineString/MultiLineString streets, or OSM JSON
+ * (Overpass or osmium export) with node and way elements. Ways are walkable in both directions.
+ * @param {Object} data - Parsed extract
+ * @param {Object} [options] - excludeHighways overrides MATCHING_DEFAULTS
+ * @returns {Object} { nodes: [{ latitude, longitude }], edges: [{ from, to, distance, name }],
+ *   adjacency: node index => [{ node, edge }], grid: cell => edge indexes }
+ */
+function parseStreetNetwork(data, options = {}) {
+  const excluded = options.excludeHighways || MATCHING_DEFAULTS.excludeHighways;
+  const network = { nodes: [], edges: [], adjacency: [], grid: new Map() };
+  const nodeIndex = new Map();
+
+  const addNode = (latitude, longitude) => {
+    const key = `${latitude.toFixed(7)},${longitude.toFixed(7)}`;
+    if (!nodeIndex.has(key)) {
+      nodeIndex.set(key, network.nodes.length);
+      network.nodes.push({ latitude, longitude });
+      network.adjacency.push([]);
+    }
+    return nodeIndex.get(key);
+  };
+
+  const addWay = (coordinates, tags = {}) => {
+    if (tags.highway && excluded.includes(tags.highway)) return;
+
+    for (let i = 1; i < coordinates.length; i++) {
+      const from = addNode(coordinates[i - 1][0], coordinates[i - 1][1]);
+      const to = addNode(coordinates[i][0], coordinates[i][1]);
+      if (from === to) continue;
+
+      const a = network.nodes[from];
+      const b = network.nodes[to];
+      const edge = network.edges.length;
+      network.edges.push({ from, to, distance: streetDistance(a.latitude, a.longitude, b.latitude, b.longitude), name: tags.name || null });
+      network.adjacency[from].push({ node: to, edge });
+      network.adjacency[to].push({ node: from, edge });
+
+      // Index the edge in every grid cell its bounding box touches
+      const south = Math.floor(Math.min(a.latitude, b.latitude) / GRID_CELL_DEGREES);
+      const north = Math.floor(Math.max(a.latitude, b.latitude) / GRID_CELL_DEGREES);
+      const west = Math.floor(Math.min(a.longitude, b.longitude) / GRID_CELL_DEGREES);
+      const east = Math.floor(Math.max(a.longitude, b.longitude) / GRID_CELL_DEGREES);
+      for (let y = south; y <= north; y++) {
+        for (let x = west; x <= east; x++) {
+          const key = `${y}:${x}`;
+          if (!network.grid.has(key)) network.grid.set(key, []);
+          network.grid.get(key).push(edge);
+        }
+      }
+    }
+  };
+
+  if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+    for (const feature of data.features) {
+      const geometry = feature && feature.geometry;
+      if (!geometry) continue;
+      const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+        : geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+      // GeoJSON positions are [longitude, latitude]
+      lines.forEach((line) => addWay(line.map(([lon, lat]) => [lat, lon]), feature.properties || {}));
+    }
+  } else if (data && Array.isArray(data.elements)) {
+    const osmNodes = new Map();
+    data.elements.filter((el) => el.type === 'node').forEach((el) => osmNodes.set(el.id, [el.lat, el.lon]));
+
+    for (const way of data.elements.filter((el) => el.type === 'way')) {
+      const tags = way.tags || {};
+      if (!tags.highway) continue;
+      const coordinates = Array.isArray(way.geometry)
+        ? way.geometry.map((point) => [point.lat, point.lon])
+        : (way.nodes || []).map((id) => osmNodes.get(id)).filter(Boolean);
+      addWay(coordinates, tags);
+    }
+  } else {
+    throw new Error('Unrecognised street network: expected a GeoJSON FeatureCollection or OSM JSON with elements');
+  }
+
+  if (network.edges.length === 0) {
+    throw new Error('Street network contains no usable streets');
+  }
+  return network;
+}
+
+/**
+ * Find the street positions closest to a fix
+ * @param {Object} network - Street graph from parseStreetNetwork
+ * @param {Object} point - { latitude, longitude }
+ * @param {Object} [options] - searchRadius and maxCandidates override MATCHING_DEFAULTS
+ * @returns {Array<Object>} Candidates { edge, fraction, latitude, longitude, distance }, closest first
+ */
+function findStreetCandidates(network, point, options = {}) {
+  const { searchRadius, maxCandidates } = { ...MATCHING_DEFAULTS, ...options };
+  const metersPerLat = 111320;
+  const metersPerLon = 111320 * Math.cos(point.latitude * Math.PI / 180);
+
+  const cellsLat = Math.ceil(searchRadius / metersPerLat / GRID_CELL_DEGREES);
+  const cellsLon = Math.ceil(searchRadius / metersPerLon / GRID_CELL_DEGREES);
+  const [row, col] = streetGridKey(point.latitude, point.longitude).split(':').map(Number);
+
+  const edges = new Set();
+  for (let y = row - cellsLat; y <= row + cellsLat; y++) {
+    for (let x = col - cellsLon; x <= col + cellsLon; x++) {
+      (network.grid.get(`${y}:${x}`) || []).forEach((edge) => edges.add(edge));
+    }
+  }
+
+  const candidates = [];
+  for (const edge of edges) {
+    const a = network.nodes[network.edges[edge].from];
+    const b = network.nodes[network.edges[edge].to];
+
+    // Project onto the edge in a local flat frame around the fix
+    const ax = (a.longitude - point.longitude) * metersPerLon;
+    const ay = (a.latitude - point.latitude) * metersPerLat;
+    const bx = (b.longitude - point.longitude) * metersPerLon;
+    const by = (b.latitude - point.latitude) * metersPerLat;
+    const lengthSq = (bx - ax) ** 2 + (by - ay) ** 2;
+    const fraction = lengthSq > 0 ? Math.min(1, Math.max(0, -(ax * (bx - ax) + ay * (by - ay)) / lengthSq)) : 0;
+
+    const latitude = a.latitude + fraction * (b.latitude - a.latitude);
+    const longitude = a.longitude + fraction * (b.longitude - a.longitude);
+    const distance = streetDistance(point.latitude, point.longitude, latitude, longitude);
+    if (distance <= searchRadius) {
+      candidates.push({ edge, fraction, latitude, longitude, distance });
+    }
+  }
+
+  return candidates.sort((x, y) => x.distance - y.distance).slice(0, maxCandidates);
+}
+
+/**
+ * Shortest street distances from a node, up to a limit
+ * @param {Object} network - Street graph
+ * @param {number} source - Node index
+ * @param {number} maxDistance - Stop searching beyond this many meters
+ * @returns {Object} { distances: Map node => meters, previous: Map node => node }
+ */
+function searchStreetGraph(network, source, maxDistance) {
+  const distances = new Map([[source, 0]]);
+  const previous = new Map();
+  const heap = [[0, source]];
+
+  while (heap.length > 0) {
+    const [cost, node] = streetHeapPop(heap);
+    if (cost > distances.get(node)) continue;
+
+    for (const { node: next, edge } of network.adjacency[node]) {
+      const nextCost = cost + network.edges[edge].distance;
+      if (nextCost <= maxDistance && nextCost < (distances.has(next) ? distances.get(next) : Infinity)) {
+        distances.set(next, nextCost);
+        previous.set(next, node);
+        streetHeapPush(heap, [nextCost, next]);
+      }
+    }
+  }
+
+  return { distances, previous };
+}
+
+/**
+ * Route along streets between two candidates
+ * @param {Object} network - Street graph
+ * @param {Object} from - Candidate from findStreetCandidates
+ * @param {Object} to - Candidate from findStreetCandidates
+ * @param {Function} search - node => searchStreetGraph result (lets callers cache searches)
+ * @returns {Object|null} { distance, path: [[lat, lng], ...] }, or null when out of reach
+ */
+function routeBetweenCandidates(network, from, to, search) {
+  const fromEdge = network.edges[from.edge];
+  const toEdge = network.edges[to.edge];
+
+  if (from.edge === to.edge) {
+    return {
+      distance: Math.abs(to.fraction - from.fraction) * fromEdge.distance,
+      path: [[from.latitude, from.longitude], [to.latitude, to.longitude]],
+    };
+  }
+
+  // Leave the first edge by either end and join the second by either end
+  const exits = [[fromEdge.from, from.fraction * fromEdge.distance], [fromEdge.to, (1 - from.fraction) * fromEdge.distance]];
+  const entries = [[toEdge.from, to.fraction * toEdge.distance], [toEdge.to, (1 - to.fraction) * toEdge.distance]];
+
+  let best = null;
+  for (const [exitNode, exitCost] of exits) {
+    const { distances, previous } = search(exitNode);
+    for (const [entryNode, entryCost] of entries) {
+      if (!distances.has(entryNode)) continue;
+      const distance = exitCost + distances.get(entryNode) + entryCost;
+      if (!best || distance < best.distance) {
+        best = { distance, exitNode, entryNode, previous };
+      }
+    }
+  }
+  if (!best) return null;
+
+  const nodes = [best.entryNode];
+  while (nodes[0] !== best.exitNode) {
+    nodes.unshift(best.previous.get(nodes[0]));
+  }
+
+  return {
+    distance: best.distance,
+    path: [
+      [from.latitude, from.longitude],
+      ...nodes.map((node) => [network.nodes[node].latitude, network.nodes[node].longitude]),
+      [to.latitude, to.longitude],
+    ],
+  };
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+/**
+ * Snap a trace onto the street network
+ * Viterbi over each fix's candidate streets: fixes close to a street are likely, and so are
+ * transitions whose street route is about as long as the straight line between the fixes.
+ * Fixes with no street nearby are skipped; where no street route connects two fixes the
+ * match is split into separate paths. The trace between fixes that no street path joins is
+ * measured as straight lines in gapDistance, so distance + gapDistance covers the whole trace.
+ * @param {Array<Object>} points - Fixes with latitude and longitude, oldest first
+ * @param {Object} network - Street graph from parseStreetNetwork
+ * @param {Object} [options] - Overrides of MATCHING_DEFAULTS
+ * @returns {Object} { paths: [[[lat, lng], ...]], distance (meters along streets), gapDistance (meters), matchedCount, unmatchedCount }
+ */
+function matchTrace(points, network, options = {}) {
+  const config = { ...MATCHING_DEFAULTS, ...options };
+  const searches = new Map();
+  const search = (node) => {
+    if (!searches.has(node)) searches.set(node, searchStreetGraph(network, node, config.maxRouteDistance));
+    return searches.get(node);
+  };
+
+  const emission = (candidate) => -0.5 * (candidate.distance / config.gpsSigma) ** 2;
+
+  // Each chain is a run of fixes connected by street routes: steps of { candidates, scores, back }
+  const chains = [];
+  let chain = [];
+  let previousPoint = null;
+  let unmatchedCount = 0;
+  // Index of the chain each fix joined, or -1 when it was skipped
+  const chainOf = [];
+
+  for (const point of points) {
+    const candidates = findStreetCandidates(network, point, config);
+    if (candidates.length === 0) {
+      unmatchedCount++;
+      chainOf.push(-1);
+      continue;
+    }
+
+    const last = chain[chain.length - 1];
+    if (!last) {
+      chain.push({ candidates, scores: candidates.map(emission), back: [], routes: [] });
+      chainOf.push(chains.length);
+      previousPoint = point;
+      continue;
+    }
+
+    const straight = streetDistance(previousPoint.latitude, previousPoint.longitude, point.latitude, point.longitude);
+    const step = { candidates, scores: [], back: [], routes: [] };
+    candidates.forEach((candidate, j) => {
+      let bestScore = -Infinity;
+      let bestFrom = -1;
+      let bestRoute = null;
+      last.candidates.forEach((prev, i) => {
+        if (last.scores[i] === -Infinity) return;
+        const route = routeBetweenCandidates(network, prev, candidate, search);
+        if (!route) return;
+        const score = last.scores[i] - Math.abs(route.distance - straight) / config.transitionBeta;
+        if (score > bestScore) {
+          bestScore = score;
+          bestFrom = i;
+          bestRoute = route;
+        }
+      });
+      step.scores[j] = bestFrom >= 0 ? bestScore + emission(candidate) : -Infinity;
+      step.back[j] = bestFrom;
+      step.routes[j] = bestRoute;
+    });
+
+    if (step.scores.every((score) => score === -Infinity)) {
+      // No street route reaches this fix: close the chain and start a new one here
+      chains.push(chain);
+      chain = [{ candidates, scores: candidates.map(emission), back: [], routes: [] }];
+    } else {
+      chain.push(step);
+    }
+    chainOf.push(chains.length);
+    previousPoint = point;
+  }
+  if (chain.length > 0) chains.push(chain);
+
+  // Consecutive fixes outside a shared chain have no street path between them
+  let gapDistance = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (chainOf[i] !== -1 && chainOf[i] === chainOf[i - 1]) continue;
+    gapDistance += streetDistance(points[i - 1].latitude, points[i - 1].longitude, points[i].latitude, points[i].longitude);
+  }
+
+  const paths = [];
+  let distance = 0;
+  let matchedCount = 0;
+
+  for (const steps of chains) {
+    // Backtrack from the most likely final candidate
+    const lastScores = steps[steps.length - 1].scores;
+    let index = lastScores.indexOf(Math.max(...lastScores));
+    const routes = [];
+    for (let s = steps.length - 1; s > 0; s--) {
+      routes.unshift(steps[s].routes[index]);
+      index = steps[s].back[index];
+    }
+    matchedCount += steps.length;
+
+    if (routes.length === 0) continue; // a lone fix has no street path
+
+    const path = [];
+    for (const route of routes) {
+      distance += route.distance;
+      // Consecutive routes share their joining position
+      path.push(...(path.length > 0 ? route.path.slice(1) : route.path));
+    }
+    paths.push(path);
+  }
+
+  return { paths, distance, gapDistance, matchedCount, unmatchedCount };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    STREET_NETWORK_FILE,
+    MATCHING_DEFAULTS,
+    parseStreetNetwork,
+    findStreetCandidates,
+    searchStreetGraph,
+    routeBetweenCandidates,
+    matchTrace,
+  };
+}
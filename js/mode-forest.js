@@ -0,0 +1,463 @@
+/**
+ * Mode Forest Module
+ * A small trainable tree ensemble (random forest) for transportation modes: extracts windowed
+ * features (speed percentiles, stop frequency, heading change rate, acceleration) around each fix,
+ * learns from labelled fixes such as motion sensor activities, and saves the model as JSON
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const MODE_FOREST_MODEL_TYPE = 'mode-forest';
+const MODE_FOREST_MODEL_VERSION = 1;
+
+// Feature order of each sample, as stored in saved models
+const MODE_FOREST_FEATURES = [
+  'speedP50',          // median speed in the window, m/s
+  'speedP85',          // 85th percentile speed, m/s
+  'speedMax',          // top speed, m/s
+  'stopShare',         // share of fixes below MODE_FOREST_STOP_SPEED
+  'stopsPerMinute',    // moving -> stopped transitions per minute
+  'headingChangeRate', // degrees of turning per second while moving
+  'accelerationMean',  // mean absolute speed change, m/s²
+  'accelerationP85',   // 85th percentile absolute speed change, m/s²
+];
+
+const MODE_FOREST_DEFAULTS = {
+  windowSize: 10,      // fixes per feature window, centred like classifyStopPattern() in motion-algorithms.js
+  trees: 25,
+  maxDepth: 10,
+  minLeafSize: 5,
+  maxSamples: 5000,    // bootstrap sample per tree is capped so training stays interactive in the browser
+  featuresPerSplit: 0, // features tried at each split; 0 for the square root of the feature count
+  testShare: 0.2,
+  blockSize: 60,       // consecutive samples kept on the same side of the split (windows overlap)
+  seed: 1,
+};
+
+const MODE_FOREST_STOP_SPEED = 0.5; // m/s, same stop threshold as classifyStopPattern()
+
+// ============================================================================
+// Features
+// ============================================================================
+
+function bearingDegrees(from, to) {
+  const lat1 = (from.latitude * Math.PI) / 180;
+  const lat2 = (to.latitude * Math.PI) / 180;
+  const dLng = ((to.longitude - from.longitude) * Math.PI) / 180;
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+function headingDifference(a, b) {
+  const change = Math.abs(a - b) % 360;
+  return change > 180 ? 360 - change : change;
+}
+
+/**
+ * Nearest-rank percentile of sorted values, indexed like classifyPercentile95()
+ */
+function sortedPercentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor((sorted.length * p) / 100))];
+}
+
+/**
+ * Extract a feature vector for every fix from the window of fixes around it
+ * @param {Object[]} points - Time-ordered fixes with speed (m/s), timestamp, latitude, longitude
+ *                            and optionally prevPoint (the raw fix before, as in the dashboard's speed data)
+ * @param {number} [windowSize] - Fixes per window
+ * @returns {number[][]} One sample per fix, values in MODE_FOREST_FEATURES order
+ */
+function extractWindowFeatures(points, windowSize = MODE_FOREST_DEFAULTS.windowSize) {
+  const times = points.map((point) => new Date(point.timestamp).getTime());
+
+  // Per-step values between each fix and the one before it
+  const seconds = points.map((point, i) => (i > 0 ? (times[i] - times[i - 1]) / 1000 : 0));
+  const accelerations = points.map((point, i) => (
+    seconds[i] > 0 ? Math.abs(point.speed - points[i - 1].speed) / seconds[i] : 0
+  ));
+  const headings = points.map((point, i) => {
+    const previous = point.prevPoint || points[i - 1];
+    return previous ? bearingDegrees(previous, point) : null;
+  });
+
+  return points.map((point, idx) => {
+    const start = Math.max(0, idx - Math.floor(windowSize / 2));
+    const end = Math.min(points.length, idx + Math.ceil(windowSize / 2));
+
+    const speeds = [];
+    const windowAccelerations = [];
+    let stopped = 0;
+    let stops = 0;
+    let turning = 0;
+    let movingSeconds = 0;
+
+    for (let i = start; i < end; i++) {
+      const isStopped = points[i].speed < MODE_FOREST_STOP_SPEED;
+      speeds.push(points[i].speed);
+      if (isStopped) stopped++;
+      if (i === start) continue;
+
+      windowAccelerations.push(accelerations[i]);
+      const wasStopped = points[i - 1].speed < MODE_FOREST_STOP_SPEED;
+      if (isStopped && !wasStopped) stops++;
+
+      // Headings of stopped fixes are GPS jitter, so only turns between moving fixes count
+      if (!isStopped && !wasStopped && headings[i] !== null && headings[i - 1] !== null) {
+        turning += headingDifference(headings[i], headings[i - 1]);
+        movingSeconds += seconds[i];
+      }
+    }
+
+    speeds.sort((a, b) => a - b);
+    windowAccelerations.sort((a, b) => a - b);
+    const minutes = (times[end - 1] - times[start]) / 60000;
+
+    return [
+      sortedPercentile(speeds, 50),
+      sortedPercentile(speeds, 85),
+      speeds[speeds.length - 1],
+      stopped / speeds.length,
+      minutes > 0 ? stops / minutes : 0,
+      movingSeconds > 0 ? turning / movingSeconds : 0,
+      windowAccelerations.length
+        ? windowAccelerations.reduce((sum, value) => sum + value, 0) / windowAccelerations.length
+        : 0,
+      windowAccelerations.length ? sortedPercentile(windowAccelerations, 85) : 0,
+    ];
+  });
+}
+
+// ============================================================================
+// Train/test split
+// ============================================================================
+
+/**
+ * Seeded pseudo-random numbers in [0, 1) (mulberry32), so training runs are repeatable
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Split samples into training and test sets. Samples are assigned in blocks of consecutive
+ * samples, since neighbouring windows share fixes and would leak test data into training.
+ * @param {number} count - Number of samples
+ * @param {Object} [options] - { testShare, blockSize, seed }
+ * @returns {Object} { train: sample indexes, test: sample indexes }, both ascending
+ */
+function splitTrainTest(count, options = {}) {
+  const { testShare, blockSize, seed } = { ...MODE_FOREST_DEFAULTS, ...options };
+  const random = createRandom(seed);
+  const blocks = Array.from({ length: Math.ceil(count / blockSize) }, (_, block) => block);
+
+  for (let i = blocks.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [blocks[i], blocks[j]] = [blocks[j], blocks[i]];
+  }
+
+  const testBlocks = new Set(blocks.slice(0, Math.round(blocks.length * testShare)));
+  const split = { train: [], test: [] };
+  for (let i = 0; i < count; i++) {
+    split[testBlocks.has(Math.floor(i / blockSize)) ? 'test' : 'train'].push(i);
+  }
+  return split;
+}
+
+/**
+ * Time spans covered by the training samples: each run of consecutive training samples becomes
+ * one [first, last] span. Saved with a model, they let it be scored on held-out points after a reload
+ * @param {number[]} times - Time (ms) of each sample, ascending
+ * @param {number[]} train - Training sample indexes, ascending
+ * @returns {number[][]} [start, end] spans (ms), oldest first
+ */
+function getTrainingSpans(times, train) {
+  const spans = [];
+  train.forEach((index, i) => {
+    if (i > 0 && index === train[i - 1] + 1) {
+      spans[spans.length - 1][1] = times[index];
+    } else {
+      spans.push([times[index], times[index]]);
+    }
+  });
+  return spans;
+}
+
+/**
+ * Whether a time falls in one of a model's training spans
+ * @param {number[][]} spans - Output of getTrainingSpans
+ * @param {number} time - Time (ms)
+ * @returns {boolean}
+ */
+function isInTrainingSpans(spans, time) {
+  return spans.some(([start, end]) => time >= start && time <= end);
+}
+
+// ============================================================================
+// Training
+// ============================================================================
+
+function giniImpurity(counts, total) {
+  let sumOfSquares = 0;
+  for (const count of counts) {
+    sumOfSquares += (count / total) * (count / total);
+  }
+  return 1 - sumOfSquares;
+}
+
+function countClasses(targets, indexes, classCount) {
+  const counts = new Array(classCount).fill(0);
+  for (const index of indexes) counts[targets[index]]++;
+  return counts;
+}
+
+/**
+ * Best threshold on one feature for a node, by Gini impurity decrease
+ * @returns {Object|null} { threshold, gain } or null when no split leaves minLeafSize samples on both sides
+ */
+function findBestThreshold(samples, targets, indexes, feature, counts, context) {
+  const sorted = [...indexes].sort((a, b) => samples[a][feature] - samples[b][feature]);
+  const total = sorted.length;
+  const left = new Array(context.classCount).fill(0);
+  const right = [...counts];
+  const parentImpurity = giniImpurity(counts, total);
+  let best = null;
+
+  for (let i = 0; i < total - 1; i++) {
+    left[targets[sorted[i]]]++;
+    right[targets[sorted[i]]]--;
+
+    const leftSize = i + 1;
+    const value = samples[sorted[i]][feature];
+    const nextValue = samples[sorted[i + 1]][feature];
+    if (value === nextValue || leftSize < context.minLeafSize || total - leftSize < context.minLeafSize) continue;
+
+    const gain = parentImpurity * total
+      - giniImpurity(left, leftSize) * leftSize
+      - giniImpurity(right, total - leftSize) * (total - leftSize);
+    if (!best || gain > best.gain) {
+      best = { threshold: (value + nextValue) / 2, gain };
+    }
+  }
+  return best;
+}
+
+function pickFeatures(featureCount, count, random) {
+  const features = Array.from({ length: featureCount }, (_, feature) => feature);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (featureCount - i));
+    [features[i], features[j]] = [features[j], features[i]];
+  }
+  return features.slice(0, count);
+}
+
+/**
+ * Grow a CART tree; leaves hold class probabilities, splits send values <= threshold left
+ */
+function buildTreeNode(samples, targets, indexes, depth, context) {
+  const counts = countClasses(targets, indexes, context.classCount);
+  const isPure = counts.some((count) => count === indexes.length);
+
+  if (!isPure && depth < context.maxDepth && indexes.length >= context.minLeafSize * 2) {
+    let best = null;
+    for (const feature of pickFeatures(context.featureCount, context.featuresPerSplit, context.random)) {
+      const candidate = findBestThreshold(samples, targets, indexes, feature, counts, context);
+      if (candidate && candidate.gain > 0 && (!best || candidate.gain > best.gain)) {
+        best = { ...candidate, feature };
+      }
+    }
+
+    if (best) {
+      context.importance[best.feature] += best.gain;
+      const leftIndexes = indexes.filter((index) => samples[index][best.feature] <= best.threshold);
+      const rightIndexes = indexes.filter((index) => samples[index][best.feature] > best.threshold);
+      return {
+        feature: best.feature,
+        threshold: best.threshold,
+        left: buildTreeNode(samples, targets, leftIndexes, depth + 1, context),
+        right: buildTreeNode(samples, targets, rightIndexes, depth + 1, context),
+      };
+    }
+  }
+
+  return { value: counts.map((count) => Math.round((count / indexes.length) * 1000) / 1000) };
+}
+
+/**
+ * Train a random forest: each tree grows on a bootstrap sample, trying a random subset of features at each split
+ * @param {number[][]} samples - Feature vectors (output of extractWindowFeatures)
+ * @param {string[]} labels - Mode of each sample, e.g. from motion sensors
+ * @param {Object} [options] - Overrides for MODE_FOREST_DEFAULTS
+ * @returns {Object} Model: { type, version, features, classes, windowSize, importance, trainingSize, trees }
+ */
+function trainModeForest(samples, labels, options = {}) {
+  const config = { ...MODE_FOREST_DEFAULTS, ...options };
+  if (samples.length === 0 || samples.length !== labels.length) {
+    throw new Error('Mode forest needs one label per sample and at least one sample');
+  }
+
+  const classes = [...new Set(labels)].sort();
+  const classIndex = new Map(classes.map((mode, index) => [mode, index]));
+  const targets = labels.map((label) => classIndex.get(label));
+  const featureCount = samples[0].length;
+  const context = {
+    classCount: classes.length,
+    featureCount,
+    featuresPerSplit: Math.min(featureCount, config.featuresPerSplit || Math.max(1, Math.round(Math.sqrt(featureCount)))),
+    maxDepth: config.maxDepth,
+    minLeafSize: config.minLeafSize,
+    importance: new Array(featureCount).fill(0),
+    random: createRandom(config.seed),
+  };
+
+  const sampleSize = Math.min(samples.length, config.maxSamples);
+  const trees = [];
+  for (let t = 0; t < config.trees; t++) {
+    const bootstrap = Array.from({ length: sampleSize }, () => Math.floor(context.random() * samples.length));
+    trees.push(buildTreeNode(samples, targets, bootstrap, 0, context));
+  }
+
+  const totalGain = context.importance.reduce((sum, gain) => sum + gain, 0);
+  const importance = {};
+  MODE_FOREST_FEATURES.slice(0, featureCount).forEach((name, feature) => {
+    importance[name] = totalGain > 0 ? Math.round((context.importance[feature] / totalGain) * 1000) / 1000 : 0;
+  });
+
+  return {
+    type: MODE_FOREST_MODEL_TYPE,
+    version: MODE_FOREST_MODEL_VERSION,
+    features: MODE_FOREST_FEATURES.slice(0, featureCount),
+    classes,
+    windowSize: config.windowSize,
+    importance,
+    trainingSize: samples.length,
+    trees,
+  };
+}
+
+// ============================================================================
+// Prediction
+// ============================================================================
+
+function predictTree(node, sample) {
+  let current = node;
+  while (!current.value) {
+    current = sample[current.feature] <= current.threshold ? current.left : current.right;
+  }
+  return current.value;
+}
+
+/**
+ * Predict the mode of one sample by averaging the trees' class probabilities
+ * @param {Object} model - Output of trainModeForest or parseModeForest
+ * @param {number[]} sample - Feature vector
+ * @returns {Object} { mode, confidence (0-1) }
+ */
+function predictModeForest(model, sample) {
+  const votes = new Array(model.classes.length).fill(0);
+  for (const tree of model.trees) {
+    predictTree(tree, sample).forEach((probability, index) => {
+      votes[index] += probability;
+    });
+  }
+
+  let best = 0;
+  for (let index = 1; index < votes.length; index++) {
+    if (votes[index] > votes[best]) best = index;
+  }
+  return { mode: model.classes[best], confidence: votes[best] / model.trees.length };
+}
+
+/**
+ * Classify every fix of a track, in the same shape as the classifiers in motion-algorithms.js
+ * @param {Object} model - Output of trainModeForest or parseModeForest
+ * @param {Object[]} points - Fixes as accepted by extractWindowFeatures
+ * @returns {string[]} Mode per fix
+ */
+function classifyModeForest(model, points) {
+  return extractWindowFeatures(points, model.windowSize).map((sample) => predictModeForest(model, sample).mode);
+}
+
+/**
+ * Score a model on labelled samples it was not trained on
+ * @param {Object} model - Output of trainModeForest or parseModeForest
+ * @param {number[][]} samples - Feature vectors
+ * @param {string[]} labels - Actual mode of each sample
+ * @returns {Object} { accuracy (0-100), predictions }
+ */
+function evaluateModeForest(model, samples, labels) {
+  const predictions = samples.map((sample) => predictModeForest(model, sample).mode);
+  const correct = predictions.filter((mode, index) => mode === labels[index]).length;
+  return { accuracy: samples.length > 0 ? (correct / samples.length) * 100 : 0, predictions };
+}
+
+// ============================================================================
+// Saved models
+// ============================================================================
+
+/**
+ * Save a model as JSON
+ * @param {Object} model - Output of trainModeForest
+ * @returns {string}
+ */
+function serializeModeForest(model) {
+  return JSON.stringify(model);
+}
+
+/**
+ * Load a saved model
+ * @param {string|Object} data - JSON text or parsed object
+ * @returns {Object} Model
+ */
+function parseModeForest(data) {
+  const model = typeof data === 'string' ? JSON.parse(data) : data;
+
+  if (!model || model.type !== MODE_FOREST_MODEL_TYPE || !Array.isArray(model.trees) || !Array.isArray(model.classes)) {
+    throw new Error('Unrecognised mode model: expected a saved mode forest');
+  }
+  if (model.version !== MODE_FOREST_MODEL_VERSION) {
+    throw new Error(`Unsupported mode model version: ${model.version}`);
+  }
+  if (!Array.isArray(model.features) || model.features.some((name, index) => name !== MODE_FOREST_FEATURES[index])) {
+    throw new Error('Mode model was trained on different features');
+  }
+  if (model.trees.length === 0 || model.classes.length === 0) {
+    throw new Error('Mode model has no trees');
+  }
+  if (model.trainedOn !== undefined && !(Array.isArray(model.trainedOn) && model.trainedOn.every((span) =>
+    Array.isArray(span) && span.length === 2 && span.every(Number.isFinite)))) {
+    throw new Error('Mode model has malformed training spans');
+  }
+  return model;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MODE_FOREST_FEATURES,
+    MODE_FOREST_DEFAULTS,
+    createRandom,
+    extractWindowFeatures,
+    splitTrainTest,
+    getTrainingSpans,
+    isInTrainingSpans,
+    trainModeForest,
+    predictModeForest,
+    classifyModeForest,
+    evaluateModeForest,
+    serializeModeForest,
+    parseModeForest,
+  };
+}
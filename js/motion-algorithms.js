@@ -1,7 +1,11 @@
 /**
  * Transportation Mode Detection Algorithms
- * Four classification algorithms for detecting walking, cycling, bus, car, and train
- * Uses speed thresholds, percentiles, stop patterns, and heading changes
+ * Classifies walking, cycling, bus, car and train from GPS data in two shapes:
+ * track classifiers (baselineClassify, ...) label a whole track from its speeds in km/h, and
+ * point classifiers (classifyBaseline, ..., classifyHMM) label every fix from its speed in m/s.
+ * Point classifiers are registered by key and scored against motion sensor ground truth by
+ * compareAlgorithms(), which the dashboard and the evaluation tooling share;
+ * registerAlgorithm() adds one without changing the comparison
  */
 
 // ============================================================================
@@ -157,7 +161,7 @@ function findStops(points, speedThreshold = 0.5) {
 }
 
 // ============================================================================
-// Classification Algorithms
+// Track Classification Algorithms
 // ============================================================================
 
 /**
@@ -303,17 +307,393 @@ function headingChangeClassify(gpsData) {
   return 'uncertain';
 }
 
+// ============================================================================
+// Point Classification Algorithms
+// ============================================================================
+
+// Transportation mode categories
+const TRANSPORT_MODES = {
+  WALKING: 'walking',
+  CYCLING: 'cycling',
+  BUS: 'bus',
+  CAR: 'car',
+  TRAIN: 'train',
+};
+
+/**
+ * Default thresholds and windows of the point classifiers (speeds in m/s, windows in fixes,
+ * headings in degrees). Each classifier takes a partial set that overrides these, e.g. one
+ * tuned by tune-transport-thresholds.js
+ */
+const DEFAULT_ALGORITHM_PARAMETERS = {
+  baseline: { maxStationary: 0.15, maxWalking: 2.0, maxCycling: 8.0, maxBus: 15.0, maxCar: 25.0 },
+  percentile95: { windowSize: 5, maxStationary: 0.15, maxWalking: 2.0, maxCycling: 6.0, maxBus: 13.0, maxCar: 22.0 },
+  stopPattern: {
+    windowSize: 10,
+    stopSpeed: 0.5,      // slower fixes count as stops
+    maxStationary: 0.15,
+    maxWalking: 2.0,     // average moving speed
+    maxCycling: 8.0,
+    busStopShare: 0.3,   // more stops than this share of the window = bus
+    trainSpeed: 20.0,    // faster average moving speed without frequent stops = train
+  },
+  headingChange: {
+    windowSize: 10,
+    maxStationary: 0.15,
+    maxWalking: 2.0,     // average speed
+    maxCycling: 8.0,
+    maxTrainHeading: 5,  // average heading change below this = train
+    maxCarHeading: 20,   // below this = car, above = bus
+  },
+};
+
+// Parameters that must increase from left to right
+const ORDERED_PARAMETERS = [
+  ['maxStationary', 'maxWalking', 'maxCycling', 'maxBus', 'maxCar'],
+  ['maxTrainHeading', 'maxCarHeading'],
+];
+
+const TUNED_THRESHOLDS_TYPE = 'transport-thresholds';
+const TUNED_THRESHOLDS_VERSION = 1;
+
+/**
+ * Ground truth label of a motion sensor reading
+ * @param {Object|null} motion - Motion reading with isWalking, isRunning, isCycling, isAutomotive, isStationary
+ * @returns {string} Mode, 'automotive' (bus, car or train), 'stationary' or 'unknown'
+ */
+function getSensorTransportMode(motion) {
+  if (!motion) return 'unknown';
+  if (motion.isWalking || motion.isRunning) return TRANSPORT_MODES.WALKING;
+  if (motion.isCycling) return TRANSPORT_MODES.CYCLING;
+  if (motion.isAutomotive) return 'automotive';
+  if (motion.isStationary) return 'stationary';
+  return 'unknown';
+}
+
+/**
+ * Complete parameters of a point classifier: the defaults overridden by the given ones
+ * @param {string} algorithm - Key in DEFAULT_ALGORITHM_PARAMETERS
+ * @param {Object} [parameters] - Partial parameters
+ * @returns {Object} Parameters
+ * @throws {Error} When a parameter is unknown, not a non-negative number, or out of order
+ */
+function resolveAlgorithmParameters(algorithm, parameters = {}) {
+  const defaults = DEFAULT_ALGORITHM_PARAMETERS[algorithm];
+  if (!defaults) throw new Error(`Unknown algorithm: ${algorithm}`);
+
+  for (const [name, value] of Object.entries(parameters)) {
+    if (!(name in defaults)) throw new Error(`Unknown ${algorithm} parameter: ${name}`);
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid ${algorithm} ${name}: ${value}`);
+    }
+  }
+
+  const resolved = { ...defaults, ...parameters };
+  if ('windowSize' in resolved && (!Number.isInteger(resolved.windowSize) || resolved.windowSize < 1)) {
+    throw new Error(`Invalid ${algorithm} windowSize: ${resolved.windowSize}`);
+  }
+  for (const order of ORDERED_PARAMETERS) {
+    const names = order.filter((name) => name in resolved);
+    for (let i = 1; i < names.length; i++) {
+      if (resolved[names[i - 1]] >= resolved[names[i]]) {
+        throw new Error(`Invalid ${algorithm} thresholds: ${names[i - 1]} must be below ${names[i]}`);
+      }
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Parse a tuned thresholds file written by tune-transport-thresholds.js
+ * @param {string|Object} text - File contents or the parsed file
+ * @returns {Object} Thresholds with parameters: algorithm => partial parameters
+ * @throws {Error} On other files, other versions, or unknown algorithms or parameters
+ */
+function parseTunedThresholds(text) {
+  const thresholds = typeof text === 'string' ? JSON.parse(text) : text;
+  if (!thresholds || thresholds.type !== TUNED_THRESHOLDS_TYPE) {
+    throw new Error('Unrecognised thresholds file');
+  }
+  if (thresholds.version !== TUNED_THRESHOLDS_VERSION) {
+    throw new Error(`Unsupported thresholds version: ${thresholds.version}`);
+  }
+  if (!thresholds.parameters || Object.keys(thresholds.parameters).length === 0) {
+    throw new Error('Thresholds file has no parameters');
+  }
+
+  Object.entries(thresholds.parameters).forEach(([algorithm, parameters]) => {
+    resolveAlgorithmParameters(algorithm, parameters);
+  });
+  return thresholds;
+}
+
+/**
+ * Fixes centred on a point, as used by the windowed point classifiers
+ * @param {Object[]} speedData - Points
+ * @param {number} idx - Index of the centre point
+ * @param {number} windowSize - Number of fixes
+ * @returns {Object[]} Points in the window
+ */
+function getPointWindow(speedData, idx, windowSize) {
+  const start = Math.max(0, idx - Math.floor(windowSize / 2));
+  const end = Math.min(speedData.length, idx + Math.ceil(windowSize / 2));
+  return speedData.slice(start, end);
+}
+
+/**
+ * Baseline point classifier - fixed speed thresholds
+ * @param {Object[]} speedData - Points with speed (m/s)
+ * @param {Object} [parameters] - Partial DEFAULT_ALGORITHM_PARAMETERS.baseline
+ * @returns {string[]} Mode per point, including 'stationary'
+ */
+function classifyBaseline(speedData, parameters) {
+  const { maxStationary, maxWalking, maxCycling, maxBus, maxCar } = resolveAlgorithmParameters('baseline', parameters);
+  return speedData.map((point) => {
+    const { speed } = point;
+
+    if (speed < maxStationary) return 'stationary';
+    if (speed < maxWalking) return TRANSPORT_MODES.WALKING;
+    if (speed < maxCycling) return TRANSPORT_MODES.CYCLING;
+    if (speed < maxBus) return TRANSPORT_MODES.BUS;
+    if (speed < maxCar) return TRANSPORT_MODES.CAR;
+    return TRANSPORT_MODES.TRAIN;
+  });
+}
+
+/**
+ * Percentile95 point classifier - 95th percentile speed over a sliding window,
+ * so the sustained speed counts rather than a single fix
+ * @param {Object[]} speedData - Points with speed (m/s)
+ * @param {Object} [parameters] - Partial DEFAULT_ALGORITHM_PARAMETERS.percentile95
+ * @returns {string[]} Mode per point
+ */
+function classifyPercentile95(speedData, parameters) {
+  const { windowSize, maxStationary, maxWalking, maxCycling, maxBus, maxCar } =
+    resolveAlgorithmParameters('percentile95', parameters);
+  return speedData.map((point, idx) => {
+    const windowSpeeds = getPointWindow(speedData, idx, windowSize).map((p) => p.speed).sort((a, b) => a - b);
+    const speed95 = windowSpeeds[Math.floor(windowSpeeds.length * 0.95)];
+
+    if (speed95 < maxStationary) return 'stationary';
+    if (speed95 < maxWalking) return TRANSPORT_MODES.WALKING;
+    if (speed95 < maxCycling) return TRANSPORT_MODES.CYCLING;
+    if (speed95 < maxBus) return TRANSPORT_MODES.BUS;
+    if (speed95 < maxCar) return TRANSPORT_MODES.CAR;
+    return TRANSPORT_MODES.TRAIN;
+  });
+}
+
+/**
+ * Stop pattern point classifier - frequent stops in the window mean bus, few mean car or train
+ * @param {Object[]} speedData - Points with speed (m/s)
+ * @param {Object} [parameters] - Partial DEFAULT_ALGORITHM_PARAMETERS.stopPattern
+ * @returns {string[]} Mode per point
+ */
+function classifyStopPattern(speedData, parameters) {
+  const { windowSize, stopSpeed, maxStationary, maxWalking, maxCycling, busStopShare, trainSpeed } =
+    resolveAlgorithmParameters('stopPattern', parameters);
+  return speedData.map((point, idx) => {
+    const window = getPointWindow(speedData, idx, windowSize);
+    const stopFrequency = window.filter((p) => p.speed < stopSpeed).length / window.length;
+
+    // Average speed when moving
+    const movingSpeeds = window.filter((p) => p.speed >= stopSpeed).map((p) => p.speed);
+    const avgMovingSpeed = movingSpeeds.length > 0
+      ? movingSpeeds.reduce((sum, s) => sum + s, 0) / movingSpeeds.length
+      : 0;
+
+    if (point.speed < maxStationary) return 'stationary';
+    if (avgMovingSpeed < maxWalking) return TRANSPORT_MODES.WALKING;
+    if (avgMovingSpeed < maxCycling) return TRANSPORT_MODES.CYCLING;
+    if (stopFrequency > busStopShare) return TRANSPORT_MODES.BUS;
+    return avgMovingSpeed > trainSpeed ? TRANSPORT_MODES.TRAIN : TRANSPORT_MODES.CAR;
+  });
+}
+
+/**
+ * Heading change point classifier - straight paths mean train, moderate turning car, many turns bus
+ * @param {Object[]} speedData - Points with speed (m/s), latitude, longitude and prevPoint
+ * @param {Object} [parameters] - Partial DEFAULT_ALGORITHM_PARAMETERS.headingChange
+ * @returns {string[]} Mode per point
+ */
+function classifyHeadingChange(speedData, parameters) {
+  const { windowSize, maxStationary, maxWalking, maxCycling, maxTrainHeading, maxCarHeading } =
+    resolveAlgorithmParameters('headingChange', parameters);
+  const bearing = (p) => (calculateHeading(p.prevPoint.latitude, p.prevPoint.longitude, p.latitude, p.longitude) * 180) / Math.PI;
+
+  return speedData.map((point, idx) => {
+    const window = getPointWindow(speedData, idx, windowSize);
+
+    let totalHeadingChange = 0;
+    for (let i = 1; i < window.length; i++) {
+      totalHeadingChange += Math.abs(normalizeAngle(bearing(window[i]) - bearing(window[i - 1])));
+    }
+
+    const avgHeadingChange = window.length > 1 ? totalHeadingChange / (window.length - 1) : 0;
+    const avgSpeed = window.reduce((sum, p) => sum + p.speed, 0) / window.length;
+
+    if (point.speed < maxStationary) return 'stationary';
+    if (avgSpeed < maxWalking) return TRANSPORT_MODES.WALKING;
+    if (avgSpeed < maxCycling) return TRANSPORT_MODES.CYCLING;
+    if (avgHeadingChange < maxTrainHeading) return TRANSPORT_MODES.TRAIN;
+    if (avgHeadingChange < maxCarHeading) return TRANSPORT_MODES.CAR;
+    return TRANSPORT_MODES.BUS;
+  });
+}
+
+// ============================================================================
+// Hidden Markov Model (Viterbi)
+// ============================================================================
+
+// Treats the mode as a hidden state that persists between fixes: each speed is scored against
+// every mode's speed profile, and switching modes costs more the less time has passed, so one
+// fast fix in the middle of a walk stays walking instead of jumping walking -> train -> walking
+const HMM_MODES = ['stationary', TRANSPORT_MODES.WALKING, TRANSPORT_MODES.CYCLING,
+  TRANSPORT_MODES.BUS, TRANSPORT_MODES.CAR, TRANSPORT_MODES.TRAIN];
+
+// Speed profile per mode (m/s): a normal curve around the cruising speed, plus the share of
+// fixes where the mode is (nearly) stopped - traffic lights, bus stops, stations
+const HMM_SPEED_PROFILES = {
+  stationary: { mean: 0, sd: 0.3, stopShare: 1 },
+  walking: { mean: 1.4, sd: 0.6, stopShare: 0.1 },
+  cycling: { mean: 4.5, sd: 1.8, stopShare: 0.1 },
+  bus: { mean: 8.0, sd: 3.5, stopShare: 0.3 },
+  car: { mean: 14.0, sd: 5.0, stopShare: 0.15 },
+  train: { mean: 27.0, sd: 8.0, stopShare: 0.1 },
+};
+
+const HMM_STOP_SD = 0.3;           // m/s, spread of speeds while stopped
+const HMM_OUTLIER_SHARE = 0.02;    // share of fixes with a speed unrelated to the mode (GPS jumps)
+const HMM_MAX_SPEED = 50;          // m/s, range of the uniform outlier density in hmmEmissionLog
+const HMM_MEAN_MODE_SECONDS = 600; // typical time spent in one mode before switching
+
+// Relative likelihood of the mode after a change (which may turn out to be the same mode);
+// moving between vehicles almost always goes through walking or standing still
+const HMM_SWITCH_WEIGHTS = {
+  stationary: { stationary: 6, walking: 6, cycling: 1, bus: 1, car: 2, train: 1 },
+  walking: { walking: 6, stationary: 6, cycling: 1, bus: 1, car: 2, train: 1 },
+  cycling: { cycling: 3, stationary: 3, walking: 3, car: 0.2 },
+  bus: { bus: 3, stationary: 2, walking: 3, car: 0.2, train: 0.1 },
+  car: { car: 3, stationary: 3, walking: 3, bus: 0.2, train: 0.1 },
+  train: { train: 3, stationary: 2, walking: 3, bus: 0.1, car: 0.1 },
+};
+
+function normalDensity(x, mean, sd) {
+  const z = (x - mean) / sd;
+  return Math.exp(-0.5 * z * z) / (sd * Math.sqrt(2 * Math.PI));
+}
+
+/**
+ * Log-likelihood of a speed under a mode's speed profile
+ * @param {string} mode - One of HMM_MODES
+ * @param {number} speed - Speed in m/s
+ * @returns {number} Log-likelihood
+ */
+function hmmEmissionLog(mode, speed) {
+  const { mean, sd, stopShare } = HMM_SPEED_PROFILES[mode];
+  const stopped = 2 * normalDensity(speed, 0, HMM_STOP_SD); // half-normal, speeds are never negative
+  const moving = normalDensity(speed, mean, sd);
+  const density = stopShare * stopped + (1 - stopShare) * moving;
+  return Math.log((1 - HMM_OUTLIER_SHARE) * density + HMM_OUTLIER_SHARE / HMM_MAX_SPEED);
+}
+
+/**
+ * Log-probability of moving from one mode to another over a time gap: the longer the gap,
+ * the likelier a change, after which the mode is drawn from HMM_SWITCH_WEIGHTS
+ * @param {string} from - Mode before the gap
+ * @param {string} to - Mode after the gap
+ * @param {number} seconds - Length of the gap
+ * @param {number} meanModeSeconds - Typical time in one mode
+ * @returns {number} Log-probability
+ */
+function hmmTransitionLog(from, to, seconds, meanModeSeconds) {
+  const unchanged = Math.exp(-seconds / meanModeSeconds);
+  const weights = HMM_SWITCH_WEIGHTS[from];
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  return Math.log((from === to ? unchanged : 0) + ((1 - unchanged) * (weights[to] || 0)) / total);
+}
+
+/**
+ * Seconds between two speed points, from their timestamps
+ * @param {Object} prev - Earlier point
+ * @param {Object} curr - Later point
+ * @returns {number} Seconds, falling back to curr.timeDeltaSec or 1
+ */
+function getPointGapSeconds(prev, curr) {
+  const gap = (new Date(curr.timestamp).getTime() - new Date(prev.timestamp).getTime()) / 1000;
+  if (Number.isFinite(gap) && gap > 0) return gap;
+  return curr.timeDeltaSec || 1;
+}
+
+/**
+ * Most likely mode for each point on its own, ignoring transitions (the HMM without its memory)
+ * @param {Object[]} speedData - Points with speed (m/s)
+ * @returns {string[]} Mode per point
+ */
+function classifyHMMEmissions(speedData) {
+  return speedData.map((point) => HMM_MODES.reduce((best, mode) =>
+    (hmmEmissionLog(mode, point.speed) > hmmEmissionLog(best, point.speed) ? mode : best)));
+}
+
+/**
+ * Classify every point with the single most likely sequence of modes
+ * @param {Object[]} speedData - Points with speed (m/s) and timestamp
+ * @param {number} [meanModeSeconds] - Typical time in one mode; lower values switch more readily
+ * @returns {string[]} Mode per point
+ */
+function classifyHMM(speedData, meanModeSeconds = HMM_MEAN_MODE_SECONDS) {
+  if (speedData.length === 0) return [];
+
+  // Viterbi in log space: scores[i] is the best log-probability of any path ending in HMM_MODES[i]
+  let scores = HMM_MODES.map((mode) => Math.log(1 / HMM_MODES.length) + hmmEmissionLog(mode, speedData[0].speed));
+  const backPointers = [];
+
+  for (let t = 1; t < speedData.length; t++) {
+    const seconds = getPointGapSeconds(speedData[t - 1], speedData[t]);
+    const pointers = [];
+
+    scores = HMM_MODES.map((mode, i) => {
+      let bestScore = -Infinity;
+      let bestFrom = i;
+      HMM_MODES.forEach((from, j) => {
+        const score = scores[j] + hmmTransitionLog(from, mode, seconds, meanModeSeconds);
+        if (score > bestScore) {
+          bestScore = score;
+          bestFrom = j;
+        }
+      });
+      pointers.push(bestFrom);
+      return bestScore + hmmEmissionLog(mode, speedData[t].speed);
+    });
+    backPointers.push(pointers);
+  }
+
+  // Trace the best path back from the most likely final mode
+  let state = scores.indexOf(Math.max(...scores));
+  const path = [HMM_MODES[state]];
+  for (let t = backPointers.length - 1; t >= 0; t--) {
+    state = backPointers[t][state];
+    path.unshift(HMM_MODES[state]);
+  }
+  return path;
+}
+
 // ============================================================================
 // Confusion Matrix and Metrics Functions
 // ============================================================================
 
+// Modes of the track classifiers' confusion matrix
+const CONFUSION_MATRIX_MODES = ['walking', 'cycling', 'bus', 'car', 'train'];
+
 /**
  * Build confusion matrix from predictions
- * @param {Object[]} predictions - Array of {actual, predicted} objects
- * @returns {Object} Confusion matrix with modes as keys
+ * @param {Object[]|string[]} predictions - Array of {actual, predicted} objects, or predicted modes
+ *   alongside groundTruth
+ * @param {string[]} [groundTruth] - Actual mode per prediction, when predictions are modes
+ * @param {string[]} [modes] - Modes of the matrix; pairs outside them are not counted
+ * @returns {Object} Confusion matrix with modes as keys (actual => predicted => count)
  */
-function buildConfusionMatrix(predictions) {
-  const modes = ['walking', 'cycling', 'bus', 'car', 'train'];
+function buildConfusionMatrix(predictions, groundTruth, modes = CONFUSION_MATRIX_MODES) {
   const matrix = {};
 
   for (const actual of modes) {
@@ -323,11 +703,12 @@ function buildConfusionMatrix(predictions) {
     }
   }
 
-  for (const pred of predictions) {
-    if (pred.actual && pred.predicted) {
-      matrix[pred.actual][pred.predicted]++;
+  predictions.forEach((pred, i) => {
+    const { actual, predicted } = groundTruth ? { actual: groundTruth[i], predicted: pred } : pred;
+    if (matrix[actual] && matrix[actual][predicted] !== undefined) {
+      matrix[actual][predicted]++;
     }
-  }
+  });
 
   return matrix;
 }
@@ -387,17 +768,302 @@ function calculateRecall(matrix, className) {
   return actual > 0 ? truePositives / actual : 0;
 }
 
+/**
+ * Calculate F1 score (harmonic mean of precision and recall) for a specific classification class
+ * @param {Object} matrix - Confusion matrix
+ * @param {string} className - Class name (e.g., 'walking')
+ * @returns {number} F1 score as decimal (0-1)
+ */
+function calculateF1(matrix, className) {
+  const precision = calculatePrecision(matrix, className);
+  const recall = calculateRecall(matrix, className);
+
+  return precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+}
+
+/**
+ * Overall and per-class accuracy of a confusion matrix, as shown in the dashboard
+ * @param {Object} confusionMatrix - Confusion matrix
+ * @param {string[]} modes - Modes of the matrix
+ * @returns {Object} { overallAccuracy, perClassAccuracy: mode => accuracy }, as percentages (0-100)
+ */
+function calculateAccuracyMetrics(confusionMatrix, modes) {
+  let totalCorrect = 0;
+  let total = 0;
+  const perClassAccuracy = {};
+
+  modes.forEach((mode) => {
+    let classTotal = 0;
+    let classCorrect = 0;
+
+    modes.forEach((predicted) => {
+      const count = confusionMatrix[mode][predicted] || 0;
+      classTotal += count;
+      if (mode === predicted) {
+        classCorrect = count;
+      }
+    });
+
+    total += classTotal;
+    totalCorrect += classCorrect;
+    perClassAccuracy[mode] = classTotal > 0 ? (classCorrect / classTotal) * 100 : 0;
+  });
+
+  return {
+    overallAccuracy: total > 0 ? (totalCorrect / total) * 100 : 0,
+    perClassAccuracy,
+  };
+}
+
+// ============================================================================
+// Algorithm Registry and Comparison
+// ============================================================================
+
+// Modes scored by compareAlgorithms(): the travel modes plus stationary and unlabelled points
+const COMPARISON_MODES = [
+  TRANSPORT_MODES.WALKING,
+  TRANSPORT_MODES.CYCLING,
+  TRANSPORT_MODES.BUS,
+  TRANSPORT_MODES.CAR,
+  TRANSPORT_MODES.TRAIN,
+  'stationary',
+  'unknown',
+];
+
+// Modes the motion sensors report: bus, car and train are one 'automotive' class
+const SENSOR_MODES = [
+  TRANSPORT_MODES.WALKING,
+  TRANSPORT_MODES.CYCLING,
+  'automotive',
+  'stationary',
+  'unknown',
+];
+
+const VEHICLE_MODES = [TRANSPORT_MODES.BUS, TRANSPORT_MODES.CAR, TRANSPORT_MODES.TRAIN];
+
+// key => { key, name, description, classify, details, sensorModes }, in the order they were registered
+const algorithmRegistry = new Map();
+
+/**
+ * Add a point classifier to compareAlgorithms() and the evaluation tooling,
+ * or replace the one registered under the same key
+ * @param {string} key - Key of the algorithm in comparison results and tuned thresholds
+ * @param {Object} algorithm - Algorithm definition
+ * @param {string} algorithm.name - Display name
+ * @param {string} [algorithm.description] - One-line description
+ * @param {Function} algorithm.classify - (speedData, parameters) => mode per point; parameters are the
+ *   algorithm's tuned parameters when compareAlgorithms() is given some, else undefined. Points given
+ *   null instead of a mode (e.g. ones a trained model learnt from) are left out of the scores
+ * @param {Function} [algorithm.details] - ({ speedData, predictions, groundTruth, modes, metrics }) => extra
+ *   fields for the algorithm's comparison result
+ * @param {boolean} [algorithm.sensorModes] - The algorithm predicts the motion sensor classes
+ *   (SENSOR_MODES), so compareAlgorithms() scores it on those, with bus, car and train as 'automotive'
+ * @returns {string} The key
+ * @throws {Error} Without a key or a classify function
+ */
+function registerAlgorithm(key, algorithm) {
+  if (typeof key !== 'string' || key === '') {
+    throw new Error('Algorithm key must be a non-empty string');
+  }
+  if (!algorithm || typeof algorithm.classify !== 'function') {
+    throw new Error(`Algorithm ${key} needs a classify function`);
+  }
+
+  algorithmRegistry.set(key, {
+    key,
+    name: algorithm.name || key,
+    description: algorithm.description || '',
+    classify: algorithm.classify,
+    details: algorithm.details || null,
+    sensorModes: Boolean(algorithm.sensorModes),
+  });
+  return key;
+}
+
+/**
+ * Remove a point classifier from the comparison
+ * @param {string} key - Key it was registered under
+ * @returns {boolean} Whether an algorithm was removed
+ */
+function unregisterAlgorithm(key) {
+  return algorithmRegistry.delete(key);
+}
+
+/**
+ * Registered point classifiers in registration order
+ * @returns {Object[]} { key, name, description, classify, details, sensorModes } per algorithm
+ */
+function getRegisteredAlgorithms() {
+  return [...algorithmRegistry.values()];
+}
+
+registerAlgorithm('baseline', {
+  name: 'Baseline Speed Thresholds',
+  description: 'Simple fixed speed thresholds',
+  classify: classifyBaseline,
+});
+
+registerAlgorithm('percentile95', {
+  name: '95th Percentile Speed',
+  description: 'Uses 95th percentile in sliding window',
+  classify: classifyPercentile95,
+});
+
+registerAlgorithm('stopPattern', {
+  name: 'Stop Pattern Analysis',
+  description: 'Analyzes frequency of stops',
+  classify: classifyStopPattern,
+});
+
+registerAlgorithm('headingChange', {
+  name: 'Heading Change Analysis',
+  description: 'Analyzes direction changes',
+  classify: classifyHeadingChange,
+});
+
+registerAlgorithm('hmm', {
+  name: 'HMM Mode Transitions',
+  description: 'Viterbi path over speed, penalising quick mode switches',
+  classify: (speedData) => classifyHMM(speedData),
+  // How much modelling transitions helps: the share of per-point (emission-only) errors the HMM fixes
+  details: ({ speedData, groundTruth, modes, metrics }) => {
+    const emissionMetrics = calculateAccuracyMetrics(
+      buildConfusionMatrix(classifyHMMEmissions(speedData), groundTruth, modes), modes);
+    const emissionErrors = 100 - emissionMetrics.overallAccuracy;
+    const transitionGain = emissionErrors > 0
+      ? Math.max(0, Math.min(100, ((metrics.overallAccuracy - emissionMetrics.overallAccuracy) / emissionErrors) * 100))
+      : 0;
+    return { transitionGain };
+  },
+});
+
+/**
+ * Nearest motion sensor reading in the dashboard's motion data
+ * @param {string|number} timestamp - Time of a point
+ * @returns {Object|null} Motion reading
+ */
+function findDashboardMotion(timestamp) {
+  return typeof findNearestMotion !== 'undefined'
+    ? findNearestMotion(timestamp, window.motionData)
+    : window.findNearestMotion(timestamp, window.motionData);
+}
+
+/**
+ * Ground truth mode of each point from the nearest motion sensor reading. Sensors cannot tell
+ * bus, car and train apart, so automotive points are split by speed
+ * @param {Object[]} speedData - Points with timestamp and speed (m/s)
+ * @param {Function} [findMotion] - timestamp => motion reading or null; defaults to the dashboard's motion data
+ * @returns {string[]} Mode per point, 'stationary' or 'unknown'
+ */
+function getGroundTruthModes(speedData, findMotion = findDashboardMotion) {
+  return speedData.map((point) => {
+    const sensorMode = getSensorTransportMode(findMotion(point.timestamp));
+
+    if (sensorMode === 'automotive') {
+      if (point.speed > 25) return TRANSPORT_MODES.TRAIN;
+      if (point.speed > 15) return TRANSPORT_MODES.CAR;
+      return TRANSPORT_MODES.BUS;
+    }
+    return sensorMode;
+  });
+}
+
+/**
+ * Motion sensor mode of each point as reported, with bus, car and train left as 'automotive'.
+ * Labels for training, since the speed split of getGroundTruthModes() would be learnt back
+ * @param {Object[]} speedData - Points with timestamp
+ * @param {Function} [findMotion] - timestamp => motion reading or null; defaults to the dashboard's motion data
+ * @returns {string[]} Mode per point, one of SENSOR_MODES
+ */
+function getSensorModes(speedData, findMotion = findDashboardMotion) {
+  return speedData.map((point) => getSensorTransportMode(findMotion(point.timestamp)));
+}
+
+/**
+ * The sensor class of a mode: bus, car and train become 'automotive', other modes are kept
+ * @param {string} mode - Mode
+ * @returns {string} Mode in SENSOR_MODES, or the mode unchanged
+ */
+function toSensorMode(mode) {
+  return VEHICLE_MODES.includes(mode) ? 'automotive' : mode;
+}
+
+/**
+ * Run every registered algorithm and score it against the motion sensor ground truth
+ * @param {Object[]} speedData - Points with timestamp, speed (m/s), latitude, longitude and prevPoint
+ * @param {Object} [parameters] - algorithm => tuned parameters (see parseTunedThresholds); tuned
+ *   algorithms are marked "(tuned)"
+ * @param {Function} [findMotion] - timestamp => motion reading or null; defaults to the dashboard's motion data
+ * @returns {Object} { algorithms: key => { name, description, predictions, confusionMatrix, metrics,
+ *   processingTime, modes (SENSOR_MODES, only for sensorModes algorithms), ...details }, modes, groundTruth }
+ */
+function compareAlgorithms(speedData, parameters = {}, findMotion = findDashboardMotion) {
+  const groundTruth = getGroundTruthModes(speedData, findMotion);
+  const sensorTruth = groundTruth.map(toSensorMode);
+  const modes = [...COMPARISON_MODES];
+  const algorithms = {};
+
+  for (const algorithm of algorithmRegistry.values()) {
+    const tuned = parameters[algorithm.key];
+    const startTime = performance.now();
+    const predictions = algorithm.classify(speedData, tuned);
+    const processingTime = performance.now() - startTime;
+
+    const scoredModes = algorithm.sensorModes ? SENSOR_MODES : modes;
+    const truth = algorithm.sensorModes ? sensorTruth : groundTruth;
+    const confusionMatrix = buildConfusionMatrix(
+      algorithm.sensorModes ? predictions.map(toSensorMode) : predictions, truth, scoredModes);
+    const metrics = calculateAccuracyMetrics(confusionMatrix, scoredModes);
+    algorithms[algorithm.key] = {
+      name: tuned ? `${algorithm.name} (tuned)` : algorithm.name,
+      description: algorithm.description,
+      predictions,
+      confusionMatrix,
+      metrics,
+      processingTime,
+      ...(algorithm.sensorModes ? { modes: SENSOR_MODES } : {}),
+      ...(algorithm.details
+        ? algorithm.details({ speedData, predictions, groundTruth: truth, modes: scoredModes, metrics })
+        : {}),
+    };
+  }
+
+  return { algorithms, modes, groundTruth };
+}
+
+// Entry points of the dashboard's algorithm comparison
+if (typeof window !== 'undefined') {
+  window.compareAlgorithms = compareAlgorithms;
+  window.registerAlgorithm = registerAlgorithm;
+  window.parseTunedThresholds = parseTunedThresholds;
+  window.TRANSPORT_MODES = TRANSPORT_MODES;
+}
+
 // ============================================================================
 // Exports for Node.js and Module Systems
 // ============================================================================
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
-    // Classification algorithms
+    // Track classification algorithms
     baselineClassify,
     percentile95Classify,
     stopPatternClassify,
     headingChangeClassify,
+    // Point classification algorithms
+    TRANSPORT_MODES,
+    DEFAULT_ALGORITHM_PARAMETERS,
+    TUNED_THRESHOLDS_TYPE,
+    TUNED_THRESHOLDS_VERSION,
+    getSensorTransportMode,
+    resolveAlgorithmParameters,
+    parseTunedThresholds,
+    classifyBaseline,
+    classifyPercentile95,
+    classifyStopPattern,
+    classifyHeadingChange,
+    classifyHMM,
+    classifyHMMEmissions,
     // Helper functions
     percentile,
     getDistanceBetweenPoints,
@@ -410,5 +1076,18 @@ if (typeof module !== 'undefined' && module.exports) {
     calculateAccuracy,
     calculatePrecision,
     calculateRecall,
+    calculateF1,
+    calculateAccuracyMetrics,
+    // Algorithm registry and comparison
+    COMPARISON_MODES,
+    SENSOR_MODES,
+    VEHICLE_MODES,
+    registerAlgorithm,
+    unregisterAlgorithm,
+    getRegisteredAlgorithms,
+    getGroundTruthModes,
+    getSensorModes,
+    toSensorMode,
+    compareAlgorithms,
   };
 }
@@ -0,0 +1,151 @@
+/**
+ * Period Comparison Module
+ * Picks a second date range to compare the selected one against (previous period, month or year),
+ * works out deltas between the two periods' metrics and lines up their daily series by day of period
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+// 'previous': the same number of days just before; 'previous-month' / 'previous-year': the same dates
+// a month or a year earlier; 'custom': a range picked by hand
+const COMPARISON_PRESETS = ['previous', 'previous-month', 'previous-year', 'custom'];
+
+const COMPARISON_DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// Periods
+// ============================================================================
+
+/**
+ * Local calendar day of a date as YYYY-MM-DD (the value format of date inputs)
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function toDateKey(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function daysInMonth(year, month) {
+  return new Date(year, month + 1, 0).getDate();
+}
+
+/**
+ * Move a date by whole months, clamping to the end of shorter months;
+ * the last day of a month stays the last day of the target month
+ */
+function shiftMonths(date, months) {
+  const year = date.getFullYear();
+  const month = date.getMonth() + months;
+  const lastDay = daysInMonth(year, month);
+  const day = date.getDate() === daysInMonth(year, date.getMonth()) ? lastDay : Math.min(date.getDate(), lastDay);
+  return new Date(year, month, day);
+}
+
+/**
+ * Work out the period to compare a date range against
+ * @param {Date} start - Start of the selected range
+ * @param {Date} end - End of the selected range (any time on its last day)
+ * @param {string} preset - One of COMPARISON_PRESETS except 'custom'
+ * @returns {Object} { start: Date at 00:00, end: Date at 23:59:59.999 } in local time
+ */
+function getComparisonPeriod(start, end, preset) {
+  const firstDay = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+  const lastDay = new Date(end.getFullYear(), end.getMonth(), end.getDate());
+  let from;
+  let to;
+
+  if (preset === 'previous') {
+    const days = Math.round((lastDay - firstDay) / COMPARISON_DAY_MS) + 1;
+    from = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() - days);
+    to = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() - 1);
+  } else if (preset === 'previous-month' || preset === 'previous-year') {
+    const months = preset === 'previous-month' ? -1 : -12;
+    from = shiftMonths(firstDay, months);
+    to = shiftMonths(lastDay, months);
+  } else {
+    throw new Error(`Unknown comparison period: ${preset}`);
+  }
+
+  to.setHours(23, 59, 59, 999);
+  return { start: from, end: to };
+}
+
+// ============================================================================
+// Metrics
+// ============================================================================
+
+/**
+ * Compare a metric between the selected and the comparison period
+ * @param {number} current - Value in the selected period
+ * @param {number} previous - Value in the comparison period
+ * @returns {Object} { current, previous, delta, percent } (percent is null when previous is 0)
+ */
+function comparePeriodValues(current, previous) {
+  const delta = current - previous;
+  return {
+    current,
+    previous,
+    delta,
+    percent: previous !== 0 ? (delta / Math.abs(previous)) * 100 : null,
+  };
+}
+
+/**
+ * Describe a comparison as a signed percentage
+ * @param {Object} comparison - Output of comparePeriodValues
+ * @returns {string} e.g. '+12%', '-5%', '0%', or 'new' when the comparison period had none
+ */
+function formatPeriodDelta(comparison) {
+  if (comparison.percent === null) return comparison.delta === 0 ? '0%' : 'new';
+  const rounded = Math.round(comparison.percent);
+  if (rounded === 0) return '0%';
+  return `${rounded > 0 ? '+' : ''}${rounded}%`;
+}
+
+// ============================================================================
+// Daily series
+// ============================================================================
+
+function dayOffset(dateKey, startKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [startYear, startMonth, startDay] = startKey.split('-').map(Number);
+  return Math.round((Date.UTC(year, month - 1, day) - Date.UTC(startYear, startMonth - 1, startDay)) / COMPARISON_DAY_MS);
+}
+
+/**
+ * Line up two periods' daily values by day of period, so day 1 of one sits over day 1 of the other
+ * @param {Object} currentDaily - YYYY-MM-DD => value for the selected period
+ * @param {Object} previousDaily - YYYY-MM-DD => value for the comparison period
+ * @param {string} currentStart - First day of the selected period (YYYY-MM-DD)
+ * @param {string} previousStart - First day of the comparison period (YYYY-MM-DD)
+ * @returns {Object} { offsets: days since each period's start, current: values, previous: values } (null where a day has none)
+ */
+function alignDailySeries(currentDaily, previousDaily, currentStart, previousStart) {
+  const current = new Map(Object.entries(currentDaily).map(([key, value]) => [dayOffset(key, currentStart), value]));
+  const previous = new Map(Object.entries(previousDaily).map(([key, value]) => [dayOffset(key, previousStart), value]));
+  const offsets = [...new Set([...current.keys(), ...previous.keys()])].sort((a, b) => a - b);
+
+  return {
+    offsets,
+    current: offsets.map((offset) => (current.has(offset) ? current.get(offset) : null)),
+    previous: offsets.map((offset) => (previous.has(offset) ? previous.get(offset) : null)),
+  };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COMPARISON_PRESETS,
+    toDateKey,
+    getComparisonPeriod,
+    comparePeriodValues,
+    formatPeriodDelta,
+    alignDailySeries,
+  };
+}
@@ -0,0 +1,340 @@
+/**
+ * Place Roles Module
+ * Groups stays into anchor places and infers their role from when they are used: the place
+ * with the most overnight stays is home, regular weekday daytime stays mark work or school,
+ * and other places visited on several days are kept as other anchors. Each anchor gets a 0-1
+ * confidence.
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const PLACE_ROLES = ['home', 'work', 'other'];
+
+const PLACE_ROLE_DEFAULTS = {
+  anchorRadius: 200,     // meters; stays this close together are the same place
+  homeRadius: 500,       // meters; time within this distance of a home counts as at home
+  nightStartHour: 22,    // night window, may wrap past midnight
+  nightEndHour: 6,
+  workStartHour: 9,      // weekday work/school window
+  workEndHour: 17,
+  minHomeNights: 2,      // nights spent at a place before it can be home
+  minNightHours: 3,      // hours of the night window that make a night count
+  minWorkDays: 2,        // weekdays at a place before it can be work/school
+  minWorkDayHours: 2,    // hours of the work window that make a weekday count
+  minOtherDays: 2,       // days a place must be visited on to be an anchor at all
+};
+
+const ROLE_SLICE_MINUTES = 15; // resolution when splitting stays over the day
+const ROLE_MINUTE_MS = 60 * 1000;
+const ROLE_DAY_MS = 24 * 60 * ROLE_MINUTE_MS;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Great-circle distance in meters
+ */
+function roleDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371000;
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Local time parts in this browser's timezone, the default clock for role windows
+ */
+function roleLocalTime(time) {
+  const date = new Date(time);
+  const pad = (value) => String(value).padStart(2, '0');
+  return {
+    hour: date.getHours(),
+    minute: date.getMinutes(),
+    weekday: date.getDay(),
+    dateKey: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+  };
+}
+
+function isInRoleWindow(hour, fromHour, toHour) {
+  return fromHour <= toHour ? hour >= fromHour && hour < toHour : hour >= fromHour || hour < toHour;
+}
+
+function isRoleWeekday(weekday) {
+  return weekday !== 0 && weekday !== 6;
+}
+
+function roleStandardDeviation(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+}
+
+// ============================================================================
+// Places
+// ============================================================================
+
+/**
+ * Group stays into places, longest stays first so places centre on where most time is spent
+ * @param {Array<Object>} stays - Stays with start, end (ms), latitude and longitude
+ * @param {number} [radius=PLACE_ROLE_DEFAULTS.anchorRadius] - Meters from a place's centre
+ * @returns {Array<Object>} Places with dwell-weighted latitude/longitude, stays and totalMinutes
+ */
+function clusterStaysIntoPlaces(stays, radius = PLACE_ROLE_DEFAULTS.anchorRadius) {
+  const places = [];
+  const byDuration = stays
+    .filter((stay) => stay.end > stay.start)
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start));
+
+  for (const stay of byDuration) {
+    const minutes = (stay.end - stay.start) / ROLE_MINUTE_MS;
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const place of places) {
+      const distance = roleDistance(place.latitude, place.longitude, stay.latitude, stay.longitude);
+      if (distance <= radius && distance < nearestDistance) {
+        nearest = place;
+        nearestDistance = distance;
+      }
+    }
+
+    if (!nearest) {
+      places.push({ latitude: stay.latitude, longitude: stay.longitude, stays: [stay], totalMinutes: minutes });
+      continue;
+    }
+
+    const total = nearest.totalMinutes + minutes;
+    nearest.latitude += (stay.latitude - nearest.latitude) * minutes / total;
+    nearest.longitude += (stay.longitude - nearest.longitude) * minutes / total;
+    nearest.totalMinutes = total;
+    nearest.stays.push(stay);
+  }
+
+  return places;
+}
+
+/**
+ * Split the time spent at a place into nights, weekday work hours and days
+ * Nights are keyed by the date they start on, so 23:00-07:00 is one night
+ * @param {Object} place - Place from clusterStaysIntoPlaces
+ * @param {Object} [options] - Overrides of PLACE_ROLE_DEFAULTS, plus localTime
+ *   ((time, latitude, longitude) => { hour, minute, weekday, dateKey }, e.g. from createLocalTime())
+ * @returns {Object} { nights: Map night => minutes, workdays: Map date => minutes, days: Set of dates,
+ *   nightMinutes, workMinutes, totalMinutes, arrivalHours }
+ */
+function summarizePlaceTiming(place, options = {}) {
+  const config = { ...PLACE_ROLE_DEFAULTS, ...options };
+  const localTime = (time) => (config.localTime || roleLocalTime)(time, place.latitude, place.longitude);
+  const timing = {
+    nights: new Map(),
+    workdays: new Map(),
+    days: new Set(),
+    nightMinutes: 0,
+    workMinutes: 0,
+    totalMinutes: place.totalMinutes,
+    arrivalHours: [],
+  };
+
+  for (const stay of place.stays) {
+    for (let sliceStart = stay.start; sliceStart < stay.end; sliceStart += ROLE_SLICE_MINUTES * ROLE_MINUTE_MS) {
+      const minutes = (Math.min(sliceStart + ROLE_SLICE_MINUTES * ROLE_MINUTE_MS, stay.end) - sliceStart) / ROLE_MINUTE_MS;
+      const local = localTime(sliceStart);
+      const hour = local.hour + local.minute / 60;
+      timing.days.add(local.dateKey);
+
+      if (isInRoleWindow(hour, config.nightStartHour, config.nightEndHour)) {
+        // After midnight belongs to the night that started the evening before
+        const night = config.nightStartHour > config.nightEndHour && hour < config.nightEndHour
+          ? localTime(sliceStart - ROLE_DAY_MS).dateKey
+          : local.dateKey;
+        timing.nights.set(night, (timing.nights.get(night) || 0) + minutes);
+        timing.nightMinutes += minutes;
+      }
+
+      if (isRoleWeekday(local.weekday) && isInRoleWindow(hour, config.workStartHour, config.workEndHour)) {
+        const day = local.dateKey;
+        timing.workdays.set(day, (timing.workdays.get(day) || 0) + minutes);
+        timing.workMinutes += minutes;
+      }
+    }
+
+    // Arrivals from a few hours before the work window on, to measure how regular they are
+    const arrival = localTime(stay.start);
+    const arrivalHour = arrival.hour + arrival.minute / 60;
+    if (isRoleWeekday(arrival.weekday) && isInRoleWindow(arrivalHour, config.workStartHour - 3, config.workEndHour)) {
+      timing.arrivalHours.push(arrivalHour);
+    }
+  }
+
+  return timing;
+}
+
+/**
+ * Count the days and weekdays in an observation period
+ * @param {number} start - Period start (ms)
+ * @param {number} end - Period end (ms)
+ * @param {Function} [localTime] - Clock of the days (see summarizePlaceTiming); this browser's timezone by default
+ * @param {number} [latitude] - Position whose local days are counted
+ * @param {number} [longitude] - Position whose local days are counted
+ * @returns {Object} { days, weekdays }
+ */
+function countObservedDays(start, end, localTime = roleLocalTime, latitude, longitude) {
+  // Every local day is at least 23 hours long, so half-day steps see each one
+  const weekdayOf = new Map();
+  for (let time = start; ; time = Math.min(time + ROLE_DAY_MS / 2, end)) {
+    const local = localTime(time, latitude, longitude);
+    weekdayOf.set(local.dateKey, local.weekday);
+    if (time >= end) break;
+  }
+
+  const days = weekdayOf.size;
+  const weekdays = [...weekdayOf.values()].filter(isRoleWeekday).length;
+  return { days: Math.max(days, 1), weekdays: Math.max(weekdays, 1) };
+}
+
+// ============================================================================
+// Roles
+// ============================================================================
+
+/**
+ * Infer home, work/school and other anchors from stays
+ * Home: the one place with the most overnight stays (confidence from its share of all night-time
+ * and how many nights it covers); other places slept at are others. Work/school: regular weekday daytime stays (confidence from how many weekdays it
+ * covers, how much of its time is in work hours and how regular the arrival time is). Other:
+ * places visited on several days (confidence from how many days they cover).
+ * @param {Array<Object>} stays - Stays with start, end (ms), latitude and longitude, e.g. from segmentTrips()
+ * @param {Object} [options] - Overrides of PLACE_ROLE_DEFAULTS, plus start and end (ms) of the observed period
+ *   and localTime (see summarizePlaceTiming)
+ * @returns {Array<Object>} Anchors: home, then work/school, then others, each
+ *   { role, latitude, longitude, confidence, totalMinutes, nights, workdays, days, stayCount, evidence }
+ */
+function inferPlaceRoles(stays, options = {}) {
+  const config = { ...PLACE_ROLE_DEFAULTS, ...options };
+  const valid = stays.filter((stay) => stay.end > stay.start &&
+    typeof stay.latitude === 'number' && typeof stay.longitude === 'number');
+  if (valid.length === 0) return [];
+
+  const start = options.start !== undefined ? options.start : Math.min(...valid.map((stay) => stay.start));
+  const end = options.end !== undefined ? options.end : Math.max(...valid.map((stay) => stay.end));
+  const clustered = clusterStaysIntoPlaces(valid, config.anchorRadius);
+  // Days are counted where the most time was spent
+  const main = clustered.reduce((best, place) => (place.totalMinutes > best.totalMinutes ? place : best));
+  const observed = countObservedDays(start, end, config.localTime || roleLocalTime, main.latitude, main.longitude);
+
+  const places = clustered.map((place) => {
+    const timing = summarizePlaceTiming(place, config);
+    return {
+      place,
+      timing,
+      nights: [...timing.nights.values()].filter((minutes) => minutes >= config.minNightHours * 60).length,
+      workdays: [...timing.workdays.values()].filter((minutes) => minutes >= config.minWorkDayHours * 60).length,
+    };
+  });
+  const totalNightMinutes = places.reduce((sum, p) => sum + p.timing.nightMinutes, 0);
+
+  const anchors = [];
+  const clamp = (value) => Math.min(1, Math.max(0, value));
+  const toAnchor = ({ place, timing, nights, workdays }, role, confidence, evidence) => ({
+    role,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    confidence: clamp(confidence),
+    totalMinutes: timing.totalMinutes,
+    nights,
+    workdays,
+    days: timing.days.size,
+    stayCount: place.stays.length,
+    evidence,
+  });
+
+  const remaining = new Set(places);
+
+  // Only the place with the most nights is home; other overnight places (hotels, friends) are others
+  const [home, ...otherNightPlaces] = places
+    .filter((p) => p.nights >= config.minHomeNights)
+    .sort((a, b) => b.nights - a.nights || b.timing.nightMinutes - a.timing.nightMinutes);
+  if (home) {
+    const nightShare = totalNightMinutes > 0 ? home.timing.nightMinutes / totalNightMinutes : 0;
+    const nightCoverage = clamp(home.nights / observed.days);
+    anchors.push(toAnchor(home, 'home', 0.6 * nightShare + 0.4 * nightCoverage, { nightShare, nightCoverage }));
+    remaining.delete(home);
+  }
+
+  [...remaining]
+    .filter((p) => p.workdays >= config.minWorkDays && !otherNightPlaces.includes(p))
+    .sort((a, b) => b.workdays - a.workdays || b.timing.workMinutes - a.timing.workMinutes)
+    .forEach((p) => {
+      const workdayCoverage = clamp(p.workdays / observed.weekdays);
+      const daytimeShare = p.timing.totalMinutes > 0 ? p.timing.workMinutes / p.timing.totalMinutes : 0;
+      const arrivalRegularity = p.timing.arrivalHours.length > 1 ? 1 / (1 + roleStandardDeviation(p.timing.arrivalHours)) : 0;
+      anchors.push(toAnchor(p, 'work', 0.5 * workdayCoverage + 0.3 * daytimeShare + 0.2 * arrivalRegularity,
+        { workdayCoverage, daytimeShare, arrivalRegularity }));
+      remaining.delete(p);
+    });
+
+  [...remaining]
+    .filter((p) => p.timing.days.size >= config.minOtherDays)
+    .sort((a, b) => b.timing.totalMinutes - a.timing.totalMinutes)
+    .forEach((p) => {
+      const dayCoverage = clamp(p.timing.days.size / observed.days);
+      anchors.push(toAnchor(p, 'other', dayCoverage, { dayCoverage }));
+    });
+
+  return anchors;
+}
+
+/**
+ * Find the closest anchor to a position
+ * @param {Array<Object>} anchors - Output of inferPlaceRoles
+ * @param {number} latitude - Position latitude
+ * @param {number} longitude - Position longitude
+ * @param {number} maxDistance - Meters; anchors further away are ignored
+ * @returns {Object|null} { anchor, distance }, or null when none is close enough
+ */
+function findNearestAnchor(anchors, latitude, longitude, maxDistance) {
+  let nearest = null;
+  for (const anchor of anchors) {
+    const distance = roleDistance(anchor.latitude, anchor.longitude, latitude, longitude);
+    if (distance <= maxDistance && (!nearest || distance < nearest.distance)) {
+      nearest = { anchor, distance };
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Check and normalise place role settings, e.g. from localStorage or form inputs
+ * @param {Object} settings - Partial settings
+ * @returns {Object} Complete settings, falling back to defaults for invalid values
+ */
+function normalizePlaceRoleSettings(settings = {}) {
+  const normalized = {};
+  for (const [key, fallback] of Object.entries(PLACE_ROLE_DEFAULTS)) {
+    const value = Number(settings[key]);
+    const isHour = key.endsWith('Hour');
+    const valid = settings[key] !== undefined && settings[key] !== '' && Number.isFinite(value) &&
+      (isHour ? Number.isInteger(value) && value >= 0 && value <= 23 : value > 0);
+    normalized[key] = valid ? value : fallback;
+  }
+  return normalized;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PLACE_ROLES,
+    PLACE_ROLE_DEFAULTS,
+    clusterStaysIntoPlaces,
+    summarizePlaceTiming,
+    countObservedDays,
+    inferPlaceRoles,
+    findNearestAnchor,
+    normalizePlaceRoleSettings,
+  };
+}
@@ -0,0 +1,206 @@
+/**
+ * Trajectory Playback Module
+ * Builds a time-ordered playback track from location points, interpolates the position at any
+ * moment and finds the visit being dwelt at, for the map's playback timeline
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+// Simulated seconds per real second
+const PLAYBACK_SPEEDS = [
+  { value: 60, label: '1 min/s' },
+  { value: 300, label: '5 min/s' },
+  { value: 900, label: '15 min/s' },
+  { value: 3600, label: '1 h/s' },
+  { value: 10800, label: '3 h/s' },
+];
+
+const DEFAULT_PLAYBACK_SPEED = 900;
+
+// Longer gaps between points are not interpolated: the position holds until the next point
+const MAX_INTERPOLATION_GAP_MS = 10 * 60 * 1000;
+
+const PLAYBACK_DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// Track
+// ============================================================================
+
+/**
+ * Build playback frames from location points, oldest first
+ * @param {Array<Object>} locations - Location documents with timestamp, latitude and longitude
+ * @param {Array<Object>} speedData - Output of calculateSpeedAndActivity() (timestamp, inferredActivity)
+ * @returns {Array<Object>} Frames with time (ms), latitude, longitude, activity and the source location
+ */
+function buildPlaybackFrames(locations, speedData = []) {
+  const activityByTime = new Map(speedData.map((point) => [new Date(point.timestamp).getTime(), point.inferredActivity]));
+
+  return locations
+    .filter((loc) => loc.timestamp && typeof loc.latitude === 'number' && typeof loc.longitude === 'number')
+    .map((loc) => {
+      const time = new Date(loc.timestamp).getTime();
+      return {
+        time,
+        latitude: loc.latitude,
+        longitude: loc.longitude,
+        // Activity of the segment arriving at this point; unknown after gaps speed was not measured over
+        activity: activityByTime.get(time) || 'unknown',
+        location: loc,
+      };
+    })
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Local date and time of day in this browser's timezone
+ */
+function playbackLocalTime(time) {
+  const date = new Date(time);
+  return {
+    hour: date.getHours(),
+    minute: date.getMinutes(),
+    second: date.getSeconds(),
+    dateKey: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`,
+  };
+}
+
+/**
+ * Start (ms) of the local day containing a time: steps back by the local time of day, then
+ * corrects for a daylight saving change earlier that day
+ */
+function playbackDayStart(time, latitude, longitude, localTime) {
+  const { dateKey } = localTime(time, latitude, longitude);
+  let start = time;
+  for (let i = 0; i < 3; i++) {
+    const local = localTime(start, latitude, longitude);
+    const elapsed = ((local.hour * 60 + local.minute) * 60 + local.second) * 1000 + (start % 1000);
+    if (local.dateKey !== dateKey) {
+      start += PLAYBACK_DAY_MS - elapsed; // overshot into the day before
+    } else if (elapsed > 0) {
+      start -= elapsed;
+    } else {
+      break;
+    }
+  }
+  return start;
+}
+
+/**
+ * List the local calendar days covered by the frames
+ * @param {Array<Object>} frames - Frames from buildPlaybackFrames
+ * @param {Function} [localTime] - (time, latitude, longitude) => { hour, minute, second, dateKey }, e.g. from
+ *   createLocalTime(); days are in this browser's timezone without it
+ * @returns {Array<Object>} Days with key (YYYY-MM-DD), start and end (ms), oldest first
+ */
+function getPlaybackDays(frames, localTime = playbackLocalTime) {
+  const days = new Map();
+
+  for (const frame of frames) {
+    const { dateKey: key } = localTime(frame.time, frame.latitude, frame.longitude);
+    if (!days.has(key)) {
+      const start = playbackDayStart(frame.time, frame.latitude, frame.longitude, localTime);
+      // The next day starts within 26 hours, however long this one is
+      const end = playbackDayStart(start + PLAYBACK_DAY_MS + 2 * 60 * 60 * 1000, frame.latitude, frame.longitude, localTime) - 1;
+      days.set(key, { key, start, end });
+    }
+  }
+
+  return [...days.values()];
+}
+
+/**
+ * Find the last frame at or before a time
+ * @param {Array<Object>} frames - Frames sorted by time
+ * @param {number} time - Time in ms
+ * @returns {number} Frame index, or -1 when the time is before the first frame
+ */
+function findFrameIndex(frames, time) {
+  let left = 0;
+  let right = frames.length - 1;
+  let found = -1;
+
+  while (left <= right) {
+    const mid = Math.floor((left + right) / 2);
+    if (frames[mid].time <= time) {
+      found = mid;
+      left = mid + 1;
+    } else {
+      right = mid - 1;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Get the position at a time, interpolating between neighbouring frames
+ * @param {Array<Object>} frames - Frames sorted by time
+ * @param {number} time - Time in ms
+ * @returns {Object|null} { latitude, longitude, index, activity }, or null before the first frame
+ */
+function getPlaybackPosition(frames, time) {
+  const index = findFrameIndex(frames, time);
+  if (index === -1) return null;
+
+  const current = frames[index];
+  const next = frames[index + 1];
+
+  if (!next || next.time - current.time > MAX_INTERPOLATION_GAP_MS || next.time === current.time) {
+    return { latitude: current.latitude, longitude: current.longitude, index, activity: current.activity };
+  }
+
+  const progress = (time - current.time) / (next.time - current.time);
+  return {
+    latitude: current.latitude + (next.latitude - current.latitude) * progress,
+    longitude: current.longitude + (next.longitude - current.longitude) * progress,
+    index,
+    activity: next.activity,
+  };
+}
+
+/**
+ * Find the visit being dwelt at a time
+ * Visits without a departure only count at their arrival time
+ * @param {Array<Object>} visits - Visit documents (arrivalDate/departureDate or timestamp)
+ * @param {number} time - Time in ms
+ * @returns {Object|null} The visit, or null when not dwelling anywhere
+ */
+function findActiveVisit(visits, time) {
+  return visits.find((visit) => {
+    const arrival = new Date(visit.arrivalDate || visit.timestamp).getTime();
+    const departure = visit.departureDate ? new Date(visit.departureDate).getTime() : arrival;
+    return time >= arrival && time <= departure;
+  }) || null;
+}
+
+/**
+ * Advance the playback clock
+ * @param {number} time - Current time in ms
+ * @param {number} elapsedMs - Real milliseconds since the last tick
+ * @param {number} speed - Simulated seconds per real second
+ * @param {number} end - Last time of the timeline in ms
+ * @returns {number} New time, clamped to end
+ */
+function advancePlaybackTime(time, elapsedMs, speed, end) {
+  return Math.min(time + elapsedMs * speed, end);
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PLAYBACK_SPEEDS,
+    DEFAULT_PLAYBACK_SPEED,
+    MAX_INTERPOLATION_GAP_MS,
+    buildPlaybackFrames,
+    getPlaybackDays,
+    findFrameIndex,
+    getPlaybackPosition,
+    findActiveVisit,
+    advancePlaybackTime,
+  };
+}
@@ -0,0 +1,260 @@
+/**
+ * Timezones Module
+ * Works out the local time at a point from its coordinates: looks the point up in a timezone
+ * boundary dataset (timezone-boundary-builder GeoJSON), then in the bundled tz-lookup dataset,
+ * falls back to the nautical zone for its longitude, and splits timestamps into local date and
+ * time parts for that zone
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+// Optional boundary file next to the exported data, relative to dashboard.html
+// (combined.geojson or combined-with-oceans.geojson from timezone-boundary-builder)
+const TIMEZONE_BOUNDARY_FILE = 'data/timezones.geojson';
+
+// 'user': the local time where each point was recorded; 'viewer': this browser's timezone
+const TIME_MODES = ['user', 'viewer'];
+
+const TIMEZONE_GRID_DEGREES = 1;      // spatial index cells for boundary lookup
+const TIMEZONE_CACHE_DEGREES = 0.01;  // ~1 km; points closer than this share a lookup
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const zoneFormatters = new Map();
+
+// ============================================================================
+// Boundaries
+// ============================================================================
+
+function ringBoundingBox(ring) {
+  let west = Infinity;
+  let east = -Infinity;
+  let south = Infinity;
+  let north = -Infinity;
+  for (const [lon, lat] of ring) {
+    if (lon < west) west = lon;
+    if (lon > east) east = lon;
+    if (lat < south) south = lat;
+    if (lat > north) north = lat;
+  }
+  return { west, east, south, north };
+}
+
+/**
+ * Ray casting point-in-ring test; ring positions are [longitude, latitude]
+ */
+function isInRing(ring, latitude, longitude) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > latitude) !== (yj > latitude) && longitude < (xj - xi) * (latitude - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Index a timezone boundary dataset for lookups
+ * @param {Object} data - GeoJSON FeatureCollection of Polygon/MultiPolygon features with a tzid property
+ * @returns {Object} { polygons: [{ tzid, rings, bbox }], grid: cell => polygon indexes, zones: tzid list }
+ */
+function parseTimezoneBoundaries(data) {
+  if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new Error('Unrecognised timezone boundaries: expected a GeoJSON FeatureCollection');
+  }
+
+  const boundaries = { polygons: [], grid: new Map(), zones: [] };
+  const zones = new Set();
+
+  for (const feature of data.features) {
+    const tzid = feature && feature.properties && (feature.properties.tzid || feature.properties.TZID);
+    const geometry = feature && feature.geometry;
+    if (!tzid || !geometry) continue;
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+
+    for (const rings of polygons) {
+      if (!rings.length) continue;
+      const bbox = ringBoundingBox(rings[0]);
+      const index = boundaries.polygons.length;
+      boundaries.polygons.push({ tzid, rings, bbox });
+      zones.add(tzid);
+
+      for (let y = Math.floor(bbox.south / TIMEZONE_GRID_DEGREES); y <= Math.floor(bbox.north / TIMEZONE_GRID_DEGREES); y++) {
+        for (let x = Math.floor(bbox.west / TIMEZONE_GRID_DEGREES); x <= Math.floor(bbox.east / TIMEZONE_GRID_DEGREES); x++) {
+          const key = `${y}:${x}`;
+          if (!boundaries.grid.has(key)) boundaries.grid.set(key, []);
+          boundaries.grid.get(key).push(index);
+        }
+      }
+    }
+  }
+
+  if (boundaries.polygons.length === 0) {
+    throw new Error('Timezone boundaries contain no polygons with a tzid');
+  }
+  boundaries.zones = [...zones].sort();
+  return boundaries;
+}
+
+/**
+ * Find the timezone whose boundary contains a point
+ * @param {Object} boundaries - Output of parseTimezoneBoundaries
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @returns {string|null} IANA timezone, or null outside every boundary
+ */
+function findBoundaryTimezone(boundaries, latitude, longitude) {
+  const key = `${Math.floor(latitude / TIMEZONE_GRID_DEGREES)}:${Math.floor(longitude / TIMEZONE_GRID_DEGREES)}`;
+
+  for (const index of boundaries.grid.get(key) || []) {
+    const { tzid, rings, bbox } = boundaries.polygons[index];
+    if (latitude < bbox.south || latitude > bbox.north || longitude < bbox.west || longitude > bbox.east) continue;
+    if (isInRing(rings[0], latitude, longitude) && !rings.slice(1).some((hole) => isInRing(hole, latitude, longitude))) {
+      return tzid;
+    }
+  }
+  return null;
+}
+
+/**
+ * Nautical timezone for a longitude: whole hours from UTC, one zone per 15 degrees
+ * @param {number} longitude - Point longitude
+ * @returns {string} e.g. 'Etc/GMT+5' (UTC-5; the Etc sign is inverted)
+ */
+function getNauticalTimezone(longitude) {
+  const offset = Math.max(-12, Math.min(12, Math.round(longitude / 15)));
+  if (offset === 0) return 'Etc/GMT';
+  return `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+}
+
+/**
+ * IANA timezone lookup of the tz-lookup script (@photostructure/tz-lookup), if it is loaded
+ * @returns {Function|null} (latitude, longitude) => IANA timezone
+ */
+function getIanaTimezoneLookup() {
+  return typeof tzlookup === 'function' ? tzlookup : null;
+}
+
+/**
+ * Create a cached coordinate => timezone lookup
+ * @param {Object|null} boundaries - Output of parseTimezoneBoundaries, or null
+ * @param {Function|null} [ianaLookup] - (latitude, longitude) => IANA timezone for points outside the
+ *   boundaries; defaults to tz-lookup when loaded. Without either, points get nautical zones, which
+ *   have no daylight saving time or part-hour offsets
+ * @returns {Function} (latitude, longitude) => IANA timezone
+ */
+function createTimezoneLookup(boundaries, ianaLookup = getIanaTimezoneLookup()) {
+  const cache = new Map();
+
+  return (latitude, longitude) => {
+    const key = `${Math.round(latitude / TIMEZONE_CACHE_DEGREES)}:${Math.round(longitude / TIMEZONE_CACHE_DEGREES)}`;
+    if (!cache.has(key)) {
+      let tzid = boundaries ? findBoundaryTimezone(boundaries, latitude, longitude) : null;
+      if (!tzid && ianaLookup) {
+        try {
+          tzid = ianaLookup(latitude, longitude);
+        } catch (error) {
+          tzid = null; // invalid coordinates
+        }
+      }
+      cache.set(key, tzid || getNauticalTimezone(longitude));
+    }
+    return cache.get(key);
+  };
+}
+
+// ============================================================================
+// Local time
+// ============================================================================
+
+function getZoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+/**
+ * Split a time into its local date and time parts
+ * @param {number} time - Milliseconds since epoch
+ * @param {string|null} [timeZone] - IANA timezone; omitted or null for this browser's timezone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday), dateKey (YYYY-MM-DD) }
+ */
+function getZonedTime(time, timeZone = null) {
+  let parts;
+  if (timeZone) {
+    parts = {};
+    for (const { type, value } of getZoneFormatter(timeZone).formatToParts(new Date(time))) {
+      parts[type] = value;
+    }
+    parts = {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      weekday: WEEKDAY_INDEX[parts.weekday],
+    };
+  } else {
+    const date = new Date(time);
+    parts = {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds(),
+      weekday: date.getDay(),
+    };
+  }
+
+  parts.dateKey = `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+  return parts;
+}
+
+/**
+ * Create a local time function for analytics
+ * @param {Function|null} lookup - Output of createTimezoneLookup for user local time, or null for viewer local time
+ * @returns {Function} (time, latitude, longitude) => getZonedTime parts
+ */
+function createLocalTime(lookup) {
+  return (time, latitude, longitude) => {
+    const known = lookup && typeof latitude === 'number' && typeof longitude === 'number';
+    return getZonedTime(time, known ? lookup(latitude, longitude) : null);
+  };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TIMEZONE_BOUNDARY_FILE,
+    TIME_MODES,
+    parseTimezoneBoundaries,
+    findBoundaryTimezone,
+    getNauticalTimezone,
+    getIanaTimezoneLookup,
+    createTimezoneLookup,
+    getZonedTime,
+    createLocalTime,
+  };
+}
@@ -0,0 +1,290 @@
+/**
+ * GPS Trace Cleaning Module
+ * Cleans a location trace before analysis: drops inaccurate fixes, removes teleports and
+ * out-and-back spikes, and optionally smooths the remaining points (Kalman or moving average)
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const SMOOTHING_METHODS = ['none', 'moving-average', 'kalman'];
+
+const CLEANING_DEFAULTS = {
+  enabled: true,
+  maxAccuracy: 50,        // meters; fixes with a larger horizontalAccuracy are dropped
+  maxSpeed: 50,           // m/s; a point reached faster than this from the previous one is a teleport
+  spikeDistance: 100,     // meters; both legs of an out-and-back spike are at least this long
+  smoothing: 'none',      // one of SMOOTHING_METHODS
+  windowSize: 5,          // points in the moving-average window
+  processNoise: 3,        // m/s; how fast the Kalman filter expects the true position to move
+};
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Great-circle distance in meters
+ */
+function cleaningDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371000;
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function pointTime(point) {
+  return new Date(point.timestamp).getTime();
+}
+
+function pointSpeed(from, to) {
+  const distance = cleaningDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+  if (distance === 0) return 0;
+  const seconds = (pointTime(to) - pointTime(from)) / 1000;
+  return seconds > 0 ? distance / seconds : Infinity;
+}
+
+// ============================================================================
+// Filters
+// ============================================================================
+
+/**
+ * Split points into usable fixes and fixes that are too inaccurate
+ * Negative accuracy marks an invalid fix; points without accuracy are kept
+ * @param {Array<Object>} points - Location documents
+ * @param {number} maxAccuracy - Largest accepted horizontalAccuracy in meters
+ * @returns {Object} { kept, removed }
+ */
+function filterByAccuracy(points, maxAccuracy) {
+  const kept = [];
+  const removed = [];
+
+  for (const point of points) {
+    const accuracy = point.horizontalAccuracy;
+    if (typeof accuracy === 'number' && (accuracy < 0 || accuracy > maxAccuracy)) {
+      removed.push(point);
+    } else {
+      kept.push(point);
+    }
+  }
+
+  return { kept, removed };
+}
+
+/**
+ * Remove teleports and out-and-back spikes
+ * A teleport is reached implausibly fast and the trace does not carry on from it; when the next
+ * point continues from the new place (a flight, or movement during a recording gap) it is kept.
+ * A spike is far from both neighbours while the neighbours are close together.
+ * @param {Array<Object>} points - Location documents sorted oldest first
+ * @param {Object} options - maxSpeed (m/s) and spikeDistance (m)
+ * @returns {Object} { kept, teleports, spikes }
+ */
+function removeOutliers(points, { maxSpeed, spikeDistance }) {
+  const kept = [];
+  const teleports = [];
+  const spikes = [];
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+    const prev = kept[kept.length - 1];
+    const next = points[i + 1];
+
+    if (prev && pointSpeed(prev, point) > maxSpeed) {
+      const relocated = next && pointSpeed(point, next) <= maxSpeed && pointSpeed(prev, next) > maxSpeed;
+      if (!relocated) {
+        teleports.push(point);
+        continue;
+      }
+    }
+
+    if (prev && next) {
+      const outward = cleaningDistance(prev.latitude, prev.longitude, point.latitude, point.longitude);
+      const back = cleaningDistance(point.latitude, point.longitude, next.latitude, next.longitude);
+      const direct = cleaningDistance(prev.latitude, prev.longitude, next.latitude, next.longitude);
+      if (outward >= spikeDistance && back >= spikeDistance && direct < Math.min(outward, back) / 4) {
+        spikes.push(point);
+        continue;
+      }
+    }
+
+    kept.push(point);
+  }
+
+  return { kept, teleports, spikes };
+}
+
+// ============================================================================
+// Smoothing
+// ============================================================================
+
+/**
+ * Smooth coordinates with a centred moving average
+ * @param {Array<Object>} points - Location documents sorted oldest first
+ * @param {number} windowSize - Points in the window (odd sizes centre exactly)
+ * @returns {Array<Object>} Copies with averaged latitude/longitude
+ */
+function smoothMovingAverage(points, windowSize) {
+  const half = Math.floor(windowSize / 2);
+
+  return points.map((point, i) => {
+    const window = points.slice(Math.max(0, i - half), Math.min(points.length, i + half + 1));
+    return {
+      ...point,
+      latitude: window.reduce((sum, p) => sum + p.latitude, 0) / window.length,
+      longitude: window.reduce((sum, p) => sum + p.longitude, 0) / window.length,
+    };
+  });
+}
+
+/**
+ * Smooth coordinates with a constant-position Kalman filter weighted by each fix's accuracy
+ * The estimate's uncertainty grows with processNoise while time passes, so well separated
+ * or accurate fixes move it more than noisy bursts
+ * @param {Array<Object>} points - Location documents sorted oldest first
+ * @param {number} processNoise - Expected movement in m/s
+ * @returns {Array<Object>} Copies with filtered latitude/longitude
+ */
+function smoothKalman(points, processNoise) {
+  let latitude = null;
+  let longitude = null;
+  let variance = -1; // meters², negative until the first fix
+  let lastTime = null;
+
+  return points.map((point) => {
+    const accuracy = Math.max(typeof point.horizontalAccuracy === 'number' ? point.horizontalAccuracy : 10, 1);
+    const time = pointTime(point);
+
+    if (variance < 0) {
+      latitude = point.latitude;
+      longitude = point.longitude;
+      variance = accuracy * accuracy;
+    } else {
+      const seconds = Math.max((time - lastTime) / 1000, 0);
+      variance += seconds * processNoise * processNoise;
+      const gain = variance / (variance + accuracy * accuracy);
+      latitude += gain * (point.latitude - latitude);
+      longitude += gain * (point.longitude - longitude);
+      variance *= 1 - gain;
+    }
+    lastTime = time;
+
+    return { ...point, latitude, longitude };
+  });
+}
+
+// ============================================================================
+// Pipeline
+// ============================================================================
+
+/**
+ * Clean a location trace
+ * @param {Array<Object>} locations - Location documents (any order)
+ * @param {Object} [options] - Overrides of CLEANING_DEFAULTS
+ * @returns {Object} { locations: cleaned points oldest first, removed: [{ location, reason }],
+ *   stats: { input, output, accuracy, teleport, spike } }
+ */
+function cleanTrace(locations, options = {}) {
+  const config = { ...CLEANING_DEFAULTS, ...options };
+  const sorted = locations
+    .filter((loc) => loc.timestamp && typeof loc.latitude === 'number' && typeof loc.longitude === 'number')
+    .sort((a, b) => pointTime(a) - pointTime(b));
+
+  if (!config.enabled) {
+    return {
+      locations: sorted,
+      removed: [],
+      stats: { input: sorted.length, output: sorted.length, accuracy: 0, teleport: 0, spike: 0 },
+    };
+  }
+
+  const accurate = filterByAccuracy(sorted, config.maxAccuracy);
+  const outliers = removeOutliers(accurate.kept, config);
+
+  let cleaned = outliers.kept;
+  if (config.smoothing === 'moving-average') {
+    cleaned = smoothMovingAverage(cleaned, config.windowSize);
+  } else if (config.smoothing === 'kalman') {
+    cleaned = smoothKalman(cleaned, config.processNoise);
+  }
+
+  const removed = [
+    ...accurate.removed.map((location) => ({ location, reason: 'accuracy' })),
+    ...outliers.teleports.map((location) => ({ location, reason: 'teleport' })),
+    ...outliers.spikes.map((location) => ({ location, reason: 'spike' })),
+  ];
+
+  return {
+    locations: cleaned,
+    removed,
+    stats: {
+      input: sorted.length,
+      output: cleaned.length,
+      accuracy: accurate.removed.length,
+      teleport: outliers.teleports.length,
+      spike: outliers.spikes.length,
+    },
+  };
+}
+
+/**
+ * Split a trace into runs without recording gaps, e.g. to draw it as polylines
+ * @param {Array<Object>} points - Location documents sorted oldest first
+ * @param {number} maxGapMs - Longest gap inside a run
+ * @returns {Array<Array<Object>>} Runs of points
+ */
+function splitAtGaps(points, maxGapMs) {
+  const runs = [];
+  let run = [];
+
+  for (const point of points) {
+    if (run.length > 0 && pointTime(point) - pointTime(run[run.length - 1]) > maxGapMs) {
+      runs.push(run);
+      run = [];
+    }
+    run.push(point);
+  }
+  if (run.length > 0) runs.push(run);
+
+  return runs;
+}
+
+/**
+ * Check and normalise cleaning settings, e.g. from localStorage or form inputs
+ * @param {Object} settings - Partial settings
+ * @returns {Object} Complete settings, falling back to defaults for invalid values
+ */
+function normalizeCleaningSettings(settings = {}) {
+  const positive = (value, fallback) => (Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : fallback);
+
+  return {
+    enabled: typeof settings.enabled === 'boolean' ? settings.enabled : CLEANING_DEFAULTS.enabled,
+    maxAccuracy: positive(settings.maxAccuracy, CLEANING_DEFAULTS.maxAccuracy),
+    maxSpeed: positive(settings.maxSpeed, CLEANING_DEFAULTS.maxSpeed),
+    spikeDistance: positive(settings.spikeDistance, CLEANING_DEFAULTS.spikeDistance),
+    smoothing: SMOOTHING_METHODS.includes(settings.smoothing) ? settings.smoothing : CLEANING_DEFAULTS.smoothing,
+    windowSize: Math.round(positive(settings.windowSize, CLEANING_DEFAULTS.windowSize)),
+    processNoise: positive(settings.processNoise, CLEANING_DEFAULTS.processNoise),
+  };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SMOOTHING_METHODS,
+    CLEANING_DEFAULTS,
+    filterByAccuracy,
+    removeOutliers,
+    smoothMovingAverage,
+    smoothKalman,
+    cleanTrace,
+    splitAtGaps,
+    normalizeCleaningSettings,
+  };
+}
@@ -0,0 +1,385 @@
+/**
+ * Trip Segmentation Module
+ * Splits a user's location stream into alternating stays and journeys: stays come from stay-point
+ * detection on the locations merged with iOS visits, journeys are the movement between two stays
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const TRIP_DEFAULTS = {
+  stayRadius: 100,          // meters a stay's points stay within
+  minStayMinutes: 5,        // shortest dwell counted as a stay
+  minJourneyDistance: 200,  // meters; stays closer than this with no movement between are merged
+  visitMatchRadius: 200,    // meters between a stay and the iOS visit it is matched to
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Great-circle distance in meters
+ */
+function tripDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371000;
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Local date and time of day of a time in this browser's timezone; the dashboard passes
+ * createLocalTime() instead so days follow the selected clock
+ */
+function tripLocalTime(time) {
+  const date = new Date(time);
+  return {
+    hour: date.getHours(),
+    minute: date.getMinutes(),
+    second: date.getSeconds(),
+    dateKey: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`,
+  };
+}
+
+/**
+ * Start (ms) of the local day containing a time: steps back by the local time of day, then
+ * corrects for a daylight saving change earlier that day
+ */
+function tripDayStart(time, latitude, longitude, localTime) {
+  const { dateKey } = localTime(time, latitude, longitude);
+  let start = time;
+  for (let i = 0; i < 3; i++) {
+    const local = localTime(start, latitude, longitude);
+    const elapsed = ((local.hour * 60 + local.minute) * 60 + local.second) * 1000 + (start % 1000);
+    if (local.dateKey !== dateKey) {
+      start += DAY_MS - elapsed; // overshot into the day before
+    } else if (elapsed > 0) {
+      start -= elapsed;
+    } else {
+      break;
+    }
+  }
+  return start;
+}
+
+function toTripPoints(locations) {
+  return locations
+    .filter((loc) => loc.timestamp && typeof loc.latitude === 'number' && typeof loc.longitude === 'number')
+    .map((loc) => ({ time: new Date(loc.timestamp).getTime(), latitude: loc.latitude, longitude: loc.longitude }))
+    .sort((a, b) => a.time - b.time);
+}
+
+function createStay(start, end, latitude, longitude, pointCount, visit = null) {
+  return {
+    type: 'stay',
+    start,
+    end,
+    latitude,
+    longitude,
+    durationMinutes: (end - start) / MINUTE_MS,
+    pointCount,
+    visit,
+  };
+}
+
+// ============================================================================
+// Stays
+// ============================================================================
+
+/**
+ * Detect stay points: runs of consecutive points within stayRadius of the run's first point
+ * that last at least minStayMinutes
+ * @param {Array<Object>} points - Points with time (ms), latitude and longitude, oldest first
+ * @param {Object} [options] - Overrides of TRIP_DEFAULTS
+ * @returns {Array<Object>} Stays with start, end, centroid and pointCount
+ */
+function detectStayPoints(points, options = {}) {
+  const { stayRadius, minStayMinutes } = { ...TRIP_DEFAULTS, ...options };
+  const stays = [];
+  let i = 0;
+
+  while (i < points.length) {
+    const anchor = points[i];
+    let j = i + 1;
+    while (j < points.length && tripDistance(anchor.latitude, anchor.longitude, points[j].latitude, points[j].longitude) <= stayRadius) {
+      j++;
+    }
+
+    const run = points.slice(i, j);
+    const last = run[run.length - 1];
+    if (last.time - anchor.time >= minStayMinutes * MINUTE_MS) {
+      stays.push(createStay(
+        anchor.time,
+        last.time,
+        run.reduce((sum, p) => sum + p.latitude, 0) / run.length,
+        run.reduce((sum, p) => sum + p.longitude, 0) / run.length,
+        run.length,
+      ));
+      i = j;
+    } else {
+      i++;
+    }
+  }
+
+  return stays;
+}
+
+/**
+ * Combine location stays with iOS visits
+ * A visit absorbs the location stays it overlaps nearby; visits without a matching stay
+ * (e.g. recorded while location updates were paused) become stays of their own
+ * @param {Array<Object>} stays - Stays from detectStayPoints
+ * @param {Array<Object>} visits - Visit documents (arrivalDate/departureDate or timestamp)
+ * @param {Object} [options] - Overrides of TRIP_DEFAULTS
+ * @returns {Array<Object>} Stays sorted by start
+ */
+function mergeVisitStays(stays, visits, options = {}) {
+  const { visitMatchRadius } = { ...TRIP_DEFAULTS, ...options };
+  let remaining = [...stays];
+  const merged = [];
+
+  for (const visit of visits) {
+    const start = new Date(visit.arrivalDate || visit.timestamp).getTime();
+    const end = visit.departureDate ? new Date(visit.departureDate).getTime() : NaN;
+    if (Number.isNaN(start) || Number.isNaN(end) || end <= start || typeof visit.latitude !== 'number') continue;
+
+    const matches = remaining.filter((stay) => stay.start <= end && stay.end >= start &&
+      tripDistance(stay.latitude, stay.longitude, visit.latitude, visit.longitude) <= visitMatchRadius);
+    remaining = remaining.filter((stay) => !matches.includes(stay));
+
+    merged.push(createStay(
+      Math.min(start, ...matches.map((stay) => stay.start)),
+      Math.max(end, ...matches.map((stay) => stay.end)),
+      visit.latitude,
+      visit.longitude,
+      matches.reduce((sum, stay) => sum + stay.pointCount, 0),
+      visit,
+    ));
+  }
+
+  return [...merged, ...remaining].sort((a, b) => a.start - b.start);
+}
+
+// ============================================================================
+// Journeys
+// ============================================================================
+
+/**
+ * Time spent in each inferred activity during a journey
+ * @param {Array<Object>} speedData - Output of calculateSpeedAndActivity()
+ * @param {number} start - Journey start (ms)
+ * @param {number} end - Journey end (ms)
+ * @returns {Object} activity -> seconds
+ */
+function getJourneyModes(speedData, start, end) {
+  const modes = {};
+  for (const point of speedData) {
+    const time = new Date(point.timestamp).getTime();
+    if (time <= start || time > end) continue;
+    modes[point.inferredActivity] = (modes[point.inferredActivity] || 0) + point.timeDeltaSec;
+  }
+  return modes;
+}
+
+/**
+ * Pick the mode a journey mostly used; waiting (stationary) only wins when nothing else was measured
+ * @param {Object} modes - activity -> seconds from getJourneyModes
+ * @returns {string} Dominant activity, or 'unknown' without speed measurements
+ */
+function getDominantMode(modes) {
+  const moving = Object.entries(modes).filter(([mode]) => mode !== 'stationary');
+  const candidates = moving.length > 0 ? moving : Object.entries(modes);
+  if (candidates.length === 0) return 'unknown';
+  return candidates.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+function createJourney(origin, destination, points, speedData) {
+  const start = origin ? origin.end : points[0].time;
+  const end = destination ? destination.start : points[points.length - 1].time;
+  const path = [
+    ...(origin ? [origin] : []),
+    ...points,
+    ...(destination ? [destination] : []),
+  ];
+
+  let distance = 0;
+  for (let i = 1; i < path.length; i++) {
+    distance += tripDistance(path[i - 1].latitude, path[i - 1].longitude, path[i].latitude, path[i].longitude);
+  }
+
+  const modes = getJourneyModes(speedData, start, end);
+  return {
+    type: 'journey',
+    start,
+    end,
+    origin,
+    destination,
+    distance,
+    durationMinutes: (end - start) / MINUTE_MS,
+    mode: getDominantMode(modes),
+    modes,
+    pointCount: points.length,
+  };
+}
+
+/**
+ * Split locations into alternating stays and journeys
+ * @param {Array<Object>} locations - Location documents (any order)
+ * @param {Array<Object>} visits - Visit documents
+ * @param {Array<Object>} speedData - Output of calculateSpeedAndActivity() for the same locations
+ * @param {Object} [options] - Overrides of TRIP_DEFAULTS
+ * @returns {Array<Object>} Segments oldest first: stays ({ type: 'stay', visit, ... }) and
+ *   journeys ({ type: 'journey', origin, destination, distance, mode, ... })
+ */
+function segmentTrips(locations, visits = [], speedData = [], options = {}) {
+  const config = { ...TRIP_DEFAULTS, ...options };
+  const points = toTripPoints(locations);
+  const candidates = mergeVisitStays(detectStayPoints(points, config), visits, config);
+
+  // Merge neighbouring stays at the same place that were split by noise or a short gap
+  const stays = [];
+  for (const stay of candidates) {
+    const prev = stays[stays.length - 1];
+    if (prev && stay.start <= prev.end) {
+      stays[stays.length - 1] = createStay(prev.start, Math.max(prev.end, stay.end), prev.latitude, prev.longitude,
+        prev.pointCount + stay.pointCount, prev.visit || stay.visit);
+      continue;
+    }
+    if (prev && tripDistance(prev.latitude, prev.longitude, stay.latitude, stay.longitude) < config.minJourneyDistance) {
+      const between = points.filter((p) => p.time > prev.end && p.time < stay.start);
+      const leftPlace = between.some((p) =>
+        tripDistance(prev.latitude, prev.longitude, p.latitude, p.longitude) >= config.minJourneyDistance);
+      if (!leftPlace) {
+        stays[stays.length - 1] = createStay(prev.start, stay.end, prev.latitude, prev.longitude,
+          prev.pointCount + between.length + stay.pointCount, prev.visit || stay.visit);
+        continue;
+      }
+    }
+    stays.push(stay);
+  }
+
+  const segments = [];
+  const addOpenJourney = (journeyPoints, origin, destination) => {
+    if (journeyPoints.length === 0) return;
+    const journey = createJourney(origin, destination, journeyPoints, speedData);
+    if (journey.distance >= config.minJourneyDistance) {
+      segments.push(journey);
+    }
+  };
+
+  if (stays.length === 0) {
+    addOpenJourney(points, null, null);
+    return segments;
+  }
+
+  // Movement before the first stay has no known origin
+  addOpenJourney(points.filter((p) => p.time < stays[0].start), null, stays[0]);
+
+  stays.forEach((stay, index) => {
+    if (index > 0) {
+      const origin = stays[index - 1];
+      const journeyPoints = points.filter((p) => p.time > origin.end && p.time < stay.start);
+      segments.push(createJourney(origin, stay, journeyPoints, speedData));
+    }
+    segments.push(stay);
+  });
+
+  // Movement after the last stay has no destination yet
+  const lastStay = stays[stays.length - 1];
+  addOpenJourney(points.filter((p) => p.time > lastStay.end), lastStay, null);
+
+  return segments;
+}
+
+// ============================================================================
+// Summaries
+// ============================================================================
+
+/**
+ * Get the journeys of a segmentation
+ * @param {Array<Object>} segments - Output of segmentTrips
+ * @returns {Array<Object>} Journeys oldest first
+ */
+function getJourneys(segments) {
+  return segments.filter((segment) => segment.type === 'journey');
+}
+
+/**
+ * Group segments into a per-day diary; segments spanning midnight appear on every day they cover
+ * @param {Array<Object>} segments - Output of segmentTrips
+ * @param {Function} [localTime] - (time, latitude, longitude) => { hour, minute, second, dateKey }, e.g. from
+ *   createLocalTime(); days are in this browser's timezone without it. Journeys use their origin's position
+ * @returns {Array<Object>} Days oldest first, with key (YYYY-MM-DD), start, end (ms) and segments
+ */
+function groupSegmentsByDay(segments, localTime = tripLocalTime) {
+  const days = new Map();
+
+  for (const segment of segments) {
+    const position = segment.type === 'journey' ? segment.origin || segment.destination || {} : segment;
+    const { latitude, longitude } = position;
+    let dayStart = tripDayStart(segment.start, latitude, longitude, localTime);
+
+    while (dayStart <= segment.end) {
+      // The next day starts within 26 hours, however long this one is
+      const dayEnd = tripDayStart(dayStart + DAY_MS + 2 * 60 * MINUTE_MS, latitude, longitude, localTime);
+      const { dateKey: key } = localTime(dayStart, latitude, longitude);
+      if (!days.has(key)) {
+        days.set(key, { key, start: dayStart, end: dayEnd - 1, segments: [] });
+      }
+      days.get(key).segments.push(segment);
+      dayStart = dayEnd;
+    }
+  }
+
+  return [...days.values()].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Summarize journeys by mode
+ * @param {Array<Object>} segments - Output of segmentTrips
+ * @returns {Object} { journeys, stays, totalDistance, byMode: { mode: { count, distance } } }
+ */
+function summarizeTrips(segments) {
+  const journeys = getJourneys(segments);
+  const byMode = {};
+
+  for (const journey of journeys) {
+    if (!byMode[journey.mode]) {
+      byMode[journey.mode] = { count: 0, distance: 0 };
+    }
+    byMode[journey.mode].count++;
+    byMode[journey.mode].distance += journey.distance;
+  }
+
+  return {
+    journeys: journeys.length,
+    stays: segments.length - journeys.length,
+    totalDistance: journeys.reduce((sum, journey) => sum + journey.distance, 0),
+    byMode,
+  };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TRIP_DEFAULTS,
+    detectStayPoints,
+    mergeVisitStays,
+    getJourneyModes,
+    getDominantMode,
+    segmentTrips,
+    getJourneys,
+    groupSegmentsByDay,
+    summarizeTrips,
+  };
+}
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+const admin = require('firebase-admin');
+const {
+  SEED_HELP_TEXT,
+  parseSeedArgs,
+  readSeedDocuments,
+  clearCollection,
+  seedCollection
+} = require('./exporter/seed');
+
+/**
+ * Seeds the Firestore emulator from exported JSON files
+ * @returns {Promise<number>} Process exit code
+ */
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseSeedArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Run with --help for usage.');
+    return 1;
+  }
+
+  if (options.help) {
+    console.log(SEED_HELP_TEXT);
+    return 0;
+  }
+
+  // The Admin SDK talks to the emulator (and needs no credentials) when this is set
+  process.env.FIRESTORE_EMULATOR_HOST = options.emulatorHost;
+  admin.initializeApp({ projectId: options.projectId });
+  const db = admin.firestore();
+
+  const types = {
+    toTimestamp: (date) => admin.firestore.Timestamp.fromDate(date),
+    toGeoPoint: (latitude, longitude) => new admin.firestore.GeoPoint(latitude, longitude)
+  };
+
+  console.log(`Seeding Firestore emulator at ${options.emulatorHost} (project ${options.projectId})`);
+  console.log(`Reading exports from: ${options.dataDir}`);
+  console.log('---');
+
+  try {
+    for (const collection of options.collections) {
+      const documents = readSeedDocuments(options.dataDir, collection);
+
+      if (options.clear) {
+        const deleted = await clearCollection(db, collection.name);
+        console.log(`  Cleared ${deleted} existing ${collection.name} documents`);
+      }
+
+      const written = await seedCollection(db, collection.name, documents, types);
+      console.log(`✓ ${collection.name}: ${written} documents seeded from ${collection.fileName}`);
+    }
+
+    console.log('---');
+    console.log('Seeding completed successfully!');
+    return 0;
+  } catch (error) {
+    console.error('Seeding failed:', error);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main().then((code) => process.exit(code));
+}
+
+module.exports = { main };
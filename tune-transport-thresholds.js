@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+const { tuneTransportThresholds } = require('./evaluation/threshold-tuning');
+const {
+  TUNE_HELP_TEXT,
+  parseTuneArgs,
+  readExportDocuments,
+  writeTunedThresholds
+} = require('./evaluation/report');
+
+function formatPercent(value) {
+  return value === null ? '  –  ' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+/**
+ * Tunes the transport mode thresholds on exported data and writes them for the dashboard
+ * @returns {Promise<number>} Process exit code
+ */
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseTuneArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Run with --help for usage.');
+    return 1;
+  }
+
+  if (options.help) {
+    console.log(TUNE_HELP_TEXT);
+    return 0;
+  }
+
+  try {
+    const locations = readExportDocuments(options.locationsFile);
+    const motion = readExportDocuments(options.motionFile);
+    console.log(`Read ${locations.length} locations from ${options.locationsFile}`);
+    console.log(`Read ${motion.length} motion readings from ${options.motionFile}`);
+
+    console.log('---');
+    const thresholds = tuneTransportThresholds(locations, motion, {
+      algorithms: options.algorithms,
+      objective: options.objective,
+      testShare: options.testShare,
+      clean: options.clean
+    });
+
+    console.log(`${thresholds.labelledPoints} of ${thresholds.points} points labelled; ` +
+      `tuned on ${thresholds.trainPoints}, checked on ${thresholds.testPoints} held out (${thresholds.objective})`);
+    for (const [algorithm, scores] of Object.entries(thresholds.scores)) {
+      console.log(`  ${scores.name.padEnd(26)} held out ${formatPercent(scores.test.default)} → ${formatPercent(scores.test.tuned)}  ` +
+        `(${scores.evaluations} parameter sets tried)`);
+      console.log(`    ${Object.entries(thresholds.parameters[algorithm]).map(([name, value]) => `${name}=${value}`).join(' ')}`);
+    }
+
+    const written = writeTunedThresholds(options.outFile, thresholds, {
+      locationsFile: options.locationsFile,
+      motionFile: options.motionFile
+    });
+    console.log('---');
+    console.log(`✓ Thresholds written to ${written}`);
+    return 0;
+  } catch (error) {
+    console.error('Tuning failed:', error.message);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main().then((code) => process.exit(code));
+}
+
+module.exports = { main };